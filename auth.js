@@ -0,0 +1,433 @@
+/**
+ * API 密钥认证模块
+ *
+ * 每个自动化客户端使用自己的 API 密钥，密钥保存在 KV (API_KEYS) 中：
+ * - key:<keyId>     密钥记录 { keyId, label, secret, enabled, platforms, accounts, routes, requireSignature }
+ *                   platforms / accounts 限制可以操作的平台和已注册账号 (accountId)，null 表示不限制
+ * - audit:<序号>     上传审计日志，按时间倒序排列
+ * - replay:<签名>    已使用的请求签名，在时间窗口内拒绝重放
+ *
+ * 客户端可以用两种方式认证：
+ * 1. 密钥：X-API-Key-Id: <keyId>，X-API-Secret: <secret>
+ * 2. 请求签名：X-API-Key-Id: <keyId>，X-Signature-Timestamp: <Unix 秒>，
+ *    X-Signature: sha256=<hex(HMAC-SHA256(secret, "<timestamp>.<METHOD>.<路径和查询参数>.<请求体>"))>
+ *    时间戳与服务器时间相差不能超过 5 分钟，同一签名只能使用一次。
+ * 仍然支持旧的共享密钥：只传 X-API-Secret 且与 API_SECRET 一致时，视为拥有全部权限的 legacy 密钥；
+ * 所有客户端迁移后删除 API_SECRET 即可停用。
+ */
+
+import { ApiError } from './errors.js';
+import { rootLogger } from './logger.js';
+
+// 签名时间戳允许的最大偏差
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+// 审计日志保留 90 天
+const AUDIT_TTL_SECONDS = 90 * 24 * 60 * 60;
+// 审计日志键使用倒序时间戳，list 时最新的记录排在最前面
+const AUDIT_SEQUENCE_BASE = 10 ** 13;
+// 单次查询返回的最大审计日志条数
+const MAX_AUDIT_ENTRIES = 1000;
+
+// 可以授权给密钥的路由，"videos.*" 表示 videos 下的所有路由，"*" 表示全部
+export const API_ROUTES = [
+  'upload', 'jobs.create', 'jobs.read', 'platforms.list', 'published.read', 'uploads.read',
+  'videos.latest', 'videos.read', 'videos.update', 'videos.thumbnail', 'videos.delete',
+  'captions.read', 'captions.write', 'playlists.read', 'playlists.write', 'schedule.read', 'schedule.write',
+  'presets.read', 'presets.write', 'bucket.read', 'channels.read', 'quota.read', 'metrics.read', 'ingest.read', 'ingest.write'
+];
+
+const textEncoder = new TextEncoder();
+
+/**
+ * 常量时间比较两个字符串，避免通过响应时间推测密钥
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+  const left = textEncoder.encode(String(a));
+  const right = textEncoder.encode(String(b));
+  // 长度不同时仍然逐字节比较到较长的一方，只在最后返回结果
+  let difference = left.length ^ right.length;
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    difference |= (left[i] ?? 0) ^ (right[i] ?? 0);
+  }
+  return difference === 0;
+}
+
+/**
+ * 计算请求签名
+ * @param {string} secret - 密钥
+ * @param {string|number} timestamp - Unix 时间戳 (秒)
+ * @param {string} method - 请求方法
+ * @param {string} path - 路径和查询参数 (例如 /video?videoId=abc)
+ * @param {string} body - 请求体，没有请求体时为空字符串
+ * @returns {Promise<string>} - sha256=<十六进制签名>
+ */
+export async function signRequest(secret, timestamp, method, path, body) {
+  const key = await crypto.subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, textEncoder.encode(`${timestamp}.${method.toUpperCase()}.${path}.${body}`));
+  return `sha256=${[...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * 去掉密钥记录中的 secret，用于接口返回
+ * @param {Object} apiKey - 密钥记录
+ * @returns {Object}
+ */
+function describeApiKey(apiKey) {
+  const { secret, ...publicFields } = apiKey;
+  return publicFields;
+}
+
+/**
+ * 读取密钥记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} keyId - 密钥 ID
+ * @returns {Promise<Object|null>}
+ */
+async function getApiKey(env, keyId) {
+  return env.API_KEYS ? await env.API_KEYS.get(`key:${keyId}`, 'json') : null;
+}
+
+/**
+ * 校验请求签名，并记录签名防止重放
+ * @param {Request} request - 请求对象
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} apiKey - 密钥记录
+ * @param {string} signature - X-Signature 请求头
+ * @returns {Promise<void>}
+ */
+async function verifySignature(request, env, apiKey, signature) {
+  const timestamp = request.headers.get('X-Signature-Timestamp');
+  if (!/^\d+$/.test(timestamp || '')) {
+    throw new ApiError('unauthorized', '签名请求缺少有效的 X-Signature-Timestamp');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new ApiError('unauthorized', `签名时间戳已过期，与服务器时间的偏差不能超过 ${SIGNATURE_TOLERANCE_SECONDS} 秒`);
+  }
+
+  // 读取请求体副本，原请求体留给端点解析
+  const url = new URL(request.url);
+  const body = ['GET', 'HEAD'].includes(request.method) ? '' : await request.clone().text();
+  const expected = await signRequest(apiKey.secret, timestamp, request.method, url.pathname + url.search, body);
+  if (!timingSafeEqual(signature, expected)) {
+    throw new ApiError('unauthorized', '请求签名无效');
+  }
+
+  // KV 不支持原子操作，完全并发的重放仍可能通过；时间窗口限制了可重放的时长
+  if (await env.API_KEYS.get(`replay:${signature}`)) {
+    throw new ApiError('unauthorized', '请求签名已被使用，请重新签名');
+  }
+  await env.API_KEYS.put(`replay:${signature}`, timestamp, { expirationTtl: SIGNATURE_TOLERANCE_SECONDS * 2 });
+}
+
+/**
+ * 判断路由是否在允许列表中，未设置 routes 时允许全部路由
+ * @param {string[]|null} routes - 密钥允许的路由
+ * @param {string} route - 路由名称 (见 API_ROUTES)
+ * @returns {boolean}
+ */
+function routeAllowed(routes, route) {
+  if (!routes) {
+    return true;
+  }
+  return routes.some(pattern => pattern === '*' || pattern === route ||
+    (pattern.endsWith('.*') && route.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * 认证请求并检查路由权限，失败时抛出 unauthorized 或 forbidden 错误
+ * @param {Request} request - 请求对象
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} route - 路由名称 (见 API_ROUTES)
+ * @returns {Promise<Object>} - 调用方信息 { keyId, label, platforms, accounts, routes }，legacy 密钥的 keyId 为 "legacy"
+ */
+export async function authenticate(request, env, route) {
+  const keyId = request.headers.get('X-API-Key-Id');
+  const secret = request.headers.get('X-API-Secret');
+  const signature = request.headers.get('X-Signature');
+
+  if (!keyId) {
+    // 旧的共享密钥 API_SECRET
+    if (secret && env.API_SECRET && timingSafeEqual(secret, env.API_SECRET)) {
+      return { keyId: 'legacy', label: 'API_SECRET', platforms: null, accounts: null, routes: null };
+    }
+    throw new ApiError('unauthorized', 'API 密钥无效或缺失');
+  }
+
+  const apiKey = await getApiKey(env, keyId);
+  if (!apiKey || !apiKey.enabled) {
+    throw new ApiError('unauthorized', 'API 密钥无效或已停用');
+  }
+  if (signature) {
+    await verifySignature(request, env, apiKey, signature);
+  } else if (apiKey.requireSignature) {
+    throw new ApiError('unauthorized', `密钥 ${keyId} 要求使用请求签名 (X-Signature)`);
+  } else if (!secret || !timingSafeEqual(secret, apiKey.secret)) {
+    throw new ApiError('unauthorized', 'API 密钥无效或缺失');
+  }
+
+  if (!routeAllowed(apiKey.routes, route)) {
+    throw new ApiError('forbidden', `密钥 ${keyId} 无权访问 ${route}`);
+  }
+  return { keyId: apiKey.keyId, label: apiKey.label, platforms: apiKey.platforms, accounts: apiKey.accounts || null, routes: apiKey.routes };
+}
+
+/**
+ * 检查调用方是否可以访问另一个路由 (例如 POST /ingest 带有 publish 时还需要 jobs.create)，不允许时抛出 forbidden 错误
+ * @param {Object} client - authenticate 返回的调用方信息
+ * @param {string} route - 路由名称 (见 API_ROUTES)
+ */
+export function assertRouteAllowed(client, route) {
+  if (!routeAllowed(client.routes, route)) {
+    throw new ApiError('forbidden', `密钥 ${client.keyId} 无权访问 ${route}`);
+  }
+}
+
+/**
+ * 检查调用方是否可以操作指定平台，不允许时抛出 forbidden 错误
+ * @param {Object} client - authenticate 返回的调用方信息
+ * @param {...string} platforms - 请求涉及的平台
+ */
+export function assertPlatformAllowed(client, ...platforms) {
+  if (!client.platforms) {
+    return;
+  }
+  const denied = platforms.filter(platform => !client.platforms.includes(String(platform).toLowerCase()));
+  if (denied.length > 0) {
+    throw new ApiError('forbidden', `密钥 ${client.keyId} 无权操作平台: ${[...new Set(denied)].join(', ')}`);
+  }
+}
+
+/**
+ * 检查调用方是否可以使用指定的已注册账号，不允许时抛出 forbidden 错误；直接传入令牌 (没有 accountId) 的请求不受限制
+ * @param {Object} client - authenticate 返回的调用方信息
+ * @param {...(string|null|undefined)} accountIds - 请求涉及的账号 ID
+ */
+export function assertAccountAllowed(client, ...accountIds) {
+  if (!client.accounts) {
+    return;
+  }
+  const denied = accountIds.filter(accountId => accountId && !client.accounts.includes(accountId));
+  if (denied.length > 0) {
+    throw new ApiError('forbidden', `密钥 ${client.keyId} 无权使用账号: ${[...new Set(denied)].join(', ')}`);
+  }
+}
+
+/**
+ * 请求是否带有有效的管理员密钥 (请求头 X-Admin-Secret)
+ * @param {Request} request - 请求对象
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {boolean}
+ */
+export function isAdmin(request, env) {
+  const adminSecret = request.headers.get('X-Admin-Secret');
+  return Boolean(env.ADMIN_SECRET && adminSecret && timingSafeEqual(adminSecret, env.ADMIN_SECRET));
+}
+
+/**
+ * 验证管理员密钥 (请求头 X-Admin-Secret)，无效时抛出 unauthorized 错误
+ * @param {Request} request - 请求对象
+ * @param {object} env - Cloudflare Worker 环境变量
+ */
+export function requireAdmin(request, env) {
+  if (!isAdmin(request, env)) {
+    throw new ApiError('unauthorized', '管理员密钥无效或缺失');
+  }
+}
+
+/**
+ * 校验密钥的 platforms / accounts / routes 设置
+ * @param {Object} input - 请求体
+ * @returns {Object[]} - 字段错误列表
+ */
+function checkApiKeyScopes(input) {
+  const errors = [];
+  if (input.platforms !== undefined && input.platforms !== null &&
+    (!Array.isArray(input.platforms) || input.platforms.some(platform => typeof platform !== 'string'))) {
+    errors.push({ field: 'platforms', code: 'invalidType', message: 'platforms 必须是平台名称数组或 null (不限制)' });
+  }
+  if (input.accounts !== undefined && input.accounts !== null &&
+    (!Array.isArray(input.accounts) || input.accounts.some(accountId => typeof accountId !== 'string'))) {
+    errors.push({ field: 'accounts', code: 'invalidType', message: 'accounts 必须是账号 ID 数组或 null (不限制)' });
+  }
+  if (input.routes !== undefined && input.routes !== null) {
+    // 每一项必须至少匹配一个已知路由，避免拼写错误的授权被静默忽略
+    const valid = Array.isArray(input.routes) &&
+      input.routes.every(pattern => typeof pattern === 'string' && API_ROUTES.some(route => routeAllowed([pattern], route)));
+    if (!valid) {
+      errors.push({ field: 'routes', code: 'invalidValue', message: `routes 必须是路由名称数组或 null (不限制)，可用路由: ${API_ROUTES.join(', ')}` });
+    }
+  }
+  for (const name of ['enabled', 'requireSignature']) {
+    if (input[name] !== undefined && typeof input[name] !== 'boolean') {
+      errors.push({ field: name, code: 'invalidType', message: `${name} 必须是布尔值` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * 创建 API 密钥，secret 只在创建时返回一次
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} input - { keyId, label?, platforms?, accounts?, routes?, requireSignature? }
+ * @returns {Promise<Object>} - 包含 secret 的密钥记录
+ */
+export async function createApiKey(env, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiError('validationFailed', '请求体必须是 JSON 对象', {
+      details: [{ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' }]
+    });
+  }
+  const errors = checkApiKeyScopes(input);
+  if (!input.keyId || !/^[\w.-]{1,64}$/.test(input.keyId)) {
+    errors.push({ field: 'keyId', code: 'invalidFormat', message: 'keyId 必须为 1-64 位字母、数字、下划线、点或短横线' });
+  }
+  if (input.keyId === 'legacy') {
+    errors.push({ field: 'keyId', code: 'invalidValue', message: 'keyId 不能为 legacy' });
+  }
+  if (errors.length > 0) {
+    throw new ApiError('validationFailed', `请求参数校验失败: ${errors.map(error => error.message).join('; ')}`, { details: errors });
+  }
+  if (await getApiKey(env, input.keyId)) {
+    throw new ApiError('validationFailed', `密钥 ${input.keyId} 已存在`);
+  }
+
+  const now = new Date().toISOString();
+  const apiKey = {
+    keyId: input.keyId,
+    label: input.label || null,
+    secret: [...crypto.getRandomValues(new Uint8Array(32))].map(byte => byte.toString(16).padStart(2, '0')).join(''),
+    enabled: true,
+    platforms: input.platforms ? input.platforms.map(platform => platform.toLowerCase()) : null,
+    accounts: input.accounts || null,
+    routes: input.routes || null,
+    requireSignature: input.requireSignature || false,
+    createdAt: now,
+    updatedAt: now
+  };
+  await env.API_KEYS.put(`key:${apiKey.keyId}`, JSON.stringify(apiKey));
+  return apiKey;
+}
+
+/**
+ * 更新 API 密钥的启用状态和权限，未传入的字段保持不变
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} keyId - 密钥 ID
+ * @param {Object} input - { label?, enabled?, platforms?, accounts?, routes?, requireSignature? }
+ * @returns {Promise<Object|null>} - 不含 secret 的密钥记录，密钥不存在时返回 null
+ */
+export async function updateApiKey(env, keyId, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiError('validationFailed', '请求体必须是 JSON 对象', {
+      details: [{ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' }]
+    });
+  }
+  const errors = checkApiKeyScopes(input);
+  if (errors.length > 0) {
+    throw new ApiError('validationFailed', `请求参数校验失败: ${errors.map(error => error.message).join('; ')}`, { details: errors });
+  }
+  const apiKey = await getApiKey(env, keyId);
+  if (!apiKey) {
+    return null;
+  }
+
+  for (const name of ['label', 'enabled', 'accounts', 'routes', 'requireSignature']) {
+    if (input[name] !== undefined) {
+      apiKey[name] = input[name];
+    }
+  }
+  if (input.platforms !== undefined) {
+    apiKey.platforms = input.platforms ? input.platforms.map(platform => platform.toLowerCase()) : null;
+  }
+  apiKey.updatedAt = new Date().toISOString();
+  await env.API_KEYS.put(`key:${keyId}`, JSON.stringify(apiKey));
+  return describeApiKey(apiKey);
+}
+
+/**
+ * 删除 API 密钥，之后使用该密钥的请求立即失败
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} keyId - 密钥 ID
+ * @returns {Promise<boolean>} - 密钥存在并被删除时返回 true
+ */
+export async function deleteApiKey(env, keyId) {
+  if (!await getApiKey(env, keyId)) {
+    return false;
+  }
+  await env.API_KEYS.delete(`key:${keyId}`);
+  return true;
+}
+
+/**
+ * 列出所有 API 密钥 (不含 secret)
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<Object[]>}
+ */
+export async function listApiKeys(env) {
+  const apiKeys = [];
+  let cursor;
+  do {
+    const page = await env.API_KEYS.list({ prefix: 'key:', cursor });
+    for (const { name } of page.keys) {
+      const apiKey = await env.API_KEYS.get(name, 'json');
+      if (apiKey) {
+        apiKeys.push(describeApiKey(apiKey));
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return apiKeys;
+}
+
+/**
+ * 写入一条上传审计日志，记录触发上传的密钥。写入失败不影响上传本身。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} client - authenticate 返回的调用方信息
+ * @param {Object} entry - 日志内容 { route, videoPath, platforms, jobId?, idempotencyKeys?, requestId?, outcome }
+ * @returns {Promise<void>}
+ */
+export async function recordAudit(env, client, entry) {
+  if (!env.API_KEYS) {
+    rootLogger.info('审计 (未绑定 API_KEYS，未保存)', { requestId: entry.requestId, keyId: client.keyId, route: entry.route, videoPath: entry.videoPath });
+    return;
+  }
+  const now = Date.now();
+  const record = { keyId: client.keyId, label: client.label || null, ...entry, at: new Date(now).toISOString() };
+  try {
+    await env.API_KEYS.put(`audit:${AUDIT_SEQUENCE_BASE - now}:${crypto.randomUUID()}`, JSON.stringify(record), {
+      expirationTtl: AUDIT_TTL_SECONDS
+    });
+  } catch (error) {
+    rootLogger.error('写入审计日志失败', { requestId: entry.requestId, keyId: client.keyId, route: entry.route, error });
+  }
+}
+
+/**
+ * 查询最近的审计日志，最新的在前
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} [filter]
+ * @param {string} [filter.keyId] - 只返回指定密钥的日志
+ * @param {number} [filter.limit=100] - 最大条数
+ * @returns {Promise<Object[]>}
+ */
+export async function listAuditLog(env, { keyId, limit = 100 } = {}) {
+  const max = Math.min(Math.max(1, limit), MAX_AUDIT_ENTRIES);
+  const entries = [];
+  let cursor;
+  do {
+    const page = await env.API_KEYS.list({ prefix: 'audit:', cursor });
+    for (const { name } of page.keys) {
+      const entry = await env.API_KEYS.get(name, 'json');
+      if (entry && (!keyId || entry.keyId === keyId)) {
+        entries.push(entry);
+        if (entries.length >= max) {
+          return entries;
+        }
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return entries;
+}
@@ -1,14 +1,491 @@
 /**
  * Bilibili 相关功能模块
+ *
+ * 使用 Bilibili 创作中心的网页投稿流程：
+ * preupload 获取上传节点 -> 初始化分片上传 -> 分片上传 R2 视频 -> 合并分片 -> 上传封面 -> 提交稿件
+ *
+ * 访问令牌为登录后的 Cookie 字符串，需包含 SESSDATA 和 bili_jct (用作 csrf)。
  */
 
+import { readObjectRange } from './r2.js';
+import { loadCover } from './covers.js';
+import { ApiError } from './errors.js';
+import { parseDateTime } from './time.js';
+import { rootLogger, measurePhase } from './logger.js';
+
+const BILIBILI_MEMBER_API = 'https://member.bilibili.com';
+// 分片上传失败时单个分片的最大重试次数
+const CHUNK_MAX_RETRIES = 3;
+// 定时发布时间必须在当前时间 2 小时后、15 天内
+const MIN_SCHEDULE_AHEAD_MS = 2 * 60 * 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 15 * 24 * 60 * 60 * 1000;
+
+/**
+ * 解析 Bilibili Cookie，提取 csrf 令牌
+ * @param {string} accessToken - 包含 SESSDATA 和 bili_jct 的 Cookie 字符串
+ * @returns {{cookie: string, csrf: string}}
+ */
+function parseBilibiliCookie(accessToken) {
+  const cookie = accessToken.replace(/^Bearer /, '');
+  const csrf = /(?:^|;\s*)bili_jct=([^;]+)/.exec(cookie)?.[1];
+  if (!/(?:^|;\s*)SESSDATA=/.test(cookie) || !csrf) {
+    throw new ApiError('invalidToken', 'Bilibili 访问令牌必须是包含 SESSDATA 和 bili_jct 的 Cookie 字符串');
+  }
+  return { cookie, csrf };
+}
+
+/**
+ * 构建访问创作中心接口的请求头
+ * @param {string} cookie - Bilibili Cookie 字符串
+ * @param {Object} [extraHeaders] - 额外的请求头
+ * @returns {Object}
+ */
+function memberHeaders(cookie, extraHeaders = {}) {
+  return {
+    'Cookie': cookie,
+    'Referer': `${BILIBILI_MEMBER_API}/platform/upload/video/frame`,
+    'User-Agent': 'Mozilla/5.0 (compatible; cfworker-upload)',
+    ...extraHeaders
+  };
+}
+
+// Bilibili 接口业务错误码与错误码的对应关系
+const BILIBILI_RESULT_CODES = {
+  '-101': 'invalidToken', // 账号未登录 (Cookie 失效)
+  '-111': 'invalidToken', // csrf 校验失败
+  '-403': 'forbidden',
+  '-404': 'videoNotFound',
+  '62002': 'videoNotFound', // 稿件不可见
+  '-412': 'rateLimitExceeded', // 请求被拦截
+  '21070': 'rateLimitExceeded' // 投稿过于频繁
+};
+
+/**
+ * 将 Bilibili 接口的业务错误 (code 不为 0) 转换为带错误码的 ApiError
+ * @param {Object} result - 接口响应 JSON
+ * @param {string} message - 错误信息前缀
+ * @returns {ApiError}
+ */
+function bilibiliApiError(result, message) {
+  const code = BILIBILI_RESULT_CODES[String(result.code)] || 'upstreamError';
+  return new ApiError(code, `${message}: ${result.code} ${result.message}`, {
+    details: { upstreamCode: result.code ?? null }
+  });
+}
+
+/**
+ * 解析接口响应为 JSON，失败时抛出带上下文的错误
+ * @param {Response} response - fetch 响应
+ * @param {string} operation - 当前操作名称
+ * @returns {Promise<Object>}
+ */
+async function readJson(response, operation) {
+  const responseText = await response.text();
+  if (!response.ok) {
+    throw new ApiError(response.status === 412 ? 'rateLimitExceeded' : 'upstreamError', `Bilibili ${operation}错误: ${response.status} ${responseText}`, {
+      details: { upstreamStatus: response.status }
+    });
+  }
+  try {
+    return JSON.parse(responseText);
+  } catch (e) {
+    throw new ApiError('upstreamError', `Bilibili ${operation}响应解析失败: ${responseText}`);
+  }
+}
+
+/**
+ * 预上传，获取上传节点、upos 地址和授权信息
+ * @param {string} cookie - Bilibili Cookie 字符串
+ * @param {string} fileName - 视频文件名
+ * @param {number} size - 视频总字节数
+ * @returns {Promise<Object>} - 包含 endpoint、upos_uri、auth、biz_id、chunk_size
+ */
+async function preupload(cookie, fileName, size) {
+  const params = new URLSearchParams({
+    name: fileName,
+    size: size.toString(),
+    r: 'upos',
+    profile: 'ugcupos/bup',
+    ssl: '0',
+    version: '2.14.0',
+    build: '2140000',
+    upcdn: 'bda2',
+    probe_version: '20221109'
+  });
+
+  const response = await fetch(`${BILIBILI_MEMBER_API}/preupload?${params.toString()}`, {
+    headers: memberHeaders(cookie)
+  });
+  const result = await readJson(response, '预上传');
+  if (result.OK !== 1) {
+    throw new ApiError('upstreamError', `Bilibili 预上传失败: ${JSON.stringify(result)}`);
+  }
+  return result;
+}
+
+/**
+ * 将 R2 中的视频按 preupload 返回的分片大小上传，并合并分片
+ * @param {object} env - Cloudflare Worker 环境变量，包含 R2 绑定
+ * @param {Object} videoObject - R2 中视频文件的元数据
+ * @param {Object} session - preupload 返回的上传会话信息
+ * @param {string} fileName - 视频文件名
+ * @param {Object} timings - 阶段耗时，R2 读取累加到 r2Read，分片上传和合并累加到 insert
+ * @param {import('./logger.js').Logger} logger - 日志记录器
+ * @param {Function} [onProgress] - 进度回调
+ * @returns {Promise<Object>} - 上传统计
+ */
+async function uploadChunks(env, videoObject, session, fileName, timings, logger, onProgress) {
+  const totalBytes = videoObject.size;
+  const uploadUrl = `https:${session.endpoint}/${session.upos_uri.replace('upos://', '')}`;
+  const authHeaders = { 'X-Upos-Auth': session.auth };
+
+  // 初始化分片上传
+  const init = await measurePhase(timings, 'insert', async () => {
+    const initResponse = await fetch(`${uploadUrl}?uploads&output=json`, {
+      method: 'POST',
+      headers: authHeaders
+    });
+    return await readJson(initResponse, '初始化分片上传');
+  });
+  if (!init.upload_id) {
+    throw new ApiError('upstreamError', `Bilibili 初始化分片上传失败: ${JSON.stringify(init)}`);
+  }
+
+  const chunkSize = session.chunk_size;
+  const chunkCount = Math.ceil(totalBytes / chunkSize);
+  const uploadStats = { totalBytes, bytesSent: 0, chunks: 0, retriedChunks: 0 };
+
+  for (let index = 0; index < chunkCount; index++) {
+    const start = index * chunkSize;
+    const length = Math.min(chunkSize, totalBytes - start);
+    const chunk = await measurePhase(timings, 'r2Read', () => readObjectRange(env, videoObject, start, length));
+    const params = new URLSearchParams({
+      partNumber: (index + 1).toString(),
+      uploadId: init.upload_id,
+      chunk: index.toString(),
+      chunks: chunkCount.toString(),
+      size: length.toString(),
+      start: start.toString(),
+      end: (start + length).toString(),
+      total: totalBytes.toString()
+    });
+
+    for (let attempt = 0; ; attempt++) {
+      let failureReason;
+      try {
+        const chunkResponse = await measurePhase(timings, 'insert', () => fetch(`${uploadUrl}?${params.toString()}`, {
+          method: 'PUT',
+          headers: { ...authHeaders, 'Content-Length': length.toString() },
+          body: chunk
+        }));
+        if (chunkResponse.ok) {
+          break;
+        }
+        failureReason = `${chunkResponse.status} ${await chunkResponse.text()}`;
+      } catch (networkError) {
+        failureReason = networkError.message;
+      }
+
+      if (attempt >= CHUNK_MAX_RETRIES) {
+        throw new ApiError('upstreamError', `Bilibili 分片 ${index + 1}/${chunkCount} 上传失败，已重试 ${CHUNK_MAX_RETRIES} 次: ${failureReason}`);
+      }
+      uploadStats.retriedChunks++;
+      logger.warn('Bilibili 分片上传失败，准备重试', { chunk: index + 1, chunkCount, attempt: attempt + 1, reason: failureReason });
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+
+    uploadStats.bytesSent += length;
+    uploadStats.chunks++;
+    if (onProgress) {
+      await onProgress({ phase: 'uploading', bytesUploaded: start + length, totalBytes });
+    }
+  }
+
+  // 合并分片
+  const completeParams = new URLSearchParams({
+    output: 'json',
+    name: fileName,
+    profile: 'ugcupos/bup',
+    uploadId: init.upload_id,
+    biz_id: session.biz_id.toString()
+  });
+  const complete = await measurePhase(timings, 'insert', async () => {
+    const completeResponse = await fetch(`${uploadUrl}?${completeParams.toString()}`, {
+      method: 'POST',
+      headers: { ...authHeaders, 'Content-Type': 'application/json; charset=UTF-8' },
+      body: JSON.stringify({
+        parts: Array.from({ length: chunkCount }, (_, i) => ({ partNumber: i + 1, eTag: 'etag' }))
+      })
+    });
+    return await readJson(completeResponse, '合并分片');
+  });
+  if (complete.OK !== 1) {
+    throw new ApiError('upstreamError', `Bilibili 合并分片失败: ${JSON.stringify(complete)}`);
+  }
+
+  return uploadStats;
+}
+
+/**
+ * 将 ArrayBuffer 编码为 base64
+ * @param {ArrayBuffer} buffer - 二进制数据
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // 分段转换，避免参数过多导致调用栈溢出
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * 上传稿件封面，返回 Bilibili 图床地址
+ * @param {string} cookie - Bilibili Cookie 字符串
+ * @param {string} csrf - csrf 令牌 (bili_jct)
+ * @param {Object} cover - loadCover 返回的封面数据
+ * @returns {Promise<string>} - 封面 URL
+ */
+async function uploadCover(cookie, csrf, cover) {
+  const response = await fetch(`${BILIBILI_MEMBER_API}/x/vu/web/cover/up?ts=${Date.now()}`, {
+    method: 'POST',
+    headers: memberHeaders(cookie, { 'Content-Type': 'application/x-www-form-urlencoded' }),
+    body: new URLSearchParams({
+      cover: `data:${cover.contentType};base64,${toBase64(cover.data)}`,
+      csrf: csrf
+    }).toString()
+  });
+  const result = await readJson(response, '封面上传');
+  if (result.code !== 0 || !result.data?.url) {
+    throw bilibiliApiError(result, 'Bilibili 封面上传失败');
+  }
+  return result.data.url;
+}
+
+/**
+ * 将发布时间转换为 Bilibili 定时发布所需的 Unix 时间戳 (秒)
+ * @param {string} publish_time - 带时区偏移量的 ISO 8601 计划发布时间 (createUploadRequest 已换算为 UTC)
+ * @returns {number}
+ */
+function toScheduleTimestamp(publish_time) {
+  const publishDate = parseDateTime(publish_time);
+  if (!publishDate) {
+    throw new ApiError('validationFailed', `无效的发布时间格式: ${publish_time}. 需要带时区的 ISO 8601 格式 (例如: 2025-04-17T23:57:16Z)`);
+  }
+
+  const aheadMs = publishDate.getTime() - Date.now();
+  if (aheadMs < MIN_SCHEDULE_AHEAD_MS || aheadMs > MAX_SCHEDULE_AHEAD_MS) {
+    throw new ApiError('validationFailed', `Bilibili 定时发布时间必须在 2 小时后且 15 天以内: ${publish_time}`);
+  }
+  return Math.floor(publishDate.getTime() / 1000);
+}
+
+/**
+ * 将视频上传到 Bilibili，并设置封面和定时发布时间。
+ * metadata 除 title/description/tags 外还支持:
+ *   tid (分区 ID，必需)、copyright (1 自制 / 2 转载，默认 1)、source (转载来源，copyright 为 2 时必需)
+ * 令牌提供者返回的是 Bilibili 登录 Cookie (包含 SESSDATA 和 bili_jct)。
+ * @param {import('./platforms.js').UploadRequest} request - 标准化的上传请求
+ * @returns {Promise<Object>} - 上传结果，结构与 YouTube 上传结果一致 (id、status、thumbnailUploadStatus)
+ */
+export async function uploadToBilibili(request) {
+  const { videoObject, metadata, tokenProvider, coverPath, publishTime, options, env, onProgress, timings } = request;
+  const logger = tokenProvider.logger || rootLogger;
+  const { cookie, csrf } = parseBilibiliCookie(await tokenProvider.getToken());
+
+  const tid = Number(metadata.tid ?? options.tid);
+  if (!tid) {
+    throw new ApiError('validationFailed', 'Bilibili 投稿需要提供分区 ID (metadata.tid)');
+  }
+  const copyright = Number(metadata.copyright || 1);
+  if (copyright === 2 && !metadata.source) {
+    throw new ApiError('validationFailed', 'Bilibili 转载稿件需要提供来源 (metadata.source)');
+  }
+  const tags = metadata.tags || [];
+  if (tags.length === 0) {
+    throw new ApiError('validationFailed', 'Bilibili 投稿至少需要一个标签 (metadata.tags)');
+  }
+  // 提前校验发布时间，避免上传完成后才发现时间无效
+  const dtime = publishTime ? toScheduleTimestamp(publishTime) : null;
+
+  // --- 1. 上传视频文件 ---
+  if (!videoObject.size) {
+    throw new ApiError('validationFailed', `R2 中的视频文件为空: ${videoObject.key}`);
+  }
+  const fileName = videoObject.key.split('/').pop();
+  logger.info('开始上传到 Bilibili', { videoPath: videoObject.key, totalBytes: videoObject.size });
+  const session = await measurePhase(timings, 'insert', () => preupload(cookie, fileName, videoObject.size));
+  const uploadStats = await uploadChunks(env, videoObject, session, fileName, timings, logger, onProgress);
+  // 提交稿件时使用 upos 文件名 (去掉扩展名)
+  const uploadedFileName = session.upos_uri.split('/').pop().replace(/\.[^.]+$/, '');
+
+  if (onProgress) {
+    await onProgress({ phase: 'processing', bytesUploaded: uploadStats.totalBytes, totalBytes: uploadStats.totalBytes });
+  }
+
+  // --- 2. 上传封面 ---
+  let coverUrl = '';
+  let thumbnailUploadStatus;
+  if (coverPath) {
+    try {
+      coverUrl = await measurePhase(timings, 'thumbnail', async () => await uploadCover(cookie, csrf, await loadCover(coverPath, env, logger)));
+      thumbnailUploadStatus = `封面上传成功 (使用: ${coverPath})`;
+    } catch (coverError) {
+      thumbnailUploadStatus = `封面处理/上传时出错: ${coverError.message}`;
+      logger.error('Bilibili 封面处理或上传失败', { error: coverError });
+    }
+  } else {
+    thumbnailUploadStatus = '未提供有效封面路径，将使用 Bilibili 自动截取的封面';
+  }
+
+  // --- 3. 提交稿件 ---
+  const archive = {
+    copyright: copyright,
+    tid: tid,
+    cover: coverUrl,
+    title: metadata.title,
+    tag: tags.join(','),
+    desc: metadata.description,
+    dynamic: '',
+    videos: [{ filename: uploadedFileName, title: metadata.title, desc: '' }]
+  };
+  if (copyright === 2) {
+    archive.source = metadata.source;
+  } else {
+    archive.no_reprint = 1;
+  }
+  if (dtime) {
+    archive.dtime = dtime;
+  }
+
+  const submitResult = await measurePhase(timings, 'submit', async () => {
+    const submitResponse = await fetch(`${BILIBILI_MEMBER_API}/x/vu/web/add/v3?csrf=${csrf}`, {
+      method: 'POST',
+      headers: memberHeaders(cookie, { 'Content-Type': 'application/json; charset=UTF-8' }),
+      body: JSON.stringify(archive)
+    });
+    return await readJson(submitResponse, '提交稿件');
+  });
+  if (submitResult.code !== 0 || !submitResult.data?.bvid) {
+    throw bilibiliApiError(submitResult, 'Bilibili 提交稿件失败');
+  }
+
+  const { aid, bvid } = submitResult.data;
+  return {
+    id: bvid,
+    bvid: bvid,
+    aid: aid,
+    status: {
+      // 稿件提交后进入审核，设置了 dtime 时审核通过后按计划时间发布
+      state: dtime ? 'scheduled' : 'submitted',
+      publishAt: dtime ? new Date(dtime * 1000).toISOString() : null
+    },
+    thumbnailUploadStatus: thumbnailUploadStatus,
+    coverUrl: coverUrl || null,
+    uploadStats: uploadStats
+  };
+}
+
+/**
+ * 获取 Bilibili 稿件详情
+ * @param {Object} tokenProvider - 令牌提供者 (返回登录 Cookie)
+ * @param {string} videoId - 稿件 BV 号
+ * @returns {Promise<Object>} - 稿件详情 (web-interface/view 的 data)
+ */
+export async function getBilibiliVideoDetails(tokenProvider, videoId) {
+  const { cookie } = parseBilibiliCookie(await tokenProvider.getToken());
+  const response = await fetch(`https://api.bilibili.com/x/web-interface/view?bvid=${encodeURIComponent(videoId)}`, {
+    headers: memberHeaders(cookie)
+  });
+  const result = await readJson(response, '获取稿件详情');
+  if (result.code !== 0) {
+    throw bilibiliApiError(result, '获取稿件详情失败');
+  }
+  return result.data;
+}
+
+/**
+ * 获取当前登录账号最新投稿的稿件，返回结构与 YouTube 最新视频一致
+ * @param {Object} tokenProvider - 令牌提供者 (返回登录 Cookie)
+ * @returns {Promise<Object>} - 最新稿件的信息
+ */
+export async function getLatestBilibiliVideo(tokenProvider) {
+  const { cookie } = parseBilibiliCookie(await tokenProvider.getToken());
+  const params = new URLSearchParams({ status: 'is_pubing,pubed,not_pubed', pn: '1', ps: '1' });
+  const response = await fetch(`${BILIBILI_MEMBER_API}/x/web/archives?${params.toString()}`, {
+    headers: memberHeaders(cookie)
+  });
+  const result = await readJson(response, '获取稿件列表');
+  if (result.code !== 0) {
+    throw bilibiliApiError(result, '获取最新稿件失败');
+  }
+
+  const archive = result.data?.arc_audits?.[0]?.Archive;
+  if (!archive) {
+    throw new ApiError('videoNotFound', '当前账号没有投稿记录');
+  }
+  return {
+    id: archive.bvid,
+    aid: archive.aid,
+    title: archive.title,
+    description: archive.desc,
+    publishedAt: archive.ptime ? new Date(archive.ptime * 1000).toISOString() : null,
+    thumbnails: { default: { url: archive.cover } }
+  };
+}
+
 /**
- * 将视频上传到 Bilibili
- * @param {ReadableStream} videoStream - 从 R2 获取的视频数据流
- * @param {Object} metadata - 视频元数据
- * @param {string} accessToken - Bilibili API 的访问令牌
- * @returns {Promise<Object>} - 上传结果
+ * Bilibili 平台适配器
+ * @type {import('./platforms.js').PlatformAdapter}
  */
-export async function uploadToBilibili(videoStream, metadata, accessToken) {
-  throw new Error('Bilibili 上传功能尚未实现');
-}
\ No newline at end of file
+export const bilibiliAdapter = {
+  name: 'bilibili',
+  // metadata 的校验规则，见 validation.js
+  uploadSchema: {
+    metadata: {
+      title: { type: 'string', required: true, maxLength: 80 },
+      description: { type: 'string', maxLength: 2000 },
+      tags: { type: 'array', required: true, minItems: 1, maxItems: 12, itemMaxLength: 20 },
+      tid: { type: 'integer' },
+      copyright: { type: 'integer', enum: [1, 2] },
+      source: { type: 'string', maxLength: 200 }
+    },
+    // 跨字段规则：分区 ID 可以写在 metadata 或上传目标上；转载稿件必须提供来源
+    check: destination => {
+      const errors = [];
+      const { metadata } = destination;
+      if ((metadata.tid ?? destination.tid) === undefined) {
+        errors.push({ field: 'metadata.tid', code: 'required', message: 'Bilibili 投稿需要提供分区 ID (metadata.tid)' });
+      }
+      if (Number(metadata.copyright) === 2 && !metadata.source) {
+        errors.push({ field: 'metadata.source', code: 'required', message: 'Bilibili 转载稿件需要提供来源 (metadata.source)' });
+      }
+      return errors;
+    },
+    publishTime: {
+      minAheadMs: MIN_SCHEDULE_AHEAD_MS,
+      maxAheadMs: MAX_SCHEDULE_AHEAD_MS,
+      message: 'Bilibili 定时发布时间必须在 2 小时后且 15 天以内'
+    }
+  },
+  capabilities: {
+    scheduling: true, // 支持 publish_time (dtime)，需在 2 小时后且 15 天以内
+    privacyStatus: [],
+    captions: false,
+    playlists: false,
+    processingStatus: false,
+    coverFrames: false,
+    auth: 'cookie', // 登录 Cookie (SESSDATA + bili_jct)
+    channelSelection: false // getLatest 只返回当前登录账号的稿件
+  },
+  upload: request => uploadToBilibili(request),
+  getVideo: ({ tokenProvider, videoId }) => getBilibiliVideoDetails(tokenProvider, videoId),
+  getLatest: ({ tokenProvider, channelId }) => {
+    if (channelId) {
+      throw new ApiError('unsupportedOperation', 'Bilibili 暂不支持按 channelId 查询最新稿件');
+    }
+    return getLatestBilibiliVideo(tokenProvider);
+  }
+};
\ No newline at end of file
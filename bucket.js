@@ -0,0 +1,191 @@
+/**
+ * R2 存储桶浏览与 sidecar 约定
+ *
+ * GET /bucket 列出 VIDEO_BUCKET 中某个前缀下的文件，并根据发布记录 (见 idempotency.js) 标记视频是否已经发布，
+ * pending=true 时只返回尚未发布的视频。
+ *
+ * sidecar：与视频同名、扩展名不同的文件保存该视频的上传参数和封面，例如 videos/a.mp4 对应
+ * - videos/a.json  上传请求体的其余字段 (platform / platforms、accountId、metadata、captions、publish_time 等)
+ * - videos/a.jpg   封面 (也可以是 .jpeg / .png / .webp)，请求和 a.json 都没有指定封面时使用
+ * 上传请求只传 videoPath 时会读取 sidecar 补全，请求中的字段优先于 sidecar，metadata 按字段合并。
+ */
+
+import { ApiError } from './errors.js';
+import { getPublishedDestinations } from './idempotency.js';
+
+// 按扩展名识别视频文件 (R2 对象没有 video/* Content-Type 时)
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'm4v', 'mkv', 'webm', 'avi', 'flv', 'wmv', 'mpg', 'mpeg', 'ts'];
+// sidecar 封面的扩展名，按优先级排列
+const SIDECAR_COVER_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+// sidecar JSON 的最大大小
+const MAX_SIDECAR_BYTES = 256 * 1024;
+// 请求体中的封面字段，任一字段存在时不使用 sidecar 封面
+const COVER_FIELDS = ['coverPath-high', 'coverPath-medium', 'coverPath-default', 'coverPath', 'coverFrame'];
+
+// GET /bucket 每页默认和最大条数。每个视频文件需要一次 KV 读取发布记录，
+// 限制每页条数，避免一次请求的子请求数超过 Worker 的上限而导致整页失败
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 判断 R2 对象是否为视频文件：Content-Type 为 video/* 或扩展名为常见视频格式
+ * @param {Object} object - R2 对象 (list 或 head 的结果)
+ * @returns {boolean}
+ */
+export function isVideoObject(object) {
+  if (object.httpMetadata?.contentType?.startsWith('video/')) {
+    return true;
+  }
+  const extension = /\.([^./]+)$/.exec(object.key)?.[1]?.toLowerCase();
+  return VIDEO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * 去掉扩展名后的路径，sidecar 文件以此为前缀
+ * @param {string} videoPath - R2 中视频文件的路径
+ * @returns {string}
+ */
+export function sidecarBase(videoPath) {
+  return videoPath.replace(/\.[^./]*$/, '');
+}
+
+/**
+ * 读取视频的 sidecar 文件
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} videoPath - R2 中视频文件的路径
+ * @returns {Promise<{metadataPath: string|null, fields: Object|null, coverPath: string|null}>} - fields 为 JSON 中的上传参数，
+ *   coverPath 为找到的封面路径；没有对应文件时为 null
+ */
+export async function loadSidecar(env, videoPath) {
+  const base = sidecarBase(videoPath);
+  const metadataPath = `${base}.json`;
+  const metadataObject = await env.VIDEO_BUCKET.get(metadataPath);
+
+  let fields = null;
+  if (metadataObject) {
+    if (metadataObject.size > MAX_SIDECAR_BYTES) {
+      throw new ApiError('validationFailed', `sidecar 文件 ${metadataPath} 超过 ${MAX_SIDECAR_BYTES} 字节`);
+    }
+    try {
+      fields = JSON.parse(await metadataObject.text());
+    } catch (error) {
+      throw new ApiError('validationFailed', `sidecar 文件 ${metadataPath} 不是有效的 JSON: ${error.message}`);
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new ApiError('validationFailed', `sidecar 文件 ${metadataPath} 必须是 JSON 对象`);
+    }
+  }
+
+  let coverPath = null;
+  for (const extension of SIDECAR_COVER_EXTENSIONS) {
+    if (await env.VIDEO_BUCKET.head(`${base}.${extension}`)) {
+      coverPath = `${base}.${extension}`;
+      break;
+    }
+  }
+
+  return { metadataPath: fields ? metadataPath : null, fields, coverPath };
+}
+
+/**
+ * 用 sidecar 补全上传请求体：请求中的字段优先，metadata 按字段合并；请求指定了 platform 或 platforms 时
+ * 忽略 sidecar 中的平台；请求和 sidecar 都没有封面参数时使用 sidecar 封面。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} body - 上传请求体
+ * @returns {Promise<Object>} - 补全后的请求体，没有 sidecar 文件时原样返回
+ */
+export async function applySidecar(env, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || typeof body.videoPath !== 'string' || !body.videoPath) {
+    return body;
+  }
+
+  const { fields, coverPath } = await loadSidecar(env, body.videoPath);
+  if (!fields && !coverPath) {
+    return body;
+  }
+
+  const { videoPath, platform, platforms, ...sidecarFields } = fields || {};
+  const merged = { ...sidecarFields, ...body };
+  if (body.platform === undefined && body.platforms === undefined) {
+    if (platform !== undefined) {
+      merged.platform = platform;
+    }
+    if (platforms !== undefined) {
+      merged.platforms = platforms;
+    }
+  }
+  if (sidecarFields.metadata || body.metadata) {
+    merged.metadata = { ...sidecarFields.metadata, ...body.metadata };
+  }
+  if (coverPath && !COVER_FIELDS.some(field => merged[field] !== undefined && merged[field] !== null && merged[field] !== '')) {
+    merged['coverPath-high'] = coverPath;
+  }
+  return merged;
+}
+
+/**
+ * 读取查询参数中的分页条数
+ * @param {string|null} value - 查询参数
+ * @returns {number}
+ */
+function parseLimit(value) {
+  if (value === null || value === '') {
+    return DEFAULT_PAGE_SIZE;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new ApiError('validationFailed', 'limit 必须是正整数', {
+      details: [{ field: 'limit', code: 'invalidType', message: 'limit 必须是正整数' }]
+    });
+  }
+  return Math.min(Number(value), MAX_PAGE_SIZE);
+}
+
+/**
+ * 列出存储桶中某个前缀下的文件，视频文件附带发布状态
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {URLSearchParams} params - 查询参数 (prefix, cursor, limit, delimiter, pending)
+ * @returns {Promise<Object>} - { objects, prefixes, cursor, truncated }；cursor 为下一页的游标，没有下一页时为 null。
+ *   pending=true 时过滤发生在分页之后，一页返回的条数可能少于 limit
+ */
+export async function listBucket(env, params) {
+  const delimiter = params.get('delimiter');
+  if (delimiter && delimiter !== '/') {
+    throw new ApiError('validationFailed', 'delimiter 只能为 /', {
+      details: [{ field: 'delimiter', code: 'invalidValue', message: 'delimiter 只能为 /' }]
+    });
+  }
+  const pendingOnly = params.get('pending') === 'true';
+
+  const page = await env.VIDEO_BUCKET.list({
+    prefix: params.get('prefix') || undefined,
+    cursor: params.get('cursor') || undefined,
+    limit: parseLimit(params.get('limit')),
+    delimiter: delimiter || undefined,
+    include: ['httpMetadata', 'customMetadata']
+  });
+
+  const objects = await Promise.all(page.objects.map(async object => {
+    const isVideo = isVideoObject(object);
+    // 只有视频文件有发布记录；文件在发布后被替换 (ETag 不同) 时视为未发布
+    const publications = isVideo ? await getPublishedDestinations(env, object.key) : {};
+    const publishedTo = Object.keys(publications).filter(destination => publications[destination].etag === object.etag);
+    return {
+      key: object.key,
+      size: object.size,
+      etag: object.etag,
+      uploaded: object.uploaded instanceof Date ? object.uploaded.toISOString() : object.uploaded,
+      contentType: object.httpMetadata?.contentType || null,
+      customMetadata: object.customMetadata || {},
+      isVideo: isVideo,
+      published: publishedTo.length > 0,
+      publishedTo: publishedTo
+    };
+  }));
+
+  return {
+    objects: pendingOnly ? objects.filter(object => object.isVideo && !object.published) : objects,
+    prefixes: page.delimitedPrefixes || [],
+    cursor: page.truncated ? page.cursor : null,
+    truncated: page.truncated
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * 字幕文件读取模块，供各平台上传逻辑共用
+ */
+
+import { ApiError } from './errors.js';
+import { rootLogger } from './logger.js';
+
+// 支持的字幕格式 (扩展名与 Content-Type)
+export const CAPTION_FORMATS = {
+  srt: 'application/x-subrip',
+  vtt: 'text/vtt',
+  sbv: 'text/plain',
+  ttml: 'application/ttml+xml'
+};
+
+/**
+ * 从 R2 读取字幕文件，Content-Type 按扩展名确定
+ * @param {string} path - 字幕文件在 R2 中的路径
+ * @param {object} env - Cloudflare Worker 环境变量，包含 R2 绑定
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {Promise<{data: ArrayBuffer, contentType: string, size: number}>} - 字幕数据
+ */
+export async function loadCaptionFile(path, env, logger = rootLogger) {
+  const extension = path.split('.').pop().toLowerCase();
+  const contentType = CAPTION_FORMATS[extension];
+  if (!contentType) {
+    throw new ApiError('validationFailed', `不支持的字幕格式: ${path}，可用格式: ${Object.keys(CAPTION_FORMATS).join(', ')}`);
+  }
+
+  logger.info('从 R2 获取字幕', { path });
+  const captionObject = await env.VIDEO_BUCKET.get(path);
+  if (!captionObject) {
+    throw new ApiError('notFound', `在R2中未找到字幕文件: ${path}`);
+  }
+
+  const data = await captionObject.arrayBuffer();
+  return { data, contentType, size: data.byteLength };
+}
@@ -0,0 +1,370 @@
+/**
+ * 封面选择、读取与处理模块，供各平台上传逻辑共用
+ *
+ * 上传前按文件头识别封面的实际格式并检查尺寸和大小，不符合平台要求时通过 Cloudflare Images (IMAGES 绑定)
+ * 转换为平台要求尺寸的 JPEG；也可以通过 Media Transformations 从视频的某一时间点截取封面 (coverFrame)。
+ */
+
+import { ApiError } from './errors.js';
+import { rootLogger } from './logger.js';
+
+/**
+ * 按优先级从请求体中选择封面路径：coverPath-high > coverPath-medium > coverPath-default (兼容旧参数 coverPath)
+ * @param {Object} requestBody - 完整的请求体，包含各种封面路径参数
+ * @returns {string|null} - 选中的封面路径 (R2 路径或 URL)，未提供时返回 null
+ */
+export function selectCoverPath(requestBody) {
+  // 尝试获取不同分辨率的封面路径
+  const coverPathHigh = requestBody['coverPath-high'];
+  const coverPathMedium = requestBody['coverPath-medium'];
+  const coverPathDefault = requestBody['coverPath-default'] || requestBody['coverPath']; // 兼容旧参数名
+
+  // 按优先级选择封面，确保值不为 null
+  return coverPathHigh || coverPathMedium || coverPathDefault || null;
+}
+
+/**
+ * 读取封面图片，支持 http(s) URL 和 R2 路径
+ * @param {string} coverPath - 封面路径 (R2 路径或 URL)
+ * @param {object} env - Cloudflare Worker 环境变量，包含 R2 绑定
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {Promise<{data: ArrayBuffer, contentType: string, size: number}>} - 封面数据
+ */
+export async function loadCover(coverPath, env, logger = rootLogger) {
+  // 判断是否为URL
+  if (coverPath.startsWith('http')) {
+    logger.info('从 URL 获取封面', { coverPath });
+    // 从URL获取图片
+    const coverResponse = await fetch(coverPath);
+    if (!coverResponse.ok) {
+      throw new Error(`获取封面URL失败: ${coverResponse.status} ${coverResponse.statusText}`);
+    }
+
+    const data = await coverResponse.arrayBuffer();
+    return {
+      data,
+      contentType: coverResponse.headers.get('Content-Type') || 'image/jpeg',
+      size: data.byteLength
+    };
+  }
+
+  logger.info('从 R2 获取封面', { coverPath });
+  // 从R2获取图片
+  const coverObject = await env.VIDEO_BUCKET.get(coverPath);
+  if (!coverObject) {
+    throw new Error(`在R2中未找到封面文件: ${coverPath}`);
+  }
+
+  return {
+    data: await coverObject.arrayBuffer(),
+    contentType: coverObject.httpMetadata?.contentType || 'image/jpeg',
+    size: coverObject.size
+  };
+}
+
+// 可识别的图片格式：文件头特征 -> MIME 类型
+const IMAGE_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  avif: 'image/avif',
+  heic: 'image/heic'
+};
+// 宽高比允许的相对误差
+const ASPECT_TOLERANCE = 0.01;
+// 转换封面时依次尝试的 JPEG 质量，直到文件大小符合限制
+const JPEG_QUALITIES = [85, 70, 55];
+
+/**
+ * 解析 JPEG 的尺寸 (SOF 段中的宽高)
+ * @param {Uint8Array} bytes - 图片数据
+ * @returns {{width: number, height: number}|null}
+ */
+function readJpegSize(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      return null;
+    }
+    const marker = bytes[offset + 1];
+    // 填充字节和没有长度字段的标记
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset += 2;
+      continue;
+    }
+    // SOF0-SOF15，排除 DHT (C4)、JPG (C8) 和 DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+      };
+    }
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+  }
+  return null;
+}
+
+/**
+ * 解析 WebP 的尺寸 (VP8 / VP8L / VP8X)
+ * @param {DataView} view - 图片数据
+ * @returns {{width: number, height: number}|null}
+ */
+function readWebpSize(view) {
+  const chunk = String.fromCharCode(view.getUint8(12), view.getUint8(13), view.getUint8(14), view.getUint8(15));
+  if (chunk === 'VP8 ' && view.byteLength >= 30) {
+    return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+  }
+  if (chunk === 'VP8L' && view.byteLength >= 25) {
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X' && view.byteLength >= 30) {
+    const read24 = offset => view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+    return { width: read24(24) + 1, height: read24(27) + 1 };
+  }
+  return null;
+}
+
+/**
+ * 根据文件头识别图片的实际格式和尺寸，不信任文件扩展名和 Content-Type
+ * @param {ArrayBuffer} data - 图片数据
+ * @returns {{format: string, contentType: string, width: number|null, height: number|null}|null} - 无法识别时返回 null；
+ *   AVIF / HEIC 只识别格式，不解析尺寸
+ */
+export function sniffImage(data) {
+  const bytes = new Uint8Array(data);
+  const view = new DataView(data);
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+  if (bytes.length < 16) {
+    return null;
+  }
+
+  let format = null;
+  let size = null;
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+    format = 'jpeg';
+    size = readJpegSize(bytes);
+  } else if (ascii(0, 8) === '\x89PNG\r\n\x1a\n' && bytes.length >= 24) {
+    format = 'png';
+    size = { width: view.getUint32(16), height: view.getUint32(20) };
+  } else if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    format = 'gif';
+    size = { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+  } else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    format = 'webp';
+    size = readWebpSize(view);
+  } else if (ascii(0, 2) === 'BM' && bytes.length >= 26) {
+    format = 'bmp';
+    size = { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+  } else if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    format = ['avif', 'avis'].includes(brand) ? 'avif' : (['heic', 'heix', 'mif1', 'msf1'].includes(brand) ? 'heic' : null);
+  }
+
+  if (!format) {
+    return null;
+  }
+  return { format, contentType: IMAGE_TYPES[format], width: size?.width ?? null, height: size?.height ?? null };
+}
+
+/**
+ * 检查封面是否符合平台要求
+ * @param {Object} image - sniffImage 的结果
+ * @param {number} size - 文件大小 (字节)
+ * @param {Object} spec - 平台的封面要求 { width, height, minWidth, maxBytes, formats }
+ * @returns {string[]} - 不符合的项，全部符合时为空数组
+ */
+function findCoverIssues(image, size, spec) {
+  const issues = [];
+  if (!spec.formats.includes(image.contentType)) {
+    issues.push(`格式 ${image.format} 不受支持`);
+  }
+  if (size > spec.maxBytes) {
+    issues.push(`文件大小 ${size} 字节超过 ${spec.maxBytes} 字节`);
+  }
+  if (!image.width || !image.height) {
+    issues.push('无法读取图片尺寸');
+  } else {
+    if (image.width < spec.minWidth) {
+      issues.push(`宽度 ${image.width} 小于 ${spec.minWidth}`);
+    }
+    const expectedRatio = spec.width / spec.height;
+    if (Math.abs(image.width / image.height - expectedRatio) / expectedRatio > ASPECT_TOLERANCE) {
+      issues.push(`宽高比 ${image.width}×${image.height} 不是 ${spec.width}:${spec.height}`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * 使用 Cloudflare Images (IMAGES 绑定) 将封面裁剪缩放为平台要求的尺寸并转换为 JPEG，
+ * 依次降低质量直到文件大小符合限制
+ * @param {object} env - Cloudflare Worker 环境变量，包含 IMAGES 绑定
+ * @param {ArrayBuffer} data - 原始图片数据
+ * @param {Object} spec - 平台的封面要求
+ * @returns {Promise<{data: ArrayBuffer, contentType: string, size: number}>}
+ */
+async function convertCover(env, data, spec) {
+  for (const quality of JPEG_QUALITIES) {
+    const output = await env.IMAGES.input(new Response(data).body)
+      .transform({ width: spec.width, height: spec.height, fit: 'cover' })
+      .output({ format: 'image/jpeg', quality });
+    const converted = await output.response().arrayBuffer();
+    if (converted.byteLength <= spec.maxBytes) {
+      return { data: converted, contentType: 'image/jpeg', size: converted.byteLength };
+    }
+  }
+  throw new ApiError('invalidCover', `封面转换为 JPEG 后仍超过 ${spec.maxBytes} 字节`);
+}
+
+/**
+ * 校验封面的实际格式、尺寸和大小，不符合平台要求时转换为 spec.width×spec.height 的 JPEG
+ * @param {Object} cover - loadCover 返回的封面数据
+ * @param {object} env - Cloudflare Worker 环境变量，转换需要 IMAGES 绑定
+ * @param {Object} spec - 平台的封面要求 { width, height, minWidth, maxBytes, formats }
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {Promise<Object>} - 可直接上传的封面 { data, contentType, size, format, width, height, converted, issues }，
+ *   issues 为原图不符合的项
+ */
+export async function prepareCover(cover, env, spec, logger = rootLogger) {
+  const image = sniffImage(cover.data);
+  if (!image) {
+    throw new ApiError('invalidCover', `封面不是可识别的图片格式 (支持 ${Object.keys(IMAGE_TYPES).join(', ')})`);
+  }
+
+  const issues = findCoverIssues(image, cover.size, spec);
+  if (issues.length === 0) {
+    // 以文件头识别的格式为准，忽略 R2 或 URL 返回的 Content-Type
+    return { ...cover, contentType: image.contentType, format: image.format, width: image.width, height: image.height, converted: false, issues };
+  }
+  if (!env.IMAGES) {
+    throw new ApiError('invalidCover', `封面不符合要求 (${issues.join('；')})，未绑定 IMAGES，无法自动转换`);
+  }
+
+  logger.info('封面不符合要求，转换为 JPEG', { issues, width: spec.width, height: spec.height });
+  const converted = await convertCover(env, cover.data, spec);
+  return { ...converted, format: 'jpeg', width: spec.width, height: spec.height, converted: true, issues };
+}
+
+/**
+ * 解析截取封面的视频时间点：秒数 (83、83.5、"83.5s") 或时间码 ("01:23"、"00:01:23.5")
+ * @param {number|string} value - 时间点
+ * @returns {number|null} - 秒数，格式无效时返回 null
+ */
+export function parseFrameTime(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const seconds = /^(\d+(?:\.\d+)?)s?$/.exec(value);
+  if (seconds) {
+    return Number(seconds[1]);
+  }
+  const timecode = /^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/.exec(value);
+  if (!timecode) {
+    return null;
+  }
+  const [, hours, minutes, secs] = timecode;
+  if (Number(secs) >= 60 || (hours !== undefined && Number(minutes) >= 60)) {
+    return null;
+  }
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(secs);
+}
+
+/**
+ * 通过 Media Transformations 截取视频某一时间点的画面。视频需要能通过 MEDIA_BASE_URL (R2 存储桶的公开域名，
+ * 所在 zone 已启用 Media Transformations) 访问。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} videoKey - R2 中视频文件的路径
+ * @param {number} seconds - 时间点 (秒)
+ * @param {Object} spec - 平台的封面要求，截取的画面直接使用 spec.width×spec.height
+ * @param {import('./logger.js').Logger} logger - 日志记录器
+ * @returns {Promise<{data: ArrayBuffer, contentType: string, size: number}>}
+ */
+async function captureVideoFrame(env, videoKey, seconds, spec, logger) {
+  if (!env.MEDIA_BASE_URL) {
+    throw new ApiError('unsupportedOperation', '未配置 MEDIA_BASE_URL，无法从视频截取封面');
+  }
+
+  const baseUrl = env.MEDIA_BASE_URL.replace(/\/+$/, '');
+  const options = `mode=frame,time=${seconds}s,width=${spec.width},height=${spec.height},fit=cover,format=jpg`;
+  const videoUrl = `${baseUrl}/${videoKey.split('/').map(encodeURIComponent).join('/')}`;
+  logger.info('截取视频画面作为封面', { videoKey, seconds });
+  const response = await fetch(`${new URL(baseUrl).origin}/cdn-cgi/media/${options}/${videoUrl}`);
+  if (!response.ok) {
+    throw new ApiError('upstreamError', `截取视频第 ${seconds} 秒的画面失败: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.arrayBuffer();
+  return { data, contentType: response.headers.get('Content-Type') || 'image/jpeg', size: data.byteLength };
+}
+
+/**
+ * 将处理后的封面写回 R2，与视频放在同一目录：videos/a.mp4 -> videos/a.cover.jpg。
+ * 写入失败只输出日志，不影响封面上传。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} videoKey - R2 中视频文件的路径
+ * @param {Object} cover - prepareCover 返回的封面
+ * @param {string} source - 封面来源 (封面路径或 frame:<秒数>)
+ * @param {import('./logger.js').Logger} logger - 日志记录器
+ * @returns {Promise<string|null>} - 写入的 R2 路径
+ */
+async function storeCover(env, videoKey, cover, source, logger) {
+  const extension = cover.format === 'jpeg' ? 'jpg' : cover.format;
+  const coverKey = `${videoKey.replace(/\.[^./]*$/, '')}.cover.${extension}`;
+  try {
+    await env.VIDEO_BUCKET.put(coverKey, cover.data, {
+      httpMetadata: { contentType: cover.contentType },
+      customMetadata: { source, video: videoKey }
+    });
+    return coverKey;
+  } catch (error) {
+    logger.error('封面写回 R2 失败', { coverKey, error });
+    return null;
+  }
+}
+
+/**
+ * 读取并处理封面：优先使用封面路径，未提供时从视频的 coverFrame 时间点截取画面。
+ * 经过转换或截取的封面会写回 R2 中视频的旁边。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} source - 封面来源 { coverPath, coverFrame, videoKey }
+ * @param {Object} spec - 平台的封面要求 { width, height, minWidth, maxBytes, formats }
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {Promise<Object>} - prepareCover 的结果，另含 source (封面来源) 和 storedPath (写回 R2 的路径或 null)
+ */
+export async function loadThumbnail(env, { coverPath, coverFrame, videoKey }, spec, logger = rootLogger) {
+  let raw;
+  let source;
+  if (coverPath) {
+    source = coverPath;
+    raw = await loadCover(coverPath, env, logger);
+  } else {
+    const seconds = parseFrameTime(coverFrame);
+    source = `frame:${seconds}s`;
+    raw = await captureVideoFrame(env, videoKey, seconds, spec, logger);
+  }
+
+  const cover = await prepareCover(raw, env, spec, logger);
+  const storedPath = videoKey && (cover.converted || !coverPath) ? await storeCover(env, videoKey, cover, source, logger) : null;
+  return { ...cover, source, storedPath };
+}
+
+/**
+ * 封面处理结果中对外返回的部分 (不含图片数据)
+ * @param {Object} thumbnail - loadThumbnail 的结果
+ * @returns {Object} - { source, format, width, height, size, converted, issues, storedPath }
+ */
+export function describeThumbnail(thumbnail) {
+  const { source, format, width, height, size, converted, issues, storedPath } = thumbnail;
+  return { source, format, width, height, size, converted, issues, storedPath };
+}
@@ -0,0 +1,164 @@
+/**
+ * 错误类型与统一的 JSON 响应格式
+ *
+ * 所有端点的错误响应都使用同一个结构：
+ * {
+ *   "success": false,
+ *   "code": "quotaExceeded",          // 稳定的错误码，供 n8n 判断如何处理
+ *   "error": "YouTube API 配额已用完",  // 可读的错误信息
+ *   "details": [...],                 // 可选，例如参数校验的字段错误列表
+ *   "timestamp": "2025-04-17T00:00:00.000Z"
+ * }
+ */
+
+// 错误码及其默认 HTTP 状态码
+export const ERROR_CODES = {
+  validationFailed: 400,
+  invalidJson: 400,
+  unsupportedPlatform: 400,
+  unsupportedOperation: 400,
+  invalidMetadata: 400,
+  invalidCover: 400,
+  checksumMismatch: 400,
+  unauthorized: 401,
+  invalidToken: 401,
+  forbidden: 403,
+  notFound: 404,
+  videoNotFound: 404,
+  accountNotFound: 404,
+  methodNotAllowed: 405,
+  uploadInProgress: 409,
+  channelMismatch: 409,
+  quotaExceeded: 429,
+  uploadLimitExceeded: 429,
+  rateLimitExceeded: 429,
+  upstreamError: 502,
+  internalError: 500
+};
+
+/**
+ * 带错误码的 API 错误，errorResponse 会将其转换为统一的 JSON 错误响应
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - 错误码 (见 ERROR_CODES)
+   * @param {string} message - 错误信息
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP 状态码，默认取错误码对应的状态码
+   * @param {*} [options.details] - 附加信息，例如字段错误列表
+   */
+  constructor(code, message, { status, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status || ERROR_CODES[code] || 500;
+    this.details = details;
+  }
+}
+
+/**
+ * 构建 JSON 响应
+ * @param {Object} data - 响应数据
+ * @param {number} [status=200] - HTTP 状态码
+ * @param {Object} [headers] - 额外的响应头
+ * @returns {Response}
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * 将错误转换为统一格式的 JSON 错误响应，非 ApiError 按 internalError 处理
+ * @param {Error} error - 捕获到的错误
+ * @returns {Response}
+ */
+export function errorResponse(error) {
+  const apiError = error instanceof ApiError ? error : new ApiError('internalError', error.message);
+  const body = {
+    success: false,
+    code: apiError.code,
+    error: apiError.message,
+    timestamp: new Date().toISOString()
+  };
+  if (apiError.details !== undefined) {
+    body.details = apiError.details;
+  }
+  return jsonResponse(body, apiError.status);
+}
+
+/**
+ * 获取错误的错误码，用于在结果映射和任务记录中保存
+ * @param {Error} error - 捕获到的错误
+ * @returns {string}
+ */
+export function errorCodeOf(error) {
+  return error instanceof ApiError ? error.code : 'internalError';
+}
+
+/**
+ * 为错误信息添加上下文前缀，保留原有的错误码和状态码
+ * @param {Error} error - 原始错误
+ * @param {string} prefix - 上下文描述，例如 "获取视频详情失败"
+ * @returns {Error}
+ */
+export function withErrorContext(error, prefix) {
+  const message = `${prefix}: ${error.message}`;
+  if (error instanceof ApiError) {
+    return new ApiError(error.code, message, { status: error.status, details: error.details });
+  }
+  return new Error(message);
+}
+
+// YouTube API 错误 reason 与错误码的对应关系
+const YOUTUBE_REASON_CODES = {
+  quotaExceeded: 'quotaExceeded',
+  dailyLimitExceeded: 'quotaExceeded',
+  uploadLimitExceeded: 'uploadLimitExceeded',
+  rateLimitExceeded: 'rateLimitExceeded',
+  userRateLimitExceeded: 'rateLimitExceeded',
+  authError: 'invalidToken',
+  invalidCredentials: 'invalidToken',
+  videoNotFound: 'videoNotFound',
+  forbidden: 'forbidden',
+  insufficientPermissions: 'forbidden',
+  invalidTitle: 'invalidMetadata',
+  invalidDescription: 'invalidMetadata',
+  invalidTags: 'invalidMetadata',
+  invalidCategoryId: 'invalidMetadata',
+  invalidPublishAt: 'invalidMetadata',
+  invalidVideoMetadata: 'invalidMetadata'
+};
+
+/**
+ * 将 YouTube API 的错误响应转换为带错误码的 ApiError
+ * @param {Response} response - YouTube API 返回的非 2xx 响应
+ * @param {string} operation - 当前操作描述，用于错误信息
+ * @returns {Promise<ApiError>}
+ */
+export async function youtubeApiError(response, operation) {
+  const responseText = await response.text();
+  let reason;
+  let message = responseText;
+  try {
+    const parsed = JSON.parse(responseText);
+    reason = parsed.error?.errors?.[0]?.reason;
+    message = parsed.error?.message || responseText;
+  } catch (e) {
+    // 非 JSON 响应直接使用原始文本
+  }
+
+  let code = YOUTUBE_REASON_CODES[reason];
+  if (!code) {
+    if (response.status === 401) code = 'invalidToken';
+    else if (response.status === 403) code = 'forbidden';
+    else if (response.status === 404) code = 'notFound';
+    else code = 'upstreamError';
+  }
+
+  return new ApiError(code, `YouTube API ${operation}错误 (${response.status}): ${message}`, {
+    details: { upstreamStatus: response.status, reason: reason || null }
+  });
+}
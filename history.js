@@ -0,0 +1,264 @@
+/**
+ * 上传历史记录 (D1)
+ *
+ * 每次上传尝试 (多平台请求中的每个目标) 在 D1 (UPLOAD_DB) 的 uploads 表中写入一行，
+ * 开始上传时状态为 uploading，结束后更新为 succeeded 或 failed；在开始上传前就失败的尝试 (视频文件不存在、缺少令牌等)
+ * 同样记录为 failed (见 platforms.js 的 recordUploadFailure)。表结构见 migrations/0001_create_uploads.sql
+ * 和 0003_add_upload_tracing.sql (请求 ID 和各阶段耗时)。
+ * 未绑定 UPLOAD_DB 时不记录历史；写入失败只输出日志，不影响上传本身。
+ */
+
+import { ApiError, errorCodeOf } from './errors.js';
+import { rootLogger } from './logger.js';
+
+// 上传历史状态
+export const UPLOAD_STATUSES = {
+  UPLOADING: 'uploading',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// GET /uploads 每页默认和最大条数
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * 将数据库行转换为接口返回的格式
+ * @param {Object} row - uploads 表中的一行
+ * @returns {Object}
+ */
+function toUpload(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    platform: row.platform,
+    destination: row.destination,
+    accountId: row.account_id,
+    clientKeyId: row.client_key_id,
+    jobId: row.job_id,
+    requestId: row.request_id,
+    idempotencyKey: row.idempotency_key,
+    videoPath: row.video_path,
+    videoSize: row.video_size,
+    videoEtag: row.video_etag,
+    title: row.title,
+    publishAt: row.publish_at,
+    videoId: row.video_id,
+    privacyStatus: row.privacy_status,
+    thumbnailStatus: row.thumbnail_status,
+    errorCode: row.error_code,
+    error: row.error_message,
+    result: row.result ? JSON.parse(row.result) : null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    timings: row.timings ? JSON.parse(row.timings) : null
+  };
+}
+
+/**
+ * 记录一次上传的开始
+ * @param {import('./platforms.js').UploadRequest} request - 标准化的上传请求
+ * @returns {Promise<Object|null>} - { id, startedAt }，未绑定 UPLOAD_DB 或写入失败时返回 null
+ */
+export async function recordUploadStart(request) {
+  const { env, videoObject, attribution, logger } = request;
+  if (!env.UPLOAD_DB) {
+    return null;
+  }
+
+  const entry = { id: crypto.randomUUID(), startedAt: Date.now() };
+  try {
+    await env.UPLOAD_DB.prepare(`
+      INSERT INTO uploads (id, status, platform, destination, account_id, client_key_id, job_id, request_id, idempotency_key,
+        video_path, video_size, video_etag, title, publish_at, started_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      entry.id,
+      UPLOAD_STATUSES.UPLOADING,
+      request.platform,
+      request.destinationKey,
+      request.options.accountId || null,
+      attribution.clientKeyId || null,
+      attribution.jobId || null,
+      attribution.requestId || null,
+      attribution.idempotencyKey || null,
+      videoObject.key,
+      videoObject.size ?? null,
+      videoObject.etag || null,
+      request.metadata.title || null,
+      request.publishTime,
+      new Date(entry.startedAt).toISOString()
+    ).run();
+    return entry;
+  } catch (error) {
+    logger.error('写入上传历史失败', { error });
+    return null;
+  }
+}
+
+/**
+ * 记录一次上传的结果
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object|null} entry - recordUploadStart 的返回值，为 null 时不记录
+ * @param {Object} outcome - 成功时为 { summary } (summarizeUploadResult 的结果，包含 timings)，失败时为 { error, timings }
+ * @returns {Promise<void>}
+ */
+export async function recordUploadFinish(env, entry, { summary, error, timings }) {
+  if (!entry) {
+    return;
+  }
+
+  const finishedAt = Date.now();
+  try {
+    await env.UPLOAD_DB.prepare(`
+      UPDATE uploads SET status = ?, video_id = ?, privacy_status = ?, thumbnail_status = ?, error_code = ?, error_message = ?,
+        result = ?, finished_at = ?, duration_ms = ?, timings = ?
+      WHERE id = ?
+    `).bind(
+      error ? UPLOAD_STATUSES.FAILED : UPLOAD_STATUSES.SUCCEEDED,
+      summary?.videoId || null,
+      summary?.videoStatus?.privacyStatus || null,
+      summary?.thumbnailStatus || null,
+      error ? errorCodeOf(error) : null,
+      error ? error.message : null,
+      summary ? JSON.stringify(summary) : null,
+      new Date(finishedAt).toISOString(),
+      finishedAt - entry.startedAt,
+      JSON.stringify(summary?.timings || timings || null),
+      entry.id
+    ).run();
+  } catch (writeError) {
+    rootLogger.error('更新上传历史失败', { uploadId: entry.id, error: writeError });
+  }
+}
+
+/**
+ * 读取查询参数中的非负整数
+ * @param {string|null} value - 查询参数
+ * @param {string} field - 参数名
+ * @param {number} defaultValue - 默认值
+ * @returns {number}
+ */
+function parseCount(value, field, defaultValue) {
+  if (value === null || value === '') {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ApiError('validationFailed', `${field} 必须是非负整数`, {
+      details: [{ field, code: 'invalidType', message: `${field} 必须是非负整数` }]
+    });
+  }
+  return Number(value);
+}
+
+/**
+ * 读取查询参数中的时间，只有日期 (YYYY-MM-DD) 时按 UTC 当天开始处理
+ * @param {string|null} value - 查询参数
+ * @param {string} field - 参数名
+ * @returns {string|null} - ISO 8601 时间
+ */
+export function parseDateParam(value, field) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError('validationFailed', `${field} 需要 ISO 8601 日期或时间`, {
+      details: [{ field, code: 'invalidFormat', message: `${field} 需要 ISO 8601 日期或时间 (例如 2025-04-17 或 2025-04-17T12:00:00Z)` }]
+    });
+  }
+  return date.toISOString();
+}
+
+/**
+ * 按条件查询上传历史，按开始时间倒序分页
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {URLSearchParams} params - 查询参数 (from, to, platform, status, accountId, clientKeyId, requestId, q, limit, offset)
+ * @param {string[]|null} [allowedPlatforms] - 调用方可以查看的平台，null 表示不限制
+ * @returns {Promise<Object>} - { uploads, total, limit, offset, nextOffset }
+ */
+export async function listUploads(env, params, allowedPlatforms = null) {
+  if (!env.UPLOAD_DB) {
+    throw new ApiError('unsupportedOperation', '未绑定 UPLOAD_DB，上传历史不可用');
+  }
+
+  const status = params.get('status');
+  if (status && !Object.values(UPLOAD_STATUSES).includes(status)) {
+    throw new ApiError('validationFailed', `status 必须是 ${Object.values(UPLOAD_STATUSES).join(', ')} 之一`, {
+      details: [{ field: 'status', code: 'invalidValue', message: `status 必须是 ${Object.values(UPLOAD_STATUSES).join(', ')} 之一` }]
+    });
+  }
+  const limit = Math.min(Math.max(1, parseCount(params.get('limit'), 'limit', DEFAULT_PAGE_SIZE)), MAX_PAGE_SIZE);
+  const offset = parseCount(params.get('offset'), 'offset', 0);
+
+  const conditions = [];
+  const bindings = [];
+  const addCondition = (sql, ...values) => {
+    conditions.push(sql);
+    bindings.push(...values);
+  };
+
+  const from = parseDateParam(params.get('from'), 'from');
+  const to = parseDateParam(params.get('to'), 'to');
+  if (from) {
+    addCondition('started_at >= ?', from);
+  }
+  if (to) {
+    addCondition('started_at < ?', to);
+  }
+  if (params.get('platform')) {
+    addCondition('platform = ?', params.get('platform').toLowerCase());
+  }
+  if (allowedPlatforms) {
+    addCondition(`platform IN (${allowedPlatforms.map(() => '?').join(', ') || 'NULL'})`, ...allowedPlatforms);
+  }
+  if (status) {
+    addCondition('status = ?', status);
+  }
+  if (params.get('accountId')) {
+    addCondition('account_id = ?', params.get('accountId'));
+  }
+  if (params.get('clientKeyId')) {
+    addCondition('client_key_id = ?', params.get('clientKeyId'));
+  }
+  if (params.get('requestId')) {
+    addCondition('request_id = ?', params.get('requestId'));
+  }
+  // 搜索文本匹配 R2 路径、标题、视频 ID 和错误信息
+  const query = params.get('q');
+  if (query) {
+    const pattern = `%${query.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    addCondition("(video_path LIKE ? ESCAPE '\\' OR title LIKE ? ESCAPE '\\' OR video_id LIKE ? ESCAPE '\\' OR error_message LIKE ? ESCAPE '\\')",
+      pattern, pattern, pattern, pattern);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [countResult, rowsResult] = await env.UPLOAD_DB.batch([
+    env.UPLOAD_DB.prepare(`SELECT COUNT(*) AS total FROM uploads ${where}`).bind(...bindings),
+    env.UPLOAD_DB.prepare(`SELECT * FROM uploads ${where} ORDER BY started_at DESC, id LIMIT ? OFFSET ?`).bind(...bindings, limit, offset)
+  ]);
+
+  const total = countResult.results[0]?.total || 0;
+  return {
+    uploads: rowsResult.results.map(toUpload),
+    total: total,
+    limit: limit,
+    offset: offset,
+    nextOffset: offset + limit < total ? offset + limit : null
+  };
+}
+
+/**
+ * 查询单条上传历史
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} id - 上传历史 ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getUpload(env, id) {
+  if (!env.UPLOAD_DB) {
+    throw new ApiError('unsupportedOperation', '未绑定 UPLOAD_DB，上传历史不可用');
+  }
+  const row = await env.UPLOAD_DB.prepare('SELECT * FROM uploads WHERE id = ?').bind(id).first();
+  return row ? toUpload(row) : null;
+}
@@ -0,0 +1,293 @@
+/**
+ * 上传幂等性与发布记录
+ *
+ * 每个上传目标都有一个幂等键：请求头 Idempotency-Key (多平台请求为 <Idempotency-Key>:<目标 key>)，
+ * 未提供时为 videoPath + R2 对象 ETag + 平台 + accountId 的 SHA-256。
+ * 记录保存在 KV (UPLOAD_RECORDS) 中：
+ * - idem:<幂等键>        上传记录 { key, state: in_progress|done, platform, destination, videoPath, etag, jobId, result }
+ * - published:<路径哈希>:<目标 key>  该 R2 文件发布到一个目标的记录，记录同时保存在 KV metadata 中，
+ *                                     一次 list 即可读出文件的所有发布记录 (路径哈希为 videoPath 的 SHA-256，KV 键最长 512 字节)
+ *
+ * KV 不支持原子操作，完全并发的相同请求仍可能同时通过检查；幂等键主要用于避免超时重试产生重复视频。
+ */
+
+import { ApiError } from './errors.js';
+
+// 上传状态
+export const RECORD_STATES = {
+  IN_PROGRESS: 'in_progress',
+  DONE: 'done'
+};
+
+// 上传中的记录在 6 小时后过期，Worker 中途被终止时允许重新上传
+const IN_PROGRESS_TTL_SECONDS = 6 * 60 * 60;
+// 已完成的记录保留 30 天，期间相同的请求直接返回原结果
+const DONE_TTL_SECONDS = 30 * 24 * 60 * 60;
+// 客户端提供的幂等键最大长度 (KV 键最长 512 字节)
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+/**
+ * 计算字符串的 SHA-256 十六进制摘要
+ * @param {string} value - 输入字符串
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 读取并校验请求头中的 Idempotency-Key
+ * @param {Request} request - 请求对象
+ * @returns {string|null} - 幂等键，未提供时返回 null
+ */
+export function getIdempotencyHeader(request) {
+  const key = request.headers.get('Idempotency-Key');
+  if (key === null || key === '') {
+    return null;
+  }
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw new ApiError('validationFailed', `Idempotency-Key 必须为 1-${MAX_IDEMPOTENCY_KEY_LENGTH} 个可打印 ASCII 字符`, {
+      details: [{ field: 'Idempotency-Key', code: 'invalidFormat', message: 'Idempotency-Key 格式无效' }]
+    });
+  }
+  return key;
+}
+
+/**
+ * 为每个上传目标生成幂等键
+ * @param {string|null} headerKey - 请求头中的 Idempotency-Key
+ * @param {Object} videoObject - R2 中视频文件的元数据 (来自 VIDEO_BUCKET.head)
+ * @param {Object[]} destinations - resolveDestinations 返回的上传目标列表
+ * @param {boolean} isFanOut - 是否为多平台请求
+ * @returns {Promise<Object>} - 以目标 key 为键的幂等键映射
+ */
+export async function resolveIdempotencyKeys(headerKey, videoObject, destinations, isFanOut) {
+  const keys = {};
+  for (const destination of destinations) {
+    if (headerKey) {
+      keys[destination.key] = isFanOut ? `${headerKey}:${destination.key}` : headerKey;
+    } else {
+      // 文件内容变化后 ETag 不同，重新上传不会被视为重复请求
+      keys[destination.key] = await sha256Hex([videoObject.key, videoObject.etag, destination.platform, destination.accountId || ''].join('\n'));
+    }
+  }
+  return keys;
+}
+
+/**
+ * 读取幂等键对应的上传记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} key - 幂等键
+ * @returns {Promise<Object|null>}
+ */
+export async function getUploadRecord(env, key) {
+  return await env.UPLOAD_RECORDS.get(`idem:${key}`, 'json');
+}
+
+/**
+ * 按幂等键将上传目标分为需要上传的目标和已有记录的目标
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object[]} destinations - 上传目标列表
+ * @param {Object} keys - resolveIdempotencyKeys 返回的幂等键映射
+ * @returns {Promise<{pending: Object[], existing: Object}>} - existing 以目标 key 为键，值为已有的上传记录
+ */
+export async function partitionDestinations(env, destinations, keys) {
+  const pending = [];
+  const existing = {};
+  for (const destination of destinations) {
+    const record = await getUploadRecord(env, keys[destination.key]);
+    if (record) {
+      existing[destination.key] = record;
+    } else {
+      pending.push(destination);
+    }
+  }
+  return { pending, existing };
+}
+
+/**
+ * 在开始上传前写入 in_progress 记录，之后相同幂等键的请求会得到这条记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} key - 幂等键
+ * @param {Object} destination - 上传目标
+ * @param {Object} videoObject - R2 中视频文件的元数据
+ * @param {string|null} [jobId] - 异步任务 ID
+ * @returns {Promise<Object>} - 写入的记录
+ */
+export async function claimUploadRecord(env, key, destination, videoObject, jobId = null) {
+  const record = {
+    key,
+    state: RECORD_STATES.IN_PROGRESS,
+    platform: destination.platform,
+    destination: destination.key,
+    accountId: destination.accountId || null,
+    videoPath: videoObject.key,
+    etag: videoObject.etag,
+    jobId,
+    result: null,
+    createdAt: new Date().toISOString()
+  };
+  await env.UPLOAD_RECORDS.put(`idem:${key}`, JSON.stringify(record), { expirationTtl: IN_PROGRESS_TTL_SECONDS });
+  return record;
+}
+
+/**
+ * 为多个上传目标写入 in_progress 记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object[]} destinations - 需要上传的目标
+ * @param {Object} keys - 幂等键映射
+ * @param {Object} videoObject - R2 中视频文件的元数据
+ * @param {string|null} [jobId] - 异步任务 ID
+ * @returns {Promise<void>}
+ */
+export async function claimDestinations(env, destinations, keys, videoObject, jobId = null) {
+  for (const destination of destinations) {
+    await claimUploadRecord(env, keys[destination.key], destination, videoObject, jobId);
+  }
+}
+
+/**
+ * 上传成功后保存结果，并写入该 R2 文件的发布记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} key - 幂等键
+ * @param {Object} result - summarizeUploadResult 整理后的上传结果
+ * @returns {Promise<void>}
+ */
+export async function completeUploadRecord(env, key, result) {
+  const record = await getUploadRecord(env, key);
+  if (!record) {
+    return;
+  }
+  const now = new Date().toISOString();
+  await env.UPLOAD_RECORDS.put(`idem:${key}`, JSON.stringify({
+    ...record,
+    state: RECORD_STATES.DONE,
+    result,
+    completedAt: now
+  }), { expirationTtl: DONE_TTL_SECONDS });
+
+  // 每个目标一个键，多个目标同时完成时不会互相覆盖
+  const publication = {
+    platform: record.platform,
+    accountId: record.accountId,
+    videoId: result.videoId,
+    etag: record.etag,
+    idempotencyKey: key,
+    jobId: record.jobId,
+    publishedAt: now
+  };
+  await env.UPLOAD_RECORDS.put(`${await publishedPrefix(record.videoPath)}${record.destination}`, JSON.stringify(publication), {
+    metadata: publication
+  });
+}
+
+/**
+ * R2 文件发布记录的键前缀
+ * @param {string} videoPath - R2 中视频文件的路径
+ * @returns {Promise<string>}
+ */
+async function publishedPrefix(videoPath) {
+  return `published:${await sha256Hex(videoPath)}:`;
+}
+
+/**
+ * 上传失败后删除 in_progress 记录，允许使用相同的幂等键重试
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} key - 幂等键
+ * @returns {Promise<void>}
+ */
+export async function releaseUploadRecord(env, key) {
+  const record = await getUploadRecord(env, key);
+  // 已完成的记录不删除，避免重试时重复上传
+  if (record && record.state === RECORD_STATES.IN_PROGRESS) {
+    await env.UPLOAD_RECORDS.delete(`idem:${key}`);
+  }
+}
+
+/**
+ * 根据上传结果映射更新记录：成功的目标保存结果，失败的目标删除记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} keys - 幂等键映射
+ * @param {Object} results - 以目标 key 为键的结果映射 (见 uploadToPlatforms)
+ * @returns {Promise<void>}
+ */
+export async function settleUploadRecords(env, keys, results) {
+  for (const [destinationKey, { success, ...result }] of Object.entries(results)) {
+    if (!keys[destinationKey]) {
+      continue;
+    }
+    if (success) {
+      await completeUploadRecord(env, keys[destinationKey], result);
+    } else {
+      await releaseUploadRecord(env, keys[destinationKey]);
+    }
+  }
+}
+
+/**
+ * 将已有的上传记录转换为结果映射中的条目，已完成的返回原结果，上传中的返回 uploadInProgress
+ * @param {Object} existing - partitionDestinations 返回的已有记录
+ * @returns {Object} - 以目标 key 为键的结果映射
+ */
+export function replayedResults(existing) {
+  const results = {};
+  for (const [destinationKey, record] of Object.entries(existing)) {
+    results[destinationKey] = record.state === RECORD_STATES.DONE
+      ? { success: true, ...record.result, replayed: true, idempotencyKey: record.key }
+      : {
+          success: false,
+          platform: record.platform,
+          code: 'uploadInProgress',
+          error: `相同的上传正在进行中 (幂等键: ${record.key})`,
+          jobId: record.jobId,
+          idempotencyKey: record.key
+        };
+  }
+  return results;
+}
+
+/**
+ * 读取 R2 文件已发布到的目标
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} videoPath - R2 中视频文件的路径
+ * @returns {Promise<Object>} - 以目标 key 为键的发布记录 { platform, accountId, videoId, etag, idempotencyKey, jobId, publishedAt }
+ */
+export async function getPublishedDestinations(env, videoPath) {
+  const prefix = await publishedPrefix(videoPath);
+  const published = {};
+  let cursor;
+  do {
+    const page = await env.UPLOAD_RECORDS.list({ prefix, cursor });
+    for (const { name, metadata } of page.keys) {
+      published[name.slice(prefix.length)] = metadata;
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return published;
+}
+
+/**
+ * 查询 R2 文件的发布记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} videoPath - R2 中视频文件的路径
+ * @returns {Promise<Object>} - { published, publications }，每条发布记录带有 changedSinceUpload (文件在发布后是否被修改)
+ */
+export async function getPublications(env, videoPath) {
+  const published = await getPublishedDestinations(env, videoPath);
+  const videoObject = await env.VIDEO_BUCKET.head(videoPath);
+
+  const publications = Object.entries(published).map(([destination, publication]) => ({
+    destination,
+    ...publication,
+    changedSinceUpload: videoObject ? videoObject.etag !== publication.etag : null
+  }));
+
+  return {
+    videoPath,
+    exists: Boolean(videoObject),
+    etag: videoObject ? videoObject.etag : null,
+    published: publications.length > 0,
+    publications
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * R2 收件箱：新文件到达时自动创建上传任务
+ *
+ * 在 R2 存储桶上配置 object-create 事件通知，投递到队列 cfworker-upload-inbox：
+ *   wrangler r2 bucket notification create <bucket> --event-type object-create --queue cfworker-upload-inbox --prefix inbox/
+ * 并把环境变量 INBOX_PREFIX 设为相同的前缀。INBOX_PREFIX 下的视频和它的 sidecar JSON (见 bucket.js) 都到齐时，
+ * 按 sidecar 创建异步上传任务 (见 jobs.js)；两者到达顺序不限，后到的文件触发上传。
+ *
+ * 上传目标必须使用已注册账号 (accountId)。幂等键按 videoPath + ETag + 目标计算，重复的事件不会重复上传；
+ * sidecar 校验失败时只记录日志，修改 sidecar 后重新上传 JSON 文件即可再次触发。
+ * 视频和 sidecar 几乎同时到达时两个事件可能被并发处理：检查幂等记录和创建任务前先在 KV (UPLOAD_RECORDS) 中写入
+ * inbox-lock:<路径哈希> 标记 (60 秒后过期)，拿不到标记的事件延迟到标记过期后重新投递，届时幂等记录已经写入。
+ * KV 不保证原子性，标记只能大幅降低重复的概率，不能完全消除。
+ */
+
+import { resolveDestinations } from './platforms.js';
+import { createUploadJob } from './jobs.js';
+import { resolveIdempotencyKeys, partitionDestinations, sha256Hex } from './idempotency.js';
+import { validateUploadBody } from './validation.js';
+import { applyPresets } from './presets.js';
+import { ApiError, errorCodeOf } from './errors.js';
+import { applySidecar, isVideoObject, loadSidecar, sidecarBase } from './bucket.js';
+import { createLogger } from './logger.js';
+
+// R2 事件通知投递到的队列名称
+export const INBOX_QUEUE = 'cfworker-upload-inbox';
+// 收件箱创建的任务在任务记录和上传历史中的来源
+const INBOX_CLIENT_KEY_ID = 'r2-inbox';
+// 触发上传的事件类型 (object-create)
+const CREATE_ACTIONS = ['PutObject', 'CopyObject', 'CompleteMultipartUpload'];
+// 同一视频的处理标记的有效期 (KV 的最短过期时间)，拿不到标记的事件在过期后重新投递
+const INBOX_LOCK_TTL_SECONDS = 60;
+
+/**
+ * 为视频写入处理标记，同一视频同时只有一个事件检查幂等记录并创建任务
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} videoPath - 视频路径
+ * @param {string} owner - 当前事件的标识 (消息 ID)
+ * @returns {Promise<boolean>} - 是否拿到标记
+ */
+async function acquireInboxLock(env, videoPath, owner) {
+  const key = `inbox-lock:${await sha256Hex(videoPath)}`;
+  const holder = await env.UPLOAD_RECORDS.get(key);
+  if (holder && holder !== owner) {
+    return false;
+  }
+  await env.UPLOAD_RECORDS.put(key, owner, { expirationTtl: INBOX_LOCK_TTL_SECONDS });
+  // 两个事件同时写入时以最后写入的为准，再读一次确认
+  return await env.UPLOAD_RECORDS.get(key) === owner;
+}
+
+/**
+ * 找到事件中文件对应的视频：视频文件本身，或与 sidecar JSON 同名的视频
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} key - 事件中的对象 key
+ * @returns {Promise<Object|null>} - 视频的 R2 对象，文件不是视频或 sidecar、或视频尚未到达时返回 null
+ */
+async function findInboxVideo(env, key) {
+  if (key.endsWith('.json')) {
+    const base = sidecarBase(key);
+    const { objects } = await env.VIDEO_BUCKET.list({ prefix: `${base}.`, include: ['httpMetadata'] });
+    const video = objects.find(object => sidecarBase(object.key) === base && isVideoObject(object));
+    return video ? await env.VIDEO_BUCKET.head(video.key) : null;
+  }
+
+  const object = await env.VIDEO_BUCKET.head(key);
+  return object && isVideoObject(object) ? object : null;
+}
+
+/**
+ * 处理一个 R2 事件：视频和 sidecar 都到齐时创建上传任务
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文，未绑定 UPLOAD_QUEUE 时任务通过 waitUntil 执行
+ * @param {Object} event - R2 事件通知 { bucket, action, object: { key, size, eTag }, eventTime }
+ * @param {import('./logger.js').Logger} logger - 带请求 ID 的日志记录器，创建的上传任务沿用同一个请求 ID
+ * @returns {Promise<Object|null>} - 新建的任务记录，没有需要上传的目标时返回 null
+ */
+async function handleInboxEvent(env, ctx, event, logger) {
+  const key = event.object?.key;
+  if (!CREATE_ACTIONS.includes(event.action) || !key || !env.INBOX_PREFIX || !key.startsWith(env.INBOX_PREFIX)) {
+    return null;
+  }
+
+  const videoObject = await findInboxVideo(env, key);
+  if (!videoObject) {
+    return null;
+  }
+  const { fields } = await loadSidecar(env, videoObject.key);
+  if (!fields) {
+    logger.info('收件箱: sidecar JSON 尚未到达，等待后再上传', { videoPath: videoObject.key });
+    return null;
+  }
+
+  const body = await applyPresets(env, await applySidecar(env, { videoPath: videoObject.key }));
+  const errors = validateUploadBody(body);
+  const destinations = errors.length === 0 ? resolveDestinations(body) : [];
+  for (const destination of destinations.filter(destination => !destination.accountId)) {
+    errors.push({ field: 'accountId', code: 'required', message: `收件箱上传必须使用已注册账号，目标 ${destination.key} 缺少 accountId` });
+  }
+  if (errors.length > 0) {
+    logger.error('收件箱: sidecar 校验失败', { videoPath: videoObject.key, details: errors });
+    return null;
+  }
+
+  if (!await acquireInboxLock(env, videoObject.key, logger.requestId)) {
+    throw new ApiError('uploadInProgress', `收件箱: 另一个事件正在处理 ${videoObject.key}`);
+  }
+  const idempotencyKeys = await resolveIdempotencyKeys(null, videoObject, destinations, body.platforms !== undefined);
+  const { pending, existing } = await partitionDestinations(env, destinations, idempotencyKeys);
+  if (pending.length === 0) {
+    return null;
+  }
+
+  // 已有记录的目标 (重复的事件或已手动上传) 不再上传
+  const jobBody = pending.length < destinations.length
+    ? { ...body, platforms: body.platforms.filter((entry, index) => !existing[destinations[index].key]) }
+    : body;
+  const pendingKeys = Object.fromEntries(pending.map(destination => [destination.key, idempotencyKeys[destination.key]]));
+  const job = await createUploadJob(env, ctx, jobBody, null, videoObject, pendingKeys, INBOX_CLIENT_KEY_ID, logger.requestId);
+  logger.info('收件箱: 已创建上传任务', { videoPath: videoObject.key, jobId: job.id, destinations: pending.map(destination => destination.key) });
+  return job;
+}
+
+/**
+ * 收件箱队列消费者，处理 R2 事件通知。sidecar 或预设无效时只记录日志，同一视频的另一个事件正在处理时延迟重新投递，
+ * 其他错误 (例如 R2 / KV 暂时不可用) 时消息重新投递。
+ * @param {MessageBatch} batch - 队列消息批次
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文
+ * @returns {Promise<void>}
+ */
+export async function handleInboxQueue(batch, env, ctx) {
+  for (const message of batch.messages) {
+    const logger = createLogger({ requestId: `inbox:${message.id}` });
+    try {
+      await handleInboxEvent(env, ctx, message.body, logger);
+      message.ack();
+    } catch (error) {
+      // 同一视频的另一个事件正在处理，标记过期后重新检查 (那时任务已经创建，不会重复上传)
+      if (errorCodeOf(error) === 'uploadInProgress') {
+        logger.info('收件箱: 同一视频的另一个事件正在处理，稍后重试', { key: message.body?.object?.key });
+        message.retry({ delaySeconds: INBOX_LOCK_TTL_SECONDS });
+        continue;
+      }
+      logger.error('收件箱: 处理事件失败', { key: message.body?.object?.key, error });
+      // sidecar 或预设有误时重试也不会成功，等待重新上传 sidecar
+      if (errorCodeOf(error) === 'validationFailed') {
+        message.ack();
+      } else {
+        message.retry();
+      }
+    }
+  }
+}
@@ -0,0 +1,471 @@
+/**
+ * 直接上传到 R2 (ingest)
+ *
+ * 编辑和 n8n 不需要 R2 凭据，通过 Worker 把文件分块上传到 VIDEO_BUCKET (R2 multipart upload)：
+ * 1. POST /ingest 创建上传会话，声明文件大小、Content-Type、customMetadata 和可选的 SHA-256，
+ *    Worker 按 partSize 划分分块并返回每个分块的上传地址
+ * 2. 逐个 PUT 分块 (可以并行、可以重试)，除最后一块外每块大小必须等于 partSize
+ * 3. POST /ingest/:id/complete 合并分块，核对大小，声明了 SHA-256 时读取合并后的文件校验，不一致时删除文件。
+ *    SHA-256 校验在请求内完成，只支持不超过 1 GiB (MAX_VERIFY_BYTES) 的文件，更大的文件只核对大小
+ * 会话带有 publish (与 POST /jobs 相同的请求体，不含 videoPath) 时，合并完成后直接创建异步上传任务。
+ *
+ * 配置了 INGEST_URL_SECRET 时，分块地址带有签名 (expires + signature，24 小时内有效)，
+ * 不需要 API 密钥即可上传；否则分块请求需要 API 密钥 (X-API-Key-Id + X-API-Secret，不建议使用请求签名，签名需要读取整个分块)。
+ *
+ * 会话保存在 KV (UPLOAD_JOBS) 中：
+ * - ingest:<id>              会话记录
+ * - ingest:<id>:part:<序号>   已上传的分块，etag 和大小保存在 KV metadata 中，合并时列出
+ * - ingest-path:<路径哈希>    占用 videoPath 的会话 ID，同一路径同时只能有一个上传中的会话
+ * 合并后的文件的 customMetadata 带有 ingestId (会话 ID)。
+ * R2 会在 7 天后自动清理未完成的 multipart upload，会话记录保留同样的时间。
+ * 使用 API 密钥查询、上传分块、合并和取消时只能操作本密钥创建的会话，带有管理员密钥 (X-Admin-Secret) 时不限制。
+ */
+
+import { ApiError } from './errors.js';
+import { resolveDestinations } from './platforms.js';
+import { resolveIdempotencyKeys, sha256Hex } from './idempotency.js';
+import { createUploadJob, getJob } from './jobs.js';
+import { signRequest, timingSafeEqual } from './auth.js';
+
+// 会话状态
+export const INGEST_STATES = {
+  UPLOADING: 'uploading',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  FAILED: 'failed'
+};
+
+// R2 要求除最后一块外每块至少 5 MiB；Worker 的请求体上限为 100 MB，每块最大 64 MiB
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+export const MAX_PART_SIZE = 64 * 1024 * 1024;
+export const DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+// R2 multipart upload 最多 10000 个分块
+export const MAX_PARTS = 10000;
+// 合并时在请求内读取整个文件计算 SHA-256，受 Worker 的 CPU 时间限制，只校验不超过 1 GiB 的文件
+export const MAX_VERIFY_BYTES = 1024 * 1024 * 1024;
+// 未指定 videoPath 时的存放前缀
+const DEFAULT_PREFIX = 'ingest/';
+// 会话记录保留 7 天，与 R2 清理未完成上传的时间一致
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+// 签名分块地址的有效期
+const PART_URL_TTL_SECONDS = 24 * 60 * 60;
+// uploadId 已失效 (上次合并已经完成) 时 R2 返回的错误
+const NO_SUCH_UPLOAD_PATTERN = /multipart upload does not exist|NoSuchUpload|\(10024\)/i;
+
+/**
+ * 写入会话记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} session - 会话记录
+ * @returns {Promise<Object>} - 写入的会话记录
+ */
+async function saveSession(env, session) {
+  session.updatedAt = new Date().toISOString();
+  await env.UPLOAD_JOBS.put(`ingest:${session.id}`, JSON.stringify(session), { expirationTtl: SESSION_TTL_SECONDS });
+  return session;
+}
+
+/**
+ * 读取会话记录，不存在时抛出 notFound 错误；指定 owner 时只允许创建会话的密钥访问，否则抛出 forbidden 错误
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} ingestId - 会话 ID
+ * @param {string|null} [owner] - 调用方的密钥 ID，null 表示不检查 (管理员或带签名的分块地址)
+ * @returns {Promise<Object>}
+ */
+export async function getIngestSession(env, ingestId, owner = null) {
+  const session = ingestId ? await env.UPLOAD_JOBS.get(`ingest:${ingestId}`, 'json') : null;
+  if (!session) {
+    throw new ApiError('notFound', `上传会话不存在或已过期: ${ingestId}`);
+  }
+  if (owner !== null && session.clientKeyId !== owner) {
+    throw new ApiError('forbidden', `密钥 ${owner} 无权访问其他密钥创建的上传会话: ${ingestId}`);
+  }
+  return session;
+}
+
+/**
+ * 检查会话是否仍在上传中，否则抛出 validationFailed 错误
+ * @param {Object} session - 会话记录
+ * @param {string} operation - 操作描述，用于错误信息
+ */
+function assertUploading(session, operation) {
+  if (session.state !== INGEST_STATES.UPLOADING) {
+    throw new ApiError('validationFailed', `上传会话 ${session.id} 当前状态为 ${session.state}，不能${operation}`);
+  }
+}
+
+/**
+ * 第 partNumber 块的大小
+ * @param {Object} session - 会话记录
+ * @param {number} partNumber - 分块序号 (从 1 开始)
+ * @returns {number}
+ */
+function partSizeOf(session, partNumber) {
+  return partNumber < session.partCount ? session.partSize : session.size - (session.partCount - 1) * session.partSize;
+}
+
+/**
+ * 分块签名覆盖的路径
+ * @param {string} ingestId - 会话 ID
+ * @param {number} partNumber - 分块序号
+ * @returns {string}
+ */
+function partPath(ingestId, partNumber) {
+  return `/ingest/${ingestId}/parts/${partNumber}`;
+}
+
+/**
+ * 生成分块的上传地址，未配置 INGEST_URL_SECRET 时只返回路径 (需要 API 密钥)
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} session - 会话记录
+ * @param {number[]} partNumbers - 需要上传的分块
+ * @param {string} origin - Worker 的地址 (例如 https://upload.example.com)
+ * @returns {Promise<Object[]>} - [{ partNumber, size, url, signed }]
+ */
+async function describeParts(env, session, partNumbers, origin) {
+  const expires = Math.floor(Date.now() / 1000) + PART_URL_TTL_SECONDS;
+  return await Promise.all(partNumbers.map(async partNumber => {
+    const path = partPath(session.id, partNumber);
+    const url = new URL(path, origin);
+    if (env.INGEST_URL_SECRET) {
+      url.searchParams.set('expires', String(expires));
+      url.searchParams.set('signature', await signRequest(env.INGEST_URL_SECRET, expires, 'PUT', path, ''));
+    }
+    return { partNumber, size: partSizeOf(session, partNumber), url: url.toString(), signed: Boolean(env.INGEST_URL_SECRET) };
+  }));
+}
+
+/**
+ * 判断分块请求是否带有签名 (地址由 POST /ingest 或 GET /ingest/:id 生成)
+ * @param {URL} url - 请求地址
+ * @returns {boolean}
+ */
+export function hasPartSignature(url) {
+  return url.searchParams.has('signature');
+}
+
+/**
+ * 校验分块地址的签名，无效或过期时抛出 unauthorized 错误
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {URL} url - 请求地址
+ * @returns {Promise<void>}
+ */
+export async function verifyPartSignature(env, url) {
+  const expires = url.searchParams.get('expires');
+  if (!env.INGEST_URL_SECRET || !/^\d+$/.test(expires || '')) {
+    throw new ApiError('unauthorized', '分块地址的签名无效');
+  }
+  if (Number(expires) < Math.floor(Date.now() / 1000)) {
+    throw new ApiError('unauthorized', '分块地址已过期，请通过 GET /ingest/:id 获取新的地址');
+  }
+  const expected = await signRequest(env.INGEST_URL_SECRET, expires, 'PUT', url.pathname, '');
+  if (!timingSafeEqual(url.searchParams.get('signature'), expected)) {
+    throw new ApiError('unauthorized', '分块地址的签名无效');
+  }
+}
+
+/**
+ * 列出已上传的分块
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} ingestId - 会话 ID
+ * @returns {Promise<Map<number, Object>>} - 分块序号 -> { etag, size, uploadedAt }
+ */
+async function listUploadedParts(env, ingestId) {
+  const parts = new Map();
+  let cursor;
+  do {
+    const page = await env.UPLOAD_JOBS.list({ prefix: `ingest:${ingestId}:part:`, cursor });
+    for (const { name, metadata } of page.keys) {
+      parts.set(Number(name.slice(name.lastIndexOf(':') + 1)), metadata);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return parts;
+}
+
+/**
+ * 返回会话的公开字段 (不含 R2 的 uploadId)
+ * @param {Object} session - 会话记录
+ * @returns {Object}
+ */
+function describeSession(session) {
+  const { uploadId, ...publicFields } = session;
+  return publicFields;
+}
+
+/**
+ * 由文件名生成存放路径：ingest/<日期>/<会话 ID>/<文件名>
+ * @param {string} ingestId - 会话 ID
+ * @param {string} fileName - 原始文件名
+ * @returns {string}
+ */
+function defaultVideoPath(ingestId, fileName) {
+  const safeName = fileName.split(/[\\/]/).pop().replace(/[^\w.-]+/g, '_');
+  return `${DEFAULT_PREFIX}${new Date().toISOString().slice(0, 10)}/${ingestId}/${safeName}`;
+}
+
+/**
+ * 创建上传会话 (POST /ingest)，请求体需先通过 assertValidIngestBody 校验
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} body - { videoPath? | fileName, size, contentType?, partSize?, sha256?, customMetadata?, publish? }，
+ *   publish 已合并预设并渲染模板
+ * @param {Object} attribution - { clientKeyId, requestId }
+ * @param {string} origin - Worker 的地址，用于生成分块地址
+ * @returns {Promise<Object>} - { ingest: 会话, parts: [{ partNumber, size, url, signed }] }
+ */
+export async function createIngestSession(env, body, attribution, origin) {
+  const id = crypto.randomUUID();
+  const videoPath = body.videoPath || defaultVideoPath(id, body.fileName);
+  if (await env.VIDEO_BUCKET.head(videoPath)) {
+    throw new ApiError('validationFailed', `R2 中已存在文件: ${videoPath}`, {
+      details: [{ field: 'videoPath', code: 'duplicate', message: `R2 中已存在文件: ${videoPath}` }]
+    });
+  }
+  // 占用 videoPath，避免两个会话合并到同一个文件
+  const reservationKey = `ingest-path:${await sha256Hex(videoPath)}`;
+  const reservedBy = await env.UPLOAD_JOBS.get(reservationKey);
+  const reservation = reservedBy ? await env.UPLOAD_JOBS.get(`ingest:${reservedBy}`, 'json') : null;
+  if (reservation?.state === INGEST_STATES.UPLOADING) {
+    throw new ApiError('validationFailed', `已有上传中的会话使用该路径: ${videoPath}`, {
+      details: [{ field: 'videoPath', code: 'duplicate', message: `已有上传中的会话 ${reservation.id} 使用该路径: ${videoPath}` }]
+    });
+  }
+  await env.UPLOAD_JOBS.put(reservationKey, id, { expirationTtl: SESSION_TTL_SECONDS });
+
+  const size = Number(body.size);
+  const partSize = Number(body.partSize || DEFAULT_PART_SIZE);
+  const customMetadata = { ...body.customMetadata, ...(body.sha256 ? { sha256: body.sha256.toLowerCase() } : {}) };
+  const multipart = await env.VIDEO_BUCKET.createMultipartUpload(videoPath, {
+    httpMetadata: { contentType: body.contentType || 'application/octet-stream' },
+    customMetadata: { ...customMetadata, ingestId: id }
+  });
+
+  const now = Date.now();
+  const session = await saveSession(env, {
+    id,
+    state: INGEST_STATES.UPLOADING,
+    videoPath,
+    uploadId: multipart.uploadId,
+    size,
+    partSize,
+    partCount: Math.max(1, Math.ceil(size / partSize)),
+    contentType: body.contentType || 'application/octet-stream',
+    customMetadata,
+    sha256: body.sha256?.toLowerCase() || null,
+    publish: body.publish ? { ...body.publish, videoPath } : null,
+    clientKeyId: attribution.clientKeyId || null,
+    requestId: attribution.requestId || null,
+    etag: null,
+    jobId: null,
+    error: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_SECONDS * 1000).toISOString()
+  });
+
+  const partNumbers = Array.from({ length: session.partCount }, (_, index) => index + 1);
+  return { ingest: describeSession(session), parts: await describeParts(env, session, partNumbers, origin) };
+}
+
+/**
+ * 查询上传会话 (GET /ingest/:id)，上传中时返回尚未上传的分块及新的上传地址，用于中断后续传
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} ingestId - 会话 ID
+ * @param {string} origin - Worker 的地址
+ * @param {string|null} [owner] - 调用方的密钥 ID (见 getIngestSession)
+ * @returns {Promise<Object>} - { ingest, uploadedParts: [{ partNumber, etag, size }], missingParts }
+ */
+export async function describeIngestSession(env, ingestId, origin, owner = null) {
+  const session = await getIngestSession(env, ingestId, owner);
+  if (session.state !== INGEST_STATES.UPLOADING) {
+    return { ingest: describeSession(session), uploadedParts: [], missingParts: [] };
+  }
+  const uploaded = await listUploadedParts(env, session.id);
+  const missing = Array.from({ length: session.partCount }, (_, index) => index + 1).filter(partNumber => !uploaded.has(partNumber));
+  return {
+    ingest: describeSession(session),
+    uploadedParts: [...uploaded].sort(([a], [b]) => a - b).map(([partNumber, part]) => ({ partNumber, etag: part.etag, size: part.size })),
+    missingParts: await describeParts(env, session, missing, origin)
+  };
+}
+
+/**
+ * 上传一个分块 (PUT /ingest/:id/parts/:n)，同一分块可以重复上传，以最后一次为准
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} ingestId - 会话 ID
+ * @param {string} partParam - 路径中的分块序号
+ * @param {Request} request - 请求体为分块内容，需要 Content-Length
+ * @param {string|null} [owner] - 调用方的密钥 ID (见 getIngestSession)
+ * @returns {Promise<Object>} - { partNumber, etag, size }
+ */
+export async function uploadIngestPart(env, ingestId, partParam, request, owner = null) {
+  const session = await getIngestSession(env, ingestId, owner);
+  assertUploading(session, '上传分块');
+
+  const partNumber = Number(partParam);
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.partCount) {
+    throw new ApiError('validationFailed', `分块序号必须在 1 到 ${session.partCount} 之间`, {
+      details: [{ field: 'partNumber', code: 'outOfRange', message: `分块序号必须在 1 到 ${session.partCount} 之间` }]
+    });
+  }
+  // R2 要求除最后一块外大小一致，在写入前检查，避免合并时才失败
+  const expectedSize = partSizeOf(session, partNumber);
+  const contentLength = request.headers.get('Content-Length');
+  if (contentLength === null || !request.body) {
+    throw new ApiError('validationFailed', '分块请求需要 Content-Length 和请求体', {
+      details: [{ field: 'Content-Length', code: 'required', message: '分块请求需要 Content-Length 和请求体' }]
+    });
+  }
+  if (Number(contentLength) !== expectedSize) {
+    throw new ApiError('validationFailed', `第 ${partNumber} 块应为 ${expectedSize} 字节，实际为 ${contentLength} 字节`, {
+      details: [{ field: 'Content-Length', code: 'invalidValue', message: `第 ${partNumber} 块应为 ${expectedSize} 字节` }]
+    });
+  }
+
+  const multipart = env.VIDEO_BUCKET.resumeMultipartUpload(session.videoPath, session.uploadId);
+  const part = await multipart.uploadPart(partNumber, request.body);
+  const record = { etag: part.etag, size: expectedSize, uploadedAt: new Date().toISOString() };
+  await env.UPLOAD_JOBS.put(`ingest:${session.id}:part:${String(partNumber).padStart(5, '0')}`, '', {
+    metadata: record,
+    expirationTtl: SESSION_TTL_SECONDS
+  });
+  return { partNumber, etag: part.etag, size: expectedSize };
+}
+
+/**
+ * 计算流的 SHA-256 (十六进制)
+ * @param {ReadableStream} stream
+ * @returns {Promise<string>}
+ */
+async function sha256OfStream(stream) {
+  const digestStream = new crypto.DigestStream('SHA-256');
+  await stream.pipeTo(digestStream);
+  return [...new Uint8Array(await digestStream.digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 为已合并的会话创建上传任务 (会话带有 publish 且尚未创建任务时)，并把任务 ID 写回会话
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文
+ * @param {Object} session - 已合并的会话
+ * @param {string|null} requestId - 请求 ID，创建的上传任务沿用该 ID
+ * @returns {Promise<{session: Object, job: Object}>}
+ */
+async function createPublishJob(env, ctx, session, requestId) {
+  const videoObject = await env.VIDEO_BUCKET.head(session.videoPath);
+  if (!videoObject) {
+    throw new ApiError('notFound', `在 R2 中未找到已合并的文件: ${session.videoPath}`);
+  }
+  const destinations = resolveDestinations(session.publish);
+  // 以会话 ID 作为幂等键，重复合并不会重复发布
+  const idempotencyKeys = await resolveIdempotencyKeys(`ingest:${session.id}`, videoObject, destinations, session.publish.platforms !== undefined);
+  const job = await createUploadJob(env, ctx, session.publish, null, videoObject, idempotencyKeys, session.clientKeyId, requestId);
+  return { session: await saveSession(env, { ...session, jobId: job.id }), job };
+}
+
+/**
+ * 合并分块 (POST /ingest/:id/complete)。所有分块都上传后才能合并；声明了 SHA-256 时读取合并后的文件校验
+ * (文件不超过 MAX_VERIFY_BYTES)，不一致时删除文件并把会话标记为 failed。
+ * 合并和校验完成后先把会话标记为 completed，再按 publish 创建异步上传任务。客户端可以重试：
+ * 已合并的会话不会重复合并，只在尚未创建任务时补建任务；上次合并后中断 (例如校验时超时) 的会话按 R2 中已合并的文件继续校验。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文，任务可能通过 waitUntil 执行
+ * @param {string} ingestId - 会话 ID
+ * @param {Object} body - { sha256? }，创建会话时未声明 SHA-256 时可以在这里提供
+ * @param {string|null} requestId - 请求 ID，创建的上传任务沿用该 ID
+ * @param {string|null} [owner] - 调用方的密钥 ID (见 getIngestSession)
+ * @returns {Promise<{ingest: Object, videoObject: Object, job: Object|null, replayed: boolean}>} - replayed 表示此前已经合并并创建了任务，
+ *   本次没有做任何改动
+ */
+export async function completeIngestSession(env, ctx, ingestId, body, requestId, owner = null) {
+  let session = await getIngestSession(env, ingestId, owner);
+  if (session.state === INGEST_STATES.COMPLETED) {
+    if (session.publish && !session.jobId) {
+      const created = await createPublishJob(env, ctx, session, requestId);
+      return { ingest: describeSession(created.session), videoObject: await env.VIDEO_BUCKET.head(session.videoPath), job: created.job, replayed: false };
+    }
+    return {
+      ingest: describeSession(session),
+      videoObject: await env.VIDEO_BUCKET.head(session.videoPath),
+      job: session.jobId ? await getJob(env, session.jobId) : null,
+      replayed: true
+    };
+  }
+  assertUploading(session, '合并');
+
+  const sha256 = typeof body?.sha256 === 'string' ? body.sha256.toLowerCase() : null;
+  if (body?.sha256 !== undefined && !/^[0-9a-f]{64}$/.test(sha256 || '')) {
+    throw new ApiError('validationFailed', 'sha256 必须是 64 位十六进制字符串', {
+      details: [{ field: 'sha256', code: 'invalidFormat', message: 'sha256 必须是 64 位十六进制字符串' }]
+    });
+  }
+  if (sha256 && session.sha256 && sha256 !== session.sha256) {
+    throw new ApiError('validationFailed', 'sha256 与创建会话时声明的不一致', {
+      details: [{ field: 'sha256', code: 'invalidValue', message: 'sha256 与创建会话时声明的不一致' }]
+    });
+  }
+  if (sha256 && session.size > MAX_VERIFY_BYTES) {
+    throw new ApiError('validationFailed', `超过 ${MAX_VERIFY_BYTES} 字节的文件不支持 SHA-256 校验`, {
+      details: [{ field: 'sha256', code: 'outOfRange', message: `超过 ${MAX_VERIFY_BYTES} 字节的文件不支持 SHA-256 校验` }]
+    });
+  }
+
+  const uploaded = await listUploadedParts(env, session.id);
+  const missing = Array.from({ length: session.partCount }, (_, index) => index + 1).filter(partNumber => !uploaded.has(partNumber));
+  if (missing.length > 0) {
+    throw new ApiError('validationFailed', `还有 ${missing.length} 个分块未上传: ${missing.slice(0, 20).join(', ')}`, {
+      details: [{ field: 'parts', code: 'required', message: `还有 ${missing.length} 个分块未上传: ${missing.slice(0, 20).join(', ')}` }]
+    });
+  }
+
+  const multipart = env.VIDEO_BUCKET.resumeMultipartUpload(session.videoPath, session.uploadId);
+  const parts = [...uploaded].sort(([a], [b]) => a - b).map(([partNumber, part]) => ({ partNumber, etag: part.etag }));
+  let object;
+  try {
+    object = await multipart.complete(parts);
+  } catch (error) {
+    // 上次合并成功后请求被中断时 uploadId 已失效；只接受本会话合并出的文件 (customMetadata.ingestId 和大小一致)
+    object = NO_SUCH_UPLOAD_PATTERN.test(error?.message) ? await env.VIDEO_BUCKET.head(session.videoPath) : null;
+    if (!object || object.customMetadata?.ingestId !== session.id || object.size !== session.size) {
+      throw error;
+    }
+  }
+
+  const expectedSha256 = sha256 || session.sha256;
+  const failure = object.size !== session.size
+    ? `合并后的文件为 ${object.size} 字节，声明的大小为 ${session.size} 字节`
+    : expectedSha256 && await sha256OfStream((await env.VIDEO_BUCKET.get(session.videoPath)).body) !== expectedSha256
+      ? '合并后的文件 SHA-256 与声明的不一致'
+      : null;
+  if (failure) {
+    await env.VIDEO_BUCKET.delete(session.videoPath);
+    await saveSession(env, { ...session, state: INGEST_STATES.FAILED, error: failure });
+    throw new ApiError('checksumMismatch', `${failure}，文件已删除，请重新上传`);
+  }
+
+  // 先记录合并结果，创建任务失败时重试只需要补建任务
+  session = await saveSession(env, {
+    ...session,
+    state: INGEST_STATES.COMPLETED,
+    sha256: expectedSha256 || null,
+    etag: object.etag,
+    completedAt: new Date().toISOString()
+  });
+  let job = null;
+  if (session.publish) {
+    ({ session, job } = await createPublishJob(env, ctx, session, requestId));
+  }
+  return { ingest: describeSession(session), videoObject: object, job, replayed: false };
+}
+
+/**
+ * 放弃上传 (DELETE /ingest/:id)，R2 删除已上传的分块
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} ingestId - 会话 ID
+ * @param {string|null} [owner] - 调用方的密钥 ID (见 getIngestSession)
+ * @returns {Promise<Object>} - 更新后的会话
+ */
+export async function abortIngestSession(env, ingestId, owner = null) {
+  const session = await getIngestSession(env, ingestId, owner);
+  assertUploading(session, '取消');
+  await env.VIDEO_BUCKET.resumeMultipartUpload(session.videoPath, session.uploadId).abort();
+  return describeSession(await saveSession(env, { ...session, state: INGEST_STATES.ABORTED }));
+}
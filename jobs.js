@@ -0,0 +1,281 @@
+/**
+ * 异步上传任务模块
+ *
+ * 任务记录保存在 KV (UPLOAD_JOBS) 中，上传在后台执行：
+ * - 绑定了 Queue (UPLOAD_QUEUE) 时，任务通过队列投递给 queue 消费者执行
+ * - 未绑定 Queue 时，退回到 ctx.waitUntil 在当前请求结束后继续执行
+ * 任务记录保存创建任务的请求 ID，后台上传的日志和上传历史使用同一个请求 ID。
+ * 队列消息可能被重新投递 (例如消费者中途崩溃)：已结束的任务不再执行，幂等记录已经是 done 的目标直接使用原结果，不会重复上传。
+ */
+
+import {
+  uploadToPlatform, uploadToPlatforms, createUploadRequest, resolveDestinations, summarizeUploadResult, recordUploadFailure
+} from './platforms.js';
+import { resolveTokenProvider } from './tokens.js';
+import { ApiError, errorCodeOf } from './errors.js';
+import {
+  RECORD_STATES, claimDestinations, settleUploadRecords, releaseUploadRecord, getUploadRecord, replayedResults
+} from './idempotency.js';
+import { watchUpload, watchUploads } from './processing.js';
+import { createLogger } from './logger.js';
+
+// 任务状态
+export const JOB_STATES = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// 任务记录在 KV 中保留 7 天
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+// 多平台任务的进度写入间隔，避免超过 KV 对同一个键的写入频率限制
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+/**
+ * 写入任务记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} job - 任务记录
+ * @returns {Promise<Object>} - 写入的任务记录
+ */
+async function saveJob(env, job) {
+  job.updatedAt = new Date().toISOString();
+  await env.UPLOAD_JOBS.put(`job:${job.id}`, JSON.stringify(job), { expirationTtl: JOB_TTL_SECONDS });
+  return job;
+}
+
+/**
+ * 读取任务记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} jobId - 任务 ID
+ * @returns {Promise<Object|null>} - 任务记录，不存在时返回 null
+ */
+export async function getJob(env, jobId) {
+  return await env.UPLOAD_JOBS.get(`job:${jobId}`, 'json');
+}
+
+/**
+ * 更新任务记录中的部分字段
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} jobId - 任务 ID
+ * @param {Object} changes - 需要更新的字段
+ * @returns {Promise<Object>} - 更新后的任务记录
+ */
+async function updateJob(env, jobId, changes) {
+  const job = await getJob(env, jobId);
+  if (!job) {
+    throw new Error(`上传任务不存在: ${jobId}`);
+  }
+  return await saveJob(env, { ...job, ...changes });
+}
+
+/**
+ * 创建上传任务并交给后台执行
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文，用于 waitUntil
+ * @param {Object} body - 与 POST / 相同的上传请求体
+ * @param {string|null} accessToken - 平台访问令牌；所有上传目标都包含 accountId 时为 null
+ * @param {Object} videoObject - R2 中视频文件的元数据 (来自 VIDEO_BUCKET.head)
+ * @param {Object} idempotencyKeys - 以目标 key 为键的幂等键映射 (见 idempotency.js)
+ * @param {string|null} [clientKeyId] - 创建任务的 API 密钥 ID，记录在任务和上传历史中
+ * @param {string|null} [requestId] - 创建任务的请求 ID (见 logger.js)
+ * @returns {Promise<Object>} - 新建的任务记录
+ */
+export async function createUploadJob(env, ctx, body, accessToken, videoObject, idempotencyKeys, clientKeyId = null, requestId = null) {
+  const now = new Date().toISOString();
+  const job = await saveJob(env, {
+    id: crypto.randomUUID(),
+    state: JOB_STATES.QUEUED,
+    platform: body.platforms ? resolveDestinations(body).map(destination => destination.key) : body.platform,
+    videoPath: body.videoPath,
+    accountId: body.accountId || null,
+    progress: { bytesUploaded: 0, totalBytes: null, percent: 0 },
+    result: null,
+    error: null,
+    errorCode: null,
+    idempotencyKeys: idempotencyKeys,
+    clientKeyId: clientKeyId,
+    requestId: requestId,
+    createdAt: now
+  });
+
+  // 在投递任务前写入幂等记录，重复的请求会得到这个任务
+  await claimDestinations(env, resolveDestinations(body), idempotencyKeys, videoObject, job.id);
+
+  // 访问令牌只随队列消息传递，不写入任务记录
+  if (env.UPLOAD_QUEUE) {
+    await env.UPLOAD_QUEUE.send({ jobId: job.id, body, accessToken });
+  } else {
+    ctx.waitUntil(runUploadJob(env, job.id, body, accessToken));
+  }
+
+  return job;
+}
+
+/**
+ * 读取已经上传完成 (幂等记录为 done) 的目标，任务重新执行时跳过这些目标
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object[]} destinations - 任务的上传目标
+ * @param {Object} idempotencyKeys - 幂等键映射
+ * @returns {Promise<Object>} - 以目标 key 为键的已完成记录
+ */
+async function settledDestinations(env, destinations, idempotencyKeys) {
+  const settled = {};
+  for (const destination of destinations) {
+    const record = idempotencyKeys[destination.key] ? await getUploadRecord(env, idempotencyKeys[destination.key]) : null;
+    if (record?.state === RECORD_STATES.DONE) {
+      settled[destination.key] = record;
+    }
+  }
+  return settled;
+}
+
+/**
+ * 执行上传任务，并把状态、进度和结果写回任务记录。
+ * 上传失败时任务被标记为 failed，不会抛出异常 (写入失败状态也失败时只记录日志)。
+ * 已结束 (done / failed) 的任务不再执行；幂等记录已经是 done 的目标不重新上传，结果取自幂等记录。
+ * 多平台任务的 result 为按目标区分的结果映射，只要有一个目标成功任务即为 done。
+ * 成功的目标保存幂等记录，失败的目标释放幂等记录以便重试。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} jobId - 任务 ID
+ * @param {Object} body - 上传请求体
+ * @param {string|null} accessToken - 平台访问令牌；所有上传目标都包含 accountId 时为 null
+ * @returns {Promise<void>}
+ */
+export async function runUploadJob(env, jobId, body, accessToken) {
+  const { platform, videoPath } = body;
+  let idempotencyKeys = {};
+  let logger = createLogger({ jobId });
+
+  try {
+    const job = await getJob(env, jobId);
+    idempotencyKeys = job?.idempotencyKeys || {};
+    const requestId = job?.requestId || null;
+    logger = createLogger({ requestId, jobId });
+    if (job?.state === JOB_STATES.DONE || job?.state === JOB_STATES.FAILED) {
+      logger.warn('任务已经结束，忽略重复投递的消息', { state: job.state });
+      return;
+    }
+    const attribution = { clientKeyId: job?.clientKeyId || null, jobId, idempotencyKeys, requestId };
+    // 重新投递的任务只上传尚未完成的目标
+    const destinations = resolveDestinations(body);
+    const settled = await settledDestinations(env, destinations, idempotencyKeys);
+    const pending = destinations.filter(destination => !settled[destination.key]);
+    const videoObject = await env.VIDEO_BUCKET.head(videoPath);
+    if (!videoObject) {
+      const error = new ApiError('notFound', `在 R2 中未找到视频文件: ${videoPath}`);
+      await Promise.all(pending.map(destination => recordUploadFailure(destination, null, env, attribution, error, logger)));
+      throw error;
+    }
+
+    await updateJob(env, jobId, {
+      state: JOB_STATES.UPLOADING,
+      progress: { bytesUploaded: 0, totalBytes: videoObject.size, percent: 0 }
+    });
+
+    // 进度写入只是尽力而为：按间隔节流，避免超过 KV 对同一个键的写入频率限制；写入失败只记录日志，不中断上传
+    let lastWrite = 0;
+    let lastState = JOB_STATES.UPLOADING;
+    const saveProgress = async (state, progress) => {
+      if (state === lastState && Date.now() - lastWrite < PROGRESS_WRITE_INTERVAL_MS) {
+        return;
+      }
+      lastWrite = Date.now();
+      lastState = state;
+      try {
+        await updateJob(env, jobId, { state, progress });
+      } catch (error) {
+        logger.warn('写入任务进度失败', { error });
+      }
+    };
+
+    const onProgress = async ({ phase, bytesUploaded, totalBytes }) => {
+      await saveProgress(phase === 'processing' ? JOB_STATES.PROCESSING : JOB_STATES.UPLOADING, {
+        bytesUploaded, totalBytes, percent: Math.floor(bytesUploaded / totalBytes * 100)
+      });
+    };
+
+    if (body.platforms) {
+      // 多平台并行上传时按目标汇总进度，总体进度取各目标的平均值
+      const destinationProgress = {};
+      const onDestinationProgress = async ({ key, phase, bytesUploaded, totalBytes }) => {
+        destinationProgress[key] = { phase, percent: Math.floor(bytesUploaded / totalBytes * 100) };
+        const states = Object.values(destinationProgress);
+        const percent = Math.floor(states.reduce((sum, state) => sum + state.percent, 0) / destinations.length);
+        await saveProgress(
+          states.length === destinations.length && states.every(state => state.phase === 'processing') ? JOB_STATES.PROCESSING : JOB_STATES.UPLOADING,
+          { bytesUploaded: Math.floor(videoObject.size * percent / 100), totalBytes: videoObject.size, percent, destinations: destinationProgress }
+        );
+      };
+
+      for (const destination of destinations.filter(destination => settled[destination.key])) {
+        destinationProgress[destination.key] = { phase: 'processing', percent: 100 };
+      }
+      const uploaded = pending.length > 0
+        ? await uploadToPlatforms(pending, videoObject, accessToken, env, onDestinationProgress, attribution)
+        : {};
+      await settleUploadRecords(env, idempotencyKeys, uploaded);
+      await watchUploads(env, pending, videoObject, uploaded, logger);
+      const results = { ...replayedResults(settled), ...uploaded };
+      const failedPlatforms = Object.keys(results).filter(key => !results[key].success);
+      await updateJob(env, jobId, {
+        state: failedPlatforms.length < destinations.length ? JOB_STATES.DONE : JOB_STATES.FAILED,
+        result: { results, failedPlatforms },
+        error: failedPlatforms.length ? `${failedPlatforms.length}/${destinations.length} 个目标上传失败: ${failedPlatforms.join(', ')}` : null,
+        errorCode: failedPlatforms.length === destinations.length ? 'upstreamError' : null
+      });
+      return;
+    }
+
+    const [destination] = destinations;
+    if (settled[destination.key]) {
+      await updateJob(env, jobId, { state: JOB_STATES.DONE, result: replayedResults(settled)[destination.key] });
+      return;
+    }
+
+    // 长时间上传中令牌过期时，账号令牌可以自动刷新
+    const tokenProvider = resolveTokenProvider(env, body.accountId, accessToken, logger, platform);
+    if (!tokenProvider) {
+      const error = new ApiError('unauthorized', '缺少 accountId 或访问令牌');
+      await recordUploadFailure(destination, videoObject, env, attribution, error, logger);
+      throw error;
+    }
+    const result = await uploadToPlatform(createUploadRequest(body, videoObject, tokenProvider, env, onProgress, attribution));
+    const summary = summarizeUploadResult(platform, result);
+    await settleUploadRecords(env, idempotencyKeys, { [destination.key]: { success: true, ...summary } });
+    summary.callbackStatus = await watchUpload(env, destination, videoObject, summary, logger);
+
+    await updateJob(env, jobId, {
+      state: JOB_STATES.DONE,
+      result: summary
+    });
+  } catch (error) {
+    logger.error('上传任务失败', { code: errorCodeOf(error), error });
+    try {
+      // 释放未完成的幂等记录，允许重试
+      for (const key of Object.values(idempotencyKeys)) {
+        await releaseUploadRecord(env, key);
+      }
+      await updateJob(env, jobId, { state: JOB_STATES.FAILED, error: error.message, errorCode: errorCodeOf(error) });
+    } catch (updateError) {
+      // 队列消息仍然需要确认，否则整批消息会被重新投递
+      logger.error('写入任务失败状态失败', { error: updateError });
+    }
+  }
+}
+
+/**
+ * Queue 消费者：逐条执行队列中的上传任务。
+ * 失败的任务已记录在任务状态中，消息直接确认，避免重复上传。
+ * @param {Object} batch - Queue 消息批次
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<void>}
+ */
+export async function handleJobQueue(batch, env) {
+  for (const message of batch.messages) {
+    const { jobId, body, accessToken } = message.body;
+    await runUploadJob(env, jobId, body, accessToken);
+    message.ack();
+  }
+}
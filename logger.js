@@ -0,0 +1,133 @@
+/**
+ * 结构化日志和请求追踪
+ *
+ * 每条日志输出为一行 JSON：{ time, level, msg, requestId, ...字段 }，Workers Logs 会自动解析 JSON 字段，
+ * 可以按 requestId 找到同一个请求 (或它创建的异步任务) 的全部日志。
+ * 请求 ID 取自请求头 X-Request-Id (不合法时重新生成)，并在响应的 X-Request-Id 头中返回。
+ *
+ * 日志中的令牌、密钥和 Cookie 一律替换为 [REDACTED]：按字段名 (accessToken、refreshToken、Authorization、cookie 等)
+ * 整体替换，字符串中的 Bearer 令牌、Google 访问令牌 (ya29.)、URL 中的 token / upload_id / signature 参数和 Bilibili Cookie 值也会被替换。
+ */
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+const REDACTED = '[REDACTED]';
+// 客户端传入的请求 ID 只接受这些字符，避免日志注入
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// 值需要整体隐藏的字段名
+const SECRET_KEY_PATTERN = /token|secret|authorization|cookie|password|signature|sessdata|bili_jct/i;
+// 字符串中可能出现的凭据
+const SECRET_VALUE_PATTERNS = [
+  [/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+  [/\bya29\.[\w.-]+/g, REDACTED],
+  [/\b((?:access_|refresh_|id_)?token|client_secret|code|upload_id|signature)=[^&\s"']+/gi, `$1=${REDACTED}`],
+  [/\b(SESSDATA|bili_jct|DedeUserID__ckMd5)=[^;\s"']+/gi, `$1=${REDACTED}`]
+];
+// 嵌套对象的最大展开深度
+const MAX_DEPTH = 6;
+
+/**
+ * 隐藏字符串中的凭据
+ * @param {string} text
+ * @returns {string}
+ */
+function redactString(text) {
+  return SECRET_VALUE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * 返回隐藏了令牌和密钥的副本，Error 转换为 { name, message, code, status, stack }
+ * @param {*} value - 任意日志字段
+ * @param {number} [depth]
+ * @returns {*}
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.status,
+      // 预期内的业务错误 (ApiError) 不需要调用栈
+      stack: value.code ? undefined : value.stack
+    }, depth);
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1)]));
+}
+
+/**
+ * 生成新的请求 ID
+ * @returns {string}
+ */
+export function newRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * 读取请求头中的 X-Request-Id，缺失或不合法时生成新的请求 ID
+ * @param {Request} request - 请求对象
+ * @returns {string}
+ */
+export function getRequestId(request) {
+  const requestId = request.headers.get(REQUEST_ID_HEADER);
+  return requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : newRequestId();
+}
+
+/**
+ * 结构化日志记录器
+ * @typedef {Object} Logger
+ * @property {string|null} requestId - 请求 ID
+ * @property {function(string, Object=): void} info - 输出 info 日志 (消息, 附加字段)
+ * @property {function(string, Object=): void} warn - 输出 warn 日志
+ * @property {function(string, Object=): void} error - 输出 error 日志
+ * @property {function(Object): Logger} child - 创建附加了固定字段的子记录器
+ */
+
+/**
+ * 创建日志记录器，fields 中的字段 (requestId、jobId、destination 等) 附加到每条日志
+ * @param {Object} [fields] - 固定字段
+ * @returns {Logger}
+ */
+export function createLogger(fields = {}) {
+  const write = (level, method) => (msg, data = {}) => {
+    console[method](JSON.stringify(redact({ time: new Date().toISOString(), level, msg, ...fields, ...data })));
+  };
+  return {
+    requestId: fields.requestId || null,
+    info: write('info', 'log'),
+    warn: write('warn', 'warn'),
+    error: write('error', 'error'),
+    child: childFields => createLogger({ ...fields, ...childFields })
+  };
+}
+
+// 没有请求上下文时使用的记录器 (定时任务、队列等会创建带 jobId 或 actionId 的子记录器)
+export const rootLogger = createLogger();
+
+/**
+ * 执行一个阶段并把耗时 (毫秒) 累加到 timings[phase]，同一阶段多次执行 (例如逐块读取 R2) 时累加
+ * @param {Object} timings - 各阶段耗时
+ * @param {string} phase - 阶段名称
+ * @param {Function} fn - 阶段内容
+ * @returns {Promise<*>} - fn 的返回值
+ */
+export async function measurePhase(timings, phase, fn) {
+  const startedAt = Date.now();
+  try {
+    return await fn();
+  } finally {
+    timings[phase] = (timings[phase] || 0) + (Date.now() - startedAt);
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * 上传指标
+ *
+ * 每次上传 (每个上传目标) 结束后向 Workers Analytics Engine (UPLOAD_METRICS，可选) 写入一个数据点：
+ * - index1   平台
+ * - blob1-7  平台、结果 (succeeded / failed)、错误码、目标 key、accountId、API 密钥 ID、请求 ID
+ * - double1-7 发送字节数、总耗时、R2 读取、视频上传 (insert)、状态校验 (verify)、封面 (thumbnail) 的耗时 (毫秒)、重试的分块数
+ * 例如按平台统计最近一天的上传次数、字节数、平均耗时和失败次数 (SQL API)：
+ *   SELECT blob1 AS platform, SUM(_sample_interval) AS uploads, SUM(_sample_interval * double1) AS bytes,
+ *     SUM(_sample_interval * double2) / SUM(_sample_interval) AS avgMs, SUM(IF(blob2 = 'failed', _sample_interval, 0)) AS failed
+ *   FROM cfworker_upload_metrics WHERE timestamp > NOW() - INTERVAL '1' DAY GROUP BY platform
+ *
+ * GET /metrics 从上传历史 (D1) 汇总一个时间窗口内各平台的上传次数、失败率、字节数、耗时分位数、各阶段平均耗时和错误码，
+ * 并与前一个等长窗口比较，p95 耗时或失败率明显变差时列在 regressions 中。
+ */
+
+import { ApiError, errorCodeOf } from './errors.js';
+import { UPLOAD_STATUSES, parseDateParam } from './history.js';
+
+// GET /metrics 默认统计最近 24 小时
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+// 两个窗口都至少有这么多次上传时才判断回归
+const MIN_SAMPLES = 5;
+// p95 耗时增加超过 50%，或失败率增加超过 10 个百分点时视为回归
+const LATENCY_REGRESSION_RATIO = 1.5;
+const ERROR_RATE_REGRESSION_DELTA = 0.1;
+// 汇总平均耗时的上传阶段
+const PHASES = ['r2Read', 'insert', 'verify', 'thumbnail'];
+// 耗时分位数 (百分位，最近秩法)
+const PERCENTILES = { p50Ms: 50, p95Ms: 95 };
+
+/**
+ * 写入一次上传的 Analytics Engine 数据点，未绑定 UPLOAD_METRICS 时跳过。写入失败只输出日志。
+ * @param {import('./platforms.js').UploadRequest} request - 标准化的上传请求
+ * @param {Object} outcome - 成功时为 { result } (result.timings 为各阶段耗时)，失败时为 { error, timings }
+ */
+export function writeUploadDataPoint(request, { result, error, timings }) {
+  const { env, platform, destinationKey, videoObject, attribution, options, logger } = request;
+  if (!env.UPLOAD_METRICS) {
+    return;
+  }
+
+  const phases = result?.timings || timings || {};
+  try {
+    env.UPLOAD_METRICS.writeDataPoint({
+      indexes: [platform],
+      blobs: [
+        platform,
+        error ? UPLOAD_STATUSES.FAILED : UPLOAD_STATUSES.SUCCEEDED,
+        error ? errorCodeOf(error) : '',
+        destinationKey,
+        options.accountId || '',
+        attribution.clientKeyId || '',
+        attribution.requestId || ''
+      ],
+      doubles: [
+        result ? result.uploadStats?.bytesSent ?? videoObject.size : 0,
+        phases.total || 0,
+        phases.r2Read || 0,
+        phases.insert || 0,
+        phases.verify || 0,
+        phases.thumbnail || 0,
+        result?.uploadStats?.retriedChunks || 0
+      ]
+    });
+  } catch (writeError) {
+    logger.warn('写入 Analytics Engine 数据点失败', { error: writeError });
+  }
+}
+
+/**
+ * 四舍五入 SQL 聚合得到的平均值，没有数据时为 null
+ * @param {number|null} value - AVG 的结果
+ * @returns {number|null}
+ */
+function roundOrNull(value) {
+  return value === null || value === undefined ? null : Math.round(value);
+}
+
+/**
+ * 把 SQL 汇总的一行 (一个窗口中的一个平台) 整理为接口返回的格式
+ * @param {Object|undefined} row - 汇总查询的行，该窗口没有上传时为 undefined
+ * @param {Object} percentiles - 耗时分位数 { p50Ms, p95Ms }
+ * @param {Object} errorCodes - 错误码 -> 次数
+ * @returns {Object} - { uploads, succeeded, failed, errorRate, bytes, latency, phases, errorCodes }
+ */
+function toSummary(row, percentiles, errorCodes) {
+  const uploads = row?.uploads || 0;
+  const succeeded = row?.succeeded || 0;
+  return {
+    uploads,
+    succeeded,
+    failed: uploads - succeeded,
+    errorRate: uploads ? Number(((uploads - succeeded) / uploads).toFixed(4)) : null,
+    bytes: row?.bytes || 0,
+    latency: {
+      avgMs: roundOrNull(row?.avg_ms),
+      p50Ms: percentiles.p50Ms ?? null,
+      p95Ms: percentiles.p95Ms ?? null,
+      maxMs: row?.max_ms ?? null
+    },
+    phases: Object.fromEntries(PHASES.map(phase => [phase, roundOrNull(row?.[`phase_${phase}`])])),
+    errorCodes
+  };
+}
+
+/**
+ * 比较两个窗口的汇总，找出变差的指标
+ * @param {Object} current - 当前窗口
+ * @param {Object} previous - 前一个窗口
+ * @returns {Object[]} - [{ metric, previous, current }]
+ */
+function findRegressions(current, previous) {
+  if (current.uploads < MIN_SAMPLES || previous.uploads < MIN_SAMPLES) {
+    return [];
+  }
+  const regressions = [];
+  if (current.latency.p95Ms !== null && previous.latency.p95Ms !== null &&
+    current.latency.p95Ms > previous.latency.p95Ms * LATENCY_REGRESSION_RATIO) {
+    regressions.push({ metric: 'latency.p95Ms', previous: previous.latency.p95Ms, current: current.latency.p95Ms });
+  }
+  if (current.errorRate - previous.errorRate > ERROR_RATE_REGRESSION_DELTA) {
+    regressions.push({ metric: 'errorRate', previous: previous.errorRate, current: current.errorRate });
+  }
+  return regressions;
+}
+
+/**
+ * 汇总上传指标 (GET /metrics)，只统计已结束的上传
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {URLSearchParams} params - 查询参数 (from，默认 24 小时前；to，默认现在；platform)
+ * @param {string[]|null} [allowedPlatforms] - 调用方可以查看的平台，null 表示不限制
+ * @returns {Promise<Object>} - { from, to, previousFrom, totals, platforms: [{ platform, ...汇总, previous, regressions }], regressions }
+ */
+export async function getUploadMetrics(env, params, allowedPlatforms = null) {
+  if (!env.UPLOAD_DB) {
+    throw new ApiError('unsupportedOperation', '未绑定 UPLOAD_DB，上传指标不可用');
+  }
+
+  const to = parseDateParam(params.get('to'), 'to') || new Date().toISOString();
+  const from = parseDateParam(params.get('from'), 'from') || new Date(Date.parse(to) - DEFAULT_WINDOW_MS).toISOString();
+  if (from >= to) {
+    throw new ApiError('validationFailed', 'from 必须早于 to', {
+      details: [{ field: 'from', code: 'invalidRange', message: 'from 必须早于 to' }]
+    });
+  }
+  // 前一个等长窗口，用于比较
+  const previousFrom = new Date(2 * Date.parse(from) - Date.parse(to)).toISOString();
+
+  const conditions = ['started_at >= ?', 'started_at < ?', 'status != ?'];
+  const bindings = [previousFrom, to, UPLOAD_STATUSES.UPLOADING];
+  if (params.get('platform')) {
+    conditions.push('platform = ?');
+    bindings.push(params.get('platform').toLowerCase());
+  }
+  if (allowedPlatforms) {
+    conditions.push(`platform IN (${allowedPlatforms.map(() => '?').join(', ') || 'NULL'})`);
+    bindings.push(...allowedPlatforms);
+  }
+  // 在 D1 中按窗口 (period) 和平台分组汇总，不受记录数限制；字节数和耗时只统计成功 (ok) 的上传
+  const source = `
+    SELECT CASE WHEN started_at >= ? THEN 'current' ELSE 'previous' END AS period, platform, status = ? AS ok,
+      error_code, video_size, duration_ms, timings
+    FROM uploads WHERE ${conditions.join(' AND ')}
+  `;
+  const sourceBindings = [from, UPLOAD_STATUSES.SUCCEEDED, ...bindings];
+  const [{ results: groups }, { results: errors }, { results: ranked }] = await env.UPLOAD_DB.batch([
+    env.UPLOAD_DB.prepare(`
+      SELECT period, platform, COUNT(*) AS uploads, SUM(ok) AS succeeded,
+        SUM(CASE WHEN ok THEN COALESCE(video_size, 0) ELSE 0 END) AS bytes,
+        AVG(CASE WHEN ok THEN duration_ms END) AS avg_ms, MAX(CASE WHEN ok THEN duration_ms END) AS max_ms,
+        ${PHASES.map(phase => `AVG(CASE WHEN ok THEN json_extract(timings, '$.${phase}') END) AS phase_${phase}`).join(', ')}
+      FROM (${source}) GROUP BY period, platform
+    `).bind(...sourceBindings),
+    env.UPLOAD_DB.prepare(`
+      SELECT platform, COALESCE(error_code, 'internalError') AS code, COUNT(*) AS count
+      FROM (${source}) WHERE period = 'current' AND NOT ok GROUP BY platform, code
+    `).bind(...sourceBindings),
+    // 分位数：每组按耗时排序后只取排在 ceil(百分位 * 总数 / 100) 位的行
+    env.UPLOAD_DB.prepare(`
+      SELECT period, platform, duration_ms, position, total FROM (
+        SELECT period, platform, duration_ms,
+          ROW_NUMBER() OVER (PARTITION BY period, platform ORDER BY duration_ms) AS position,
+          COUNT(*) OVER (PARTITION BY period, platform) AS total
+        FROM (${source}) WHERE ok AND duration_ms IS NOT NULL
+      ) WHERE position IN (${Object.values(PERCENTILES).map(percent => `(${percent} * total + 99) / 100`).join(', ')})
+    `).bind(...sourceBindings)
+  ]);
+
+  const percentiles = {};
+  for (const row of ranked) {
+    const group = percentiles[`${row.period}:${row.platform}`] ||= {};
+    for (const [name, percent] of Object.entries(PERCENTILES)) {
+      if (row.position === Math.ceil(percent * row.total / 100)) {
+        group[name] = row.duration_ms;
+      }
+    }
+  }
+  const errorCodes = {};
+  for (const row of errors) {
+    (errorCodes[row.platform] ||= {})[row.code] = row.count;
+  }
+  const groupOf = (period, platform) => groups.find(row => row.period === period && row.platform === platform);
+
+  const platforms = [...new Set(groups.map(row => row.platform))].sort().map(platform => {
+    const summary = toSummary(groupOf('current', platform), percentiles[`current:${platform}`] || {}, errorCodes[platform] || {});
+    const previousSummary = toSummary(groupOf('previous', platform), percentiles[`previous:${platform}`] || {}, {});
+    return {
+      platform,
+      ...summary,
+      previous: { uploads: previousSummary.uploads, errorRate: previousSummary.errorRate, latency: previousSummary.latency },
+      regressions: findRegressions(summary, previousSummary)
+    };
+  });
+  const uploads = platforms.reduce((sum, platform) => sum + platform.uploads, 0);
+  const succeeded = platforms.reduce((sum, platform) => sum + platform.succeeded, 0);
+
+  return {
+    from,
+    to,
+    previousFrom,
+    totals: {
+      uploads,
+      succeeded,
+      failed: uploads - succeeded,
+      errorRate: uploads ? Number(((uploads - succeeded) / uploads).toFixed(4)) : null,
+      bytes: platforms.reduce((sum, platform) => sum + platform.bytes, 0)
+    },
+    platforms,
+    regressions: platforms.flatMap(({ platform, regressions }) => regressions.map(regression => ({ platform, ...regression })))
+  };
+}
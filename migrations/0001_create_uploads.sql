@@ -0,0 +1,30 @@
+-- 上传历史：每次上传尝试 (每个上传目标) 一行，见 history.js
+CREATE TABLE IF NOT EXISTS uploads (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,              -- uploading / succeeded / failed
+  platform TEXT NOT NULL,
+  destination TEXT NOT NULL,         -- 上传目标 key (多平台请求中区分同一平台的不同账号)
+  account_id TEXT,
+  client_key_id TEXT,                -- 发起请求的 API 密钥 (见 auth.js)
+  job_id TEXT,
+  idempotency_key TEXT,
+  video_path TEXT NOT NULL,
+  video_size INTEGER,
+  video_etag TEXT,
+  title TEXT,
+  publish_at TEXT,                   -- 计划发布时间 (publish_time)
+  video_id TEXT,
+  privacy_status TEXT,
+  thumbnail_status TEXT,
+  error_code TEXT,
+  error_message TEXT,
+  result TEXT,                       -- summarizeUploadResult 的完整结果 (JSON)
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_uploads_started_at ON uploads (started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_uploads_platform_started_at ON uploads (platform, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_uploads_status_started_at ON uploads (status, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_uploads_video_path ON uploads (video_path);
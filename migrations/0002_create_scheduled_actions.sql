@@ -0,0 +1,19 @@
+-- 定时操作：由 Cron Trigger 在 run_at 到达后执行，见 scheduler.js
+CREATE TABLE IF NOT EXISTS scheduled_actions (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,                -- upload / setPrivacy / addToPlaylist
+  status TEXT NOT NULL,              -- pending / running / done / failed / cancelled
+  run_at TEXT NOT NULL,              -- 执行时间 (UTC ISO 8601)
+  timezone TEXT,                     -- 请求中的时区，仅用于展示
+  platform TEXT,                     -- 操作涉及的平台，多个平台以逗号分隔
+  payload TEXT NOT NULL,             -- 操作参数 (JSON)
+  client_key_id TEXT,                -- 创建操作的 API 密钥 (见 auth.js)
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  result TEXT,                       -- 执行结果 (JSON)
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  executed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_actions_status_run_at ON scheduled_actions (status, run_at);
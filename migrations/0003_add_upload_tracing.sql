@@ -0,0 +1,5 @@
+-- 上传历史的请求追踪：发起上传的请求 ID (X-Request-Id) 和各阶段耗时，见 history.js 和 metrics.js
+ALTER TABLE uploads ADD COLUMN request_id TEXT;
+ALTER TABLE uploads ADD COLUMN timings TEXT;            -- 各阶段耗时 (JSON，毫秒)，例如 { r2Read, insert, verify, thumbnail, total }
+
+CREATE INDEX IF NOT EXISTS idx_uploads_request_id ON uploads (request_id);
@@ -1,30 +1,287 @@
 /**
- * 平台路由模块，根据平台类型调用对应的上传函数
+ * 平台适配器注册表，根据平台名称调用对应适配器的上传和查询功能
  */
 
-import { uploadToYouTube } from './youtube.js';
-import { uploadToBilibili } from './bilibili.js';
+import { youtubeAdapter } from './youtube.js';
+import { bilibiliAdapter } from './bilibili.js';
+import { resolveTokenProvider } from './tokens.js';
+import { selectCoverPath } from './covers.js';
+import { ApiError, errorCodeOf } from './errors.js';
+import { recordUploadStart, recordUploadFinish } from './history.js';
+import { toUtcIso } from './time.js';
+import { createLogger, rootLogger } from './logger.js';
+import { writeUploadDataPoint } from './metrics.js';
 
 /**
- * 主上传函数，根据平台路由到对应的上传逻辑。
- * @param {string} platform - 目标平台
- * @param {ReadableStream} videoStream - 视频流
- * @param {Object} metadata - 视频元数据
- * @param {string} accessToken - 访问令牌
- * @param {Object} requestBody - 完整的请求体，包含各种封面路径参数
- * @param {string} [publish_time] - 发布时间 (可选)
- * @param {string} [YT_channelId] - YouTube 频道 ID (可选, 供参考)
+ * 标准化的上传请求，由 createUploadRequest 根据上传目标生成，传给适配器的 upload
+ * @typedef {Object} UploadRequest
+ * @property {string} platform - 目标平台
+ * @property {Object} videoObject - R2 中视频文件的元数据 (来自 VIDEO_BUCKET.head)
+ * @property {Object} metadata - 视频元数据
+ * @property {Object} tokenProvider - 令牌提供者 ({ getToken, refresh })
+ * @property {string|null} coverPath - 按优先级选中的封面路径 (R2 路径或 URL)
+ * @property {number|string|null} coverFrame - 未提供封面路径时，从视频截取封面的时间点 (秒数或时间码)
+ * @property {Object[]} captions - 字幕列表 [{ language, name, path, draft }]，path 为 R2 路径
+ * @property {Object} playlists - 上传后加入的播放列表 { ids, titles (不存在时新建), position }
+ * @property {string|null} publishTime - 计划发布时间 (UTC ISO 8601，已按 timezone 换算)
+ * @property {string|null} channelId - 目标频道 ID (YT_channelId)，YouTube 上传前检查令牌所属的频道是否一致
+ * @property {Object} options - 上传目标的完整请求体，供适配器读取平台特有字段
+ * @property {string} destinationKey - 上传目标的 key (单平台请求为平台名)
+ * @property {Object} attribution - 上传历史中记录的来源 { clientKeyId, jobId, idempotencyKey, requestId }
+ * @property {import('./logger.js').Logger} logger - 日志记录器 (来自令牌提供者，带有请求 ID)
+ * @property {Object} timings - 各阶段耗时 (毫秒)，由适配器累加，例如 { r2Read, insert, verify, thumbnail }
+ * @property {object} env - Cloudflare Worker 环境变量
+ * @property {Function} [onProgress] - 上传进度回调，参数为 { phase, bytesUploaded, totalBytes }
+ */
+
+/**
+ * 平台适配器接口。除 name、capabilities 和 upload 外，其余操作可选，未实现的操作在 capabilities 中标记为不支持。
+ * @typedef {Object} PlatformAdapter
+ * @property {string} name - 平台名称
+ * @property {Object} capabilities - 平台特性描述 (定时发布、隐私状态、认证方式等)
+ * @property {function(UploadRequest): Promise<Object>} upload - 上传视频
+ * @property {function(Object): Promise<Object>} [setThumbnail] - 替换封面 ({ tokenProvider, videoId, coverPath, coverFrame, videoPath, env })
+ * @property {function(Object): Promise<Object>} [getVideo] - 获取视频详情 ({ tokenProvider, videoId, env })
+ * @property {function(Object): Promise<Object>} [getLatest] - 获取最新视频 ({ tokenProvider, channelId, env })
+ * @property {function(Object): Promise<Object>} [updateMetadata] - 更新视频元数据，未传入的字段保持不变 ({ tokenProvider, videoId, metadata, publishTime, env })
+ * @property {function(Object): Promise<Object>} [delete] - 删除视频 ({ tokenProvider, videoId, env })
+ * @property {function(Object): Promise<Object[]>} [listCaptions] - 列出字幕轨道 ({ tokenProvider, videoId, env })
+ * @property {function(Object): Promise<Object[]>} [uploadCaptions] - 新增或替换字幕轨道，返回每条字幕的状态 ({ tokenProvider, videoId, captions, env })
+ * @property {function(Object): Promise<Object[]>} [listPlaylists] - 列出播放列表 ({ tokenProvider, env })
+ * @property {function(Object): Promise<Object>} [createPlaylist] - 创建播放列表 ({ tokenProvider, playlist: { title, description, privacyStatus }, env })
+ * @property {function(Object): Promise<Object[]>} [reorderPlaylist] - 调整播放列表中视频的顺序 ({ tokenProvider, playlistId, videoIds, env })
+ * @property {function(Object): Promise<Object[]>} [addToPlaylists] - 将已发布的视频加入播放列表，返回每个播放列表的状态 ({ tokenProvider, videoId, playlists: { ids, titles, position }, env })
+ * @property {function(Object): Promise<Object>} [getProcessingStatus] - 批量查询处理状态，返回以视频 ID 为键的映射 ({ tokenProvider, videoIds, env })
+ * @property {function(Object): Promise<Object[]>} [listChannels] - 列出令牌可管理的频道及订阅数、视频数 ({ tokenProvider, env })
+ */
+
+// 适配器可实现的操作
+const ADAPTER_OPERATIONS = ['upload', 'setThumbnail', 'getVideo', 'getLatest', 'updateMetadata', 'delete', 'listCaptions', 'uploadCaptions',
+  'listPlaylists', 'createPlaylist', 'reorderPlaylist', 'addToPlaylists', 'getProcessingStatus', 'listChannels'];
+
+const adapters = new Map();
+
+/**
+ * 注册平台适配器，同名适配器会被替换
+ * @param {PlatformAdapter} adapter - 平台适配器
+ */
+export function registerPlatform(adapter) {
+  if (!adapter.name || typeof adapter.upload !== 'function') {
+    throw new Error('平台适配器必须提供 name 和 upload');
+  }
+  adapters.set(adapter.name.toLowerCase(), adapter);
+}
+
+registerPlatform(youtubeAdapter);
+registerPlatform(bilibiliAdapter);
+
+/**
+ * 根据平台名称获取适配器
+ * @param {string} platform - 平台名称 (不区分大小写)
+ * @returns {PlatformAdapter}
+ */
+export function getPlatformAdapter(platform) {
+  const adapter = adapters.get(String(platform || '').toLowerCase());
+  if (!adapter) {
+    throw new ApiError('unsupportedPlatform', `不支持的平台: ${platform}`);
+  }
+  return adapter;
+}
+
+/**
+ * 获取适配器的某个操作，平台不支持该操作时抛出异常
+ * @param {string} platform - 平台名称
+ * @param {string} operation - 操作名称 (见 ADAPTER_OPERATIONS)
+ * @returns {Function} - 已绑定到适配器的操作函数
+ */
+export function getPlatformOperation(platform, operation) {
+  const adapter = getPlatformAdapter(platform);
+  if (typeof adapter[operation] !== 'function') {
+    throw new ApiError('unsupportedOperation', `平台 ${adapter.name} 不支持 ${operation} 操作`);
+  }
+  return adapter[operation].bind(adapter);
+}
+
+/**
+ * 列出所有已注册平台及其支持的操作和特性
+ * @returns {Object[]}
+ */
+export function listPlatforms() {
+  return [...adapters.values()].map(adapter => ({
+    name: adapter.name,
+    operations: Object.fromEntries(ADAPTER_OPERATIONS.map(operation => [operation, typeof adapter[operation] === 'function'])),
+    capabilities: adapter.capabilities || {}
+  }));
+}
+
+/**
+ * 根据单平台上传目标 (请求体) 生成标准化的上传请求
+ * @param {Object} destination - 单平台上传目标，即 POST / 的请求体或 resolveDestinations 返回的条目
+ * @param {Object} videoObject - R2 中视频文件的元数据 (来自 VIDEO_BUCKET.head)
+ * @param {Object} tokenProvider - 令牌提供者
  * @param {object} env - Cloudflare Worker 环境变量
- * @returns {Promise<Object>} - 上传结果
- */
-export async function uploadToPlatform(platform, videoStream, metadata, accessToken, requestBody, publish_time, YT_channelId, env) {
-  switch (platform.toLowerCase()) {
-    case 'youtube':
-      console.log(`准备上传到 YouTube 频道 (参考 ID: ${YT_channelId || '未提供'})`);
-      return await uploadToYouTube(videoStream, metadata, accessToken, requestBody, publish_time, env);
-    case 'bilibili':
-      return await uploadToBilibili(videoStream, metadata, accessToken); // Bilibili 暂不支持新参数
-    default:
-      throw new Error(`不支持的平台: ${platform}`);
+ * @param {Function} [onProgress] - 上传进度回调 (可选)
+ * @param {Object} [attribution] - 请求来源 { clientKeyId, jobId, idempotencyKeys, requestId }，idempotencyKeys 以目标 key 为键
+ * @returns {UploadRequest}
+ */
+export function createUploadRequest(destination, videoObject, tokenProvider, env, onProgress, attribution = {}) {
+  const destinationKey = destination.key || destination.platform;
+  return {
+    platform: destination.platform,
+    videoObject,
+    metadata: destination.metadata || {},
+    tokenProvider,
+    coverPath: selectCoverPath(destination),
+    coverFrame: destination.coverFrame ?? null,
+    captions: destination.captions || [],
+    playlists: {
+      ids: destination.playlistIds || [],
+      titles: destination.playlistTitles || [],
+      position: destination.playlistPosition ?? null
+    },
+    publishTime: destination.publish_time ? toUtcIso(destination.publish_time, destination.timezone) : null,
+    channelId: destination.YT_channelId || destination.channelId || null,
+    options: destination,
+    destinationKey,
+    attribution: {
+      clientKeyId: attribution.clientKeyId || null,
+      jobId: attribution.jobId || null,
+      idempotencyKey: attribution.idempotencyKeys?.[destinationKey] || null,
+      requestId: attribution.requestId || null
+    },
+    logger: tokenProvider.logger || rootLogger,
+    timings: {},
+    env,
+    onProgress
+  };
+}
+
+/**
+ * 主上传函数，根据平台路由到对应适配器的上传逻辑，在上传历史 (D1) 中记录开始和结果，
+ * 并输出带各阶段耗时的日志和 Analytics Engine 数据点 (见 metrics.js)。
+ * @param {UploadRequest} request - 标准化的上传请求
+ * @returns {Promise<Object>} - 上传结果，timings 为各阶段耗时和总耗时 (total)
+ */
+export async function uploadToPlatform(request) {
+  const { platform, destinationKey, videoObject, logger, env } = request;
+  const adapter = getPlatformAdapter(platform);
+  const startedAt = Date.now();
+  const historyEntry = await recordUploadStart(request);
+  try {
+    const result = await adapter.upload(request);
+    result.timings = { ...request.timings, total: Date.now() - startedAt };
+    logger.info('上传完成', {
+      platform, destination: destinationKey, videoPath: videoObject.key, videoId: result.id,
+      bytes: result.uploadStats?.bytesSent ?? videoObject.size, retriedChunks: result.uploadStats?.retriedChunks ?? 0, timings: result.timings
+    });
+    await recordUploadFinish(env, historyEntry, { summary: summarizeUploadResult(platform, result) });
+    writeUploadDataPoint(request, { result });
+    return result;
+  } catch (error) {
+    const timings = { ...request.timings, total: Date.now() - startedAt };
+    logger.error('上传失败', { platform, destination: destinationKey, videoPath: videoObject.key, code: errorCodeOf(error), error, timings });
+    await recordUploadFinish(env, historyEntry, { error, timings });
+    writeUploadDataPoint(request, { error, timings });
+    throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 在开始上传前就失败的尝试 (视频文件不存在、缺少令牌等) 也在上传历史中记录一行 failed，
+ * 这样每个目标的每次尝试都能在 GET /uploads 中查到。
+ * @param {Object} destination - 单平台上传目标
+ * @param {Object|null} videoObject - R2 中视频文件的元数据，文件不存在时为 null
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} attribution - 请求来源，见 createUploadRequest
+ * @param {Error} error - 失败原因
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {Promise<void>}
+ */
+export async function recordUploadFailure(destination, videoObject, env, attribution, error, logger = rootLogger) {
+  const request = createUploadRequest(destination, videoObject || { key: destination.videoPath }, { logger }, env, undefined, attribution);
+  logger.error('上传失败', { platform: request.platform, destination: request.destinationKey, videoPath: request.videoObject.key, code: errorCodeOf(error), error });
+  await recordUploadFinish(env, await recordUploadStart(request), { error, timings: { total: 0 } });
+}
+
+/**
+ * 将平台上传结果整理为对外返回的统一格式，供同步上传接口和异步任务共用。
+ * @param {string} platform - 目标平台
+ * @param {Object} result - uploadToPlatform 返回的上传结果
+ * @returns {Object} - 包含 videoId、状态、封面上传状态等信息
+ */
+export function summarizeUploadResult(platform, result) {
+  return {
+    platform: platform,
+    videoId: result.id || 'N/A',
+    videoStatus: result.status, // 包含 privacyStatus, publishAt 等
+    thumbnailStatus: result.thumbnailUploadStatus || 'N/A', // 封面上传状态
+    thumbnail: result.thumbnail || null, // 封面的实际格式、尺寸、是否经过转换以及写回 R2 的路径
+    captionStatus: result.captionUploadStatus || null, // 每条字幕的上传状态
+    playlistStatus: result.playlistInsertStatus || null, // 每个播放列表的添加状态
+    presetThumbnails: result.presetThumbnails || null, // 添加 YouTube 自动生成的预设封面图 URL
+    uploadStats: result.uploadStats || null, // 已发送字节数和重试的分块数
+    timings: result.timings || null // 各阶段耗时 (毫秒)
+  };
+}
+
+/**
+ * 将上传请求体展开为上传目标列表。
+ * 单平台请求 (platform) 返回一个目标；多平台请求 (platforms) 中的每个条目可以是平台名称字符串，
+ * 也可以是对象，对象中的字段 (accountId、coverPath-*、publish_time 等) 覆盖顶层同名字段，
+ * metadata 按字段合并到顶层 metadata 上。
+ * @param {Object} body - 上传请求体
+ * @returns {Object[]} - 上传目标列表，每个目标都是完整的单平台请求体，并带有唯一的 key
+ */
+export function resolveDestinations(body) {
+  const { platforms, ...base } = body;
+  const entries = Array.isArray(platforms) ? platforms : [{ platform: base.platform }];
+
+  return entries.map(entry => {
+    const overrides = typeof entry === 'string' ? { platform: entry } : (entry || {});
+    const destination = {
+      ...base,
+      ...overrides,
+      metadata: { ...base.metadata, ...overrides.metadata }
+    };
+    // 结果按 key 返回；同一平台的多个账号默认以 平台:账号 区分
+    destination.key = overrides.key || (overrides.accountId ? `${destination.platform}:${overrides.accountId}` : destination.platform);
+    return destination;
+  });
+}
+
+/**
+ * 多平台分发：将同一个 R2 视频分别上传到多个目标平台。
+ * 每个目标独立执行，一个平台失败不会影响其他平台。
+ * @param {Object[]} destinations - resolveDestinations 返回的上传目标列表
+ * @param {Object} videoObject - R2 中视频文件的元数据 (来自 VIDEO_BUCKET.head)
+ * @param {string|null} accessToken - 目标未指定 accountId 或 accessToken 时使用的访问令牌 (来自 Authorization 头)
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Function} [onProgress] - 上传进度回调 (可选)，参数额外包含目标的 key
+ * @param {Object} [attribution] - 请求来源，见 createUploadRequest；各目标的日志带有其中的 requestId 和 jobId
+ * @returns {Promise<Object>} - 以目标 key 为键的结果映射，每项包含 success 和上传结果，或错误码 code 和 error
+ */
+export async function uploadToPlatforms(destinations, videoObject, accessToken, env, onProgress, attribution = {}) {
+  const settled = await Promise.allSettled(destinations.map(async destination => {
+    const logger = createLogger({ requestId: attribution.requestId || null, jobId: attribution.jobId || undefined, destination: destination.key });
+    const tokenProvider = resolveTokenProvider(env, destination.accountId, destination.accessToken || accessToken, logger, destination.platform);
+    if (!tokenProvider) {
+      const error = new ApiError('unauthorized', '缺少 accountId 或访问令牌');
+      await recordUploadFailure(destination, videoObject, env, attribution, error, logger);
+      throw error;
+    }
+
+    const destinationProgress = onProgress && (progress => onProgress({ ...progress, key: destination.key }));
+    return await uploadToPlatform(createUploadRequest(destination, videoObject, tokenProvider, env, destinationProgress, attribution));
+  }));
+
+  const results = {};
+  settled.forEach((outcome, index) => {
+    const { key, platform } = destinations[index];
+    if (outcome.status === 'fulfilled') {
+      results[key] = { success: true, ...summarizeUploadResult(platform, outcome.value) };
+    } else {
+      results[key] = { success: false, platform: platform, code: errorCodeOf(outcome.reason), error: outcome.reason.message };
+    }
+  });
+  return results;
+}
@@ -0,0 +1,325 @@
+/**
+ * 元数据预设与模板
+ *
+ * 预设保存在 KV (METADATA_PRESETS) 中，键为 preset:<name>，可以包含默认的 metadata (标签、分类、隐私状态、Bilibili 分区等)、
+ * 描述结尾 (链接、话题标签)、播放列表和语言，并可以限定平台 (platform) 和频道账号 (accountId)。
+ * 上传请求通过 metadata.preset 引用预设，合并规则：
+ * - 请求中的 metadata 字段优先于预设；tags、playlistIds、playlistTitles 与预设合并去重
+ * - descriptionFooter 追加在描述末尾
+ * - language 写入支持的平台的 defaultLanguage / defaultAudioLanguage (YouTube)
+ * - 预设指定了 platform / accountId 而请求没有时使用预设的平台和账号
+ *
+ * 请求引用了预设或带有 variables 时，预设和请求中的文本 (metadata 的字符串字段、tags、playlistTitles) 可以使用 {{变量}}；
+ * 其他请求中的 {{ 原样保留。变量依次取自请求的 variables 对象、上传目标的 videoPath、platform 和 accountId、
+ * R2 对象的 customMetadata，以及内置变量 fileName (不含扩展名的文件名)、size (文件字节数)、date (当天日期，UTC)
+ * 和 title (渲染后的标题)。上传目标的其他字段 (例如 accessToken) 不能作为变量，避免凭据被写进公开的元数据。
+ */
+
+import { getPlatformAdapter, resolveDestinations } from './platforms.js';
+import { ApiError } from './errors.js';
+import { assertValidPreset } from './validation.js';
+
+// {{变量}}，变量名两侧可以有空格
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * 读取预设
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} name - 预设名称
+ * @returns {Promise<Object|null>}
+ */
+export async function getPreset(env, name) {
+  return await env.METADATA_PRESETS.get(`preset:${name}`, 'json');
+}
+
+/**
+ * 列出所有预设
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<Object[]>}
+ */
+export async function listPresets(env) {
+  const presets = [];
+  let cursor;
+  do {
+    const page = await env.METADATA_PRESETS.list({ prefix: 'preset:', cursor });
+    for (const { name } of page.keys) {
+      const preset = await env.METADATA_PRESETS.get(name, 'json');
+      if (preset) {
+        presets.push(preset);
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return presets;
+}
+
+/**
+ * 创建或替换预设
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} name - 预设名称
+ * @param {Object} input - { label?, platform?, accountId?, metadata?, descriptionFooter?, playlistIds?, playlistTitles?, language? }
+ * @returns {Promise<{preset: Object, created: boolean}>}
+ */
+export async function savePreset(env, name, input) {
+  assertValidPreset(name, input);
+
+  const existing = await getPreset(env, name);
+  const now = new Date().toISOString();
+  const preset = {
+    name: name,
+    label: input.label || null,
+    platform: input.platform ? input.platform.toLowerCase() : null,
+    accountId: input.accountId || null,
+    metadata: input.metadata || {},
+    descriptionFooter: input.descriptionFooter || null,
+    playlistIds: input.playlistIds || [],
+    playlistTitles: input.playlistTitles || [],
+    language: input.language || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  await env.METADATA_PRESETS.put(`preset:${name}`, JSON.stringify(preset));
+  return { preset, created: !existing };
+}
+
+/**
+ * 删除预设
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} name - 预设名称
+ * @returns {Promise<boolean>} - 预设不存在时返回 false
+ */
+export async function deletePreset(env, name) {
+  if (!await getPreset(env, name)) {
+    return false;
+  }
+  await env.METADATA_PRESETS.delete(`preset:${name}`);
+  return true;
+}
+
+/**
+ * 数组去重，保留首次出现的顺序
+ * @param {Array} values
+ * @returns {Array}
+ */
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * 替换文本中的 {{变量}}，缺少的变量保持原样并记录到 missing 中
+ * @param {string} template - 模板文本
+ * @param {Object} variables - 变量
+ * @param {string} field - 字段路径，记录在 missing 中
+ * @param {Map<string, Object>} missing - 缺少的变量，键为 字段路径:变量名，值为 { field, name }
+ * @returns {string}
+ */
+function renderTemplate(template, variables, field, missing) {
+  return template.replace(TEMPLATE_PATTERN, (match, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      missing.set(`${field}:${name}`, { field, name });
+      return match;
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * 上传目标可用的模板变量
+ * @param {Object} destination - 上传目标
+ * @param {Object|null} videoObject - R2 中视频文件的元数据，文件不存在时为 null
+ * @returns {Object}
+ */
+function templateVariables(destination, videoObject) {
+  const requestVariables = destination.variables && typeof destination.variables === 'object' ? destination.variables : {};
+  // 只开放固定的几个字段，上传目标中的凭据 (accessToken 等) 不能出现在模板中
+  const destinationFields = Object.fromEntries(['videoPath', 'platform', 'accountId']
+    .filter(name => typeof destination[name] === 'string')
+    .map(name => [name, destination[name]]));
+  return {
+    fileName: typeof destination.videoPath === 'string' ? destination.videoPath.split('/').pop().replace(/\.[^.]*$/, '') : null,
+    size: videoObject?.size ?? null,
+    date: new Date().toISOString().slice(0, 10),
+    ...videoObject?.customMetadata,
+    ...destinationFields,
+    ...requestVariables
+  };
+}
+
+/**
+ * 将预设合并到上传目标并渲染模板
+ * @param {Object} destination - resolveDestinations 返回的上传目标
+ * @param {Object|null} preset - 预设，未引用预设时为 null
+ * @param {Object|null} videoObject - R2 中视频文件的元数据
+ * @param {Map<string, Object>} missing - 缺少的变量 (见 renderTemplate)
+ * @returns {Object} - 渲染后的字段 { metadata, accountId?, playlistIds?, playlistTitles? }
+ */
+function renderDestination(destination, preset, videoObject, missing) {
+  const adapter = getPlatformAdapter(destination.platform);
+  const { preset: presetName, ...requestMetadata } = destination.metadata;
+  const presetMetadata = preset?.metadata || {};
+  const metadata = { ...presetMetadata, ...requestMetadata };
+  const fields = { metadata };
+
+  if (presetMetadata.tags || requestMetadata.tags) {
+    metadata.tags = unique([...(presetMetadata.tags || []), ...(requestMetadata.tags || [])]);
+  }
+  if (preset?.descriptionFooter) {
+    metadata.description = [metadata.description, preset.descriptionFooter].filter(Boolean).join('\n\n');
+  }
+  if (preset?.language && adapter.uploadSchema?.metadata?.defaultLanguage) {
+    metadata.defaultLanguage ??= preset.language;
+    metadata.defaultAudioLanguage ??= preset.language;
+  }
+  if (preset?.accountId && !destination.accountId) {
+    fields.accountId = preset.accountId;
+  }
+  if (adapter.capabilities?.playlists) {
+    for (const name of ['playlistIds', 'playlistTitles']) {
+      if (preset?.[name]?.length > 0) {
+        fields[name] = unique([...preset[name], ...(destination[name] || [])]);
+      }
+    }
+  }
+
+  // 先渲染标题，描述等字段可以通过 {{title}} 引用渲染后的标题
+  const variables = templateVariables({ ...destination, ...fields }, videoObject);
+  const render = (value, field) => (typeof value === 'string' ? renderTemplate(value, variables, field, missing) : value);
+  if (typeof metadata.title === 'string') {
+    metadata.title = render(metadata.title, 'metadata.title');
+    variables.title ??= metadata.title;
+  }
+  for (const [name, value] of Object.entries(metadata)) {
+    metadata[name] = Array.isArray(value)
+      ? value.map((item, index) => render(item, `metadata.${name}[${index}]`))
+      : render(value, `metadata.${name}`);
+  }
+  const playlistTitles = fields.playlistTitles || destination.playlistTitles;
+  if (Array.isArray(playlistTitles)) {
+    fields.playlistTitles = playlistTitles.map((title, index) => render(title, `playlistTitles[${index}]`));
+  }
+  return fields;
+}
+
+/**
+ * 判断上传请求体是否引用了预设或提供了模板变量；都没有时文本中的 {{ 不作为模板处理
+ * @param {Object} body - 上传请求体
+ * @returns {boolean}
+ */
+function usesPresets(body) {
+  const entries = Array.isArray(body.platforms) ? body.platforms : [];
+  return body.metadata?.preset !== undefined || body.variables !== undefined
+    || entries.some(entry => entry?.metadata?.preset !== undefined || entry?.variables !== undefined);
+}
+
+/**
+ * 将上传请求体中引用的预设合并进来并渲染模板，返回的请求体不再包含 metadata.preset 和 {{变量}}。
+ * 多平台请求的每个条目单独渲染，条目保留原来的 key。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} body - 上传请求体
+ * @param {string} [fieldPrefix=''] - 字段错误的路径前缀 (定时上传为 upload.)
+ * @returns {Promise<Object>} - { body (渲染后的请求体), destinations (按目标顺序 [{ preset, missingVariables }]), errors (字段错误列表) }
+ */
+export async function renderUploadBody(env, body, fieldPrefix = '') {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || !usesPresets(body)) {
+    return { body, destinations: [], errors: [] };
+  }
+
+  const videoObject = typeof body.videoPath === 'string' && body.videoPath ? await env.VIDEO_BUCKET.head(body.videoPath) : null;
+  const multiple = Array.isArray(body.platforms);
+  const presets = new Map();
+  const errors = [];
+  const rendered = [];
+
+  for (const [index, destination] of resolveDestinations(body).entries()) {
+    const prefix = `${fieldPrefix}${multiple ? `platforms[${index}].` : ''}`;
+    const metadata = destination.metadata && typeof destination.metadata === 'object' ? destination.metadata : {};
+    const presetName = metadata.preset;
+    let preset = null;
+    if (presetName !== undefined) {
+      if (typeof presetName !== 'string' || presetName === '') {
+        errors.push({ field: `${prefix}metadata.preset`, code: 'invalidType', message: `${prefix}metadata.preset 必须是预设名称` });
+        rendered.push({ destination, fields: null });
+        continue;
+      }
+      if (!presets.has(presetName)) {
+        presets.set(presetName, await getPreset(env, presetName));
+      }
+      preset = presets.get(presetName);
+      if (!preset) {
+        errors.push({ field: `${prefix}metadata.preset`, code: 'invalidValue', message: `预设不存在: ${presetName}` });
+      }
+    }
+
+    // 请求没有指定平台时使用预设的平台；平台无效的目标保持原样，由参数校验报告错误
+    const platform = destination.platform || preset?.platform;
+    try {
+      getPlatformAdapter(platform);
+    } catch {
+      rendered.push({ destination, fields: null });
+      continue;
+    }
+    if (preset?.platform && preset.platform !== platform.toLowerCase()) {
+      errors.push({ field: `${prefix}metadata.preset`, code: 'invalidValue', message: `预设 ${presetName} 只能用于 ${preset.platform}` });
+    } else if (preset?.accountId && destination.accountId && preset.accountId !== destination.accountId) {
+      errors.push({ field: `${prefix}metadata.preset`, code: 'invalidValue', message: `预设 ${presetName} 只能用于账号 ${preset.accountId}` });
+    }
+
+    const missing = new Map();
+    const fields = {
+      ...(destination.platform ? {} : { platform }),
+      ...renderDestination({ ...destination, platform, metadata }, preset, videoObject, missing)
+    };
+    for (const { field, name } of missing.values()) {
+      errors.push({
+        field: `${prefix}${field}`,
+        code: 'unknownVariable',
+        message: `${prefix}${field} 中的模板变量 {{${name}}} 没有值，请在 variables 或 R2 对象的 customMetadata 中提供`
+      });
+    }
+    rendered.push({ destination, fields, preset: preset ? presetName : null, missing: unique([...missing.values()].map(({ name }) => name)) });
+  }
+
+  let renderedBody;
+  if (multiple) {
+    const { preset, ...baseMetadata } = body.metadata || {};
+    renderedBody = {
+      ...body,
+      metadata: baseMetadata,
+      platforms: body.platforms.map((entry, index) => {
+        const { destination, fields } = rendered[index];
+        if (!fields) {
+          return entry;
+        }
+        const overrides = typeof entry === 'string' ? { platform: entry } : entry;
+        // 保留原来的 key；平台来自预设时按新的平台重新生成
+        return { ...overrides, ...fields, key: destination.platform ? destination.key : overrides.key };
+      })
+    };
+  } else {
+    renderedBody = rendered[0].fields ? { ...body, ...rendered[0].fields } : body;
+  }
+
+  return {
+    body: renderedBody,
+    destinations: rendered.map(({ preset, missing }) => ({
+      preset: preset || null,
+      missingVariables: missing || []
+    })),
+    errors
+  };
+}
+
+/**
+ * 合并预设并渲染模板，引用的预设不存在或模板变量缺失时抛出 validationFailed 错误
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} body - 上传请求体
+ * @param {string} [fieldPrefix=''] - 字段错误的路径前缀
+ * @returns {Promise<Object>} - 渲染后的请求体
+ */
+export async function applyPresets(env, body, fieldPrefix = '') {
+  const { body: renderedBody, errors } = await renderUploadBody(env, body, fieldPrefix);
+  if (errors.length > 0) {
+    throw new ApiError('validationFailed', `请求参数校验失败: ${errors.map(error => error.message).join('; ')}`, { details: errors });
+  }
+  return renderedBody;
+}
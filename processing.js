@@ -0,0 +1,226 @@
+/**
+ * 上传后的处理状态跟踪
+ *
+ * 上传请求带有 callbackUrl 时，上传成功后会在 KV (UPLOAD_JOBS) 中写入跟踪记录 watch:<platform>:<videoId>，
+ * 定时任务 (Cron Trigger) 定期通过平台适配器的 getProcessingStatus 查询状态，并在以下事件发生时发送回调：
+ * - processed  平台已完成处理
+ * - failed     处理失败、视频被删除或长时间未完成处理
+ * - rejected   视频被平台拒绝 (例如重复内容、违反政策)
+ * - published  定时发布的视频已公开
+ * 轮询需要使用已注册账号 (accountId) 获取令牌，跟踪在收到最终事件后结束。
+ */
+
+import { getPlatformOperation } from './platforms.js';
+import { accountTokenProvider } from './tokens.js';
+import { dispatchWebhook, retryPendingWebhooks } from './webhooks.js';
+import { rootLogger } from './logger.js';
+
+// 处理事件
+export const PROCESSING_EVENTS = {
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+  PUBLISHED: 'published'
+};
+
+// 上传后超过该时间仍未完成处理，视为失败
+const PROCESSING_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+// 到达计划发布时间后超过该时间仍未公开，停止跟踪
+const PUBLISH_GRACE_MS = 2 * 60 * 60 * 1000;
+// 每次查询状态的最大视频数 (videos.list 的 id 参数上限)
+const STATUS_BATCH_SIZE = 50;
+
+/**
+ * 写入跟踪记录，过期时间覆盖处理超时和计划发布时间
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} watch - 跟踪记录
+ * @returns {Promise<void>}
+ */
+async function saveWatch(env, watch) {
+  const endsAt = Math.max(
+    Date.parse(watch.uploadedAt) + PROCESSING_TIMEOUT_MS,
+    watch.publishAt ? Date.parse(watch.publishAt) + PUBLISH_GRACE_MS : 0
+  );
+  const ttlSeconds = Math.max(60, Math.ceil((endsAt - Date.now()) / 1000) + 3600);
+  await env.UPLOAD_JOBS.put(`watch:${watch.platform}:${watch.videoId}`, JSON.stringify(watch), { expirationTtl: ttlSeconds });
+}
+
+/**
+ * 上传成功后开始跟踪处理状态，上传目标没有 callbackUrl 时不跟踪。
+ * 此时视频已经上传完成，写入跟踪记录失败只记录日志并体现在返回的状态说明中，不会让上传失败。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} destination - 上传目标 (请求体或 resolveDestinations 返回的条目)
+ * @param {Object} videoObject - R2 中视频文件的元数据
+ * @param {Object} summary - summarizeUploadResult 整理后的上传结果
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {Promise<string|null>} - 跟踪状态说明，未提供 callbackUrl 时返回 null
+ */
+export async function watchUpload(env, destination, videoObject, summary, logger = rootLogger) {
+  if (!destination.callbackUrl) {
+    return null;
+  }
+
+  try {
+    await saveWatch(env, {
+      platform: summary.platform,
+      videoId: summary.videoId,
+      accountId: destination.accountId,
+      callbackUrl: destination.callbackUrl,
+      destination: destination.key || summary.platform,
+      videoPath: videoObject.key,
+      publishAt: summary.videoStatus?.publishAt || null,
+      uploadedAt: new Date().toISOString(),
+      notified: [],
+      lastStatus: null
+    });
+  } catch (error) {
+    logger.error('写入处理状态跟踪记录失败', { videoId: summary.videoId, destination: destination.key || summary.platform, error });
+    return `视频已上传，但开始跟踪处理状态失败，不会回调到 ${destination.callbackUrl}: ${error.message}`;
+  }
+  return `已开始跟踪处理状态，事件将回调到 ${destination.callbackUrl}`;
+}
+
+/**
+ * 多平台上传后，为成功且提供了 callbackUrl 的目标开始跟踪，并把跟踪状态写入各目标的结果
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object[]} destinations - 上传目标列表
+ * @param {Object} videoObject - R2 中视频文件的元数据
+ * @param {Object} results - 以目标 key 为键的结果映射 (见 uploadToPlatforms)
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {Promise<void>}
+ */
+export async function watchUploads(env, destinations, videoObject, results, logger = rootLogger) {
+  for (const destination of destinations) {
+    const result = results[destination.key];
+    if (result && result.success && !result.replayed) {
+      result.callbackStatus = await watchUpload(env, destination, videoObject, result, logger);
+    }
+  }
+}
+
+/**
+ * 根据最新状态判断需要发送的事件，以及是否结束跟踪
+ * @param {Object} watch - 跟踪记录
+ * @param {Object|null} status - getProcessingStatus 返回的视频状态，视频不存在时为 null
+ * @returns {{events: Object[], finished: boolean}} - events 为 [{ event, reason }]
+ */
+function evaluateStatus(watch, status) {
+  const now = Date.now();
+  const notified = new Set(watch.notified);
+
+  if (!status || status.uploadStatus === 'deleted') {
+    return { events: [{ event: PROCESSING_EVENTS.FAILED, reason: 'deleted' }], finished: true };
+  }
+  if (status.uploadStatus === 'rejected') {
+    return { events: [{ event: PROCESSING_EVENTS.REJECTED, reason: status.rejectionReason || null }], finished: true };
+  }
+  if (status.uploadStatus === 'failed' || status.processingStatus === 'failed' || status.processingStatus === 'terminated') {
+    return { events: [{ event: PROCESSING_EVENTS.FAILED, reason: status.failureReason || status.processingStatus }], finished: true };
+  }
+
+  const events = [];
+  const processed = status.uploadStatus === 'processed' || status.processingStatus === 'succeeded';
+  if (processed && !notified.has(PROCESSING_EVENTS.PROCESSED)) {
+    events.push({ event: PROCESSING_EVENTS.PROCESSED, reason: null });
+  }
+  if (!processed && now - Date.parse(watch.uploadedAt) > PROCESSING_TIMEOUT_MS) {
+    return { events: [{ event: PROCESSING_EVENTS.FAILED, reason: 'processingTimeout' }], finished: true };
+  }
+
+  if (!watch.publishAt) {
+    return { events, finished: processed };
+  }
+  if (status.privacyStatus === 'public') {
+    if (!notified.has(PROCESSING_EVENTS.PUBLISHED)) {
+      events.push({ event: PROCESSING_EVENTS.PUBLISHED, reason: null });
+    }
+    return { events, finished: processed };
+  }
+  if (now - Date.parse(watch.publishAt) > PUBLISH_GRACE_MS) {
+    rootLogger.warn('视频已超过计划发布时间仍未公开，停止跟踪', { videoId: watch.videoId, publishAt: watch.publishAt });
+    return { events, finished: true };
+  }
+  return { events, finished: false };
+}
+
+/**
+ * 查询一批视频的状态，并发送相应的回调
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object[]} watches - 同一平台、同一账号的跟踪记录
+ * @returns {Promise<void>}
+ */
+async function pollWatches(env, watches) {
+  const { platform, accountId } = watches[0];
+  const getProcessingStatus = getPlatformOperation(platform, 'getProcessingStatus');
+  const logger = rootLogger.child({ platform, accountId });
+  const tokenProvider = accountTokenProvider(env, accountId, logger);
+
+  for (let start = 0; start < watches.length; start += STATUS_BATCH_SIZE) {
+    const batch = watches.slice(start, start + STATUS_BATCH_SIZE);
+    let statuses;
+    try {
+      statuses = await getProcessingStatus({ tokenProvider, videoIds: batch.map(watch => watch.videoId), env });
+    } catch (error) {
+      // 查询失败时保留跟踪记录，下次定时任务再试
+      logger.error('查询处理状态失败', { error });
+      continue;
+    }
+
+    for (const watch of batch) {
+      const status = statuses[watch.videoId] || null;
+      const { events, finished } = evaluateStatus(watch, status);
+
+      for (const { event, reason } of events) {
+        await dispatchWebhook(env, watch.callbackUrl, event, {
+          platform: watch.platform,
+          videoId: watch.videoId,
+          destination: watch.destination,
+          videoPath: watch.videoPath,
+          reason: reason,
+          status: status
+        });
+        watch.notified.push(event);
+      }
+
+      if (finished) {
+        await env.UPLOAD_JOBS.delete(`watch:${watch.platform}:${watch.videoId}`);
+      } else if (events.length > 0 || JSON.stringify(status) !== JSON.stringify(watch.lastStatus)) {
+        await saveWatch(env, { ...watch, lastStatus: status });
+      }
+    }
+  }
+}
+
+/**
+ * 定时任务：检查所有跟踪中的视频，并重试发送失败的回调
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<void>}
+ */
+export async function runProcessingPoller(env) {
+  // 按平台和账号分组，每组批量查询状态
+  const groups = new Map();
+  let cursor;
+  do {
+    const page = await env.UPLOAD_JOBS.list({ prefix: 'watch:', cursor });
+    for (const { name } of page.keys) {
+      const watch = await env.UPLOAD_JOBS.get(name, 'json');
+      if (!watch) {
+        continue;
+      }
+      // 已处理完成、等待定时发布的视频在计划时间之前不需要查询
+      if (watch.notified.includes(PROCESSING_EVENTS.PROCESSED) && watch.publishAt && Date.parse(watch.publishAt) > Date.now()) {
+        continue;
+      }
+      const groupKey = `${watch.platform}:${watch.accountId}`;
+      groups.set(groupKey, [...(groups.get(groupKey) || []), watch]);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  for (const watches of groups.values()) {
+    await pollWatches(env, watches);
+  }
+
+  const retried = await retryPendingWebhooks(env);
+  rootLogger.info('处理状态轮询完成', { accounts: groups.size, retriedWebhooks: retried });
+}
@@ -0,0 +1,253 @@
+/**
+ * YouTube Data API 配额估算与预算
+ *
+ * YouTube 按 Google Cloud 项目 (OAuth 客户端) 计算每日配额，每天太平洋时间 0 点重置，默认 10000 单位。
+ * youtube.js 的每次 API 调用按官方的单位成本计入 KV (QUOTA_USAGE) 中该项目当天的用量，并按账号和操作分别统计：
+ * - usage:<日期>:<项目>  { day, project, units, accounts: { <accountId>: { units, operations: { <操作>: { calls, units } } } } }
+ * 日期为太平洋时间。项目为账号的 clientId，未设置时为 GOOGLE_CLIENT_ID；直接传入令牌的请求计入 GOOGLE_CLIENT_ID 的 _token。
+ *
+ * 调用前检查预算 (YOUTUBE_QUOTA_BUDGET，默认 10000)，超出时抛出 quotaExceeded 错误，不再请求 YouTube；
+ * 定时操作遇到 quotaExceeded 时推迟到配额重置后执行 (见 scheduler.js)。
+ * 用量为估算值：KV 不保证并发写入的原子性，同一键每秒约只能写入一次，同一项目的并发请求可能少计；
+ * 读写用量失败 (例如 KV 429) 时只记录警告，不影响已经通过检查的 API 调用。Google 控制台中的数字为准。
+ * 未绑定 QUOTA_USAGE 时不统计也不限制。
+ */
+
+import { ApiError } from './errors.js';
+import { localDate, parseDateTime } from './time.js';
+import { rootLogger } from './logger.js';
+
+// 配额按太平洋时间的自然日重置
+export const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+// 每个项目的默认每日配额
+const DEFAULT_DAILY_BUDGET = 10000;
+// 用量记录保留 3 天
+const USAGE_TTL_SECONDS = 3 * 24 * 60 * 60;
+// 直接传入令牌 (未使用已注册账号) 的请求在用量中的账号名称
+const DIRECT_TOKEN_ACCOUNT = '_token';
+
+// videos.insert 的配额成本
+const VIDEOS_INSERT_QUOTA_COST = 1600;
+// 上传一个视频的基本配额成本：videos.insert，加上上传前的频道检查 (channels.list) 和上传后的状态校验 (videos.list) 各 1 单位
+export const UPLOAD_QUOTA_COST = VIDEOS_INSERT_QUOTA_COST + 2;
+
+// YouTube Data API 各操作的配额成本 (https://developers.google.com/youtube/v3/determine_quota_cost)，
+// 以 "方法 资源" 为键，未列出的读取操作为 1 单位
+const QUOTA_COSTS = {
+  'POST videos': VIDEOS_INSERT_QUOTA_COST,
+  'PUT videos': 50,
+  'DELETE videos': 50,
+  'POST videos/rate': 50,
+  'GET search': 100,
+  'POST thumbnails/set': 50,
+  'GET captions': 50,
+  'POST captions': 400,
+  'PUT captions': 450,
+  'DELETE captions': 50,
+  'POST playlists': 50,
+  'PUT playlists': 50,
+  'DELETE playlists': 50,
+  'POST playlistItems': 50,
+  'PUT playlistItems': 50,
+  'DELETE playlistItems': 50
+};
+
+/**
+ * 估算一次 YouTube Data API 请求的配额成本
+ * @param {string} method - 请求方法
+ * @param {string} url - 请求地址
+ * @returns {{operation: string, units: number}|null} - 不是 YouTube Data API 请求，或是可续传上传中的分块 (已计入 videos.insert) 时返回 null
+ */
+export function estimateQuotaCost(method, url) {
+  const { hostname, pathname, searchParams } = new URL(url);
+  const match = /^\/(?:upload\/)?youtube\/v3\/(.+)$/.exec(pathname);
+  if (hostname !== 'www.googleapis.com' || !match || searchParams.has('upload_id')) {
+    return null;
+  }
+  // captions/<id> 为下载字幕
+  const resource = /^captions\/[^/]+$/.test(match[1]) && method === 'GET' ? 'captions/download' : match[1];
+  const operation = `${method.toUpperCase()} ${resource}`;
+  const units = resource === 'captions/download' ? 200 : QUOTA_COSTS[operation] ?? (method.toUpperCase() === 'GET' ? 1 : 50);
+  return { operation, units };
+}
+
+/**
+ * 账号所属的配额项目
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string|null} [clientId] - 账号的 OAuth 客户端 ID
+ * @returns {string}
+ */
+export function quotaProject(env, clientId) {
+  return clientId || env.GOOGLE_CLIENT_ID || 'default';
+}
+
+/**
+ * 当前的配额日期 (太平洋时间)
+ * @param {Date|number} [now] - 时间，默认为当前时间
+ * @returns {string} - YYYY-MM-DD
+ */
+export function quotaDay(now = Date.now()) {
+  return localDate(now, QUOTA_TIME_ZONE);
+}
+
+/**
+ * 某个配额日结束 (配额重置) 的时间
+ * @param {string} [day] - 配额日期，默认为今天
+ * @returns {string} - UTC ISO 8601 时间
+ */
+export function quotaResetAt(day = quotaDay()) {
+  const next = new Date(`${day}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return parseDateTime(`${next.toISOString().slice(0, 10)}T00:00:00`, QUOTA_TIME_ZONE).toISOString();
+}
+
+/**
+ * 每个项目的每日配额预算
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {number}
+ */
+export function quotaBudget(env) {
+  const budget = Number(env.YOUTUBE_QUOTA_BUDGET);
+  return Number.isFinite(budget) && budget > 0 ? budget : DEFAULT_DAILY_BUDGET;
+}
+
+/**
+ * 读取项目某天的用量记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} project - 项目 (OAuth 客户端 ID)
+ * @param {string} day - 配额日期
+ * @returns {Promise<Object>}
+ */
+async function readUsage(env, project, day) {
+  return await env.QUOTA_USAGE.get(`usage:${day}:${project}`, 'json') || { day, project, units: 0, accounts: {} };
+}
+
+/**
+ * 汇总项目的用量和剩余预算
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} usage - 用量记录
+ * @returns {Object} - { project, used, budget, remaining, accounts }
+ */
+function describeUsage(env, usage) {
+  const budget = quotaBudget(env);
+  return {
+    project: usage.project,
+    used: usage.units,
+    budget: budget,
+    remaining: Math.max(0, budget - usage.units),
+    accounts: usage.accounts
+  };
+}
+
+/**
+ * 查询账号所属项目今天的用量
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} account - 账号记录 (使用 accountId 和 clientId)
+ * @returns {Promise<Object|null>} - { project, used, budget, remaining, accountUsed, day, resetAt }，未绑定 QUOTA_USAGE 时返回 null
+ */
+export async function getAccountQuota(env, account) {
+  if (!env.QUOTA_USAGE) {
+    return null;
+  }
+  const day = quotaDay();
+  const { accounts, ...usage } = describeUsage(env, await readUsage(env, quotaProject(env, account.clientId), day));
+  return { ...usage, accountUsed: accounts[account.accountId]?.units || 0, day, resetAt: quotaResetAt(day) };
+}
+
+/**
+ * 查询某天所有项目的用量
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} [day] - 配额日期 (YYYY-MM-DD，太平洋时间)，默认为今天
+ * @returns {Promise<Object>} - { day, resetAt, budget, projects }
+ */
+export async function listQuotaUsage(env, day = quotaDay()) {
+  if (!env.QUOTA_USAGE) {
+    throw new ApiError('unsupportedOperation', '未绑定 QUOTA_USAGE，配额统计未启用');
+  }
+  const projects = [];
+  let cursor;
+  do {
+    const page = await env.QUOTA_USAGE.list({ prefix: `usage:${day}:`, cursor });
+    for (const key of page.keys) {
+      const usage = await env.QUOTA_USAGE.get(key.name, 'json');
+      if (usage) {
+        projects.push(describeUsage(env, usage));
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return { day, resetAt: quotaResetAt(day), budget: quotaBudget(env), projects };
+}
+
+/**
+ * 创建配额计量器，附加在令牌提供者上 (tokenProvider.quota)，由 youtube.js 在每次 API 调用前使用
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string|null} accountId - 已注册的账号 ID，直接传入令牌时为 null
+ * @param {function(): Promise<string|null>} [resolveProject] - 返回账号所属的项目 (OAuth 客户端 ID)，默认使用 GOOGLE_CLIENT_ID
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器，记录用量读写失败
+ * @returns {{assertAvailable: Function, spend: Function}|null} - 未绑定 QUOTA_USAGE 时返回 null
+ */
+export function quotaMeter(env, accountId, resolveProject = async () => null, logger = rootLogger) {
+  if (!env.QUOTA_USAGE) {
+    return null;
+  }
+  const account = accountId || DIRECT_TOKEN_ACCOUNT;
+  let project;
+  const getProject = async () => {
+    project ??= quotaProject(env, await resolveProject());
+    return project;
+  };
+
+  /**
+   * 检查剩余预算是否足够，不足时抛出 quotaExceeded 错误
+   * @param {number} units - 即将消耗的单位
+   * @param {string} operation - 操作说明，用于错误信息
+   * @returns {Promise<Object>} - 当前的用量记录
+   */
+  const assertAvailable = async (units, operation) => {
+    const day = quotaDay();
+    const usage = await readUsage(env, await getProject(), day);
+    const budget = quotaBudget(env);
+    if (usage.units + units > budget) {
+      throw new ApiError('quotaExceeded',
+        `项目 ${usage.project} 今天已使用约 ${usage.units} / ${budget} 单位配额，${operation} 需要 ${units} 单位，` +
+        `配额将在 ${quotaResetAt(day)} 重置`);
+    }
+    return usage;
+  };
+
+  return {
+    assertAvailable,
+
+    /**
+     * 检查预算并计入一次 API 调用的用量。只有超出预算时抛出 quotaExceeded 错误，读写用量失败时跳过统计
+     * @param {string} operation - 操作 ("方法 资源")
+     * @param {number} units - 配额成本
+     * @returns {Promise<void>}
+     */
+    async spend(operation, units) {
+      let usage;
+      try {
+        usage = await assertAvailable(units, operation);
+      } catch (error) {
+        if (error instanceof ApiError) {
+          throw error;
+        }
+        logger.warn('读取配额用量失败，本次调用不检查也不计入用量', { operation, units, error });
+        return;
+      }
+      const accountUsage = usage.accounts[account] ||= { units: 0, operations: {} };
+      const operationUsage = accountUsage.operations[operation] ||= { calls: 0, units: 0 };
+      usage.units += units;
+      accountUsage.units += units;
+      operationUsage.calls += 1;
+      operationUsage.units += units;
+      usage.updatedAt = new Date().toISOString();
+      try {
+        await env.QUOTA_USAGE.put(`usage:${usage.day}:${usage.project}`, JSON.stringify(usage), { expirationTtl: USAGE_TTL_SECONDS });
+      } catch (error) {
+        logger.warn('写入配额用量失败，本次调用不计入用量', { project: usage.project, operation, units, error });
+      }
+    }
+  };
+}
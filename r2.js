@@ -0,0 +1,30 @@
+/**
+ * R2 存储桶相关的工具函数
+ */
+
+/**
+ * 按字节范围从 R2 读取对象的一个片段，用于分块上传大文件，避免把整个视频读进内存。
+ * 读取时会校验 etag，防止上传过程中文件被替换导致拼出损坏的视频。
+ * @param {object} env - Cloudflare Worker 环境变量，包含 R2 绑定
+ * @param {Object} object - R2 对象的元数据 (来自 VIDEO_BUCKET.head)
+ * @param {number} offset - 起始字节偏移
+ * @param {number} length - 读取的字节数
+ * @returns {Promise<ArrayBuffer>} - 读取到的数据
+ */
+export async function readObjectRange(env, object, offset, length) {
+  const part = await env.VIDEO_BUCKET.get(object.key, {
+    range: { offset, length },
+    onlyIf: { etagMatches: object.etag }
+  });
+
+  if (!part) {
+    throw new Error(`在 R2 中未找到文件: ${object.key}`);
+  }
+
+  // 条件不满足时 R2 返回不带 body 的对象
+  if (!part.body) {
+    throw new Error(`R2 文件在上传过程中被修改: ${object.key}`);
+  }
+
+  return await part.arrayBuffer();
+}
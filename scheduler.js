@@ -0,0 +1,336 @@
+/**
+ * 定时操作 (D1 + Cron Trigger)
+ *
+ * 平台不支持原生定时发布，或需要"先上传、稍后公开"时，可以创建定时操作，保存在 D1 (UPLOAD_DB) 的
+ * scheduled_actions 表中 (表结构见 migrations/0002_create_scheduled_actions.sql)。定时任务每分钟执行到期的操作：
+ * - upload         创建异步上传任务 (见 jobs.js)，结果中记录任务 ID
+ * - setPrivacy     修改已发布视频的隐私状态
+ * - addToPlaylist  将已发布视频加入播放列表
+ * 操作在后台执行，必须使用已注册账号 (accountId)。执行失败时按退避间隔重试，用完后标记为 failed；
+ * YouTube 配额不足 (quotaExceeded) 时推迟到配额重置后执行，不计入失败次数 (见 quota.js)。
+ */
+
+import { getPlatformOperation, resolveDestinations } from './platforms.js';
+import { accountTokenProvider } from './tokens.js';
+import { createUploadJob } from './jobs.js';
+import { resolveIdempotencyKeys } from './idempotency.js';
+import { ApiError, errorCodeOf } from './errors.js';
+import { toUtcIso } from './time.js';
+import { quotaResetAt, UPLOAD_QUOTA_COST } from './quota.js';
+import { createLogger } from './logger.js';
+
+// 定时操作状态
+export const ACTION_STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// 第 n 次失败后的重试间隔 (分钟)，用完后标记为 failed
+const RETRY_DELAYS_MINUTES = [5, 15];
+// 每次定时任务最多执行的操作数
+const ACTIONS_PER_RUN = 20;
+// 运行中超过该时间的操作视为 Worker 被中途终止，重新执行
+const STALE_RUNNING_MS = 15 * 60 * 1000;
+// GET /schedule 每页默认和最大条数
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * 检查 D1 绑定
+ * @param {object} env - Cloudflare Worker 环境变量
+ */
+function requireDatabase(env) {
+  if (!env.UPLOAD_DB) {
+    throw new ApiError('unsupportedOperation', '未绑定 UPLOAD_DB，定时操作不可用');
+  }
+}
+
+/**
+ * 将数据库行转换为接口返回的格式
+ * @param {Object} row - scheduled_actions 表中的一行
+ * @returns {Object}
+ */
+function toAction(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    runAt: row.run_at,
+    timezone: row.timezone,
+    platforms: row.platform ? row.platform.split(',') : [],
+    payload: JSON.parse(row.payload),
+    clientKeyId: row.client_key_id,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    executedAt: row.executed_at
+  };
+}
+
+/**
+ * 列出定时操作涉及的平台
+ * @param {string} type - 操作类型
+ * @param {Object} payload - 操作参数
+ * @returns {string[]}
+ */
+export function actionPlatforms(type, payload) {
+  if (type === 'upload') {
+    return [...new Set(resolveDestinations(payload).map(destination => destination.platform.toLowerCase()))];
+  }
+  return [(payload.platform || 'youtube').toLowerCase()];
+}
+
+/**
+ * 列出定时操作使用的已注册账号
+ * @param {string} type - 操作类型
+ * @param {Object} payload - 操作参数
+ * @returns {string[]}
+ */
+export function actionAccounts(type, payload) {
+  const accountIds = type === 'upload' ? resolveDestinations(payload).map(destination => destination.accountId) : [payload.accountId];
+  return [...new Set(accountIds.filter(Boolean))];
+}
+
+/**
+ * 创建定时操作 (请求体已通过 assertValidScheduleBody 校验)
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} body - 请求体 { type, runAt, timezone?, ... }
+ * @param {string|null} clientKeyId - 创建操作的 API 密钥 ID
+ * @returns {Promise<Object>} - 新建的定时操作
+ */
+export async function createScheduledAction(env, body, clientKeyId) {
+  requireDatabase(env);
+  const { type, runAt, timezone, upload, ...params } = body;
+  // upload 中没有 timezone 时继承外层的 timezone，与校验时一致
+  const payload = type === 'upload' ? { timezone, ...upload } : params;
+  const now = new Date().toISOString();
+  const row = {
+    id: crypto.randomUUID(),
+    type,
+    status: ACTION_STATUSES.PENDING,
+    run_at: toUtcIso(runAt, timezone),
+    timezone: timezone || null,
+    platform: actionPlatforms(type, payload).join(','),
+    payload: JSON.stringify(payload),
+    client_key_id: clientKeyId,
+    attempts: 0,
+    last_error: null,
+    result: null,
+    created_at: now,
+    updated_at: now,
+    executed_at: null
+  };
+
+  await env.UPLOAD_DB.prepare(`
+    INSERT INTO scheduled_actions (id, type, status, run_at, timezone, platform, payload, client_key_id, attempts, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+  `).bind(row.id, row.type, row.status, row.run_at, row.timezone, row.platform, row.payload, row.client_key_id, now, now).run();
+  return toAction(row);
+}
+
+/**
+ * 查询单个定时操作
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} id - 操作 ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getScheduledAction(env, id) {
+  requireDatabase(env);
+  const row = await env.UPLOAD_DB.prepare('SELECT * FROM scheduled_actions WHERE id = ?').bind(id).first();
+  return row ? toAction(row) : null;
+}
+
+/**
+ * 按条件列出定时操作，按执行时间排序
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {URLSearchParams} params - 查询参数 (status, type, limit, offset)
+ * @returns {Promise<Object>} - { actions, limit, offset }
+ */
+export async function listScheduledActions(env, params) {
+  requireDatabase(env);
+  const conditions = [];
+  const bindings = [];
+  const status = params.get('status');
+  if (status) {
+    if (!Object.values(ACTION_STATUSES).includes(status)) {
+      throw new ApiError('validationFailed', `status 必须是 ${Object.values(ACTION_STATUSES).join(', ')} 之一`);
+    }
+    conditions.push('status = ?');
+    bindings.push(status);
+  }
+  if (params.get('type')) {
+    conditions.push('type = ?');
+    bindings.push(params.get('type'));
+  }
+  const limit = Math.min(Math.max(1, Number.parseInt(params.get('limit'), 10) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const offset = Math.max(0, Number.parseInt(params.get('offset'), 10) || 0);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { results } = await env.UPLOAD_DB.prepare(`SELECT * FROM scheduled_actions ${where} ORDER BY run_at, id LIMIT ? OFFSET ?`)
+    .bind(...bindings, limit, offset).all();
+  return { actions: results.map(toAction), limit, offset };
+}
+
+/**
+ * 修改待执行操作的执行时间 (请求体已通过 assertValidReschedule 校验)
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} id - 操作 ID
+ * @param {Object} body - { runAt, timezone? }
+ * @returns {Promise<Object>} - 更新后的定时操作
+ */
+export async function rescheduleAction(env, id, { runAt, timezone }) {
+  requireDatabase(env);
+  const result = await env.UPLOAD_DB.prepare(`
+    UPDATE scheduled_actions SET run_at = ?, timezone = ?, updated_at = ? WHERE id = ? AND status = ?
+  `).bind(toUtcIso(runAt, timezone), timezone || null, new Date().toISOString(), id, ACTION_STATUSES.PENDING).run();
+  return await requireChangedAction(env, id, result, '修改执行时间');
+}
+
+/**
+ * 取消待执行的操作
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} id - 操作 ID
+ * @returns {Promise<Object>} - 更新后的定时操作
+ */
+export async function cancelScheduledAction(env, id) {
+  requireDatabase(env);
+  const result = await env.UPLOAD_DB.prepare(`
+    UPDATE scheduled_actions SET status = ?, updated_at = ? WHERE id = ? AND status = ?
+  `).bind(ACTION_STATUSES.CANCELLED, new Date().toISOString(), id, ACTION_STATUSES.PENDING).run();
+  return await requireChangedAction(env, id, result, '取消');
+}
+
+/**
+ * 只有 pending 状态的操作可以修改：更新没有命中时，区分操作不存在和状态不允许
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} id - 操作 ID
+ * @param {Object} result - D1 run() 的结果
+ * @param {string} operation - 操作说明，用于错误信息
+ * @returns {Promise<Object>}
+ */
+async function requireChangedAction(env, id, result, operation) {
+  const action = await getScheduledAction(env, id);
+  if (!action) {
+    throw new ApiError('notFound', `定时操作不存在: ${id}`);
+  }
+  if (!result.meta?.changes) {
+    throw new ApiError('validationFailed', `定时操作 ${id} 当前状态为 ${action.status}，只能${operation}待执行 (pending) 的操作`);
+  }
+  return action;
+}
+
+/**
+ * 执行一个定时操作
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文，upload 操作创建的任务可能通过 waitUntil 执行
+ * @param {Object} action - 定时操作
+ * @param {import('./logger.js').Logger} logger - 带 actionId 的日志记录器
+ * @returns {Promise<Object>} - 执行结果
+ */
+async function executeAction(env, ctx, action, logger) {
+  const { type, payload } = action;
+
+  if (type === 'upload') {
+    const videoObject = await env.VIDEO_BUCKET.head(payload.videoPath);
+    if (!videoObject) {
+      throw new ApiError('notFound', `在 R2 中未找到视频文件: ${payload.videoPath}`);
+    }
+    // 配额不足时不创建任务，推迟到配额重置后再执行
+    const destinations = resolveDestinations(payload);
+    for (const destination of destinations.filter(destination => destination.platform === 'youtube')) {
+      await accountTokenProvider(env, destination.accountId, logger).quota?.assertAvailable(UPLOAD_QUOTA_COST, `定时上传 ${action.id}`);
+    }
+    // 以操作 ID 作为幂等键，重试时不会重复上传已完成的目标
+    const idempotencyKeys = await resolveIdempotencyKeys(`schedule:${action.id}`, videoObject, destinations, payload.platforms !== undefined);
+    const job = await createUploadJob(env, ctx, payload, null, videoObject, idempotencyKeys, action.clientKeyId, logger.requestId);
+    return { jobId: job.id };
+  }
+
+  const platform = payload.platform || 'youtube';
+  const tokenProvider = accountTokenProvider(env, payload.accountId, logger, platform);
+
+  if (type === 'setPrivacy') {
+    const updateMetadata = getPlatformOperation(platform, 'updateMetadata');
+    const video = await updateMetadata({ tokenProvider, videoId: payload.videoId, metadata: { privacyStatus: payload.privacyStatus }, env });
+    return { videoId: payload.videoId, privacyStatus: video.status?.privacyStatus || payload.privacyStatus };
+  }
+
+  if (type === 'addToPlaylist') {
+    const addToPlaylists = getPlatformOperation(platform, 'addToPlaylists');
+    const playlists = await addToPlaylists({
+      tokenProvider,
+      videoId: payload.videoId,
+      playlists: { ids: payload.playlistIds || [], titles: payload.playlistTitles || [], position: payload.playlistPosition ?? null },
+      env
+    });
+    const failed = playlists.filter(playlist => !playlist.success);
+    if (failed.length === playlists.length) {
+      throw new ApiError('upstreamError', `加入播放列表失败: ${failed.map(playlist => playlist.status).join('; ')}`);
+    }
+    return { videoId: payload.videoId, playlists };
+  }
+
+  throw new ApiError('unsupportedOperation', `未知的定时操作类型: ${type}`);
+}
+
+/**
+ * 定时任务：执行到期的操作
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文
+ * @returns {Promise<void>}
+ */
+export async function runScheduledActions(env, ctx) {
+  if (!env.UPLOAD_DB) {
+    return;
+  }
+
+  const now = new Date();
+  // 运行中的操作长时间没有结束，说明执行它的 Worker 已被终止，重新放回待执行
+  await env.UPLOAD_DB.prepare('UPDATE scheduled_actions SET status = ? WHERE status = ? AND updated_at < ?')
+    .bind(ACTION_STATUSES.PENDING, ACTION_STATUSES.RUNNING, new Date(now.getTime() - STALE_RUNNING_MS).toISOString()).run();
+
+  const { results } = await env.UPLOAD_DB.prepare('SELECT * FROM scheduled_actions WHERE status = ? AND run_at <= ? ORDER BY run_at LIMIT ?')
+    .bind(ACTION_STATUSES.PENDING, now.toISOString(), ACTIONS_PER_RUN).all();
+
+  for (const row of results) {
+    // 先把状态改为 running，重叠的定时任务不会重复执行同一个操作
+    const claimed = await env.UPLOAD_DB.prepare('UPDATE scheduled_actions SET status = ?, attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = ?')
+      .bind(ACTION_STATUSES.RUNNING, new Date().toISOString(), row.id, ACTION_STATUSES.PENDING).run();
+    if (!claimed.meta?.changes) {
+      continue;
+    }
+
+    const action = toAction(row);
+    const attempts = row.attempts + 1;
+    // 以操作 ID 作为请求 ID，操作创建的上传任务和上传记录也带有同一个 ID
+    const logger = createLogger({ requestId: `schedule:${action.id}`, actionId: action.id });
+    try {
+      const result = await executeAction(env, ctx, action, logger);
+      await env.UPLOAD_DB.prepare('UPDATE scheduled_actions SET status = ?, result = ?, last_error = NULL, executed_at = ?, updated_at = ? WHERE id = ?')
+        .bind(ACTION_STATUSES.DONE, JSON.stringify(result), new Date().toISOString(), new Date().toISOString(), action.id).run();
+      logger.info('定时操作已执行', { type: action.type });
+    } catch (error) {
+      const delayMinutes = RETRY_DELAYS_MINUTES[attempts - 1];
+      const lastError = `[${errorCodeOf(error)}] ${error.message}`;
+      if (errorCodeOf(error) === 'quotaExceeded') {
+        const runAt = quotaResetAt();
+        logger.warn('YouTube 配额不足，定时操作推迟执行', { type: action.type, runAt, error });
+        await env.UPLOAD_DB.prepare('UPDATE scheduled_actions SET status = ?, run_at = ?, attempts = attempts - 1, last_error = ?, updated_at = ? WHERE id = ?')
+          .bind(ACTION_STATUSES.PENDING, runAt, lastError, new Date().toISOString(), action.id).run();
+      } else if (delayMinutes === undefined) {
+        logger.error('定时操作多次失败，不再重试', { type: action.type, attempts, error });
+        await env.UPLOAD_DB.prepare('UPDATE scheduled_actions SET status = ?, last_error = ?, executed_at = ?, updated_at = ? WHERE id = ?')
+          .bind(ACTION_STATUSES.FAILED, lastError, new Date().toISOString(), new Date().toISOString(), action.id).run();
+      } else {
+        logger.warn('定时操作执行失败，稍后重试', { type: action.type, attempts, delayMinutes, error });
+        await env.UPLOAD_DB.prepare('UPDATE scheduled_actions SET status = ?, run_at = ?, last_error = ?, updated_at = ? WHERE id = ?')
+          .bind(ACTION_STATUSES.PENDING, new Date(Date.now() + delayMinutes * 60 * 1000).toISOString(), lastError, new Date().toISOString(), action.id).run();
+      }
+    }
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * API 密钥管理、上传审计日志和请求签名 (HMAC、防重放)
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { signRequest } from '../auth.js';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createMemoryKV } from './helpers/memory-kv.js';
+import { createTestEnv, callWorker, videoBytes, ADMIN_SECRET } from './helpers/worker.js';
+
+const ADMIN = { secret: null, headers: { 'X-Admin-Secret': ADMIN_SECRET } };
+
+describe('API 密钥', () => {
+  let google;
+  let env;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv({ API_KEYS: createMemoryKV() });
+    await env.VIDEO_BUCKET.put('videos/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 创建密钥并返回其 secret
+   * @param {Object} fields - 密钥设置
+   * @returns {Promise<string>}
+   */
+  const createKey = async fields => {
+    const response = await callWorker(env, 'POST', '/admin/keys', { ...ADMIN, body: fields });
+    assert.equal(response.status, 201);
+    return response.body.key.secret;
+  };
+
+  /**
+   * 用请求签名调用 Worker
+   * @param {string} method - 请求方法
+   * @param {string} path - 路径和查询参数
+   * @param {Object} options - { keyId, secret, body?, timestamp?, signature? }
+   * @returns {Promise<Object>} - callWorker 的结果
+   */
+  const callSigned = async (method, path, { keyId, secret, body, timestamp = Math.floor(Date.now() / 1000), signature }) => {
+    const text = body === undefined ? '' : JSON.stringify(body);
+    const headers = {
+      'X-API-Key-Id': keyId,
+      'X-Signature-Timestamp': String(timestamp),
+      'X-Signature': signature || await signRequest(secret, timestamp, method, path, text)
+    };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    return await callWorker(env, method, path, { secret: null, headers, body: body === undefined ? undefined : text });
+  };
+
+  describe('/admin/keys', () => {
+    it('创建、列出、停用和删除密钥', async () => {
+      const secret = await createKey({ keyId: 'n8n', label: 'n8n 工作流', routes: ['platforms.list'] });
+      const client = { secret, headers: { 'X-API-Key-Id': 'n8n' } };
+      assert.equal((await callWorker(env, 'GET', '/platforms', client)).status, 200);
+
+      const listed = await callWorker(env, 'GET', '/admin/keys', ADMIN);
+      assert.equal(listed.status, 200);
+      assert.deepEqual(listed.body.keys.map(key => [key.keyId, key.label, 'secret' in key]), [['n8n', 'n8n 工作流', false]]);
+
+      const disabled = await callWorker(env, 'PATCH', '/admin/keys/n8n', { ...ADMIN, body: { enabled: false } });
+      assert.equal(disabled.status, 200);
+      assert.equal(disabled.body.key.enabled, false);
+      assert.equal((await callWorker(env, 'GET', '/platforms', client)).status, 401);
+
+      const deleted = await callWorker(env, 'DELETE', '/admin/keys/n8n', ADMIN);
+      assert.equal(deleted.status, 200);
+      assert.equal((await callWorker(env, 'DELETE', '/admin/keys/n8n', ADMIN)).status, 404);
+    });
+
+    it('没有管理员密钥、路由名称无效或 keyId 重复时拒绝', async () => {
+      const unauthorized = await callWorker(env, 'POST', '/admin/keys', { body: { keyId: 'n8n' } });
+      assert.equal(unauthorized.status, 401);
+
+      const invalid = await callWorker(env, 'POST', '/admin/keys', { ...ADMIN, body: { keyId: 'n8n', routes: ['videos.uplaod'] } });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.details.map(detail => detail.field), ['routes']);
+
+      await createKey({ keyId: 'n8n' });
+      const duplicate = await callWorker(env, 'POST', '/admin/keys', { ...ADMIN, body: { keyId: 'n8n' } });
+      assert.equal(duplicate.status, 400);
+      assert.equal((await callWorker(env, 'PATCH', '/admin/keys/missing', { ...ADMIN, body: { enabled: false } })).status, 404);
+    });
+
+    it('密钥没有路由权限时返回 403', async () => {
+      const secret = await createKey({ keyId: 'reader', routes: ['videos.read'] });
+
+      const response = await callWorker(env, 'GET', '/platforms', { secret, headers: { 'X-API-Key-Id': 'reader' } });
+
+      assert.equal(response.status, 403);
+      assert.equal(response.body.code, 'forbidden');
+    });
+  });
+
+  describe('/admin/audit', () => {
+    it('记录触发上传的密钥，可以按 keyId 筛选', async () => {
+      const secret = await createKey({ keyId: 'n8n' });
+      const uploaded = await callWorker(env, 'POST', '/', {
+        secret,
+        token: 'test-access-token',
+        headers: { 'X-API-Key-Id': 'n8n' },
+        body: { platform: 'youtube', videoPath: 'videos/a.mp4', metadata: { title: '审计', description: 'd' } }
+      });
+      assert.equal(uploaded.status, 200);
+
+      const response = await callWorker(env, 'GET', '/admin/audit?keyId=n8n', ADMIN);
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.entries.map(entry => [entry.keyId, entry.route, entry.videoPath]), [['n8n', 'upload', 'videos/a.mp4']]);
+      assert.deepEqual((await callWorker(env, 'GET', '/admin/audit?keyId=other', ADMIN)).body.entries, []);
+    });
+
+    it('没有管理员密钥时返回 401', async () => {
+      const response = await callWorker(env, 'GET', '/admin/audit');
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'unauthorized');
+    });
+  });
+
+  describe('请求签名', () => {
+    it('签名正确的请求通过，同一签名再次使用时拒绝', async () => {
+      const secret = await createKey({ keyId: 'signer', requireSignature: true });
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      const first = await callSigned('GET', '/platforms', { keyId: 'signer', secret, timestamp });
+      assert.equal(first.status, 200);
+
+      const replayed = await callSigned('GET', '/platforms', { keyId: 'signer', secret, timestamp });
+      assert.equal(replayed.status, 401);
+      assert.match(replayed.body.error, /已被使用/);
+    });
+
+    it('请求体被修改、时间戳过期或只传 secret 时拒绝', async () => {
+      const secret = await createKey({ keyId: 'signer', requireSignature: true });
+      const body = { title: '系列 A' };
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = await signRequest(secret, timestamp, 'POST', '/playlists', JSON.stringify(body));
+
+      const tampered = await callSigned('POST', '/playlists', { keyId: 'signer', body: { title: '系列 B' }, timestamp, signature });
+      assert.equal(tampered.status, 401);
+      assert.match(tampered.body.error, /签名无效/);
+
+      const expired = await callSigned('GET', '/platforms', { keyId: 'signer', secret, timestamp: timestamp - 600 });
+      assert.equal(expired.status, 401);
+      assert.match(expired.body.error, /过期/);
+
+      const unsigned = await callWorker(env, 'GET', '/platforms', { secret, headers: { 'X-API-Key-Id': 'signer' } });
+      assert.equal(unsigned.status, 401);
+      assert.equal(google.playlists.size, 0);
+    });
+  });
+});
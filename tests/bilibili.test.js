@@ -0,0 +1,90 @@
+/**
+ * Bilibili 适配器：分片上传、封面、提交稿件、查询稿件，以及参数和 Cookie 校验
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeBilibili } from './helpers/fake-bilibili.js';
+import { createTestEnv, callWorker, videoBytes, pngImage } from './helpers/worker.js';
+
+const UPLOAD_BODY = {
+  platform: 'bilibili',
+  videoPath: 'videos/a.mp4',
+  coverPath: 'covers/a.png',
+  metadata: { title: '测试稿件', description: '本地测试', tags: ['测试', 'n8n'], tid: 17 }
+};
+
+describe('Bilibili', () => {
+  let bilibili;
+  let env;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    bilibili = installFakeBilibili();
+    env = createTestEnv();
+    await env.VIDEO_BUCKET.put('videos/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+    await env.VIDEO_BUCKET.put('covers/a.png', pngImage(1280, 720, 3), { httpMetadata: { contentType: 'image/png' } });
+  });
+
+  afterEach(() => {
+    bilibili.restore();
+    mock.restoreAll();
+  });
+
+  it('分片上传视频、上传封面并提交稿件，之后可以查询', async () => {
+    const response = await callWorker(env, 'POST', '/', { token: bilibili.cookie, body: UPLOAD_BODY });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    const [archive] = bilibili.archives;
+    assert.equal(response.body.videoId, archive.bvid);
+    assert.deepEqual(
+      [archive.csrf, archive.tid, archive.tag, archive.title, archive.videos[0].filename],
+      ['test-csrf', 17, '测试,n8n', '测试稿件', 'test-upload']
+    );
+    assert.equal(archive.cover, 'https://i0.hdslb.com/bfs/archive/cover-1.png');
+    assert.match(bilibili.covers[0].cover, /^data:image\/png;base64,/);
+
+    assert.deepEqual(bilibili.chunks.map(chunk => chunk.partNumber), [1, 2, 3]);
+    const uploaded = Buffer.concat(bilibili.chunks.map(chunk => chunk.bytes));
+    assert.ok(uploaded.equals(Buffer.from(videoBytes(20000))));
+
+    const fetched = await callWorker(env, 'GET', `/video?platform=bilibili&videoId=${archive.bvid}`, { token: bilibili.cookie });
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.videoDetails.title, '测试稿件');
+  });
+
+  it('缺少分区 ID 或标签时返回 400，不访问 Bilibili', async () => {
+    const response = await callWorker(env, 'POST', '/', {
+      token: bilibili.cookie,
+      body: { ...UPLOAD_BODY, metadata: { title: '测试稿件', description: '本地测试' } }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(detail => detail.field).sort(), ['metadata.tags', 'metadata.tid']);
+    assert.equal(bilibili.requests.length, 0);
+  });
+
+  it('Cookie 缺少 bili_jct 或已失效时返回 invalidToken', async () => {
+    const malformed = await callWorker(env, 'POST', '/', { token: 'SESSDATA=test-sessdata', body: UPLOAD_BODY });
+    assert.equal(malformed.status, 401);
+    assert.equal(malformed.body.code, 'invalidToken');
+    assert.equal(bilibili.requests.length, 0);
+
+    const expired = await callWorker(env, 'GET', '/video?platform=bilibili&videoId=BV1test101', { token: 'SESSDATA=expired; bili_jct=test-csrf' });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.code, 'invalidToken');
+  });
+
+  it('投稿过于频繁时返回 429 rateLimitExceeded', async () => {
+    bilibili.fail({ path: '/x/vu/web/add/v3', code: 21070, message: '投稿过于频繁' });
+
+    const response = await callWorker(env, 'POST', '/', { token: bilibili.cookie, body: UPLOAD_BODY });
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, 'rateLimitExceeded');
+    assert.equal(bilibili.archives.length, 0);
+  });
+});
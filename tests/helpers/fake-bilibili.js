@@ -0,0 +1,192 @@
+/**
+ * Bilibili 创作中心和 upos 上传节点的本地假实现，替换 globalThis.fetch，测试期间不访问网络
+ *
+ * 支持 Worker 用到的端点：
+ * - member.bilibili.com/preupload、upos 分片上传 (初始化、分片 PUT、合并)
+ * - /x/vu/web/cover/up、/x/vu/web/add/v3、/x/web/archives、api.bilibili.com/x/web-interface/view
+ * 上传的分片、封面和提交的稿件保存在返回的对象中，便于断言。
+ *
+ * 故障注入 (fail)：按方法和路径匹配接下来的请求，返回指定的 HTTP 状态或 Bilibili 业务错误码：
+ *   bilibili.fail({ path: '/x/vu/web/add/v3', code: 21070, message: '投稿过于频繁' })
+ *   bilibili.fail({ method: 'PUT', path: '/ugc/', status: 500 })
+ * 其他来源的请求交给安装前的 fetch (例如假 googleapis)。
+ */
+
+const UPOS_ORIGIN = 'https://upos-test.bilivideo.com';
+const UPOS_PATH = '/ugc/test-upload.mp4';
+
+/**
+ * Bilibili 业务接口格式的响应
+ * @param {number} code - 业务错误码，0 为成功
+ * @param {Object} [data] - 返回数据
+ * @param {string} [message] - 错误信息
+ * @returns {Response}
+ */
+function resultResponse(code, data = null, message = code === 0 ? '0' : 'error') {
+  return Response.json({ code, message, data });
+}
+
+/**
+ * 安装假 Bilibili
+ * @param {Object} [options]
+ * @param {string} [options.sessdata] - 有效的 SESSDATA，默认 'test-sessdata'
+ * @param {number} [options.chunkSize] - preupload 返回的分片大小，默认 8192
+ * @returns {Object} - 假服务的状态和控制方法，测试结束时调用 restore()
+ */
+export function installFakeBilibili(options = {}) {
+  const originalFetch = globalThis.fetch;
+  const state = {
+    requests: [],
+    sessdata: options.sessdata || 'test-sessdata',
+    chunks: [],
+    covers: [],
+    archives: [],
+    failures: []
+  };
+  let nextAid = 100;
+
+  /**
+   * 找到并消耗一条匹配请求的故障
+   * @param {string} method
+   * @param {string} path
+   * @returns {Object|null}
+   */
+  const takeFailure = (method, path) => {
+    const failure = state.failures.find(item =>
+      (!item.method || item.method === method) && (!item.path || path.startsWith(item.path)) && item.times > 0);
+    if (!failure) {
+      return null;
+    }
+    failure.times--;
+    return failure;
+  };
+
+  /**
+   * 处理 upos 上传节点的请求
+   * @param {URL} url
+   * @param {string} method
+   * @param {Object} init
+   * @returns {Promise<Response>}
+   */
+  const handleUpos = async (url, method, init) => {
+    if (new Headers(init.headers).get('X-Upos-Auth') !== 'test-upos-auth') {
+      return new Response('unauthorized', { status: 401 });
+    }
+    if (method === 'POST' && url.searchParams.has('uploads')) {
+      return Response.json({ OK: 1, upload_id: 'test-upload-id', bucket: 'ugc', key: UPOS_PATH });
+    }
+    if (method === 'PUT') {
+      const bytes = new Uint8Array(await new Response(init.body).arrayBuffer());
+      state.chunks.push({ partNumber: Number(url.searchParams.get('partNumber')), start: Number(url.searchParams.get('start')), bytes });
+      return new Response('MULTIPART_PUT_SUCCESS');
+    }
+    if (method === 'POST' && url.searchParams.get('uploadId') === 'test-upload-id') {
+      return Response.json({ OK: 1, location: `upos:/${UPOS_PATH}` });
+    }
+    return new Response('not found', { status: 404 });
+  };
+
+  /**
+   * 处理创作中心和 api.bilibili.com 的请求
+   * @param {URL} url
+   * @param {string} method
+   * @param {Object} init
+   * @returns {Promise<Response>}
+   */
+  const handleApi = async (url, method, init) => {
+    const cookie = new Headers(init.headers).get('Cookie') || '';
+    if (!cookie.includes(`SESSDATA=${state.sessdata}`)) {
+      return resultResponse(-101, null, '账号未登录');
+    }
+
+    if (url.pathname === '/preupload') {
+      return Response.json({
+        OK: 1,
+        endpoint: UPOS_ORIGIN.replace('https:', ''),
+        upos_uri: `upos:/${UPOS_PATH}`,
+        auth: 'test-upos-auth',
+        biz_id: 4242,
+        chunk_size: options.chunkSize || 8192
+      });
+    }
+    if (url.pathname === '/x/vu/web/cover/up' && method === 'POST') {
+      const form = new URLSearchParams(init.body);
+      state.covers.push({ cover: form.get('cover'), csrf: form.get('csrf') });
+      return resultResponse(0, { url: `https://i0.hdslb.com/bfs/archive/cover-${state.covers.length}.png` });
+    }
+    if (url.pathname === '/x/vu/web/add/v3' && method === 'POST') {
+      const aid = ++nextAid;
+      const archive = { aid, bvid: `BV1test${aid}`, csrf: url.searchParams.get('csrf'), ...JSON.parse(init.body) };
+      state.archives.push(archive);
+      return resultResponse(0, { aid, bvid: archive.bvid });
+    }
+    if (url.pathname === '/x/web/archives') {
+      const archive = state.archives.at(-1);
+      return resultResponse(0, {
+        arc_audits: archive ? [{ Archive: { aid: archive.aid, bvid: archive.bvid, title: archive.title, desc: archive.desc, cover: archive.cover, ptime: 0 } }] : []
+      });
+    }
+    if (url.pathname === '/x/web-interface/view') {
+      const archive = state.archives.find(item => item.bvid === url.searchParams.get('bvid'));
+      return archive
+        ? resultResponse(0, { aid: archive.aid, bvid: archive.bvid, title: archive.title, desc: archive.desc, tid: archive.tid })
+        : resultResponse(-404, null, '啥都木有');
+    }
+    return new Response('not found', { status: 404 });
+  };
+
+  /**
+   * 替换后的 fetch
+   * @param {string|URL|Request} input
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  const fakeFetch = async (input, init = {}) => {
+    const url = new URL(input instanceof Request ? input.url : input);
+    const method = (init.method || 'GET').toUpperCase();
+    if (url.origin !== UPOS_ORIGIN && !url.hostname.endsWith('.bilibili.com')) {
+      return await originalFetch(input, init);
+    }
+    state.requests.push({ method, url: url.toString(), path: url.pathname });
+
+    const failure = takeFailure(method, url.pathname);
+    if (failure) {
+      return failure.code === undefined
+        ? new Response(failure.message || 'error', { status: failure.status })
+        : resultResponse(failure.code, null, failure.message);
+    }
+    return url.origin === UPOS_ORIGIN ? await handleUpos(url, method, init) : await handleApi(url, method, init);
+  };
+
+  globalThis.fetch = fakeFetch;
+
+  return Object.assign(state, {
+    /** 有效的登录 Cookie */
+    cookie: `SESSDATA=${state.sessdata}; bili_jct=test-csrf`,
+
+    /**
+     * 注入故障，匹配的请求依次消耗
+     * @param {Object} failure - { method?, path?, status? (默认 500), code?, message?, times? (默认 1) }
+     */
+    fail(failure) {
+      state.failures.push({ times: 1, status: 500, ...failure });
+    },
+
+    /**
+     * 按方法和路径筛选记录的请求
+     * @param {string} method
+     * @param {string} path
+     * @returns {Object[]}
+     */
+    requestsTo(method, path) {
+      return state.requests.filter(request => request.method === method && request.path === path);
+    },
+
+    /**
+     * 恢复原来的 fetch
+     */
+    restore() {
+      globalThis.fetch = originalFetch;
+    }
+  });
+}
@@ -0,0 +1,382 @@
+/**
+ * googleapis 的本地假实现，替换 globalThis.fetch，测试期间不访问网络
+ *
+ * 支持 Worker 用到的端点：
+ * - oauth2.googleapis.com/token、/revoke   刷新和撤销令牌
+ * - videos.insert (可续传上传：发起会话、分块 PUT、查询进度)、videos.list / update / delete
+ * - thumbnails.set、search.list、channels.list、playlists.list / insert、playlistItems.list / insert、captions.list / insert / update
+ * 上传的视频、封面和请求记录保存在返回的对象中，便于断言。
+ *
+ * 故障注入 (fail)：按方法和路径匹配接下来的请求，返回指定的错误，或在发送了一部分数据后断开连接：
+ *   google.fail({ method: 'POST', path: '/upload/youtube/v3/videos', status: 403, reason: 'quotaExceeded' })
+ *   google.fail({ method: 'PUT', path: '/upload/youtube/v3/videos', drop: true, afterBytes: 1000 })
+ * 非 Google 的请求会直接抛出异常。
+ */
+
+const API_ORIGIN = 'https://www.googleapis.com';
+
+/**
+ * Google API 格式的错误响应
+ * @param {number} status - HTTP 状态码
+ * @param {string} reason - 错误原因，例如 quotaExceeded
+ * @param {string} [message] - 错误信息
+ * @returns {Response}
+ */
+function errorResponse(status, reason, message = reason) {
+  return Response.json({ error: { code: status, message, errors: [{ reason, message }] } }, { status });
+}
+
+/**
+ * 读取请求体为 Uint8Array
+ * @param {*} body - fetch 的 body 参数
+ * @returns {Promise<Uint8Array>}
+ */
+async function readBody(body) {
+  if (body === undefined || body === null) {
+    return new Uint8Array(0);
+  }
+  return new Uint8Array(await new Response(body).arrayBuffer());
+}
+
+/**
+ * 安装假 googleapis
+ * @param {Object} [options]
+ * @param {string[]} [options.tokens] - 直接传入时有效的访问令牌 (Authorization 头)，默认 ['test-access-token']
+ * @param {Object} [options.channel] - 令牌所属的频道 { id, title }
+ * @returns {Object} - 假服务的状态和控制方法，测试结束时调用 restore()
+ */
+export function installFakeGoogle(options = {}) {
+  const originalFetch = globalThis.fetch;
+  const channel = { id: 'UCtestchannel0000000000a', title: 'Test Channel', ...options.channel };
+  const state = {
+    requests: [],
+    validTokens: new Set(options.tokens || ['test-access-token']),
+    issuedTokens: 0,
+    sessions: new Map(),
+    videos: new Map(),
+    thumbnails: new Map(),
+    playlists: new Map(),
+    playlistItems: [],
+    captions: new Map(),
+    failures: [],
+    channel
+  };
+  let nextId = 0;
+
+  /**
+   * 找到并消耗一条匹配请求的故障
+   * @param {string} method
+   * @param {string} path
+   * @returns {Object|null}
+   */
+  const takeFailure = (method, path) => {
+    const failure = state.failures.find(item =>
+      (!item.method || item.method === method) && (!item.path || path.startsWith(item.path)) && item.times > 0);
+    if (!failure) {
+      return null;
+    }
+    failure.times--;
+    return failure;
+  };
+
+  /**
+   * 生成 videos 资源
+   * @param {Object} video - 保存的视频
+   * @returns {Object}
+   */
+  const videoResource = video => ({
+    id: video.id,
+    snippet: video.snippet,
+    status: { uploadStatus: 'uploaded', ...video.status },
+    processingDetails: { processingStatus: 'succeeded' },
+    contentDetails: { duration: 'PT1M' },
+    statistics: { viewCount: '0' }
+  });
+
+  /**
+   * 可续传上传会话的 308 响应
+   * @param {Object} session
+   * @returns {Response}
+   */
+  const incomplete = session => new Response(null, {
+    status: 308,
+    headers: session.receivedBytes > 0 ? { Range: `bytes=0-${session.receivedBytes - 1}` } : {}
+  });
+
+  /**
+   * 上传完成：创建视频资源
+   * @param {Object} session
+   * @returns {Response}
+   */
+  const completeSession = session => {
+    const id = `video-${++nextId}`;
+    const metadata = session.metadata;
+    const video = {
+      id,
+      snippet: { ...metadata.snippet, channelId: channel.id, publishedAt: new Date().toISOString() },
+      status: { ...metadata.status },
+      bytes: new Uint8Array(Buffer.concat(session.chunks)),
+      contentType: session.contentType
+    };
+    state.videos.set(id, video);
+    session.videoId = id;
+    return Response.json(videoResource(video), { status: 201 });
+  };
+
+  /**
+   * 记录上传会话收到的数据
+   * @param {Object} session
+   * @param {Uint8Array} bytes
+   */
+  const receive = (session, bytes) => {
+    session.chunks.push(bytes);
+    session.receivedBytes += bytes.byteLength;
+  };
+
+  /**
+   * 处理发送到上传会话的 PUT：查询进度或接收一个分块
+   * @param {Object} session
+   * @param {Object} init - fetch 参数
+   * @param {Object|null} failure - 注入的断线故障
+   * @returns {Promise<Response>}
+   */
+  const handleSessionPut = async (session, init, failure) => {
+    if (session.videoId) {
+      return Response.json(videoResource(state.videos.get(session.videoId)), { status: 200 });
+    }
+    const range = new Headers(init.headers).get('Content-Range') || '';
+    if (range.startsWith('bytes */')) {
+      return incomplete(session);
+    }
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(range);
+    const chunk = await readBody(init.body);
+    if (!match || Number(match[1]) !== session.receivedBytes) {
+      // 与服务器已确认的位置不一致，客户端需要先查询进度
+      return incomplete(session);
+    }
+    if (failure?.drop) {
+      // 服务器收到了一部分数据后连接断开
+      receive(session, chunk.subarray(0, failure.afterBytes ?? 0));
+      throw new TypeError('Network connection lost.');
+    }
+    receive(session, chunk);
+    return session.receivedBytes >= session.totalBytes ? completeSession(session) : incomplete(session);
+  };
+
+  /**
+   * 处理 googleapis 请求
+   * @param {URL} url
+   * @param {string} method
+   * @param {Object} init
+   * @param {Object|null} failure
+   * @returns {Promise<Response>}
+   */
+  const handleApi = async (url, method, init, failure) => {
+    const path = url.pathname;
+    const params = url.searchParams;
+
+    if (path === '/upload/youtube/v3/videos' && params.has('upload_id')) {
+      const session = state.sessions.get(params.get('upload_id'));
+      return session ? await handleSessionPut(session, init, failure) : errorResponse(404, 'notFound', 'upload session not found');
+    }
+
+    if (method === 'POST' && path === '/upload/youtube/v3/videos') {
+      const headers = new Headers(init.headers);
+      const uploadId = `upload-${++nextId}`;
+      state.sessions.set(uploadId, {
+        metadata: JSON.parse(new TextDecoder().decode(await readBody(init.body))),
+        totalBytes: Number(headers.get('X-Upload-Content-Length')),
+        contentType: headers.get('X-Upload-Content-Type'),
+        chunks: [],
+        receivedBytes: 0
+      });
+      return new Response(null, {
+        status: 200,
+        headers: { Location: `${API_ORIGIN}/upload/youtube/v3/videos?uploadType=resumable&upload_id=${uploadId}` }
+      });
+    }
+
+    if (path === '/youtube/v3/videos') {
+      if (method === 'GET') {
+        const ids = (params.get('id') || '').split(',');
+        return Response.json({ items: ids.filter(id => state.videos.has(id)).map(id => videoResource(state.videos.get(id))) });
+      }
+      if (method === 'PUT') {
+        const resource = JSON.parse(new TextDecoder().decode(await readBody(init.body)));
+        const video = state.videos.get(resource.id);
+        if (!video) {
+          return errorResponse(404, 'videoNotFound');
+        }
+        Object.assign(video, { snippet: { ...video.snippet, ...resource.snippet }, status: resource.status });
+        return Response.json(videoResource(video));
+      }
+      if (method === 'DELETE') {
+        return state.videos.delete(params.get('id')) ? new Response(null, { status: 204 }) : errorResponse(404, 'videoNotFound');
+      }
+    }
+
+    if (method === 'POST' && path === '/upload/youtube/v3/thumbnails/set') {
+      const videoId = params.get('videoId');
+      if (!state.videos.has(videoId)) {
+        return errorResponse(404, 'videoNotFound');
+      }
+      state.thumbnails.set(videoId, { bytes: await readBody(init.body), contentType: new Headers(init.headers).get('Content-Type') });
+      return Response.json({ items: [{ default: { url: `https://i.ytimg.com/vi/${videoId}/default.jpg` } }] });
+    }
+
+    if (method === 'GET' && path === '/youtube/v3/search') {
+      const latest = [...state.videos.values()].reverse().slice(0, Number(params.get('maxResults') || 5));
+      return Response.json({ items: latest.map(video => ({ id: { kind: 'youtube#video', videoId: video.id }, snippet: video.snippet })) });
+    }
+
+    if (method === 'GET' && path === '/youtube/v3/channels') {
+      const matches = params.get('mine') === 'true' || params.get('id') === channel.id;
+      return Response.json({
+        items: matches ? [{
+          id: channel.id,
+          snippet: { title: channel.title },
+          statistics: { subscriberCount: '10', videoCount: String(state.videos.size), viewCount: '0' },
+          contentDetails: { relatedPlaylists: { uploads: `UU${channel.id.slice(2)}` } }
+        }] : []
+      });
+    }
+
+    if (path === '/youtube/v3/playlistItems') {
+      if (method === 'GET') {
+        const playlistId = params.get('playlistId');
+        const videoIds = playlistId === `UU${channel.id.slice(2)}`
+          ? [...state.videos.keys()].reverse()
+          : state.playlistItems.filter(item => item.playlistId === playlistId).map(item => item.videoId);
+        return Response.json({
+          items: videoIds.slice(0, Number(params.get('maxResults') || 5)).map(videoId => ({
+            snippet: { ...state.videos.get(videoId)?.snippet, resourceId: { kind: 'youtube#video', videoId } },
+            contentDetails: { videoId }
+          }))
+        });
+      }
+      if (method === 'POST') {
+        const resource = JSON.parse(new TextDecoder().decode(await readBody(init.body)));
+        const item = { id: `item-${++nextId}`, playlistId: resource.snippet.playlistId, videoId: resource.snippet.resourceId.videoId };
+        if (!state.playlists.has(item.playlistId)) {
+          return errorResponse(404, 'playlistNotFound');
+        }
+        state.playlistItems.push(item);
+        return Response.json({ id: item.id, snippet: { ...resource.snippet, position: state.playlistItems.length - 1 } });
+      }
+    }
+
+    if (method === 'GET' && path === '/youtube/v3/captions') {
+      const videoId = params.get('videoId');
+      return Response.json({
+        items: [...state.captions.values()].filter(caption => caption.videoId === videoId).map(({ id, snippet }) => ({ id, snippet }))
+      });
+    }
+
+    // captions.insert / update 的请求体为 multipart/related：第一部分是 JSON 元数据，第二部分是字幕文件
+    if (path === '/upload/youtube/v3/captions' && (method === 'POST' || method === 'PUT')) {
+      const body = new TextDecoder().decode(await readBody(init.body));
+      const [, metadataPart, filePart] = body.split(/--cfworker-upload-[\w-]+(?:--)?/);
+      const resource = JSON.parse(metadataPart.slice(metadataPart.indexOf('{')).trim());
+      const content = filePart.slice(filePart.indexOf('\r\n\r\n') + 4, -2);
+      if (method === 'PUT') {
+        const caption = state.captions.get(resource.id);
+        if (!caption) {
+          return errorResponse(404, 'captionNotFound');
+        }
+        Object.assign(caption, { snippet: { ...caption.snippet, ...resource.snippet }, content });
+        return Response.json({ id: caption.id, snippet: caption.snippet });
+      }
+      if (!state.videos.has(resource.snippet.videoId)) {
+        return errorResponse(404, 'videoNotFound');
+      }
+      const caption = { id: `caption-${++nextId}`, videoId: resource.snippet.videoId, snippet: { ...resource.snippet, trackKind: 'standard' }, content };
+      state.captions.set(caption.id, caption);
+      return Response.json({ id: caption.id, snippet: caption.snippet });
+    }
+
+    if (path === '/youtube/v3/playlists') {
+      if (method === 'GET') {
+        return Response.json({ items: [...state.playlists.values()] });
+      }
+      if (method === 'POST') {
+        const resource = JSON.parse(new TextDecoder().decode(await readBody(init.body)));
+        const playlist = { id: `PL-${++nextId}`, snippet: resource.snippet, status: resource.status, contentDetails: { itemCount: 0 } };
+        state.playlists.set(playlist.id, playlist);
+        return Response.json(playlist);
+      }
+    }
+
+    return errorResponse(404, 'notFound', `fake googleapis 未实现: ${method} ${path}`);
+  };
+
+  /**
+   * 替换后的 fetch
+   * @param {string|URL|Request} input
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  const fakeFetch = async (input, init = {}) => {
+    const url = new URL(input instanceof Request ? input.url : String(input));
+    const method = (init.method || 'GET').toUpperCase();
+    const authorization = new Headers(init.headers).get('Authorization');
+    state.requests.push({ method, url: url.toString(), path: url.pathname, authorization });
+
+    if (url.origin === 'https://oauth2.googleapis.com') {
+      if (url.pathname === '/token') {
+        const token = `refreshed-token-${++state.issuedTokens}`;
+        state.validTokens.add(token);
+        return Response.json({ access_token: token, expires_in: 3600, token_type: 'Bearer' });
+      }
+      return new Response(null, { status: 200 });
+    }
+    if (url.origin !== API_ORIGIN) {
+      throw new Error(`测试中不允许访问网络: ${method} ${url}`);
+    }
+
+    const failure = takeFailure(method, url.pathname);
+    if (failure && !failure.drop) {
+      return errorResponse(failure.status, failure.reason || 'backendError', failure.message);
+    }
+    // 上传会话地址本身就是凭证，分块 PUT 也带有令牌，一并检查
+    if (!state.validTokens.has(authorization?.replace(/^Bearer /, ''))) {
+      return errorResponse(401, 'authError', 'Invalid Credentials');
+    }
+    return await handleApi(url, method, init, failure);
+  };
+
+  globalThis.fetch = fakeFetch;
+
+  return Object.assign(state, {
+    /**
+     * 注入故障，匹配的请求依次消耗
+     * @param {Object} failure - { method?, path?, status?, reason?, message?, drop?, afterBytes?, times? (默认 1) }
+     */
+    fail(failure) {
+      state.failures.push({ times: 1, status: 500, ...failure });
+    },
+
+    /**
+     * 使所有访问令牌失效，之后的请求返回 401
+     */
+    revokeTokens() {
+      state.validTokens.clear();
+    },
+
+    /**
+     * 按方法和路径筛选记录的请求
+     * @param {string} method
+     * @param {string} path
+     * @returns {Object[]}
+     */
+    requestsTo(method, path) {
+      return state.requests.filter(request => request.method === method && request.path === path);
+    },
+
+    /**
+     * 恢复原来的 fetch
+     */
+    restore() {
+      globalThis.fetch = originalFetch;
+    }
+  });
+}
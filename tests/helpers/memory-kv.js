@@ -0,0 +1,50 @@
+/**
+ * 内存中的 KV 命名空间，实现 Worker 用到的 KVNamespace 接口 (get / put / delete / list)
+ *
+ * expirationTtl 只被记录，不会让条目过期；put 时的 metadata 在 list 中返回。
+ * 与 KV 一样，键超过 512 字节时 put 抛出异常。
+ */
+
+/**
+ * 创建内存 KV 命名空间
+ * @returns {Object} - KVNamespace 兼容对象，entries 为 key -> { value, options } 的 Map，便于测试直接检查
+ */
+export function createMemoryKV() {
+  const entries = new Map();
+
+  return {
+    entries,
+
+    async get(key, options) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      const type = typeof options === 'string' ? options : options?.type;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+
+    async put(key, value, options = {}) {
+      if (new TextEncoder().encode(key).byteLength > 512) {
+        throw new Error(`KV PUT failed: 414 UTF-8 encoded length of ${key.length} exceeds key length limit of 512.`);
+      }
+      entries.set(key, { value: String(value), options });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list({ prefix = '', cursor, limit = 1000 } = {}) {
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const complete = start + limit >= keys.length;
+      return {
+        keys: page.map(name => ({ name, metadata: entries.get(name).options.metadata })),
+        list_complete: complete,
+        cursor: complete ? undefined : String(start + limit)
+      };
+    }
+  };
+}
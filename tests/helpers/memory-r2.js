@@ -0,0 +1,203 @@
+/**
+ * 内存中的 R2 存储桶，实现 Worker 用到的 R2Bucket 接口 (head / get / put / delete / list 和 multipart upload)
+ *
+ * get 支持 range 和 onlyIf.etagMatches：条件不满足时与 R2 一样返回不带 body 的对象。
+ * multipart upload 与 R2 一样要求除最后一块外大小一致，complete 时按 etag 核对分块。
+ */
+
+/**
+ * 把写入的数据统一转换为 Uint8Array
+ * @param {string|ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  }
+  return new Uint8Array(data);
+}
+
+/**
+ * 生成 R2 对象的元数据部分 (head / list 的结果)
+ * @param {Object} entry - 存储的条目
+ * @returns {Object}
+ */
+function describe(entry) {
+  return {
+    key: entry.key,
+    size: entry.bytes.byteLength,
+    etag: entry.etag,
+    httpEtag: `"${entry.etag}"`,
+    uploaded: entry.uploaded,
+    httpMetadata: { ...entry.httpMetadata },
+    customMetadata: { ...entry.customMetadata }
+  };
+}
+
+/**
+ * 生成带 body 的 R2 对象 (get 的结果)
+ * @param {Object} entry - 存储的条目
+ * @param {Uint8Array} bytes - 返回的数据 (可能是范围读取的片段)
+ * @returns {Object}
+ */
+function withBody(entry, bytes) {
+  const copy = () => bytes.slice().buffer;
+  return {
+    ...describe(entry),
+    body: new Blob([bytes]).stream(),
+    arrayBuffer: async () => copy(),
+    text: async () => new TextDecoder().decode(bytes),
+    json: async () => JSON.parse(new TextDecoder().decode(bytes))
+  };
+}
+
+/**
+ * 读取分块内容 (ReadableStream 或二进制数据)
+ * @param {ReadableStream|ArrayBuffer|ArrayBufferView|string} value
+ * @returns {Promise<Uint8Array>}
+ */
+async function readPart(value) {
+  if (value instanceof ReadableStream) {
+    return new Uint8Array(await new Response(value).arrayBuffer());
+  }
+  return toBytes(value);
+}
+
+/**
+ * 创建内存存储桶
+ * @returns {Object} - R2Bucket 兼容对象，objects 为 key -> 条目的 Map，便于测试直接检查
+ */
+export function createMemoryBucket() {
+  const objects = new Map();
+  // uploadId -> { key, options, parts: Map<partNumber, { etag, bytes }> }
+  const uploads = new Map();
+  let version = 0;
+
+  const store = (key, bytes, options = {}) => {
+    const entry = {
+      key,
+      bytes,
+      etag: `etag-${++version}`,
+      uploaded: new Date(),
+      httpMetadata: options.httpMetadata || {},
+      customMetadata: options.customMetadata || {}
+    };
+    objects.set(key, entry);
+    return describe(entry);
+  };
+
+  const multipartUpload = (key, uploadId) => ({
+    key,
+    uploadId,
+
+    async uploadPart(partNumber, value) {
+      const upload = uploads.get(uploadId);
+      if (!upload) {
+        throw new Error(`The specified multipart upload does not exist. (10024) ${uploadId}`);
+      }
+      const part = { partNumber, etag: `part-${++version}`, bytes: await readPart(value) };
+      upload.parts.set(partNumber, part);
+      return { partNumber, etag: part.etag };
+    },
+
+    async complete(parts) {
+      const upload = uploads.get(uploadId);
+      if (!upload) {
+        throw new Error(`The specified multipart upload does not exist. (10024) ${uploadId}`);
+      }
+      const chunks = parts.map(({ partNumber, etag }) => {
+        const part = upload.parts.get(partNumber);
+        if (!part || part.etag !== etag) {
+          throw new Error(`分块 ${partNumber} 不存在或 etag 不一致`);
+        }
+        return part.bytes;
+      });
+      if (chunks.slice(0, -1).some(chunk => chunk.byteLength !== chunks[0].byteLength)) {
+        throw new Error('除最后一块外分块大小必须一致');
+      }
+      const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+      chunks.reduce((offset, chunk) => {
+        bytes.set(chunk, offset);
+        return offset + chunk.byteLength;
+      }, 0);
+      uploads.delete(uploadId);
+      return store(key, bytes, upload.options);
+    },
+
+    async abort() {
+      uploads.delete(uploadId);
+    }
+  });
+
+  return {
+    objects,
+    uploads,
+
+    async put(key, data, options = {}) {
+      return store(key, toBytes(data), options);
+    },
+
+    async createMultipartUpload(key, options = {}) {
+      const uploadId = `upload-${++version}`;
+      uploads.set(uploadId, { key, options, parts: new Map() });
+      return multipartUpload(key, uploadId);
+    },
+
+    resumeMultipartUpload(key, uploadId) {
+      return multipartUpload(key, uploadId);
+    },
+
+    async head(key) {
+      const entry = objects.get(key);
+      return entry ? describe(entry) : null;
+    },
+
+    async get(key, options = {}) {
+      const entry = objects.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (options.onlyIf?.etagMatches && options.onlyIf.etagMatches !== entry.etag) {
+        return describe(entry);
+      }
+      if (options.range) {
+        const { offset = 0, length = entry.bytes.byteLength - offset } = options.range;
+        return withBody(entry, entry.bytes.subarray(offset, offset + length));
+      }
+      return withBody(entry, entry.bytes);
+    },
+
+    async delete(keys) {
+      for (const key of [].concat(keys)) {
+        objects.delete(key);
+      }
+    },
+
+    async list({ prefix = '', cursor, limit = 1000, delimiter } = {}) {
+      let keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+      const delimitedPrefixes = new Set();
+      if (delimiter) {
+        keys = keys.filter(key => {
+          const index = key.indexOf(delimiter, prefix.length);
+          if (index >= 0) {
+            delimitedPrefixes.add(key.slice(0, index + delimiter.length));
+            return false;
+          }
+          return true;
+        });
+      }
+      const start = cursor ? Number(cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const truncated = start + limit < keys.length;
+      return {
+        objects: page.map(key => describe(objects.get(key))),
+        delimitedPrefixes: [...delimitedPrefixes],
+        truncated,
+        cursor: truncated ? String(start + limit) : undefined
+      };
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * 记录语句的 D1 数据库，实现 Worker 用到的 D1Database 接口 (prepare / bind / run / first / all / batch)
+ *
+ * 不执行 SQL：每条语句连同绑定的参数记录在 statements 中，查询结果由测试通过 respond 按 SQL 片段指定，
+ * 没有匹配的查询返回空结果。
+ */
+
+/**
+ * 创建记录语句的 D1 数据库
+ * @returns {Object} - D1Database 兼容对象，statements 为 { sql, bindings } 数组，respond(fragment, rows) 指定查询结果
+ */
+export function createRecordingD1() {
+  const statements = [];
+  const responses = [];
+
+  /**
+   * 查找 SQL 对应的查询结果
+   * @param {string} sql - SQL 语句
+   * @returns {Object[]}
+   */
+  const rowsFor = sql => responses.find(({ fragment }) => sql.includes(fragment))?.rows || [];
+
+  return {
+    statements,
+
+    respond(fragment, rows) {
+      responses.unshift({ fragment, rows });
+    },
+
+    prepare(sql) {
+      const statement = { sql: sql.replace(/\s+/g, ' ').trim(), bindings: [] };
+      return {
+        bind(...bindings) {
+          statement.bindings = bindings;
+          return this;
+        },
+        async run() {
+          statements.push(statement);
+          return { success: true, meta: { changes: 1 } };
+        },
+        async first() {
+          statements.push(statement);
+          return rowsFor(statement.sql)[0] || null;
+        },
+        async all() {
+          statements.push(statement);
+          return { success: true, results: rowsFor(statement.sql) };
+        }
+      };
+    },
+
+    async batch(prepared) {
+      return await Promise.all(prepared.map(statement => statement.all()));
+    }
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * 在 Node 中直接调用 Worker 的 fetch 处理函数
+ *
+ * createTestEnv 用内存 R2 / KV 组装环境变量 (不绑定 UPLOAD_DB、UPLOAD_QUEUE 和 API_KEYS，对应功能按未绑定处理)，
+ * callWorker 发送请求并解析 JSON 响应，后台任务 (ctx.waitUntil) 可以通过 ctx.settle() 等待完成。
+ * 导入时补上 Node 中没有的 crypto.DigestStream。
+ */
+
+import { createHash } from 'node:crypto';
+import worker from '../../upload_video.js';
+import { createMemoryBucket } from './memory-r2.js';
+import { createMemoryKV } from './memory-kv.js';
+
+export const API_SECRET = 'test-api-secret';
+export const ADMIN_SECRET = 'test-admin-secret';
+
+// Workers 运行时的 crypto.DigestStream (流式计算摘要)，Node 中没有，用 node:crypto 实现
+if (!globalThis.crypto.DigestStream) {
+  globalThis.crypto.DigestStream = class DigestStream extends WritableStream {
+    constructor(algorithm) {
+      const hash = createHash(algorithm.replace('-', '').toLowerCase());
+      let resolveDigest;
+      super({
+        write(chunk) {
+          hash.update(chunk);
+        },
+        close() {
+          const digest = hash.digest();
+          resolveDigest(digest.buffer.slice(digest.byteOffset, digest.byteOffset + digest.byteLength));
+        }
+      });
+      this.digest = new Promise(resolve => {
+        resolveDigest = resolve;
+      });
+    }
+  };
+}
+
+/**
+ * 组装测试用的环境变量
+ * @param {Object} [overrides] - 覆盖或追加的绑定
+ * @returns {Object}
+ */
+export function createTestEnv(overrides = {}) {
+  return {
+    API_SECRET,
+    ADMIN_SECRET,
+    GOOGLE_CLIENT_ID: 'test-client-id',
+    GOOGLE_CLIENT_SECRET: 'test-client-secret',
+    WEBHOOK_SECRET: 'test-webhook-secret',
+    VIDEO_BUCKET: createMemoryBucket(),
+    UPLOAD_JOBS: createMemoryKV(),
+    UPLOAD_RECORDS: createMemoryKV(),
+    OAUTH_ACCOUNTS: createMemoryKV(),
+    METADATA_PRESETS: createMemoryKV(),
+    QUOTA_USAGE: createMemoryKV(),
+    ...overrides
+  };
+}
+
+/**
+ * Worker 执行上下文，记录 waitUntil 交给后台的任务
+ * @returns {{waitUntil: Function, settle: Function, promises: Promise[]}}
+ */
+export function createExecutionContext() {
+  const promises = [];
+  return {
+    promises,
+    waitUntil(promise) {
+      promises.push(promise);
+    },
+    // 等待所有后台任务完成 (任务中可能继续调用 waitUntil)
+    async settle() {
+      for (let settled = 0; settled < promises.length; settled++) {
+        await promises[settled];
+      }
+    }
+  };
+}
+
+/**
+ * 调用 Worker 的 fetch 处理函数
+ * @param {Object} env - createTestEnv 返回的环境变量
+ * @param {string} method - 请求方法
+ * @param {string} path - 路径和查询参数，例如 /video?videoId=x
+ * @param {Object} [options]
+ * @param {*} [options.body] - 请求体，对象会被序列化为 JSON，字符串和 Uint8Array 原样发送
+ * @param {Object} [options.headers] - 额外的请求头
+ * @param {string|null} [options.secret] - X-API-Secret，默认使用 API_SECRET，null 时不发送
+ * @param {string} [options.token] - Authorization 头中的访问令牌
+ * @param {Object} [options.ctx] - 执行上下文，默认新建
+ * @returns {Promise<{status: number, headers: Headers, body: Object, ctx: Object}>}
+ */
+export async function callWorker(env, method, path, options = {}) {
+  const headers = new Headers(options.headers);
+  const secret = options.secret === undefined ? API_SECRET : options.secret;
+  if (secret) {
+    headers.set('X-API-Secret', secret);
+  }
+  if (options.token) {
+    headers.set('Authorization', `Bearer ${options.token}`);
+  }
+  let body = options.body;
+  if (body !== undefined && typeof body !== 'string' && !ArrayBuffer.isView(body)) {
+    body = JSON.stringify(body);
+    headers.set('Content-Type', 'application/json');
+  }
+
+  const ctx = options.ctx || createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, { method, headers, body }), env, ctx);
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null, ctx };
+}
+
+/**
+ * 生成测试视频内容 (按位置重复的字节，便于检查拼接是否正确)
+ * @param {number} size - 字节数
+ * @returns {Uint8Array}
+ */
+export function videoBytes(size) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    bytes[i] = (i * 31 + (i >> 8)) & 0xFF;
+  }
+  return bytes;
+}
+
+/**
+ * 生成只有文件头的 PNG，足够让封面检查识别格式和尺寸
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [marker] - 写在末尾的标记字节，用于区分不同的封面
+ * @returns {Uint8Array}
+ */
+export function pngImage(width, height, marker = 0) {
+  const bytes = new Uint8Array(64);
+  bytes.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(16, width);
+  view.setUint32(20, height);
+  bytes[63] = marker;
+  return bytes;
+}
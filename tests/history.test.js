@@ -0,0 +1,103 @@
+/**
+ * 上传历史 (GET /uploads)：D1 查询条件、分页和单条记录
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryKV } from './helpers/memory-kv.js';
+import { createRecordingD1 } from './helpers/recording-d1.js';
+import { createTestEnv, callWorker, ADMIN_SECRET } from './helpers/worker.js';
+
+const UPLOAD_ROW = {
+  id: 'upload-1',
+  status: 'failed',
+  platform: 'youtube',
+  destination: 'youtube',
+  account_id: 'main',
+  client_key_id: 'n8n',
+  job_id: null,
+  request_id: 'req-1',
+  idempotency_key: 'key-1',
+  video_path: 'videos/a_b.mp4',
+  video_size: 20000,
+  video_etag: 'etag-1',
+  title: '测试视频',
+  publish_at: null,
+  video_id: null,
+  privacy_status: null,
+  thumbnail_status: null,
+  error_code: 'upstreamError',
+  error_message: 'backendError',
+  result: null,
+  started_at: '2026-10-18T00:00:00.000Z',
+  finished_at: '2026-10-18T00:00:05.000Z',
+  duration_ms: 5000,
+  timings: '{"r2Read":10,"total":5000}'
+};
+
+describe('上传历史', () => {
+  let env;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    env = createTestEnv({ API_KEYS: createMemoryKV(), UPLOAD_DB: createRecordingD1() });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('GET /uploads 按条件查询并分页', async () => {
+    env.UPLOAD_DB.respond('SELECT COUNT(*)', [{ total: 3 }]);
+    env.UPLOAD_DB.respond('SELECT * FROM uploads', [UPLOAD_ROW]);
+
+    const response = await callWorker(env, 'GET', '/uploads?platform=youtube&status=failed&q=a_b&limit=1');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      [response.body.total, response.body.limit, response.body.offset, response.body.nextOffset],
+      [3, 1, 0, 1]
+    );
+    const [upload] = response.body.uploads;
+    assert.deepEqual([upload.id, upload.errorCode, upload.videoPath, upload.clientKeyId], ['upload-1', 'upstreamError', 'videos/a_b.mp4', 'n8n']);
+    assert.deepEqual(upload.timings, { r2Read: 10, total: 5000 });
+    const query = env.UPLOAD_DB.statements.find(({ sql }) => sql.startsWith('SELECT * FROM uploads'));
+    assert.ok(query.bindings.includes('failed'));
+    assert.ok(query.bindings.includes('%a\\_b%'));
+  });
+
+  it('GET /uploads/:id 返回单条记录，不存在时返回 404', async () => {
+    env.UPLOAD_DB.respond('WHERE id = ?', [UPLOAD_ROW]);
+    const found = await callWorker(env, 'GET', '/uploads/upload-1');
+    assert.equal(found.status, 200);
+    assert.equal(found.body.upload.error, 'backendError');
+
+    env.UPLOAD_DB.respond('WHERE id = ?', []);
+    const missing = await callWorker(env, 'GET', '/uploads/upload-2');
+    assert.equal(missing.status, 404);
+  });
+
+  it('查询参数无效、密钥无权查看平台或未绑定 UPLOAD_DB 时拒绝', async () => {
+    const invalidStatus = await callWorker(env, 'GET', '/uploads?status=done');
+    assert.equal(invalidStatus.status, 400);
+    assert.equal(invalidStatus.body.details[0].field, 'status');
+    const invalidLimit = await callWorker(env, 'GET', '/uploads?limit=-1');
+    assert.equal(invalidLimit.status, 400);
+    assert.equal(invalidLimit.body.details[0].field, 'limit');
+
+    const key = await callWorker(env, 'POST', '/admin/keys', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { keyId: 'yt', platforms: ['youtube'] }
+    });
+    const forbidden = await callWorker(env, 'GET', '/uploads?platform=bilibili', { secret: key.body.key.secret, headers: { 'X-API-Key-Id': 'yt' } });
+    assert.equal(forbidden.status, 403);
+
+    delete env.UPLOAD_DB;
+    const unbound = await callWorker(env, 'GET', '/uploads');
+    assert.equal(unbound.status, 400);
+    assert.equal(unbound.body.code, 'unsupportedOperation');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * R2 收件箱：视频和 sidecar 到齐后创建上传任务，同一视频的并发事件只创建一个任务
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../upload_video.js';
+import { INBOX_QUEUE } from '../inbox.js';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createTestEnv, createExecutionContext, callWorker, videoBytes, ADMIN_SECRET } from './helpers/worker.js';
+
+/**
+ * 构造一条 R2 事件通知消息，记录 ack / retry
+ * @param {string} id - 消息 ID
+ * @param {string} key - 对象 key
+ * @returns {Object}
+ */
+function inboxMessage(id, key) {
+  const message = {
+    id,
+    body: { bucket: 'test', action: 'PutObject', object: { key }, eventTime: new Date().toISOString() },
+    acked: false,
+    retried: null,
+    ack() {
+      message.acked = true;
+    },
+    retry(options = {}) {
+      message.retried = options;
+    }
+  };
+  return message;
+}
+
+describe('R2 收件箱', () => {
+  let google;
+  let env;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv({ INBOX_PREFIX: 'inbox/' });
+    await callWorker(env, 'POST', '/admin/accounts', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token' }
+    });
+    await env.VIDEO_BUCKET.put('inbox/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 把消息作为一个批次交给收件箱队列消费者
+   * @param {Object} message - inboxMessage 构造的消息
+   * @param {Object} ctx - 执行上下文
+   * @returns {Promise<void>}
+   */
+  const deliver = (message, ctx) => worker.queue({ queue: INBOX_QUEUE, messages: [message] }, env, ctx);
+
+  it('sidecar 到达前不上传，到齐后创建任务并上传', async () => {
+    const ctx = createExecutionContext();
+    const early = inboxMessage('m1', 'inbox/a.mp4');
+    await deliver(early, ctx);
+    assert.equal(early.acked, true);
+    assert.equal(google.videos.size, 0);
+
+    await env.VIDEO_BUCKET.put('inbox/a.json', JSON.stringify({
+      platform: 'youtube', accountId: 'main', metadata: { title: '收件箱', description: '自动上传' }
+    }));
+    const sidecar = inboxMessage('m2', 'inbox/a.json');
+    await deliver(sidecar, ctx);
+    await ctx.settle();
+
+    assert.equal(sidecar.acked, true);
+    assert.equal(google.videos.size, 1);
+  });
+
+  it('视频和 sidecar 的事件同时到达时只创建一个任务', async () => {
+    await env.VIDEO_BUCKET.put('inbox/a.json', JSON.stringify({
+      platform: 'youtube', accountId: 'main', metadata: { title: '收件箱', description: '自动上传' }
+    }));
+    const ctx = createExecutionContext();
+    const video = inboxMessage('m1', 'inbox/a.mp4');
+    const sidecar = inboxMessage('m2', 'inbox/a.json');
+
+    await Promise.all([deliver(video, ctx), deliver(sidecar, ctx)]);
+    await ctx.settle();
+
+    const jobs = [...env.UPLOAD_JOBS.entries.keys()].filter(key => key.startsWith('job:'));
+    assert.equal(jobs.length, 1);
+    assert.equal(google.videos.size, 1);
+    // 没有拿到标记的事件延迟重新投递，重新投递时任务已经存在
+    const deferred = [video, sidecar].find(message => message.retried);
+    assert.equal(deferred.retried.delaySeconds, 60);
+    env.UPLOAD_RECORDS.entries.delete([...env.UPLOAD_RECORDS.entries.keys()].find(key => key.startsWith('inbox-lock:')));
+    const redelivered = inboxMessage(deferred.id, deferred.body.object.key);
+    await deliver(redelivered, ctx);
+    assert.equal(redelivered.acked, true);
+    assert.equal([...env.UPLOAD_JOBS.entries.keys()].filter(key => key.startsWith('job:')).length, 1);
+  });
+});
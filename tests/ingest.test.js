@@ -0,0 +1,295 @@
+/**
+ * POST /ingest 直接上传到 R2：分块地址签名、分块大小检查、合并时的 SHA-256 校验和上传后发布
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createMemoryKV } from './helpers/memory-kv.js';
+import { createTestEnv, callWorker, videoBytes, ADMIN_SECRET } from './helpers/worker.js';
+
+const PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * 计算十六进制 SHA-256
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+describe('POST /ingest', () => {
+  let google;
+  let env;
+  let file;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv({ INGEST_URL_SECRET: 'test-ingest-secret' });
+    file = videoBytes(PART_SIZE + 1234);
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 通过分块地址上传全部分块 (不带 API 密钥)
+   * @param {Object[]} parts - POST /ingest 返回的 parts
+   * @returns {Promise<Object[]>} - 每个分块的响应
+   */
+  const uploadParts = async parts => {
+    const responses = [];
+    for (const part of parts) {
+      const url = new URL(part.url);
+      const bytes = file.subarray((part.partNumber - 1) * PART_SIZE, (part.partNumber - 1) * PART_SIZE + part.size);
+      responses.push(await callWorker(env, 'PUT', url.pathname + url.search, {
+        secret: null,
+        headers: { 'Content-Length': String(bytes.byteLength) },
+        body: bytes
+      }));
+    }
+    return responses;
+  };
+
+  it('按签名地址上传分块，合并后校验 SHA-256 并写入 Content-Type 和 customMetadata', async () => {
+    const created = await callWorker(env, 'POST', '/ingest', {
+      body: {
+        videoPath: 'raw/a.mp4',
+        size: file.byteLength,
+        partSize: PART_SIZE,
+        contentType: 'video/mp4',
+        sha256: sha256(file),
+        customMetadata: { title: '原始素材' }
+      }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.ingest.partCount, 2);
+    assert.deepEqual(created.body.parts.map(part => [part.partNumber, part.size, part.signed]), [[1, PART_SIZE, true], [2, 1234, true]]);
+
+    const parts = await uploadParts(created.body.parts);
+    assert.deepEqual(parts.map(part => part.status), [200, 200]);
+
+    const completed = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+    assert.equal(completed.status, 200);
+    assert.equal(completed.body.ingest.state, 'completed');
+    assert.equal(completed.body.object.contentType, 'video/mp4');
+    assert.equal(completed.body.object.customMetadata.title, '原始素材');
+    const stored = env.VIDEO_BUCKET.objects.get('raw/a.mp4');
+    assert.deepEqual(stored.bytes, file);
+
+    const replay = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.replayed, true);
+  });
+
+  it('拒绝签名无效的地址和大小不对的分块', async () => {
+    const created = await callWorker(env, 'POST', '/ingest', { body: { fileName: 'clip.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    assert.match(created.body.ingest.videoPath, /^ingest\/\d{4}-\d{2}-\d{2}\/[\w-]+\/clip\.mp4$/);
+    const url = new URL(created.body.parts[0].url);
+
+    const forged = await callWorker(env, 'PUT', `${url.pathname}?expires=${url.searchParams.get('expires')}&signature=sha256%3D00`, {
+      secret: null,
+      headers: { 'Content-Length': '4' },
+      body: new Uint8Array(4)
+    });
+    assert.equal(forged.status, 401);
+
+    const short = await callWorker(env, 'PUT', url.pathname + url.search, {
+      secret: null,
+      headers: { 'Content-Length': '4' },
+      body: new Uint8Array(4)
+    });
+    assert.equal(short.status, 400);
+    assert.equal(short.body.details[0].field, 'Content-Length');
+
+    const incomplete = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+    assert.equal(incomplete.status, 400);
+    assert.equal(incomplete.body.details[0].field, 'parts');
+    const status = await callWorker(env, 'GET', `/ingest/${created.body.ingest.id}`);
+    assert.deepEqual(status.body.missingParts.map(part => part.partNumber), [1, 2]);
+  });
+
+  it('SHA-256 不一致时返回 checksumMismatch 并删除文件', async () => {
+    const created = await callWorker(env, 'POST', '/ingest', { body: { videoPath: 'raw/b.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    await uploadParts(created.body.parts);
+
+    const completed = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`, { body: { sha256: 'a'.repeat(64) } });
+
+    assert.equal(completed.status, 400);
+    assert.equal(completed.body.code, 'checksumMismatch');
+    assert.equal(env.VIDEO_BUCKET.objects.has('raw/b.mp4'), false);
+    const status = await callWorker(env, 'GET', `/ingest/${created.body.ingest.id}`);
+    assert.equal(status.body.ingest.state, 'failed');
+  });
+
+  it('带 publish 时合并后创建上传任务，customMetadata 可以作为模板变量', async () => {
+    await callWorker(env, 'POST', '/admin/accounts', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token' }
+    });
+
+    const withoutAccount = await callWorker(env, 'POST', '/ingest', {
+      body: { videoPath: 'raw/c.mp4', size: file.byteLength, publish: { platform: 'youtube', metadata: { title: 't', description: 'd' } } }
+    });
+    assert.equal(withoutAccount.status, 400);
+    assert.ok(withoutAccount.body.details.some(detail => detail.field === 'publish.accountId'));
+
+    const created = await callWorker(env, 'POST', '/ingest', {
+      body: {
+        videoPath: 'raw/c.mp4',
+        size: file.byteLength,
+        partSize: PART_SIZE,
+        contentType: 'video/mp4',
+        customMetadata: { show: '周报' },
+        publish: { platform: 'youtube', accountId: 'main', metadata: { title: '{{show}} 第 1 期', description: '直接上传' } }
+      }
+    });
+    assert.equal(created.status, 201);
+    await uploadParts(created.body.parts);
+
+    const completed = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+    assert.equal(completed.status, 200);
+    assert.ok(completed.body.jobId);
+    await completed.ctx.settle();
+
+    const job = await callWorker(env, 'GET', `/jobs/${completed.body.jobId}`);
+    assert.equal(job.body.job.state, 'done');
+    const video = google.videos.get(job.body.job.result.videoId);
+    assert.equal(video.snippet.title, '周报 第 1 期');
+    assert.deepEqual(video.bytes, file);
+  });
+
+  it('合并后创建任务失败时会话仍为 completed，重试只补建任务', async () => {
+    await callWorker(env, 'POST', '/admin/accounts', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token' }
+    });
+    const created = await callWorker(env, 'POST', '/ingest', {
+      body: {
+        videoPath: 'raw/d.mp4',
+        size: file.byteLength,
+        partSize: PART_SIZE,
+        publish: { platform: 'youtube', accountId: 'main', metadata: { title: '重试', description: '直接上传' } }
+      }
+    });
+    await uploadParts(created.body.parts);
+
+    const put = env.UPLOAD_JOBS.put.bind(env.UPLOAD_JOBS);
+    env.UPLOAD_JOBS.put = async (key, value, options) => {
+      if (key.startsWith('job:')) {
+        env.UPLOAD_JOBS.put = put;
+        throw new Error('KV PUT failed: 429 Too Many Requests');
+      }
+      return put(key, value, options);
+    };
+    const failed = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+    assert.equal(failed.status, 500);
+    const status = await callWorker(env, 'GET', `/ingest/${created.body.ingest.id}`);
+    assert.equal(status.body.ingest.state, 'completed');
+    assert.equal(status.body.ingest.jobId, null);
+
+    const retried = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.replayed, false);
+    assert.ok(retried.body.jobId);
+    assert.deepEqual(env.VIDEO_BUCKET.objects.get('raw/d.mp4').bytes, file);
+
+    const replay = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+    assert.equal(replay.body.replayed, true);
+    assert.equal(replay.body.jobId, retried.body.jobId);
+  });
+
+  it('同一 videoPath 同时只能有一个上传中的会话', async () => {
+    const first = await callWorker(env, 'POST', '/ingest', { body: { videoPath: 'raw/f.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    assert.equal(first.status, 201);
+
+    const second = await callWorker(env, 'POST', '/ingest', { body: { videoPath: 'raw/f.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    assert.equal(second.status, 400);
+    assert.equal(second.body.details[0].code, 'duplicate');
+
+    await callWorker(env, 'DELETE', `/ingest/${first.body.ingest.id}`);
+    const third = await callWorker(env, 'POST', '/ingest', { body: { videoPath: 'raw/f.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    assert.equal(third.status, 201);
+  });
+
+  it('合并后中断时重试只接受本会话合并出的文件', async () => {
+    const created = await callWorker(env, 'POST', '/ingest', { body: { videoPath: 'raw/g.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    const id = created.body.ingest.id;
+    await uploadParts(created.body.parts);
+
+    // 合并完成后写入会话失败：R2 中已有合并的文件，uploadId 已失效
+    const put = env.UPLOAD_JOBS.put.bind(env.UPLOAD_JOBS);
+    env.UPLOAD_JOBS.put = async (key, value, options) => {
+      if (key === `ingest:${id}` && JSON.parse(value).state === 'completed') {
+        env.UPLOAD_JOBS.put = put;
+        throw new Error('KV PUT failed: 429 Too Many Requests');
+      }
+      return put(key, value, options);
+    };
+    const interrupted = await callWorker(env, 'POST', `/ingest/${id}/complete`);
+    assert.equal(interrupted.status, 500);
+    assert.equal(env.VIDEO_BUCKET.objects.get('raw/g.mp4').customMetadata.ingestId, id);
+
+    const retried = await callWorker(env, 'POST', `/ingest/${id}/complete`);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.ingest.state, 'completed');
+  });
+
+  it('合并时的其他错误不会把路径上已有的文件当作合并结果', async () => {
+    const created = await callWorker(env, 'POST', '/ingest', { body: { videoPath: 'raw/h.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    await uploadParts(created.body.parts);
+    await env.VIDEO_BUCKET.put('raw/h.mp4', file);
+    const resume = env.VIDEO_BUCKET.resumeMultipartUpload.bind(env.VIDEO_BUCKET);
+    env.VIDEO_BUCKET.resumeMultipartUpload = (key, uploadId) => ({
+      ...resume(key, uploadId),
+      complete: async () => {
+        throw new Error('We encountered an internal error. Please try again. (10001)');
+      }
+    });
+
+    const completed = await callWorker(env, 'POST', `/ingest/${created.body.ingest.id}/complete`);
+
+    assert.equal(completed.status, 500);
+    const status = await callWorker(env, 'GET', `/ingest/${created.body.ingest.id}`);
+    assert.equal(status.body.ingest.state, 'uploading');
+  });
+
+  it('只能访问本密钥创建的会话，管理员不限制', async () => {
+    env.API_KEYS = createMemoryKV();
+    const key = await callWorker(env, 'POST', '/admin/keys', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { keyId: 'editor' }
+    });
+    const created = await callWorker(env, 'POST', '/ingest', { body: { videoPath: 'raw/e.mp4', size: file.byteLength, partSize: PART_SIZE } });
+    const path = `/ingest/${created.body.ingest.id}`;
+    const editor = { secret: key.body.key.secret, headers: { 'X-API-Key-Id': 'editor' } };
+
+    assert.equal((await callWorker(env, 'GET', path, editor)).status, 403);
+    assert.equal((await callWorker(env, 'DELETE', path, editor)).status, 403);
+    assert.equal((await callWorker(env, 'POST', `${path}/complete`, editor)).status, 403);
+    const admin = await callWorker(env, 'GET', path, { ...editor, headers: { ...editor.headers, 'X-Admin-Secret': ADMIN_SECRET } });
+    assert.equal(admin.status, 200);
+
+    const malformed = await callWorker(env, 'GET', '/ingest/%E0%A4%A');
+    assert.equal(malformed.status, 404);
+  });
+
+  it('拒绝包含 .. 的 videoPath 和超过校验上限仍声明 SHA-256 的文件', async () => {
+    const response = await callWorker(env, 'POST', '/ingest', {
+      body: { videoPath: 'raw/../secret.mp4', size: 2 * 1024 * 1024 * 1024, sha256: 'a'.repeat(64) }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(detail => detail.field).sort(), ['sha256', 'videoPath']);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * 结构化日志：凭据隐藏、请求 ID 和上传耗时
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from '../logger.js';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createTestEnv, callWorker, videoBytes } from './helpers/worker.js';
+
+const TOKEN = 'ya29.test-access-token';
+
+describe('redact', () => {
+  it('按字段名隐藏令牌和密钥', () => {
+    const redacted = redact({ accessToken: 'a', refresh_token: 'b', headers: { Authorization: 'Bearer c' }, title: '标题', empty: null });
+
+    assert.deepEqual(redacted, {
+      accessToken: '[REDACTED]',
+      refresh_token: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]' },
+      title: '标题',
+      empty: null
+    });
+  });
+
+  it('隐藏字符串和错误消息中的凭据', () => {
+    assert.equal(redact('Authorization: Bearer abc.def'), 'Authorization: Bearer [REDACTED]');
+    assert.equal(redact('https://x.test/upload?upload_id=123&part=1'), 'https://x.test/upload?upload_id=[REDACTED]&part=1');
+    assert.equal(redact('Cookie: SESSDATA=abc; bili_jct=def'), 'Cookie: SESSDATA=[REDACTED]; bili_jct=[REDACTED]');
+    assert.equal(redact(new Error(`令牌 ${TOKEN} 无效`)).message, '令牌 [REDACTED] 无效');
+  });
+});
+
+describe('请求日志', () => {
+  let google;
+  let env;
+  let lines;
+
+  beforeEach(async () => {
+    lines = [];
+    for (const method of ['log', 'warn', 'error']) {
+      mock.method(console, method, line => lines.push(line));
+    }
+    google = installFakeGoogle({ tokens: [TOKEN] });
+    env = createTestEnv();
+    await env.VIDEO_BUCKET.put('videos/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  it('沿用请求头中的 X-Request-Id，日志为 JSON 且不包含令牌', async () => {
+    const response = await callWorker(env, 'POST', '/', {
+      token: TOKEN,
+      headers: { 'X-Request-Id': 'req-123' },
+      body: { platform: 'youtube', videoPath: 'videos/a.mp4', metadata: { title: '测试视频', description: '本地测试' } }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Request-Id'), 'req-123');
+    assert.ok(Number.isFinite(response.body.timings.total));
+    assert.ok(Number.isFinite(response.body.timings.insert));
+
+    const entries = lines.map(line => JSON.parse(line));
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every(entry => entry.requestId === 'req-123'));
+    assert.ok(entries.some(entry => entry.msg === '请求完成' && entry.status === 200));
+    assert.ok(lines.every(line => !line.includes(TOKEN)));
+  });
+
+  it('不合法的 X-Request-Id 会被替换', async () => {
+    const response = await callWorker(env, 'GET', '/', { secret: null, headers: { 'X-Request-Id': 'bad id {}' } });
+
+    assert.match(response.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * 元数据预设与模板：预设合并、模板变量和不使用模板的请求
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createTestEnv, callWorker, videoBytes } from './helpers/worker.js';
+
+describe('预设与模板', () => {
+  let google;
+  let env;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv();
+    await env.VIDEO_BUCKET.put('videos/show-12.mp4', videoBytes(20000), {
+      httpMetadata: { contentType: 'video/mp4' },
+      customMetadata: { show: '周报' }
+    });
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  it('创建、替换、列出、查看和删除预设', async () => {
+    const created = await callWorker(env, 'PUT', '/presets/weekly', { body: { label: '周报', metadata: { tags: ['周报'] } } });
+    assert.equal(created.status, 201);
+    const replaced = await callWorker(env, 'PUT', '/presets/weekly', { body: { label: '周报 v2', platform: 'YouTube' } });
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.preset.platform, 'youtube');
+    assert.equal(replaced.body.preset.createdAt, created.body.preset.createdAt);
+
+    const listed = await callWorker(env, 'GET', '/presets');
+    assert.deepEqual(listed.body.presets.map(preset => [preset.name, preset.label]), [['weekly', '周报 v2']]);
+    const fetched = await callWorker(env, 'GET', '/presets/weekly');
+    assert.equal(fetched.status, 200);
+    assert.deepEqual(fetched.body.preset.metadata, {});
+
+    const deleted = await callWorker(env, 'DELETE', '/presets/weekly');
+    assert.equal(deleted.status, 200);
+    assert.equal((await callWorker(env, 'GET', '/presets/weekly')).status, 404);
+  });
+
+  it('预设内容无效、删除不存在的预设或引用不存在的预设时拒绝', async () => {
+    const invalid = await callWorker(env, 'PUT', '/presets/weekly', { body: { platform: 'youtube', metadata: { privacyStatus: 'secret' } } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(detail => detail.field), ['metadata.privacyStatus']);
+
+    assert.equal((await callWorker(env, 'DELETE', '/presets/missing')).status, 404);
+
+    const upload = await callWorker(env, 'POST', '/', {
+      token: 'test-access-token',
+      body: { platform: 'youtube', videoPath: 'videos/show-12.mp4', metadata: { preset: 'missing', title: 't', description: 'd' } }
+    });
+    assert.equal(upload.status, 400);
+    assert.equal(google.videos.size, 0);
+  });
+
+  it('预设合并到请求中，模板使用 variables、customMetadata 和内置变量', async () => {
+    const saved = await callWorker(env, 'PUT', '/presets/weekly', {
+      body: { platform: 'youtube', metadata: { tags: ['周报'], privacyStatus: 'unlisted' }, descriptionFooter: '#{{show}}' }
+    });
+    assert.equal(saved.status, 201);
+
+    const response = await callWorker(env, 'POST', '/dry-run', {
+      body: {
+        videoPath: 'videos/show-12.mp4',
+        accessToken: 'ya29.secret',
+        variables: { episode: 12 },
+        metadata: { preset: 'weekly', title: '{{show}} 第 {{episode}} 期', description: '{{fileName}} ({{size}} 字节)', tags: ['新闻'] }
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.valid, true);
+    const { metadata } = response.body.destinations[0];
+    assert.equal(metadata.title, '周报 第 12 期');
+    assert.equal(metadata.description, 'show-12 (20000 字节)\n\n#周报');
+    assert.deepEqual(metadata.tags, ['周报', '新闻']);
+    assert.equal(metadata.privacyStatus, 'unlisted');
+  });
+
+  it('上传目标中的凭据不能作为模板变量', async () => {
+    const response = await callWorker(env, 'POST', '/dry-run', {
+      body: {
+        platform: 'youtube',
+        videoPath: 'videos/show-12.mp4',
+        accessToken: 'ya29.secret',
+        variables: {},
+        metadata: { title: '{{accessToken}}', description: 'd' }
+      }
+    });
+
+    assert.equal(response.body.valid, false);
+    assert.deepEqual(response.body.destinations[0].missingVariables, ['accessToken']);
+    assert.ok(!JSON.stringify(response.body.destinations).includes('ya29.secret'));
+  });
+
+  it('没有引用预设也没有 variables 时 {{ 原样保留', async () => {
+    const response = await callWorker(env, 'POST', '/dry-run', {
+      body: { platform: 'youtube', videoPath: 'videos/show-12.mp4', metadata: { title: 'Vue 入门', description: '插值语法 {{ message }}' } }
+    });
+
+    assert.equal(response.body.valid, true);
+    assert.equal(response.body.destinations[0].metadata.description, '插值语法 {{ message }}');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * 处理状态跟踪和回调：上传时登记 callbackUrl，定时任务查询状态并发送签名的回调，失败时保存待重试记录
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../upload_video.js';
+import { signWebhookPayload } from '../webhooks.js';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createTestEnv, createExecutionContext, callWorker, videoBytes, ADMIN_SECRET } from './helpers/worker.js';
+
+const CALLBACK_URL = 'https://n8n.example.com/hook';
+
+describe('处理状态回调', () => {
+  let google;
+  let env;
+  let receiver;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+
+    // 回调接收方：记录发往 CALLBACK_URL 的请求，其他请求交给假 googleapis
+    const googleFetch = globalThis.fetch;
+    receiver = { status: 200, requests: [] };
+    globalThis.fetch = async (input, init = {}) => {
+      if (String(input) !== CALLBACK_URL) {
+        return await googleFetch(input, init);
+      }
+      receiver.requests.push({ headers: new Headers(init.headers), body: init.body });
+      return new Response(null, { status: receiver.status });
+    };
+
+    env = createTestEnv();
+    await callWorker(env, 'POST', '/admin/accounts', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token' }
+    });
+    await env.VIDEO_BUCKET.put('videos/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 上传视频并登记回调地址
+   * @returns {Promise<string>} - 视频 ID
+   */
+  const uploadWithCallback = async () => {
+    const response = await callWorker(env, 'POST', '/', {
+      body: { platform: 'youtube', accountId: 'main', videoPath: 'videos/a.mp4', callbackUrl: CALLBACK_URL, metadata: { title: '测试视频', description: 'd' } }
+    });
+    assert.equal(response.status, 200);
+    return response.body.videoId;
+  };
+
+  /**
+   * 执行一次 Cron Trigger
+   * @returns {Promise<void>}
+   */
+  const runCron = async () => {
+    const ctx = createExecutionContext();
+    await worker.scheduled({ cron: '* * * * *' }, env, ctx);
+    await ctx.settle();
+  };
+
+  it('视频处理完成后发送带签名的 processed 回调，并结束跟踪', async () => {
+    const videoId = await uploadWithCallback();
+    assert.ok(env.UPLOAD_JOBS.entries.has(`watch:youtube:${videoId}`));
+
+    await runCron();
+
+    assert.equal(receiver.requests.length, 1);
+    const [{ headers, body }] = receiver.requests;
+    const payload = JSON.parse(body);
+    assert.deepEqual([payload.event, payload.platform, payload.videoId, payload.videoPath], ['processed', 'youtube', videoId, 'videos/a.mp4']);
+    assert.equal(headers.get('X-Webhook-Event'), 'processed');
+    assert.equal(
+      headers.get('X-Webhook-Signature'),
+      await signWebhookPayload('test-webhook-secret', headers.get('X-Webhook-Timestamp'), body)
+    );
+    assert.ok(!env.UPLOAD_JOBS.entries.has(`watch:youtube:${videoId}`));
+  });
+
+  it('回调地址返回 5xx 时保存待重试记录，未到重试时间前不再发送', async () => {
+    await uploadWithCallback();
+    receiver.status = 500;
+
+    await runCron();
+
+    const pending = [...env.UPLOAD_JOBS.entries.keys()].filter(key => key.startsWith('webhook:'));
+    assert.equal(pending.length, 1);
+    const delivery = JSON.parse(env.UPLOAD_JOBS.entries.get(pending[0]).value);
+    assert.deepEqual([delivery.attempts, delivery.lastError, delivery.payload.event], [1, '回调地址返回 500', 'processed']);
+    assert.ok(delivery.nextAttemptAt > Date.now());
+
+    await runCron();
+    assert.equal(receiver.requests.length, 1);
+  });
+
+  it('callbackUrl 不是 https 或缺少 accountId 时返回 400', async () => {
+    const response = await callWorker(env, 'POST', '/', {
+      token: 'test-access-token',
+      body: { platform: 'youtube', videoPath: 'videos/a.mp4', callbackUrl: 'http://n8n.example.com/hook', metadata: { title: '测试视频', description: 'd' } }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(detail => [detail.field, detail.code]), [['callbackUrl', 'invalidFormat'], ['accountId', 'required']]);
+    assert.equal(google.videos.size, 0);
+  });
+});
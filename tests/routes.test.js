@@ -0,0 +1,364 @@
+/**
+ * 查询、修改和异步任务等端点
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createMemoryKV } from './helpers/memory-kv.js';
+import { createRecordingD1 } from './helpers/recording-d1.js';
+import { createTestEnv, createExecutionContext, callWorker, videoBytes, ADMIN_SECRET } from './helpers/worker.js';
+import worker from '../upload_video.js';
+
+const TOKEN = 'test-access-token';
+
+const UPLOAD_BODY = {
+  platform: 'youtube',
+  videoPath: 'videos/a.mp4',
+  metadata: { title: '测试视频', description: '本地测试', privacyStatus: 'public' }
+};
+
+describe('路由', () => {
+  let google;
+  let env;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv({ API_KEYS: createMemoryKV() });
+    await env.VIDEO_BUCKET.put('videos/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 先上传一个视频
+   * @returns {Promise<string>} - videoId
+   */
+  const uploadVideo = async () => {
+    const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: UPLOAD_BODY });
+    assert.equal(response.status, 200);
+    return response.body.videoId;
+  };
+
+  /**
+   * 创建 API 密钥，返回 callWorker 使用该密钥的选项
+   * @param {Object} fields - 密钥设置 { keyId, platforms?, accounts?, routes? }
+   * @returns {Promise<Object>} - { secret, headers }
+   */
+  const createKey = async fields => {
+    const response = await callWorker(env, 'POST', '/admin/keys', { secret: null, headers: { 'X-Admin-Secret': ADMIN_SECRET }, body: fields });
+    assert.equal(response.status, 201);
+    return { secret: response.body.key.secret, headers: { 'X-API-Key-Id': fields.keyId } };
+  };
+
+  it('GET / 返回健康状态', async () => {
+    const response = await callWorker(env, 'GET', '/', { secret: null });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+  });
+
+  it('GET /platforms 列出平台和支持的操作', async () => {
+    const response = await callWorker(env, 'GET', '/platforms');
+
+    assert.equal(response.status, 200);
+    const youtube = response.body.platforms.find(platform => platform.name === 'youtube');
+    assert.equal(youtube.operations.upload, true);
+    assert.ok(response.body.platforms.some(platform => platform.name === 'bilibili'));
+  });
+
+  it('未知路由返回 405', async () => {
+    const response = await callWorker(env, 'GET', '/unknown');
+
+    assert.equal(response.status, 405);
+    assert.equal(response.body.code, 'methodNotAllowed');
+  });
+
+  it('GET /latest 返回频道最新上传的视频', async () => {
+    const videoId = await uploadVideo();
+
+    const response = await callWorker(env, 'GET', '/latest', { token: TOKEN });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.id, videoId);
+    assert.equal(response.body.title, '测试视频');
+  });
+
+  it('GET /video 返回视频详情，不存在时返回 404 videoNotFound', async () => {
+    const videoId = await uploadVideo();
+
+    const found = await callWorker(env, 'GET', `/video?videoId=${videoId}`, { token: TOKEN });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.videoDetails.id, videoId);
+
+    const missing = await callWorker(env, 'GET', '/video?videoId=nope', { token: TOKEN });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'videoNotFound');
+  });
+
+  it('PATCH /video 只更新传入的字段', async () => {
+    const videoId = await uploadVideo();
+
+    const response = await callWorker(env, 'PATCH', '/video', { token: TOKEN, body: { videoId, metadata: { title: '新标题' } } });
+
+    assert.equal(response.status, 200);
+    const video = google.videos.get(videoId);
+    assert.equal(video.snippet.title, '新标题');
+    assert.equal(video.snippet.description, '本地测试');
+  });
+
+  it('DELETE /video 删除视频', async () => {
+    const videoId = await uploadVideo();
+
+    const response = await callWorker(env, 'DELETE', `/video?videoId=${videoId}`, { token: TOKEN });
+
+    assert.equal(response.status, 200);
+    assert.equal(google.videos.has(videoId), false);
+  });
+
+  it('GET /published 和 GET /bucket 反映上传记录', async () => {
+    const before = await callWorker(env, 'GET', '/published?videoPath=videos/a.mp4');
+    assert.equal(before.body.published, false);
+
+    const videoId = await uploadVideo();
+
+    const published = await callWorker(env, 'GET', '/published?videoPath=videos/a.mp4');
+    assert.equal(published.status, 200);
+    assert.equal(published.body.published, true);
+    assert.equal(published.body.publications[0].videoId, videoId);
+
+    const bucket = await callWorker(env, 'GET', '/bucket?prefix=videos/');
+    assert.equal(bucket.status, 200);
+    assert.deepEqual(bucket.body.objects.map(object => [object.key, object.published]), [['videos/a.mp4', true]]);
+
+    // 每个视频文件需要读取一次发布记录，每页最多 100 条
+    const list = mock.method(env.VIDEO_BUCKET, 'list');
+    const oversized = await callWorker(env, 'GET', '/bucket?limit=5000');
+    assert.equal(oversized.status, 200);
+    assert.equal(list.mock.calls[0].arguments[0].limit, 100);
+    const invalid = await callWorker(env, 'GET', '/bucket?limit=abc');
+    assert.equal(invalid.status, 400);
+  });
+
+  it('多个目标和很长的 videoPath 都能写入发布记录', async () => {
+    const videoPath = `videos/${'长'.repeat(300)}.mp4`;
+    await env.VIDEO_BUCKET.put(videoPath, videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+
+    const response = await callWorker(env, 'POST', '/', {
+      token: TOKEN,
+      headers: { 'Idempotency-Key': 'long-path' },
+      body: { ...UPLOAD_BODY, videoPath, platform: undefined, platforms: ['youtube', { platform: 'youtube', key: 'second' }] }
+    });
+    assert.equal(response.status, 200);
+
+    const published = await callWorker(env, 'GET', `/published?videoPath=${encodeURIComponent(videoPath)}`);
+    assert.deepEqual(published.body.publications.map(publication => publication.destination).sort(), ['second', 'youtube']);
+  });
+
+  it('accountId 属于其他平台时返回 400', async () => {
+    const registered = await callWorker(env, 'POST', '/admin/accounts', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { accountId: 'bili-main', platform: 'bilibili', cookie: 'SESSDATA=a; bili_jct=b' }
+    });
+    assert.equal(registered.status, 200);
+
+    const response = await callWorker(env, 'POST', '/', { body: { ...UPLOAD_BODY, accountId: 'bili-main' } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'validationFailed');
+    assert.equal(response.body.details[0].field, 'accountId');
+    assert.equal(google.videos.size, 0);
+  });
+
+  it('相同的请求不会重复上传', async () => {
+    const videoId = await uploadVideo();
+
+    const replay = await callWorker(env, 'POST', '/', { token: TOKEN, body: UPLOAD_BODY });
+
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.videoId, videoId);
+    assert.equal(replay.headers.get('Idempotent-Replayed'), 'true');
+    assert.equal(google.videos.size, 1);
+  });
+
+  it('POST /jobs 在后台上传，GET /jobs/:id 查询结果', async () => {
+    const created = await callWorker(env, 'POST', '/jobs', { token: TOKEN, body: UPLOAD_BODY });
+    assert.equal(created.status, 202);
+    assert.equal(created.body.job.state, 'queued');
+
+    await created.ctx.settle();
+
+    const response = await callWorker(env, 'GET', `/jobs/${created.body.jobId}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.job.state, 'done');
+    assert.equal(response.body.job.progress.percent, 100);
+    assert.ok(google.videos.has(response.body.job.result.videoId));
+  });
+
+  it('密钥限制了账号时不能使用其他账号，GET /jobs/:id 只返回本密钥的任务', async () => {
+    const editor = await createKey({ keyId: 'editor', accounts: ['main'] });
+
+    const denied = await callWorker(env, 'POST', '/jobs', { ...editor, body: { ...UPLOAD_BODY, accountId: 'other' } });
+    assert.equal(denied.status, 403);
+    const deniedVideo = await callWorker(env, 'GET', '/video?videoId=abc&accountId=other', editor);
+    assert.equal(deniedVideo.status, 403);
+
+    const created = await callWorker(env, 'POST', '/jobs', { token: TOKEN, body: UPLOAD_BODY });
+    const other = await callWorker(env, 'GET', `/jobs/${created.body.jobId}`, editor);
+    assert.equal(other.status, 404);
+    const admin = await callWorker(env, 'GET', `/jobs/${created.body.jobId}`, {
+      ...editor,
+      headers: { ...editor.headers, 'X-Admin-Secret': ADMIN_SECRET }
+    });
+    assert.equal(admin.status, 200);
+  });
+
+  it('重新投递的队列消息不会重复上传已完成的目标', async () => {
+    const messages = [];
+    env.UPLOAD_QUEUE = { send: async body => messages.push(body) };
+    const created = await callWorker(env, 'POST', '/jobs', {
+      token: TOKEN,
+      body: { ...UPLOAD_BODY, platform: undefined, platforms: ['youtube', { platform: 'youtube', key: 'second' }] }
+    });
+    assert.equal(created.status, 202);
+
+    const deliver = async () => {
+      const message = { body: messages[0], acked: false, ack: () => { message.acked = true; }, retry: () => {} };
+      await worker.queue({ queue: 'cfworker-upload-jobs', messages: [message] }, env, createExecutionContext());
+      return message;
+    };
+    assert.equal((await deliver()).acked, true);
+    assert.equal(google.videos.size, 2);
+
+    // 消费者在写入任务结果后、确认消息前崩溃：任务状态仍为 uploading，消息被重新投递
+    const job = JSON.parse(env.UPLOAD_JOBS.entries.get(`job:${created.body.jobId}`).value);
+    env.UPLOAD_JOBS.entries.get(`job:${created.body.jobId}`).value = JSON.stringify({ ...job, state: 'uploading', result: null });
+    assert.equal((await deliver()).acked, true);
+
+    assert.equal(google.videos.size, 2);
+    const response = await callWorker(env, 'GET', `/jobs/${created.body.jobId}`);
+    assert.equal(response.body.job.state, 'done');
+    assert.deepEqual(response.body.job.result.failedPlatforms, []);
+    assert.ok(Object.values(response.body.job.result.results).every(result => result.replayed));
+  });
+
+  it('写入任务失败状态失败时仍然确认队列消息', async () => {
+    const messages = [];
+    env.UPLOAD_QUEUE = { send: async body => messages.push(body) };
+    const created = await callWorker(env, 'POST', '/jobs', { token: TOKEN, body: UPLOAD_BODY });
+    await env.VIDEO_BUCKET.delete('videos/a.mp4');
+    const put = env.UPLOAD_JOBS.put.bind(env.UPLOAD_JOBS);
+    env.UPLOAD_JOBS.put = async (key, value, options) => {
+      if (JSON.parse(value).state === 'failed') {
+        throw new Error('KV PUT failed: 429 Too Many Requests');
+      }
+      return await put(key, value, options);
+    };
+
+    const message = { body: messages[0], acked: false, ack: () => { message.acked = true; }, retry: () => {} };
+    await worker.queue({ queue: 'cfworker-upload-jobs', messages: [message] }, env, createExecutionContext());
+
+    assert.equal(created.status, 202);
+    assert.equal(message.acked, true);
+  });
+
+  it('视频文件在任务执行前被删除时，每个目标都在上传历史中记录失败', async () => {
+    env.UPLOAD_DB = createRecordingD1();
+    const messages = [];
+    env.UPLOAD_QUEUE = { send: async body => messages.push(body) };
+    await callWorker(env, 'POST', '/jobs', {
+      token: TOKEN,
+      body: { ...UPLOAD_BODY, platform: undefined, platforms: ['youtube', { platform: 'youtube', key: 'second' }] }
+    });
+    await env.VIDEO_BUCKET.delete('videos/a.mp4');
+
+    const message = { body: messages[0], acked: false, ack: () => { message.acked = true; }, retry: () => {} };
+    await worker.queue({ queue: 'cfworker-upload-jobs', messages: [message] }, env, createExecutionContext());
+
+    const inserts = env.UPLOAD_DB.statements.filter(({ sql }) => sql.startsWith('INSERT INTO uploads'));
+    assert.deepEqual(inserts.map(({ bindings }) => bindings[3]).sort(), ['second', 'youtube']);
+    assert.ok(inserts.every(({ bindings }) => bindings[9] === 'videos/a.mp4'));
+    const updates = env.UPLOAD_DB.statements.filter(({ sql }) => sql.startsWith('UPDATE uploads'));
+    assert.deepEqual(updates.map(({ bindings }) => [bindings[0], bindings[4]]), [['failed', 'notFound'], ['failed', 'notFound']]);
+  });
+
+  it('写入任务进度失败 (KV 429) 不影响上传', async () => {
+    const put = env.UPLOAD_JOBS.put.bind(env.UPLOAD_JOBS);
+    env.UPLOAD_JOBS.put = async (key, value, options) => {
+      if (key.startsWith('job:') && JSON.parse(value).state === 'processing') {
+        throw new Error('KV PUT failed: 429 Too Many Requests');
+      }
+      return await put(key, value, options);
+    };
+
+    const created = await callWorker(env, 'POST', '/jobs', { token: TOKEN, body: UPLOAD_BODY });
+    await created.ctx.settle();
+
+    const response = await callWorker(env, 'GET', `/jobs/${created.body.jobId}`);
+    assert.equal(response.body.job.state, 'done');
+    assert.ok(google.videos.has(response.body.job.result.videoId));
+  });
+
+  it('GET /metrics 在 D1 中按窗口和平台分组汇总，不截断记录', async () => {
+    env.UPLOAD_DB = createRecordingD1();
+    env.UPLOAD_DB.respond('GROUP BY period, platform', [
+      { period: 'current', platform: 'youtube', uploads: 20, succeeded: 18, bytes: 360000, avg_ms: 1200.4, max_ms: 5000, phase_insert: 800.6 },
+      { period: 'previous', platform: 'youtube', uploads: 20, succeeded: 20, bytes: 400000, avg_ms: 900, max_ms: 1500 }
+    ]);
+    env.UPLOAD_DB.respond('GROUP BY platform, code', [{ platform: 'youtube', code: 'upstreamError', count: 2 }]);
+    env.UPLOAD_DB.respond('ROW_NUMBER()', [
+      { period: 'current', platform: 'youtube', duration_ms: 1000, position: 9, total: 18 },
+      { period: 'current', platform: 'youtube', duration_ms: 4000, position: 18, total: 18 },
+      { period: 'previous', platform: 'youtube', duration_ms: 800, position: 10, total: 20 },
+      { period: 'previous', platform: 'youtube', duration_ms: 1200, position: 19, total: 20 }
+    ]);
+
+    const response = await callWorker(env, 'GET', '/metrics?to=2026-10-18T00:00:00Z');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.totals, { uploads: 20, succeeded: 18, failed: 2, errorRate: 0.1, bytes: 360000 });
+    const [youtube] = response.body.platforms;
+    assert.deepEqual(youtube.latency, { avgMs: 1200, p50Ms: 1000, p95Ms: 4000, maxMs: 5000 });
+    assert.equal(youtube.phases.insert, 801);
+    assert.deepEqual(youtube.errorCodes, { upstreamError: 2 });
+    assert.deepEqual(youtube.regressions, [{ metric: 'latency.p95Ms', previous: 1200, current: 4000 }]);
+    assert.ok(env.UPLOAD_DB.statements.every(({ sql }) => !sql.includes('LIMIT')));
+  });
+
+  it('GET /metrics 的 from 不早于 to 时返回 400，不查询 D1', async () => {
+    env.UPLOAD_DB = createRecordingD1();
+
+    const response = await callWorker(env, 'GET', '/metrics?from=2026-10-18T00:00:00Z&to=2026-10-17T00:00:00Z');
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(detail => [detail.field, detail.code]), [['from', 'invalidRange']]);
+    assert.equal(env.UPLOAD_DB.statements.length, 0);
+  });
+
+  it('POST /dry-run 返回合并后的元数据，不上传', async () => {
+    const response = await callWorker(env, 'POST', '/dry-run', { body: UPLOAD_BODY });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.valid, true);
+    assert.equal(response.body.videoFound, true);
+    assert.equal(response.body.destinations[0].metadata.title, '测试视频');
+    assert.equal(google.requests.length, 0);
+  });
+
+  it('管理端点的请求体不是 JSON 对象时返回 400', async () => {
+    const admin = { secret: null, headers: { 'X-Admin-Secret': ADMIN_SECRET } };
+
+    for (const [method, path, body] of [['POST', '/admin/accounts', null], ['POST', '/admin/keys', []], ['POST', '/admin/keys', 'null']]) {
+      const response = await callWorker(env, method, path, { ...admin, body });
+      assert.equal(response.status, 400, `${method} ${path} ${JSON.stringify(body)}`);
+      assert.equal(response.body.code, 'validationFailed');
+    }
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * 定时操作：创建、查询、到期后由 Cron Trigger 执行，以及参数校验
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../upload_video.js';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createRecordingD1 } from './helpers/recording-d1.js';
+import { createTestEnv, createExecutionContext, callWorker, videoBytes, ADMIN_SECRET } from './helpers/worker.js';
+
+/** 一天后的执行时间 (整秒，UTC) */
+const RUN_AT = new Date(Math.floor(Date.now() / 1000 + 86400) * 1000);
+
+/** 同一时刻在 Asia/Shanghai (UTC+8) 的本地时间，不带时区偏移 */
+const RUN_AT_SHANGHAI = new Date(RUN_AT.getTime() + 8 * 60 * 60 * 1000).toISOString().slice(0, 19);
+
+describe('定时操作', () => {
+  let google;
+  let env;
+  let videoId;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv({ UPLOAD_DB: createRecordingD1() });
+    await callWorker(env, 'POST', '/admin/accounts', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token' }
+    });
+    await env.VIDEO_BUCKET.put('videos/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+    const uploaded = await callWorker(env, 'POST', '/', {
+      body: { platform: 'youtube', accountId: 'main', videoPath: 'videos/a.mp4', metadata: { title: '先私密上传', description: 'd', privacyStatus: 'private' } }
+    });
+    videoId = uploaded.body.videoId;
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 由 createScheduledAction 写入的 INSERT 语句还原 scheduled_actions 表中的行
+   * @returns {Object}
+   */
+  const insertedRow = () => {
+    const { bindings } = env.UPLOAD_DB.statements.find(({ sql }) => sql.startsWith('INSERT INTO scheduled_actions'));
+    const [id, type, status, run_at, timezone, platform, payload, client_key_id, created_at, updated_at] = bindings;
+    return {
+      id, type, status, run_at, timezone, platform, payload, client_key_id, created_at, updated_at,
+      attempts: 0, last_error: null, result: null, executed_at: null
+    };
+  };
+
+  it('POST /schedule 创建操作，GET /schedule 和 GET /schedule/:id 查询', async () => {
+    const created = await callWorker(env, 'POST', '/schedule', {
+      body: { type: 'setPrivacy', runAt: RUN_AT_SHANGHAI, timezone: 'Asia/Shanghai', accountId: 'main', videoId, privacyStatus: 'public' }
+    });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.action.runAt, RUN_AT.toISOString());
+    assert.deepEqual(created.body.action.platforms, ['youtube']);
+    const row = insertedRow();
+    assert.equal(row.run_at, RUN_AT.toISOString());
+
+    env.UPLOAD_DB.respond('ORDER BY run_at, id', [row]);
+    const listed = await callWorker(env, 'GET', '/schedule?status=pending');
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.actions.map(action => action.id), [row.id]);
+
+    env.UPLOAD_DB.respond('WHERE id = ?', [row]);
+    const fetched = await callWorker(env, 'GET', `/schedule/${row.id}`);
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.action.payload.privacyStatus, 'public');
+  });
+
+  it('到期的操作由 Cron Trigger 执行', async () => {
+    await callWorker(env, 'POST', '/schedule', {
+      body: { type: 'setPrivacy', runAt: RUN_AT.toISOString(), accountId: 'main', videoId, privacyStatus: 'public' }
+    });
+    const row = { ...insertedRow(), run_at: new Date(Date.now() - 1000).toISOString() };
+    env.UPLOAD_DB.respond('WHERE status = ? AND run_at <= ?', [row]);
+
+    const ctx = createExecutionContext();
+    await worker.scheduled({ cron: '* * * * *' }, env, ctx);
+    await ctx.settle();
+
+    assert.equal(google.videos.get(videoId).status.privacyStatus, 'public');
+    const done = env.UPLOAD_DB.statements.find(({ sql }) => sql.startsWith('UPDATE scheduled_actions SET status = ?, result = ?'));
+    assert.deepEqual([done.bindings[0], JSON.parse(done.bindings[1])], ['done', { videoId, privacyStatus: 'public' }]);
+  });
+
+  it('缺少时区或账号、操作不存在或未绑定 UPLOAD_DB 时拒绝', async () => {
+    const invalid = await callWorker(env, 'POST', '/schedule', {
+      body: { type: 'setPrivacy', runAt: RUN_AT_SHANGHAI, videoId, privacyStatus: 'public' }
+    });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(detail => [detail.field, detail.code]).sort(), [['accountId', 'required'], ['runAt', 'missingTimeZone']]);
+
+    const missing = await callWorker(env, 'GET', '/schedule/00000000-0000-0000-0000-000000000000');
+    assert.equal(missing.status, 404);
+    assert.ok(!env.UPLOAD_DB.statements.some(({ sql }) => sql.startsWith('INSERT INTO scheduled_actions')));
+
+    delete env.UPLOAD_DB;
+    const unbound = await callWorker(env, 'GET', '/schedule');
+    assert.equal(unbound.status, 400);
+    assert.equal(unbound.body.code, 'unsupportedOperation');
+  });
+});
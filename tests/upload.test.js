@@ -0,0 +1,306 @@
+/**
+ * POST / 上传流程：R2 读取、可续传上传、封面优先级、发布时间换算，以及 googleapis 故障时的重试和错误响应
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createTestEnv, callWorker, videoBytes, pngImage, ADMIN_SECRET } from './helpers/worker.js';
+
+const TOKEN = 'test-access-token';
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * 基本的上传请求体
+ * @param {Object} [fields] - 追加或覆盖的字段
+ * @returns {Object}
+ */
+function uploadBody(fields = {}) {
+  return {
+    platform: 'youtube',
+    videoPath: 'videos/a.mp4',
+    metadata: { title: '测试视频', description: '本地测试', tags: ['test'], privacyStatus: 'unlisted' },
+    ...fields
+  };
+}
+
+describe('POST /', () => {
+  let google;
+  let env;
+  let video;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv();
+    video = videoBytes(20000);
+    await env.VIDEO_BUCKET.put('videos/a.mp4', video, { httpMetadata: { contentType: 'video/mp4' } });
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  it('把 R2 中的视频完整上传到 YouTube', async () => {
+    const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.platform, 'youtube');
+    assert.deepEqual(response.body.uploadStats, { totalBytes: 20000, bytesSent: 20000, chunks: 1, retriedChunks: 0 });
+
+    const uploaded = google.videos.get(response.body.videoId);
+    assert.deepEqual(uploaded.bytes, video);
+    assert.equal(uploaded.contentType, 'video/mp4');
+    assert.equal(uploaded.snippet.title, '测试视频');
+    assert.equal(uploaded.status.privacyStatus, 'unlisted');
+  });
+
+  it('超过一个分块的视频按 8 MiB 分块上传', async () => {
+    const large = videoBytes(CHUNK_SIZE + 1234);
+    await env.VIDEO_BUCKET.put('videos/large.mp4', large, { httpMetadata: { contentType: 'video/mp4' } });
+
+    const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody({ videoPath: 'videos/large.mp4' }) });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.uploadStats.chunks, 2);
+    assert.deepEqual(google.videos.get(response.body.videoId).bytes, large);
+  });
+
+  it('R2 中不存在的视频返回 404', async () => {
+    const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody({ videoPath: 'videos/missing.mp4' }) });
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.success, false);
+    assert.equal(google.requestsTo('POST', '/upload/youtube/v3/videos').length, 0);
+  });
+
+  it('缺少 API 密钥时返回 401', async () => {
+    const response = await callWorker(env, 'POST', '/', { secret: null, token: TOKEN, body: uploadBody() });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.success, false);
+    assert.equal(google.requests.length, 0);
+  });
+
+  it('参数校验失败时返回字段错误列表', async () => {
+    const response = await callWorker(env, 'POST', '/', {
+      token: TOKEN,
+      body: uploadBody({ metadata: { title: '', description: 'x', privacyStatus: 'hidden' } })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'validationFailed');
+    const fields = response.body.details.map(detail => detail.field);
+    assert.ok(fields.includes('metadata.title'));
+    assert.ok(fields.includes('metadata.privacyStatus'));
+    for (const detail of response.body.details) {
+      assert.deepEqual(Object.keys(detail).sort(), ['code', 'field', 'message']);
+    }
+  });
+
+  describe('封面', () => {
+    beforeEach(async () => {
+      await env.VIDEO_BUCKET.put('covers/high.png', pngImage(1280, 720, 3));
+      await env.VIDEO_BUCKET.put('covers/medium.png', pngImage(1280, 720, 2));
+      await env.VIDEO_BUCKET.put('covers/default.png', pngImage(1280, 720, 1));
+    });
+
+    /**
+     * 上传并返回 thumbnails.set 收到的封面标记字节
+     * @param {Object} covers - 封面字段
+     * @returns {Promise<{response: Object, marker: number|undefined}>}
+     */
+    const uploadWithCovers = async covers => {
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody(covers) });
+      const thumbnail = google.thumbnails.get(response.body.videoId);
+      return { response, marker: thumbnail?.bytes[63] };
+    };
+
+    it('coverPath-high 优先于 medium 和 default', async () => {
+      const { response, marker } = await uploadWithCovers({
+        'coverPath-default': 'covers/default.png',
+        'coverPath-medium': 'covers/medium.png',
+        'coverPath-high': 'covers/high.png'
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(marker, 3);
+      assert.equal(response.body.thumbnail.source, 'covers/high.png');
+      assert.equal(response.body.thumbnail.format, 'png');
+    });
+
+    it('没有 high 时使用 medium，其次 default', async () => {
+      let { marker } = await uploadWithCovers({ 'coverPath-default': 'covers/default.png', 'coverPath-medium': 'covers/medium.png' });
+      assert.equal(marker, 2);
+
+      await env.VIDEO_BUCKET.put('videos/b.mp4', video);
+      const response = await callWorker(env, 'POST', '/', {
+        token: TOKEN,
+        body: uploadBody({ videoPath: 'videos/b.mp4', 'coverPath-default': 'covers/default.png' })
+      });
+      marker = google.thumbnails.get(response.body.videoId).bytes[63];
+      assert.equal(marker, 1);
+    });
+
+    it('R2 中找不到封面时视频仍然上传成功', async () => {
+      const { response, marker } = await uploadWithCovers({ 'coverPath-high': 'covers/missing.png' });
+
+      assert.equal(response.status, 200);
+      assert.equal(marker, undefined);
+      assert.ok(google.videos.has(response.body.videoId));
+    });
+  });
+
+  describe('发布时间', () => {
+    it('按 timezone 把当地时间换算为 UTC，并设为私密定时发布', async () => {
+      const response = await callWorker(env, 'POST', '/', {
+        token: TOKEN,
+        body: uploadBody({ publish_time: '2030-05-01T20:00:00', timezone: 'Asia/Shanghai' })
+      });
+
+      assert.equal(response.status, 200);
+      const uploaded = google.videos.get(response.body.videoId);
+      assert.equal(uploaded.status.publishAt, '2030-05-01T12:00:00.000Z');
+      assert.equal(uploaded.status.privacyStatus, 'private');
+    });
+
+    it('带偏移量的时间直接换算为 UTC', async () => {
+      const response = await callWorker(env, 'POST', '/', {
+        token: TOKEN,
+        body: uploadBody({ publish_time: '2030-05-01T20:00:00-04:00' })
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(google.videos.get(response.body.videoId).status.publishAt, '2030-05-02T00:00:00.000Z');
+    });
+
+    it('既没有偏移量也没有 timezone 时返回 400 missingTimeZone', async () => {
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody({ publish_time: '2030-05-01T20:00:00' }) });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'validationFailed');
+      assert.ok(response.body.details.some(detail => detail.field === 'publish_time' && detail.code === 'missingTimeZone'));
+      assert.equal(google.videos.size, 0);
+    });
+  });
+
+  describe('googleapis 故障', () => {
+    it('已注册账号的令牌失效 (401) 时刷新令牌并重试', async () => {
+      await callWorker(env, 'POST', '/admin/accounts', {
+        secret: null,
+        headers: { 'X-Admin-Secret': ADMIN_SECRET },
+        body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token' }
+      });
+      google.fail({ method: 'POST', path: '/upload/youtube/v3/videos', status: 401, reason: 'authError' });
+
+      const response = await callWorker(env, 'POST', '/', { body: uploadBody({ accountId: 'main' }) });
+
+      assert.equal(response.status, 200);
+      assert.equal(google.issuedTokens, 2);
+      assert.deepEqual(google.videos.get(response.body.videoId).bytes, video);
+    });
+
+    it('直接传入的令牌失效时返回 401 invalidToken', async () => {
+      google.revokeTokens();
+
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'invalidToken');
+      assert.equal(google.videos.size, 0);
+    });
+
+    it('403 quotaExceeded 返回 429', async () => {
+      google.fail({ method: 'POST', path: '/upload/youtube/v3/videos', status: 403, reason: 'quotaExceeded' });
+
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+      assert.equal(response.status, 429);
+      assert.equal(response.body.code, 'quotaExceeded');
+    });
+
+    it('分块上传遇到 5xx 时查询进度后重试', async () => {
+      google.fail({ method: 'PUT', path: '/upload/youtube/v3/videos', status: 503, reason: 'backendError' });
+
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.uploadStats.retriedChunks, 1);
+      assert.deepEqual(google.videos.get(response.body.videoId).bytes, video);
+    });
+
+    it('连接在分块中途断开时从服务器确认的位置续传', async () => {
+      google.fail({ method: 'PUT', path: '/upload/youtube/v3/videos', drop: true, afterBytes: 5000 });
+
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.uploadStats.retriedChunks, 1);
+      assert.deepEqual(google.videos.get(response.body.videoId).bytes, video);
+      const ranges = google.requestsTo('PUT', '/upload/youtube/v3/videos');
+      assert.equal(ranges.length, 3);
+    });
+
+    it('上传后查询视频状态失败时仍然报告上传成功', async () => {
+      google.fail({ method: 'GET', path: '/youtube/v3/videos', status: 403, reason: 'quotaExceeded' });
+
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(google.videos.get(response.body.videoId).bytes, video);
+    });
+
+    it('写入配额用量失败 (KV 429) 不影响上传', async () => {
+      env.QUOTA_USAGE.put = async () => {
+        throw new Error('KV PUT failed: 429 Too Many Requests');
+      };
+
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(google.videos.get(response.body.videoId).bytes, video);
+    });
+
+    it('写入处理状态跟踪记录失败 (KV 429) 时仍然报告上传成功', async () => {
+      const put = env.UPLOAD_JOBS.put.bind(env.UPLOAD_JOBS);
+      env.UPLOAD_JOBS.put = async (key, value, options) => {
+        if (key.startsWith('watch:')) {
+          throw new Error('KV PUT failed: 429 Too Many Requests');
+        }
+        return await put(key, value, options);
+      };
+      await callWorker(env, 'POST', '/admin/accounts', {
+        secret: null,
+        headers: { 'X-Admin-Secret': ADMIN_SECRET },
+        body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token' }
+      });
+      const body = uploadBody({ accountId: 'main', callbackUrl: 'https://n8n.example.com/hook' });
+
+      const response = await callWorker(env, 'POST', '/', { body });
+
+      assert.equal(response.status, 200);
+      assert.ok(google.videos.has(response.body.videoId));
+      assert.match(response.body.callbackStatus, /跟踪处理状态失败/);
+
+      const job = await callWorker(env, 'POST', '/jobs', { body, headers: { 'Idempotency-Key': 'job' } });
+      await job.ctx.settle();
+      const finished = await callWorker(env, 'GET', `/jobs/${job.body.jobId}`);
+      assert.equal(finished.body.job.state, 'done');
+      assert.match(finished.body.job.result.callbackStatus, /跟踪处理状态失败/);
+    });
+
+    it('创建上传会话时 5xx 返回 502', async () => {
+      google.fail({ method: 'POST', path: '/upload/youtube/v3/videos', status: 500, reason: 'backendError' });
+
+      const response = await callWorker(env, 'POST', '/', { token: TOKEN, body: uploadBody() });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.success, false);
+      assert.equal(google.videos.size, 0);
+    });
+  });
+});
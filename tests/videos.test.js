@@ -0,0 +1,175 @@
+/**
+ * 已发布视频的封面和字幕、播放列表、频道和配额端点
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeGoogle } from './helpers/fake-google.js';
+import { createTestEnv, callWorker, videoBytes, pngImage, ADMIN_SECRET } from './helpers/worker.js';
+
+const TOKEN = 'test-access-token';
+
+const SRT = '1\n00:00:00,000 --> 00:00:01,000\n你好\n';
+
+describe('视频、播放列表和频道端点', () => {
+  let google;
+  let env;
+  let videoId;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    google = installFakeGoogle();
+    env = createTestEnv();
+    await env.VIDEO_BUCKET.put('videos/a.mp4', videoBytes(20000), { httpMetadata: { contentType: 'video/mp4' } });
+    const uploaded = await callWorker(env, 'POST', '/', {
+      token: TOKEN,
+      body: { platform: 'youtube', videoPath: 'videos/a.mp4', metadata: { title: '测试视频', description: '本地测试' } }
+    });
+    videoId = uploaded.body.videoId;
+  });
+
+  afterEach(() => {
+    google.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 注册一个 YouTube 账号
+   * @param {Object} [fields] - 追加的账号字段
+   * @returns {Promise<void>}
+   */
+  const registerAccount = async (fields = {}) => {
+    const response = await callWorker(env, 'POST', '/admin/accounts', {
+      secret: null,
+      headers: { 'X-Admin-Secret': ADMIN_SECRET },
+      body: { accountId: 'main', platform: 'youtube', refreshToken: 'test-refresh-token', ...fields }
+    });
+    assert.equal(response.status, 200);
+  };
+
+  describe('封面', () => {
+    it('POST /video/thumbnail 用 R2 中的封面替换', async () => {
+      await env.VIDEO_BUCKET.put('covers/new.png', pngImage(1280, 720, 7), { httpMetadata: { contentType: 'image/png' } });
+
+      const response = await callWorker(env, 'POST', '/video/thumbnail', { token: TOKEN, body: { videoId, 'coverPath-high': 'covers/new.png' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.equal(google.thumbnails.get(videoId).bytes.at(-1), 7);
+    });
+
+    it('POST /video/thumbnail 没有封面路径和 coverFrame 时返回 400', async () => {
+      const response = await callWorker(env, 'POST', '/video/thumbnail', { token: TOKEN, body: { videoId } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'validationFailed');
+      assert.deepEqual(response.body.details.map(detail => detail.field), ['coverPath']);
+      assert.equal(google.thumbnails.size, 0);
+    });
+  });
+
+  describe('字幕', () => {
+    beforeEach(async () => {
+      await env.VIDEO_BUCKET.put('subs/a.en.srt', SRT);
+    });
+
+    it('POST 新增、GET 列出、PUT 替换字幕', async () => {
+      const created = await callWorker(env, 'POST', '/video/captions', {
+        token: TOKEN,
+        body: { videoId, captions: [{ language: 'en', name: 'English', path: 'subs/a.en.srt' }] }
+      });
+      assert.equal(created.status, 200);
+      const [{ captionId }] = created.body.captions;
+      assert.equal(google.captions.get(captionId).content, SRT);
+
+      const listed = await callWorker(env, 'GET', `/video/captions?videoId=${videoId}`, { token: TOKEN });
+      assert.equal(listed.status, 200);
+      assert.deepEqual(listed.body.captions.map(caption => [caption.captionId, caption.language]), [[captionId, 'en']]);
+
+      await env.VIDEO_BUCKET.put('subs/a.en.v2.srt', SRT.replace('你好', '再见'));
+      const replaced = await callWorker(env, 'PUT', '/video/captions', {
+        token: TOKEN,
+        body: { videoId, captions: [{ captionId, path: 'subs/a.en.v2.srt' }] }
+      });
+      assert.equal(replaced.status, 200);
+      assert.match(google.captions.get(captionId).content, /再见/);
+    });
+
+    it('部分字幕失败时返回 207，缺少 videoId 时返回 400', async () => {
+      const partial = await callWorker(env, 'POST', '/video/captions', {
+        token: TOKEN,
+        body: { videoId, captions: [{ language: 'en', path: 'subs/a.en.srt' }, { language: 'ja', path: 'subs/missing.ja.srt' }] }
+      });
+      assert.equal(partial.status, 207);
+      assert.equal(partial.body.success, false);
+      assert.deepEqual(partial.body.captions.map(caption => [caption.success, caption.code || null]), [[true, null], [false, 'notFound']]);
+
+      const missing = await callWorker(env, 'GET', '/video/captions', { token: TOKEN });
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.details[0].field, 'videoId');
+    });
+  });
+
+  describe('播放列表', () => {
+    it('POST /playlists 创建，GET /playlists 列出', async () => {
+      const created = await callWorker(env, 'POST', '/playlists', { token: TOKEN, body: { title: '系列 A' } });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.playlist.privacyStatus, 'private');
+
+      const listed = await callWorker(env, 'GET', '/playlists', { token: TOKEN });
+      assert.equal(listed.status, 200);
+      assert.deepEqual(listed.body.playlists.map(playlist => playlist.title), ['系列 A']);
+    });
+
+    it('缺少标题时返回 400，缺少令牌时返回 401', async () => {
+      const invalid = await callWorker(env, 'POST', '/playlists', { token: TOKEN, body: { description: '没有标题' } });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.details[0].field, 'title');
+
+      const unauthorized = await callWorker(env, 'GET', '/playlists');
+      assert.equal(unauthorized.status, 401);
+      assert.equal(google.playlists.size, 0);
+    });
+  });
+
+  describe('频道和配额', () => {
+    it('GET /channels 列出账号的频道和配额', async () => {
+      await registerAccount({ channelId: google.channel.id });
+
+      const response = await callWorker(env, 'GET', '/channels');
+
+      assert.equal(response.status, 200);
+      const [account] = response.body.accounts;
+      assert.equal(account.accountId, 'main');
+      assert.equal(account.success, true);
+      assert.equal(account.channelMatches, true);
+      assert.deepEqual(account.channels.map(channel => channel.channelId), [google.channel.id]);
+      assert.equal(account.quota.budget, 10000);
+    });
+
+    it('GET /channels 指定的账号不存在时返回 404', async () => {
+      const response = await callWorker(env, 'GET', '/channels?accountId=missing');
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.code, 'accountNotFound');
+    });
+
+    it('GET /quota 返回按项目统计的用量', async () => {
+      const response = await callWorker(env, 'GET', '/quota');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.budget, 10000);
+      assert.equal(response.body.projects.length, 1);
+      assert.ok(response.body.projects[0].used > 0);
+    });
+
+    it('GET /quota 的 day 格式错误时返回 400', async () => {
+      const response = await callWorker(env, 'GET', '/quota?day=2025/04/17');
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.details[0].field, 'day');
+    });
+  });
+});
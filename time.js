@@ -0,0 +1,123 @@
+/**
+ * 带时区的时间解析
+ *
+ * 时间字段 (publish_time、runAt 等) 接受两种格式：
+ * - 带偏移量的 ISO 8601 时间，例如 2025-05-01T20:00:00+08:00 或 2025-05-01T12:00:00Z
+ * - 不带偏移量的本地时间，例如 2025-05-01T20:00:00，此时必须同时提供 IANA 时区 (timezone，例如 Asia/Shanghai)
+ * 不带偏移量又没有时区的时间无法确定含义，会被拒绝，而不是按 UTC 处理。
+ */
+
+// 带时区偏移量的 ISO 8601 时间
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:\d{2})$/i;
+// 不带偏移量的本地时间 (秒和毫秒可选)
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+/**
+ * 判断时间字符串是否带有时区偏移量
+ * @param {string} value - ISO 8601 时间
+ * @returns {boolean}
+ */
+export function hasTimeZoneOffset(value) {
+  return OFFSET_PATTERN.test(value);
+}
+
+/**
+ * 判断是否为有效的 IANA 时区名称
+ * @param {string} timeZone - 时区，例如 Asia/Shanghai
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 计算某一时刻在指定时区的 UTC 偏移量
+ * @param {number} timestamp - 毫秒时间戳
+ * @param {string} timeZone - IANA 时区
+ * @returns {number} - 偏移量 (毫秒)，东八区为 8 * 3600000
+ */
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * 解析时间：带偏移量时直接解析，不带偏移量时按 timeZone 中的本地时间换算
+ * @param {string} value - ISO 8601 时间
+ * @param {string} [timeZone] - IANA 时区，value 不带偏移量时必须提供
+ * @returns {Date|null} - 格式无效、或不带偏移量又没有时区时返回 null
+ */
+export function parseDateTime(value, timeZone) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (hasTimeZoneOffset(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = LOCAL_PATTERN.exec(value);
+  if (!match || !isValidTimeZone(timeZone)) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second = '0', millisecond = '0'] = match;
+  const localAsUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second),
+    Number(millisecond.padEnd(3, '0')));
+  // 先按当前偏移量换算，再用换算结果处的偏移量修正 (跨越夏令时切换时两者不同)
+  const firstGuess = localAsUtc - timeZoneOffset(localAsUtc, timeZone);
+  return new Date(localAsUtc - timeZoneOffset(firstGuess, timeZone));
+}
+
+/**
+ * 将时间规范化为 UTC ISO 8601 字符串
+ * @param {string} value - ISO 8601 时间
+ * @param {string} [timeZone] - IANA 时区，value 不带偏移量时必须提供
+ * @returns {string|null} - 无法解析时返回 null
+ */
+export function toUtcIso(value, timeZone) {
+  const date = parseDateTime(value, timeZone);
+  return date ? date.toISOString() : null;
+}
+
+/**
+ * 时间字段解析失败时的错误信息
+ * @param {string} field - 字段路径
+ * @param {*} value - 字段值
+ * @param {string} [timeZone] - 请求中的时区
+ * @returns {{code: string, message: string}}
+ */
+export function describeDateTimeError(field, value, timeZone) {
+  if (typeof value === 'string' && LOCAL_PATTERN.test(value) && !timeZone) {
+    return {
+      code: 'missingTimeZone',
+      message: `${field} 没有时区信息，请添加偏移量 (例如 2025-05-01T20:00:00+08:00) 或同时提供 timezone (例如 Asia/Shanghai)`
+    };
+  }
+  return { code: 'invalidFormat', message: `${field} 需要 ISO 8601 格式 (例如: 2025-04-17T23:57:16Z)` };
+}
+
+/**
+ * 某一时刻在指定时区的日期
+ * @param {Date|number} date - 时间
+ * @param {string} timeZone - IANA 时区
+ * @returns {string} - YYYY-MM-DD
+ */
+export function localDate(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
@@ -0,0 +1,304 @@
+/**
+ * 平台账号与 OAuth 令牌管理模块
+ *
+ * 账号信息保存在 KV (OAUTH_ACCOUNTS) 中：
+ * - account:<accountId>  账号记录 (YouTube 为 refresh token 和登记的频道 ID，Bilibili 为登录 Cookie)
+ * - token:<accountId>    缓存的 access token，在过期前自动失效
+ *
+ * 上传和查询函数通过"令牌提供者" ({ getToken, refresh }) 获取访问令牌，
+ * 请求返回 401 时可以调用 refresh 换取新令牌后重试一次。令牌提供者还带有配额计量器 (quota，见 quota.js)，
+ * YouTube API 调用计入账号所属项目的配额用量。令牌提供者同时携带发起请求的日志记录器 (logger，见 logger.js)，
+ * 平台 API 调用的日志因此带有请求 ID。
+ */
+
+import { ApiError } from './errors.js';
+import { quotaMeter } from './quota.js';
+import { rootLogger } from './logger.js';
+
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+// 距离过期不足该时间的缓存令牌视为已过期，避免长时间上传中途失效
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+// KV 的 expirationTtl 最小为 60 秒
+const MIN_KV_TTL_SECONDS = 60;
+
+// 支持的账号平台
+const ACCOUNT_PLATFORMS = ['youtube', 'bilibili'];
+// YouTube 频道 ID
+export const YOUTUBE_CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+/**
+ * 读取账号记录
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} accountId - 账号 ID
+ * @returns {Promise<Object|null>}
+ */
+async function getAccount(env, accountId) {
+  return await env.OAUTH_ACCOUNTS.get(`account:${accountId}`, 'json');
+}
+
+/**
+ * 去掉账号记录中的敏感字段，用于接口返回
+ * @param {Object} account - 账号记录
+ * @returns {Object}
+ */
+function describeAccount(account) {
+  const { refreshToken, clientSecret, cookie, ...publicFields } = account;
+  return publicFields;
+}
+
+/**
+ * 使用 refresh token 向 Google 换取新的 access token，并写入缓存
+ * @param {object} env - Cloudflare Worker 环境变量，包含 GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET
+ * @param {Object} account - 账号记录
+ * @returns {Promise<string>} - 新的 access token
+ */
+async function exchangeRefreshToken(env, account) {
+  const response = await fetch(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: account.clientId || env.GOOGLE_CLIENT_ID,
+      client_secret: account.clientSecret || env.GOOGLE_CLIENT_SECRET,
+      refresh_token: account.refreshToken,
+      grant_type: 'refresh_token'
+    }).toString()
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.access_token) {
+    if (result.error === 'invalid_grant') {
+      throw new ApiError('invalidToken', `账号 ${account.accountId} 的 refresh token 已失效或被撤销，请重新注册账号`);
+    }
+    throw new ApiError('upstreamError', `刷新账号 ${account.accountId} 的访问令牌失败: ${response.status} ${JSON.stringify(result)}`);
+  }
+
+  const expiresInMs = (result.expires_in || 3600) * 1000;
+  await env.OAUTH_ACCOUNTS.put(`token:${account.accountId}`, JSON.stringify({
+    accessToken: result.access_token,
+    expiresAt: Date.now() + expiresInMs
+  }), {
+    expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.floor((expiresInMs - TOKEN_EXPIRY_MARGIN_MS) / 1000))
+  });
+
+  return result.access_token;
+}
+
+/**
+ * 获取账号的访问令牌：优先使用未过期的缓存，否则用 refresh token 换取
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} accountId - 账号 ID
+ * @param {boolean} [forceRefresh=false] - 是否忽略缓存强制刷新
+ * @param {string|null} [platform] - 请求的平台，账号属于其他平台时抛出 validationFailed 错误 (字段 accountId)
+ * @returns {Promise<string>} - 访问令牌 (Bilibili 账号返回 Cookie 字符串)
+ */
+export async function getAccountAccessToken(env, accountId, forceRefresh = false, platform = null) {
+  const account = await getAccount(env, accountId);
+  if (!account) {
+    throw new ApiError('accountNotFound', `账号不存在或已被撤销: ${accountId}`);
+  }
+  if (platform && account.platform !== String(platform).toLowerCase()) {
+    const message = `账号 ${accountId} 属于 ${account.platform}，不能用于 ${platform}`;
+    throw new ApiError('validationFailed', message, { details: [{ field: 'accountId', code: 'invalidValue', message }] });
+  }
+
+  // Bilibili 使用登录 Cookie，没有刷新机制
+  if (account.platform === 'bilibili') {
+    return account.cookie;
+  }
+
+  if (!forceRefresh) {
+    const cached = await env.OAUTH_ACCOUNTS.get(`token:${accountId}`, 'json');
+    if (cached && cached.expiresAt - Date.now() > TOKEN_EXPIRY_MARGIN_MS) {
+      return cached.accessToken;
+    }
+  }
+
+  return await exchangeRefreshToken(env, account);
+}
+
+/**
+ * 读取账号登记的频道 ID
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} accountId - 账号 ID
+ * @returns {Promise<string|null>} - 账号不存在或没有登记频道时返回 null
+ */
+export async function getAccountChannelId(env, accountId) {
+  const account = await getAccount(env, accountId);
+  return account?.channelId || null;
+}
+
+/**
+ * 为直接传入的访问令牌创建令牌提供者，无法刷新
+ * @param {string} accessToken - 访问令牌
+ * @param {Object|null} [quota] - 配额计量器 (见 quota.js)
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @returns {{getToken: Function, refresh: Function, quota: Object|null, logger: Object}}
+ */
+export function staticTokenProvider(accessToken, quota = null, logger = rootLogger) {
+  return {
+    getToken: async () => accessToken,
+    refresh: async () => null,
+    quota,
+    logger
+  };
+}
+
+/**
+ * 为已注册账号创建令牌提供者，refresh 会强制换取新的 access token
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} accountId - 账号 ID
+ * @param {import('./logger.js').Logger} [logger] - 日志记录器
+ * @param {string|null} [platform] - 请求的平台，账号属于其他平台时 getToken 抛出 validationFailed 错误
+ * @returns {{accountId: string, getToken: Function, refresh: Function, quota: Object|null, logger: Object}}
+ */
+export function accountTokenProvider(env, accountId, logger = rootLogger, platform = null) {
+  return {
+    accountId,
+    logger,
+    // 配额按账号的 OAuth 客户端 (项目) 统计
+    quota: quotaMeter(env, accountId, async () => (await getAccount(env, accountId))?.clientId, logger),
+    getToken: async () => await getAccountAccessToken(env, accountId, false, platform),
+    refresh: async () => {
+      const account = await getAccount(env, accountId);
+      if (!account || account.platform === 'bilibili') {
+        return null;
+      }
+      logger.info('访问令牌被拒绝，正在刷新', { accountId });
+      return await exchangeRefreshToken(env, account);
+    }
+  };
+}
+
+/**
+ * 将访问令牌字符串或令牌提供者统一转换为令牌提供者
+ * @param {string|Object} accessToken - 访问令牌或令牌提供者
+ * @returns {{getToken: Function, refresh: Function}}
+ */
+export function toTokenProvider(accessToken) {
+  return typeof accessToken === 'string' ? staticTokenProvider(accessToken) : accessToken;
+}
+
+/**
+ * 根据 accountId 或直接传入的令牌确定请求使用的令牌提供者，accountId 优先
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} [accountId] - 已注册的账号 ID
+ * @param {string} [accessToken] - 直接传入的访问令牌 (兼容旧用法)
+ * @param {import('./logger.js').Logger} [logger] - 发起请求的日志记录器
+ * @param {string|null} [platform] - 请求的平台，accountId 属于其他平台的账号时获取令牌会抛出 validationFailed 错误
+ * @returns {Object|null} - 令牌提供者，二者都未提供时返回 null
+ */
+export function resolveTokenProvider(env, accountId, accessToken, logger = rootLogger, platform = null) {
+  if (accountId) {
+    return accountTokenProvider(env, accountId, logger, platform);
+  }
+  return accessToken ? staticTokenProvider(accessToken, quotaMeter(env, null, undefined, logger), logger) : null;
+}
+
+/**
+ * 注册 (或更新) 平台账号。YouTube 账号会立即换取一次 access token 以校验 refresh token。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} input - 账号信息
+ * @param {string} input.accountId - 账号 ID
+ * @param {string} input.platform - 平台 (youtube / bilibili)
+ * @param {string} [input.refreshToken] - YouTube 的 OAuth refresh token
+ * @param {string} [input.clientId] - OAuth 客户端 ID (可选，默认使用 GOOGLE_CLIENT_ID)
+ * @param {string} [input.clientSecret] - OAuth 客户端密钥 (可选，默认使用 GOOGLE_CLIENT_SECRET)
+ * @param {string} [input.cookie] - Bilibili 登录 Cookie
+ * @param {string} [input.label] - 备注名称
+ * @param {string} [input.channelId] - YouTube 账号对应的频道 ID (可选)，设置后上传前会检查令牌所属的频道
+ * @returns {Promise<Object>} - 不含敏感字段的账号记录
+ */
+export async function registerAccount(env, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiError('validationFailed', '请求体必须是 JSON 对象', {
+      details: [{ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' }]
+    });
+  }
+  const { accountId, platform, refreshToken, clientId, clientSecret, cookie, label, channelId } = input;
+
+  if (!accountId || !/^[\w.-]{1,64}$/.test(accountId)) {
+    throw new ApiError('validationFailed', 'accountId 必须为 1-64 位字母、数字、下划线、点或短横线');
+  }
+  if (!ACCOUNT_PLATFORMS.includes(platform)) {
+    throw new ApiError('unsupportedPlatform', `不支持的平台: ${platform}`);
+  }
+  if (platform === 'youtube' && !refreshToken) {
+    throw new ApiError('validationFailed', 'YouTube 账号需要提供 refreshToken');
+  }
+  if (platform === 'bilibili' && !cookie) {
+    throw new ApiError('validationFailed', 'Bilibili 账号需要提供 cookie');
+  }
+  if (channelId !== undefined && channelId !== null && (platform !== 'youtube' || !YOUTUBE_CHANNEL_ID_PATTERN.test(channelId))) {
+    throw new ApiError('validationFailed', 'channelId 只能用于 YouTube 账号，格式为 UC 开头的 24 位频道 ID');
+  }
+
+  const existing = await getAccount(env, accountId);
+  const now = new Date().toISOString();
+  const account = {
+    accountId,
+    platform,
+    label: label || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  if (platform === 'youtube') {
+    Object.assign(account, { channelId: channelId || null, refreshToken, clientId: clientId || null, clientSecret: clientSecret || null });
+    // 先校验 refresh token，再保存账号
+    await exchangeRefreshToken(env, account);
+  } else {
+    account.cookie = cookie;
+  }
+
+  await env.OAUTH_ACCOUNTS.put(`account:${accountId}`, JSON.stringify(account));
+  return describeAccount(account);
+}
+
+/**
+ * 撤销账号：删除账号记录和缓存的令牌，YouTube 账号同时向 Google 撤销 refresh token
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} accountId - 账号 ID
+ * @returns {Promise<boolean>} - 账号存在并被撤销时返回 true
+ */
+export async function revokeAccount(env, accountId) {
+  const account = await getAccount(env, accountId);
+  if (!account) {
+    return false;
+  }
+
+  if (account.platform === 'youtube') {
+    try {
+      const response = await fetch(`${GOOGLE_REVOKE_URL}?token=${encodeURIComponent(account.refreshToken)}`, { method: 'POST' });
+      if (!response.ok) {
+        rootLogger.warn('向 Google 撤销令牌失败', { accountId, status: response.status, response: await response.text() });
+      }
+    } catch (error) {
+      rootLogger.warn('向 Google 撤销令牌时出错', { accountId, error });
+    }
+  }
+
+  await env.OAUTH_ACCOUNTS.delete(`token:${accountId}`);
+  await env.OAUTH_ACCOUNTS.delete(`account:${accountId}`);
+  return true;
+}
+
+/**
+ * 列出所有已注册账号 (不含敏感字段)
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<Object[]>}
+ */
+export async function listAccounts(env) {
+  const accounts = [];
+  let cursor;
+  do {
+    const page = await env.OAUTH_ACCOUNTS.list({ prefix: 'account:', cursor });
+    for (const key of page.keys) {
+      const account = await env.OAUTH_ACCOUNTS.get(key.name, 'json');
+      if (account) {
+        accounts.push(describeAccount(account));
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return accounts;
+}
@@ -1,193 +1,1258 @@
 /**
- * Cloudflare Worker 用于从 R2 存储桶将视频上传到 YouTube（未来可扩展到其他平台如 Bilibili）。
+ * Cloudflare Worker 用于从 R2 存储桶将视频上传到 YouTube 和 Bilibili。
  * 
  * 环境变量说明：
  * - VIDEO_BUCKET: R2 存储桶的绑定名称（例如 my-bucket，用于直接访问 R2 中的文件）
- * - API_SECRET: 用于验证 n8n 请求的密钥（防止未经授权的访问）
+ * - API_SECRET: 旧的共享密钥 (可选)，只传 X-API-Secret 的请求视为拥有全部权限；客户端改用各自的 API 密钥后可删除
+ * - UPLOAD_DB: D1 数据库 (可选)，保存每次上传的历史记录，表结构见 migrations/
+ * - API_KEYS: KV 命名空间，保存各客户端的 API 密钥、请求签名防重放记录和上传审计日志 (见 auth.js)
+ * - UPLOAD_JOBS: KV 命名空间，保存异步上传任务的状态
+ * - UPLOAD_QUEUE: Queue 绑定 (可选)，用于在后台执行上传任务；未绑定时使用 ctx.waitUntil
+ * - OAUTH_ACCOUNTS: KV 命名空间，保存平台账号的 refresh token 和缓存的 access token
+ * - GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET: 用于刷新 YouTube 访问令牌的 OAuth 客户端
+ * - ADMIN_SECRET: 管理端点 (/admin/accounts、/admin/keys、/admin/audit) 使用的管理员密钥
+ * - UPLOAD_RECORDS: KV 命名空间，保存幂等记录和 R2 文件的发布记录
+ * - QUOTA_USAGE: KV 命名空间 (可选)，保存 YouTube API 配额的估算用量 (见 quota.js)
+ * - YOUTUBE_QUOTA_BUDGET: 每个 Google Cloud 项目的每日配额预算 (可选，默认 10000)，超出时请求返回 429 quotaExceeded
+ * - METADATA_PRESETS: KV 命名空间，保存元数据预设 (见 presets.js)
+ * - INBOX_PREFIX: R2 收件箱前缀 (可选，例如 inbox/)，配合 R2 事件通知自动上传该前缀下的新视频 (见 inbox.js)
+ * - WEBHOOK_SECRET: 处理状态回调 (callbackUrl) 的签名密钥
+ * - INGEST_URL_SECRET: 直接上传 (POST /ingest) 的分块地址签名密钥 (可选)；未配置时分块请求需要 API 密钥
+ * - IMAGES: Cloudflare Images 绑定 (可选)，用于把不符合平台要求的封面转换为 1280×720 JPEG
+ * - MEDIA_BASE_URL: R2 存储桶的公开地址 (可选，例如 https://media.example.com，所在 zone 需启用 Media Transformations)，
+ *   用于按 coverFrame 从视频截取封面
+ * - UPLOAD_METRICS: Workers Analytics Engine 数据集 (可选)，每次上传写入平台、结果、错误码、字节数和各阶段耗时 (见 metrics.js)
+ *
+ * 日志与追踪：日志为单行 JSON (见 logger.js)，令牌、密钥和 Cookie 会被隐藏。每个请求有一个请求 ID，
+ * 可以通过请求头 X-Request-Id 传入，否则自动生成，并在响应头 X-Request-Id 中返回；同一请求的日志、它创建的异步任务
+ * 和上传历史 (requestId) 都带有这个 ID。上传结果中的 timings 为各阶段耗时 (毫秒)：
+ * r2Read (读取 R2)、insert (发送视频)、verify (状态校验)、thumbnail (封面)、captions、playlists、total。
  * 
  * n8n 请求格式（POST 请求）：
  * POST /
  * Headers:
- *   X-API-Secret: <api_secret> // 用于请求认证的密钥
+ *   X-API-Key-Id: <keyId> // 客户端的 API 密钥 ID
+ *   X-API-Secret: <secret> // 密钥；也可以改用 X-Signature-Timestamp + X-Signature 请求签名 (见 auth.js)
  * Body: JSON
  * {
  *   "platform": "youtube", // 目标平台
  *   "videoPath": "video.mp4", // R2 中视频文件的路径
- *   "accessToken": "ya29.a0AfH6...", // YouTube API 的访问令牌（由 n8n 提供）
+ *   "accountId": "main-channel", // 已注册的账号 ID，Worker 自动获取和刷新令牌（也可以改为在 Authorization 头中直接传入令牌）
+ *   "YT_channelId": "UCxxxx", // 目标频道 (可选，仅 YouTube，默认使用账号登记的 channelId)；令牌所属频道不一致时拒绝上传 (409 channelMismatch)
  *   "metadata": { // 视频元数据
  *     "title": "My Video",
  *     "description": "Uploaded via Cloudflare Worker",
  *     "tags": ["tag1", "tag2"],
  *     "categoryId": "22",
  *     "privacyStatus": "private"
- *   }
+ *   },
+ *   "captions": [ // 字幕 (可选，仅 YouTube)，path 为 R2 中的 SRT/VTT 文件，每条字幕的结果见响应中的 captionStatus
+ *     { "language": "en", "name": "English", "path": "subs/video.en.srt", "draft": false }
+ *   ],
+ *   "playlistIds": ["PLxxxx"], // 上传后加入的播放列表 (可选，仅 YouTube)
+ *   "playlistTitles": ["系列 A"], // 按标题加入播放列表，不存在时新建 private 播放列表 (可选)
+ *   "playlistPosition": 0, // 在播放列表中的位置 (可选，默认添加到末尾)；每个播放列表的结果见响应中的 playlistStatus
+ *   "coverPath-high": "covers/video.png", // 封面 (可选)，也可用 coverPath-medium / coverPath-default / coverPath 或 http(s) URL
+ *   "coverFrame": "00:00:12.5" // 未提供封面路径时从视频截取该时间点的画面作为封面 (可选，仅 YouTube，秒数或时间码)
  * }
+ *
+ * 封面按文件头识别实际格式并检查大小、尺寸和宽高比 (YouTube: 不超过 2 MB，16:9)，不符合时转换为 1280×720 JPEG
+ * (需要 IMAGES 绑定)，转换或截取的封面写回 R2 中视频的旁边 (videos/a.mp4 -> videos/a.cover.jpg)，
+ * 处理结果见响应中的 thumbnail { source, format, width, height, size, converted, issues, storedPath }。
+ *
+ * 多平台分发：用 "platforms" 数组代替 "platform"，每个条目可以单独指定 accountId、metadata (与顶层合并)、
+ * 封面路径和 publish_time，例如：
+ *   "platforms": [
+ *     "youtube",
+ *     { "platform": "bilibili", "accountId": "bili-main", "metadata": { "tid": 17 }, "publish_time": "2025-05-01T12:00:00+08:00" }
+ *   ]
+ * 响应中的 results 按目标 key (默认为平台名，指定 accountId 时为 平台:账号) 返回各自的结果，
+ * failedPlatforms 列出失败的目标；部分失败时状态码为 207。
+ *
+ * 时间字段 (publish_time、runAt) 需要带偏移量 (例如 2025-05-01T20:00:00+08:00)，或者同时提供 IANA 时区
+ * "timezone": "Asia/Shanghai" 按当地时间换算；两者都没有的时间会被拒绝 (错误码 missingTimeZone)，不再默认按 UTC 处理。
+ *
+ * sidecar：R2 中与视频同名的 .json 文件 (videos/a.mp4 -> videos/a.json) 保存上传请求体的其余字段，
+ * 同名的 .jpg / .jpeg / .png / .webp 文件作为封面，请求可以只传 videoPath (和需要覆盖的字段)，详见 bucket.js。
+ * 设置了 INBOX_PREFIX 并配置 R2 事件通知后，上传到该前缀下的视频和 sidecar 都到齐时自动创建上传任务 (见 inbox.js)。
+ *
+ * 元数据预设与模板：metadata.preset 引用已保存的预设 (默认标签、分类、隐私状态、描述结尾、播放列表和语言)，
+ * 请求中的字段优先，tags 和播放列表与预设合并。引用了预设或带有 "variables" 时，文本中的 {{变量}} 取自请求的
+ * "variables": { ... }、上传目标的 videoPath / platform / accountId、R2 对象的 customMetadata 和内置变量
+ * fileName / size / date / title (其他请求中的 {{ 原样保留)，例如：
+ *   "metadata": { "preset": "weekly-show", "title": "{{show}} 第 {{episode}} 期" }, "variables": { "episode": 12 }
+ * 引用的预设不存在或变量没有值时返回 400 (错误码 validationFailed，字段错误码 unknownVariable)。
+ *
+ * 上传到 Bilibili 时，platform 为 "bilibili"，Authorization 头传入包含 SESSDATA 和 bili_jct 的 Cookie 字符串，
+ * metadata 还需要 tid (分区 ID)，可选 copyright (1 自制 / 2 转载) 和 source (转载来源)。
+ *
+ * 幂等上传 (POST / 和 POST /jobs)：
+ * 可选请求头 Idempotency-Key，未提供时默认使用 videoPath + R2 对象 ETag + 平台 (+ accountId) 的哈希。
+ * 相同幂等键的请求不会重复上传：已完成时直接返回原结果 (replayed: true，响应头 Idempotent-Replayed: true)，
+ * 仍在上传时 POST /jobs 返回原任务，POST / 返回 409 uploadInProgress。上传失败后可以用相同的幂等键重试。
+ * 多平台请求按目标分别判断，只上传尚未完成的目标。
+ *
+ * 处理状态回调：上传请求 (或多平台条目) 带有 "callbackUrl": "https://..." 时 (目前仅 YouTube，需要 accountId)，
+ * 定时任务会跟踪视频的处理状态，并在 processed / failed / rejected / published (定时发布已公开) 时 POST 回调：
+ *   { "event": "processed", "platform", "videoId", "destination", "videoPath", "reason", "status", "occurredAt" }
+ * 回调带有 X-Webhook-Id、X-Webhook-Event、X-Webhook-Timestamp 和
+ * X-Webhook-Signature: sha256=<hex(HMAC-SHA256(WEBHOOK_SECRET, "<timestamp>.<请求体>"))>，发送失败时按退避间隔重试。
+ *
+ * 定时操作 (Headers: X-API-Key-Id + X-API-Secret 或请求签名，需要绑定 UPLOAD_DB，操作必须使用 accountId)：
+ * POST /schedule          创建 { type, runAt, timezone?, ... }，type 为：
+ *                           upload        { upload: 与 POST / 相同的请求体 }，到期时创建异步上传任务
+ *                           setPrivacy    { platform?, accountId, videoId, privacyStatus }，例如先私密上传、到期后公开
+ *                           addToPlaylist { platform?, accountId, videoId, playlistIds?, playlistTitles?, playlistPosition? }
+ * GET /schedule?status=&type=&limit=&offset=  列出定时操作 (按执行时间排序)
+ * GET /schedule/:id       查看定时操作的状态、尝试次数和执行结果
+ * PATCH /schedule/:id     修改执行时间 { runAt, timezone? }，只能修改 pending 状态的操作
+ * DELETE /schedule/:id    取消 pending 状态的操作
+ *
+ * 元数据预设 (Headers: X-API-Key-Id + X-API-Secret 或请求签名)：
+ * GET /presets            列出预设
+ * GET /presets/:name      查看预设
+ * PUT /presets/:name      创建或替换预设 { label?, platform?, accountId?, metadata?, descriptionFooter?, playlistIds?, playlistTitles?, language? }
+ *                         platform / accountId 限定预设只能用于该平台和账号 (频道)，引用时未指定则使用预设的平台和账号
+ * DELETE /presets/:name   删除预设
+ * POST /dry-run           请求体与 POST / 相同，返回合并预设、渲染模板后各目标的元数据和校验结果 (valid、errors)，不上传
+ *
+ * 异步上传：
+ * POST /jobs      请求体与 POST / 相同，立即返回任务 ID，上传在后台执行
+ * GET /jobs/:id   查询任务状态 (queued/uploading/processing/done/failed)、进度和上传结果；只能查询本密钥创建的任务
+ *                 (同时带有 X-Admin-Secret 时不限制)
+ *
+ * 直接上传到 R2 (Headers: X-API-Key-Id + X-API-Secret 或请求签名，不需要 R2 凭据，见 ingest.js)：
+ * POST /ingest                   创建上传会话 { videoPath? | fileName, size, contentType?, partSize? (默认 16 MiB),
+ *                                sha256?, customMetadata?: { title, description, ... }, publish? }，返回 ingest 和每个分块的 url；
+ *                                未指定 videoPath 时存放到 ingest/<日期>/<会话 ID>/<文件名>，同一路径同时只能有一个上传中的会话。
+ *                                publish 与 POST /jobs 的请求体相同
+ *                                (不含 videoPath，必须使用 accountId，需要 jobs.create 权限)，customMetadata 可以作为模板变量
+ * PUT /ingest/:id/parts/:n       上传第 n 块 (请求体为分块内容)，返回 { partNumber, etag, size }；
+ *                                带签名的分块地址不需要 API 密钥
+ * GET /ingest/:id                查询会话，missingParts 为尚未上传的分块和新的上传地址，用于续传
+ * POST /ingest/:id/complete      合并分块 { sha256? }，核对大小和 SHA-256 (不一致时返回 checksumMismatch 并删除文件；
+ *                                SHA-256 校验只支持不超过 1 GiB 的文件)，会话带有 publish 时创建异步上传任务 (jobId)；
+ *                                可以重试，已合并的会话只补建尚未创建的任务
+ * DELETE /ingest/:id             取消上传，删除已上传的分块
+ * 以上会话端点只能操作本密钥创建的会话，同时带有 X-Admin-Secret 时不限制
+ *
+ * 查询端点 (Headers: X-API-Key-Id + X-API-Secret 或请求签名，令牌通过 accountId 查询参数或 Authorization 头提供)：
+ * GET /platforms                              列出已注册平台、支持的操作和特性
+ * GET /channels?accountId=                    列出已注册账号对应的频道 (标题、订阅数、视频数) 和今天的剩余配额，
+ *                                             channelMatches 表示令牌是否属于登记的频道
+ * GET /quota?day=                             YouTube 配额用量 (按项目和账号，day 为太平洋时间的日期，默认今天)
+ * GET /latest?platform=&channelId=            获取最新视频 (platform 默认 youtube，读取频道的上传播放列表，2 单位配额)
+ * GET /video?platform=&videoId=               获取视频详情 (platform 默认 youtube)
+ * GET /published?videoPath=                   查询 R2 文件是否已经发布，以及发布到了哪些平台
+ * GET /bucket?prefix=&cursor=&limit=&delimiter=&pending=
+ *                                             列出 R2 中的文件 (大小、上传时间、Content-Type、customMetadata、是否已发布)，
+ *                                             delimiter=/ 时按目录返回 prefixes，pending=true 只返回尚未发布的视频；
+ *                                             limit 默认 50，最大 100
+ * GET /uploads?from=&to=&platform=&status=&accountId=&clientKeyId=&requestId=&q=&limit=&offset=
+ *                                             查询上传历史 (按开始时间倒序，q 搜索路径、标题、视频 ID 和错误信息)
+ * GET /uploads/:id                            查看一条上传历史 (R2 文件、目标、结果、错误、耗时和发起请求的密钥)
+ * GET /metrics?from=&to=&platform=            上传指标 (需要 UPLOAD_DB，默认最近 24 小时)：各平台的上传次数、失败率、字节数、
+ *                                             耗时分位数、各阶段平均耗时和错误码，与前一个等长窗口比较，变差的指标列在 regressions 中
+ *
+ * 修改已发布的视频 (Headers: X-API-Key-Id + X-API-Secret 或请求签名，令牌通过 accountId 或 Authorization 头提供，platform 默认 youtube)：
+ * PATCH /video            更新元数据 { videoId, metadata: { title?, description?, tags?, categoryId?, privacyStatus? }, publish_time? }
+ *                         未传入的字段保持不变；publish_time 为 null 时取消定时发布
+ * POST /video/thumbnail   替换封面 { videoId, coverPath-high | coverPath-medium | coverPath-default | coverPath }
+ *                         或从 R2 中的视频截取 { videoId, videoPath, coverFrame }；指定 videoPath 时转换后的封面写回视频旁边
+ * DELETE /video?videoId=  删除视频
+ * GET /video/captions?videoId=  列出字幕轨道
+ * POST /video/captions    新增字幕 { videoId, captions: [{ language, name?, path, draft? }] }
+ * PUT /video/captions     替换字幕内容 { videoId, captions: [{ captionId, path, draft? }] }
+ *                         每条字幕单独返回状态 (captions)，部分失败时状态码为 207
+ *
+ * 播放列表 (Headers: X-API-Key-Id + X-API-Secret 或请求签名，令牌通过 accountId 或 Authorization 头提供，platform 默认 youtube)：
+ * GET /playlists                       列出当前账号的播放列表
+ * POST /playlists                      创建播放列表 { title, description?, privacyStatus? (默认 private) }
+ * PUT /playlists/:playlistId/order     调整顺序 { videoIds: [...] }，列出的视频依次移动到最前面
+ *
+ * 账号管理 (Headers: X-Admin-Secret)：
+ * GET /admin/accounts               列出已注册账号
+ * POST /admin/accounts              注册账号 { accountId, platform, refreshToken | cookie, clientId?, clientSecret?, label?, channelId? }
+ *                                   channelId 为 YouTube 账号对应的频道 (品牌账号)，上传前检查令牌属于该频道
+ * DELETE /admin/accounts/:accountId 撤销账号
+ *
+ * API 密钥管理 (Headers: X-Admin-Secret)：
+ * GET /admin/keys                   列出密钥 (不含 secret)
+ * POST /admin/keys                  创建密钥 { keyId, label?, platforms?, accounts?, routes?, requireSignature? }，secret 只在响应中返回一次
+ *                                   platforms / accounts / routes 为 null 时不限制，accounts 为可以使用的已注册账号 ID，
+ *                                   routes 可用 "videos.*" 这样的通配 (路由名称见 auth.js)
+ * PATCH /admin/keys/:keyId          更新密钥 { enabled?, label?, platforms?, accounts?, routes?, requireSignature? }，enabled: false 立即停用
+ * DELETE /admin/keys/:keyId         删除密钥
+ * GET /admin/audit?keyId=&limit=    最近的上传审计日志 (哪个密钥触发了哪次上传)
+ *
+ * 所有端点的响应都是 JSON。失败时返回统一的错误结构 (见 errors.js)：
+ * { "success": false, "code": "validationFailed", "error": "...", "details": [...], "timestamp": "..." }
+ * code 为稳定的错误码 (例如 validationFailed、invalidToken、quotaExceeded、videoNotFound)，
+ * 参数校验失败时 details 为字段错误列表 [{ field, code, message }]。
  */
 
-import { uploadToPlatform } from './platforms.js';
-import { getLatestYouTubeVideo, getVideoDetails } from './youtube.js';
+import {
+  uploadToPlatform, uploadToPlatforms, createUploadRequest, resolveDestinations, summarizeUploadResult,
+  getPlatformOperation, listPlatforms
+} from './platforms.js';
+import { createUploadJob, getJob, handleJobQueue } from './jobs.js';
+import { resolveTokenProvider, registerAccount, revokeAccount, listAccounts } from './tokens.js';
+import { ApiError, jsonResponse, errorResponse, errorCodeOf } from './errors.js';
+import {
+  assertValidUploadBody, validateUploadBody, assertValidVideoUpdate, assertValidThumbnailBody, assertValidCaptionsBody,
+  assertValidPlaylistBody, assertValidPlaylistOrder, assertValidScheduleBody, assertValidReschedule, assertValidIngestBody, readJsonBody
+} from './validation.js';
+import { selectCoverPath } from './covers.js';
+import {
+  RECORD_STATES, getIdempotencyHeader, resolveIdempotencyKeys, getUploadRecord, partitionDestinations,
+  claimDestinations, settleUploadRecords, replayedResults, getPublications
+} from './idempotency.js';
+import { watchUpload, watchUploads, runProcessingPoller } from './processing.js';
+import {
+  authenticate, assertPlatformAllowed, assertAccountAllowed, assertRouteAllowed, isAdmin, requireAdmin, createApiKey, updateApiKey, deleteApiKey, listApiKeys,
+  recordAudit, listAuditLog
+} from './auth.js';
+import { listUploads, getUpload } from './history.js';
+import { toUtcIso } from './time.js';
+import {
+  createScheduledAction, getScheduledAction, listScheduledActions, rescheduleAction, cancelScheduledAction, actionPlatforms, actionAccounts,
+  runScheduledActions
+} from './scheduler.js';
+import { applyPresets, renderUploadBody, listPresets, getPreset, savePreset, deletePreset } from './presets.js';
+import { applySidecar, listBucket } from './bucket.js';
+import { INBOX_QUEUE, handleInboxQueue } from './inbox.js';
+import { getAccountQuota, listQuotaUsage } from './quota.js';
+import { createLogger, getRequestId, rootLogger, REQUEST_ID_HEADER } from './logger.js';
+import { getUploadMetrics } from './metrics.js';
+import {
+  createIngestSession, describeIngestSession, uploadIngestPart, completeIngestSession, abortIngestSession, hasPartSignature,
+  verifyPartSignature
+} from './ingest.js';
 
-export default {
-  async fetch(request, env, ctx) {
-    // 解析请求 URL
-    const url = new URL(request.url);
-    
-    // 健康检查端点
-    if (request.method === 'GET' && url.pathname === '/') {
-      return new Response(JSON.stringify({
-        status: 'healthy',
-        timestamp: new Date().toISOString()
-      }), {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-
-    // 获取最新视频端点
-    if (request.method === 'GET' && url.pathname === '/latest') {
-      try {
-        // 验证请求的 API 密钥
-        const apiSecret = request.headers.get('X-API-Secret');
-        if (!apiSecret || apiSecret !== env.API_SECRET) {
-          return new Response('API 密钥无效或缺失', { status: 401 });
-        }
-
-        const accessToken = request.headers.get('Authorization')?.replace('Bearer ', '');
-        if (!accessToken) {
-          return new Response('缺少 Authorization 头或 accessToken', { status: 401 });
-        }
-
-        // 从 URL 查询参数获取 channelId (可选)
-        const channelId = url.searchParams.get('channelId');
-
-        // 调用函数，传入 accessToken 和可选的 channelId
-        const latestVideo = await getLatestYouTubeVideo(accessToken, channelId); 
-        
-        return new Response(JSON.stringify(latestVideo), {
-          status: 200,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } catch (error) {
-        console.error('获取最新视频时出错:', error);
-        return new Response(JSON.stringify({
-          success: false,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        }), {
-          status: 500,
-          headers: { 'Content-Type': 'application/json' }
-        });
+/**
+ * 获取 Authorization 头中的访问令牌
+ * @param {Request} request - 请求对象
+ * @returns {string|null}
+ */
+function getHeaderToken(request) {
+  return request.headers.get('Authorization')?.replace('Bearer ', '') || null;
+}
+
+/**
+ * 读取 R2 中视频文件的元数据，文件不存在时抛出 notFound 错误
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} videoPath - R2 中视频文件的路径
+ * @returns {Promise<Object>}
+ */
+async function requireVideoObject(env, videoPath) {
+  const videoObject = await env.VIDEO_BUCKET.head(videoPath);
+  if (!videoObject) {
+    throw new ApiError('notFound', `在 R2 中未找到视频文件: ${videoPath}`);
+  }
+  return videoObject;
+}
+
+/**
+ * 查询已注册账号的频道信息，单个账号失败 (例如令牌失效、平台不支持) 不影响其他账号
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} account - 不含敏感字段的账号记录
+ * @param {import('./logger.js').Logger} logger - 请求的日志记录器
+ * @returns {Promise<Object>} - { accountId, platform, label, channelId, success, channels, channelMatches, quota } 或失败时的 { code, error, quota }；
+ *   quota 为 YouTube 账号所属项目今天的配额用量 (见 quota.js)
+ */
+async function describeAccountChannels(env, account, logger) {
+  const summary = {
+    accountId: account.accountId,
+    platform: account.platform,
+    label: account.label,
+    channelId: account.channelId || null
+  };
+  try {
+    const listChannels = getPlatformOperation(account.platform, 'listChannels');
+    const channels = await listChannels({ tokenProvider: resolveTokenProvider(env, account.accountId, null, logger, account.platform), env });
+    return {
+      ...summary,
+      success: true,
+      channels: channels,
+      // 账号登记了频道时，检查令牌是否仍属于该频道 (上传前会做同样的检查)
+      channelMatches: summary.channelId ? channels.some(channel => channel.channelId === summary.channelId) : null,
+      quota: account.platform === 'youtube' ? await getAccountQuota(env, account) : null
+    };
+  } catch (error) {
+    return {
+      ...summary,
+      success: false,
+      code: errorCodeOf(error),
+      error: error.message,
+      quota: account.platform === 'youtube' ? await getAccountQuota(env, account) : null
+    };
+  }
+}
+
+/**
+ * 处理请求，按路径分发到各端点。端点中抛出的错误由 fetch 统一转换为 JSON 错误响应。
+ * @param {Request} request - 请求对象
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {object} ctx - Worker 执行上下文
+ * @param {import('./logger.js').Logger} logger - 带有请求 ID 的日志记录器，传给令牌提供者和上传任务
+ * @returns {Promise<Response>}
+ */
+async function handleRequest(request, env, ctx, logger) {
+  // 解析请求 URL
+  const url = new URL(request.url);
+
+  // 健康检查端点
+  if (request.method === 'GET' && url.pathname === '/') {
+    return jsonResponse({
+      status: 'healthy',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // 列出已注册的平台及其支持的操作
+  if (request.method === 'GET' && url.pathname === '/platforms') {
+    await authenticate(request, env, 'platforms.list');
+    return jsonResponse({
+      success: true,
+      platforms: listPlatforms()
+    });
+  }
+
+  // 列出已注册账号对应的频道 (标题、订阅数、视频数)
+  if (request.method === 'GET' && url.pathname === '/channels') {
+    const client = await authenticate(request, env, 'channels.read');
+
+    const accountId = url.searchParams.get('accountId');
+    const accounts = (await listAccounts(env)).filter(account =>
+      (!accountId || account.accountId === accountId) && (!client.platforms || client.platforms.includes(account.platform)) &&
+      (!client.accounts || client.accounts.includes(account.accountId)));
+    if (accountId && accounts.length === 0) {
+      throw new ApiError('accountNotFound', `账号不存在或无权访问: ${accountId}`);
+    }
+
+    return jsonResponse({
+      success: true,
+      accounts: await Promise.all(accounts.map(account => describeAccountChannels(env, account, logger)))
+    });
+  }
+
+  // YouTube 配额用量：按项目和账号统计的估算值，日期为太平洋时间
+  if (request.method === 'GET' && url.pathname === '/quota') {
+    await authenticate(request, env, 'quota.read');
+
+    const day = url.searchParams.get('day');
+    if (day !== null && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      throw new ApiError('validationFailed', 'day 必须为 YYYY-MM-DD 格式', {
+        details: [{ field: 'day', code: 'invalidFormat', message: 'day 必须为 YYYY-MM-DD 格式 (太平洋时间)' }]
+      });
+    }
+
+    return jsonResponse({
+      success: true,
+      ...await listQuotaUsage(env, day || undefined)
+    });
+  }
+
+  // 获取最新视频端点
+  if (request.method === 'GET' && url.pathname === '/latest') {
+    const client = await authenticate(request, env, 'videos.latest');
+
+    // 优先使用已注册账号 (accountId 查询参数)，否则使用 Authorization 头中的令牌
+    assertAccountAllowed(client, url.searchParams.get('accountId'));
+    const accessToken = resolveTokenProvider(env, url.searchParams.get('accountId'), getHeaderToken(request), logger, url.searchParams.get('platform') || 'youtube');
+    if (!accessToken) {
+      throw new ApiError('unauthorized', '缺少 accountId 参数或 Authorization 头');
+    }
+
+    // 从 URL 查询参数获取平台 (默认 youtube) 和 channelId (可选)
+    const platform = url.searchParams.get('platform') || 'youtube';
+    assertPlatformAllowed(client, platform);
+    const channelId = url.searchParams.get('channelId');
+    const getLatest = getPlatformOperation(platform, 'getLatest');
+
+    // 调用平台适配器，传入令牌和可选的 channelId
+    const latestVideo = await getLatest({ tokenProvider: accessToken, channelId, env });
+    return jsonResponse(latestVideo);
+  }
+
+  // 获取特定视频详情的端点
+  if (request.method === 'GET' && url.pathname === '/video') {
+    const client = await authenticate(request, env, 'videos.read');
+
+    // 优先使用已注册账号 (accountId 查询参数)，否则使用 Authorization 头中的令牌
+    assertAccountAllowed(client, url.searchParams.get('accountId'));
+    const accessToken = resolveTokenProvider(env, url.searchParams.get('accountId'), getHeaderToken(request), logger, url.searchParams.get('platform') || 'youtube');
+    if (!accessToken) {
+      throw new ApiError('unauthorized', '缺少 accountId 参数或 Authorization 头');
+    }
+
+    // 从 URL 查询参数获取 videoId (必需) 和平台 (默认 youtube)
+    const videoId = url.searchParams.get('videoId');
+    if (!videoId) {
+      throw new ApiError('validationFailed', '缺少必需的 videoId 参数', {
+        details: [{ field: 'videoId', code: 'required', message: 'videoId 为必填参数' }]
+      });
+    }
+    const platform = url.searchParams.get('platform') || 'youtube';
+    assertPlatformAllowed(client, platform);
+    const getVideo = getPlatformOperation(platform, 'getVideo');
+
+    // 调用平台适配器获取视频详情
+    const videoDetails = await getVideo({ tokenProvider: accessToken, videoId, env });
+    return jsonResponse({
+      success: true,
+      platform: platform,
+      videoDetails: videoDetails
+    });
+  }
+
+  // 更新已发布视频的元数据
+  if (request.method === 'PATCH' && url.pathname === '/video') {
+    const client = await authenticate(request, env, 'videos.update');
+
+    const body = await readJsonBody(request);
+    assertValidVideoUpdate(body);
+
+    assertAccountAllowed(client, body.accountId);
+    const tokenProvider = resolveTokenProvider(env, body.accountId, getHeaderToken(request), logger, body.platform || 'youtube');
+    if (!tokenProvider) {
+      throw new ApiError('unauthorized', '缺少 accountId 字段或 Authorization 头');
+    }
+
+    const platform = body.platform || 'youtube';
+    assertPlatformAllowed(client, platform);
+    const updateMetadata = getPlatformOperation(platform, 'updateMetadata');
+    const video = await updateMetadata({
+      tokenProvider,
+      videoId: body.videoId,
+      metadata: body.metadata || {},
+      publishTime: body.publish_time ? toUtcIso(body.publish_time, body.timezone) : body.publish_time,
+      env
+    });
+    return jsonResponse({
+      success: true,
+      platform: platform,
+      videoId: body.videoId,
+      video: video,
+      message: `视频 ${body.videoId} 的元数据已更新`
+    });
+  }
+
+  // 替换已发布视频的封面，封面参数的优先级与上传时相同
+  if (request.method === 'POST' && url.pathname === '/video/thumbnail') {
+    const client = await authenticate(request, env, 'videos.thumbnail');
+
+    const body = await readJsonBody(request);
+    assertValidThumbnailBody(body);
+
+    assertAccountAllowed(client, body.accountId);
+    const tokenProvider = resolveTokenProvider(env, body.accountId, getHeaderToken(request), logger, body.platform || 'youtube');
+    if (!tokenProvider) {
+      throw new ApiError('unauthorized', '缺少 accountId 字段或 Authorization 头');
+    }
+
+    const platform = body.platform || 'youtube';
+    assertPlatformAllowed(client, platform);
+    const setThumbnail = getPlatformOperation(platform, 'setThumbnail');
+    const thumbnail = await setThumbnail({
+      tokenProvider,
+      videoId: body.videoId,
+      coverPath: selectCoverPath(body),
+      coverFrame: body.coverFrame ?? null,
+      videoPath: body.videoPath || null,
+      env
+    });
+    return jsonResponse({
+      success: true,
+      platform: platform,
+      ...thumbnail,
+      message: `视频 ${body.videoId} 的封面已替换`
+    });
+  }
+
+  // 列出已发布视频的字幕轨道
+  if (request.method === 'GET' && url.pathname === '/video/captions') {
+    const client = await authenticate(request, env, 'captions.read');
+
+    assertAccountAllowed(client, url.searchParams.get('accountId'));
+    const tokenProvider = resolveTokenProvider(env, url.searchParams.get('accountId'), getHeaderToken(request), logger, url.searchParams.get('platform') || 'youtube');
+    if (!tokenProvider) {
+      throw new ApiError('unauthorized', '缺少 accountId 参数或 Authorization 头');
+    }
+
+    const videoId = url.searchParams.get('videoId');
+    if (!videoId) {
+      throw new ApiError('validationFailed', '缺少必需的 videoId 参数', {
+        details: [{ field: 'videoId', code: 'required', message: 'videoId 为必填参数' }]
+      });
+    }
+    const platform = url.searchParams.get('platform') || 'youtube';
+    assertPlatformAllowed(client, platform);
+    const listCaptions = getPlatformOperation(platform, 'listCaptions');
+
+    return jsonResponse({
+      success: true,
+      platform: platform,
+      videoId: videoId,
+      captions: await listCaptions({ tokenProvider, videoId, env })
+    });
+  }
+
+  // 新增 (POST) 或替换 (PUT) 已发布视频的字幕轨道
+  if ((request.method === 'POST' || request.method === 'PUT') && url.pathname === '/video/captions') {
+    const client = await authenticate(request, env, 'captions.write');
+
+    const body = await readJsonBody(request);
+    assertValidCaptionsBody(body, request.method === 'PUT');
+
+    assertAccountAllowed(client, body.accountId);
+    const tokenProvider = resolveTokenProvider(env, body.accountId, getHeaderToken(request), logger, body.platform || 'youtube');
+    if (!tokenProvider) {
+      throw new ApiError('unauthorized', '缺少 accountId 字段或 Authorization 头');
+    }
+
+    const platform = body.platform || 'youtube';
+    assertPlatformAllowed(client, platform);
+    const uploadCaptions = getPlatformOperation(platform, 'uploadCaptions');
+    const captions = await uploadCaptions({ tokenProvider, videoId: body.videoId, captions: body.captions, env });
+    const failedCount = captions.filter(caption => !caption.success).length;
+
+    // 部分字幕失败时返回 207，与多平台分发一致
+    return jsonResponse({
+      success: failedCount === 0,
+      platform: platform,
+      videoId: body.videoId,
+      captions: captions,
+      message: failedCount === 0
+        ? `${captions.length} 条字幕已${request.method === 'PUT' ? '替换' : '上传'}`
+        : `${failedCount}/${captions.length} 条字幕处理失败`
+    }, failedCount === 0 ? 200 : 207);
+  }
+
+  // 删除已发布的视频
+  if (request.method === 'DELETE' && url.pathname === '/video') {
+    const client = await authenticate(request, env, 'videos.delete');
+
+    assertAccountAllowed(client, url.searchParams.get('accountId'));
+    const tokenProvider = resolveTokenProvider(env, url.searchParams.get('accountId'), getHeaderToken(request), logger, url.searchParams.get('platform') || 'youtube');
+    if (!tokenProvider) {
+      throw new ApiError('unauthorized', '缺少 accountId 参数或 Authorization 头');
+    }
+
+    const videoId = url.searchParams.get('videoId');
+    if (!videoId) {
+      throw new ApiError('validationFailed', '缺少必需的 videoId 参数', {
+        details: [{ field: 'videoId', code: 'required', message: 'videoId 为必填参数' }]
+      });
+    }
+    const platform = url.searchParams.get('platform') || 'youtube';
+    assertPlatformAllowed(client, platform);
+    const deleteVideo = getPlatformOperation(platform, 'delete');
+
+    await deleteVideo({ tokenProvider, videoId, env });
+    return jsonResponse({
+      success: true,
+      platform: platform,
+      videoId: videoId,
+      message: `视频 ${videoId} 已删除`
+    });
+  }
+
+  // 播放列表：列出 (GET)、创建 (POST) 和调整顺序 (PUT /playlists/:playlistId/order)
+  if (url.pathname === '/playlists' || url.pathname.startsWith('/playlists/')) {
+    const client = await authenticate(request, env, request.method === 'GET' ? 'playlists.read' : 'playlists.write');
+
+    const body = request.method === 'POST' || request.method === 'PUT' ? await readJsonBody(request) : {};
+    assertAccountAllowed(client, body.accountId || url.searchParams.get('accountId'));
+    const tokenProvider = resolveTokenProvider(env, body.accountId || url.searchParams.get('accountId'), getHeaderToken(request), logger,
+      body.platform || url.searchParams.get('platform') || 'youtube');
+    if (!tokenProvider) {
+      throw new ApiError('unauthorized', '缺少 accountId 或 Authorization 头');
+    }
+    const platform = body.platform || url.searchParams.get('platform') || 'youtube';
+    assertPlatformAllowed(client, platform);
+
+    if (request.method === 'GET' && url.pathname === '/playlists') {
+      const listPlaylists = getPlatformOperation(platform, 'listPlaylists');
+      return jsonResponse({
+        success: true,
+        platform: platform,
+        playlists: await listPlaylists({ tokenProvider, env })
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/playlists') {
+      assertValidPlaylistBody(body);
+      const createPlaylist = getPlatformOperation(platform, 'createPlaylist');
+      const playlist = await createPlaylist({
+        tokenProvider,
+        playlist: { title: body.title, description: body.description, privacyStatus: body.privacyStatus },
+        env
+      });
+      return jsonResponse({
+        success: true,
+        platform: platform,
+        playlist: playlist
+      }, 201);
+    }
+
+    const orderMatch = /^\/playlists\/([^/]+)\/order$/.exec(url.pathname);
+    if (request.method === 'PUT' && orderMatch) {
+      assertValidPlaylistOrder(body);
+      const playlistId = decodeURIComponent(orderMatch[1]);
+      const reorderPlaylist = getPlatformOperation(platform, 'reorderPlaylist');
+      const items = await reorderPlaylist({ tokenProvider, playlistId, videoIds: body.videoIds, env });
+      return jsonResponse({
+        success: true,
+        platform: platform,
+        playlistId: playlistId,
+        items: items
+      });
+    }
+
+    throw new ApiError('methodNotAllowed', `请求方法不支持: ${request.method} ${url.pathname}`);
+  }
+
+  // 查询 R2 文件的发布记录
+  if (request.method === 'GET' && url.pathname === '/published') {
+    await authenticate(request, env, 'published.read');
+
+    const videoPath = url.searchParams.get('videoPath');
+    if (!videoPath) {
+      throw new ApiError('validationFailed', '缺少必需的 videoPath 参数', {
+        details: [{ field: 'videoPath', code: 'required', message: 'videoPath 为必填参数' }]
+      });
+    }
+
+    return jsonResponse({
+      success: true,
+      ...await getPublications(env, videoPath)
+    });
+  }
+
+  // 浏览存储桶：列出前缀下的文件及其发布状态
+  if (request.method === 'GET' && url.pathname === '/bucket') {
+    await authenticate(request, env, 'bucket.read');
+
+    return jsonResponse({
+      success: true,
+      ...await listBucket(env, url.searchParams)
+    });
+  }
+
+  // 直接上传到 R2：创建会话、上传分块、查询进度、合并和取消 (见 ingest.js)
+  if (url.pathname === '/ingest' || url.pathname.startsWith('/ingest/')) {
+    let segments;
+    try {
+      segments = url.pathname.slice('/ingest/'.length).split('/').map(decodeURIComponent);
+    } catch {
+      throw new ApiError('notFound', `上传会话不存在: ${url.pathname}`);
+    }
+    const [ingestId, action, partNumber, ...rest] = segments;
+
+    // 分块地址带有签名时不需要 API 密钥
+    if (request.method === 'PUT' && ingestId && action === 'parts' && partNumber && rest.length === 0) {
+      let owner = null;
+      if (hasPartSignature(url)) {
+        await verifyPartSignature(env, url);
+      } else {
+        const client = await authenticate(request, env, 'ingest.write');
+        owner = isAdmin(request, env) ? null : client.keyId;
       }
+      return jsonResponse({
+        success: true,
+        ...await uploadIngestPart(env, ingestId, partNumber, request, owner)
+      });
     }
 
-    // 新增：获取特定视频详情的端点
-    if (request.method === 'GET' && url.pathname === '/video') {
-      try {
-        // 验证请求的 API 密钥
-        const apiSecret = request.headers.get('X-API-Secret');
-        if (!apiSecret || apiSecret !== env.API_SECRET) {
-          return new Response('API 密钥无效或缺失', { status: 401 });
-        }
-
-        const accessToken = request.headers.get('Authorization')?.replace('Bearer ', '');
-        if (!accessToken) {
-          return new Response('缺少 Authorization 头或 accessToken', { status: 401 });
-        }
-
-        // 从 URL 查询参数获取 videoId (必需)
-        const videoId = url.searchParams.get('videoId');
-        if (!videoId) {
-          return new Response('缺少必需的 videoId 参数', { status: 400 });
-        }
-
-        // 调用函数获取视频详情
-        const videoDetails = await getVideoDetails(accessToken, videoId);
-        
-        return new Response(JSON.stringify({
-          success: true,
-          videoDetails: videoDetails
-        }), {
-          status: 200,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } catch (error) {
-        console.error('获取视频详情时出错:', error);
-        return new Response(JSON.stringify({
-          success: false,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        }), {
-          status: 500,
-          headers: { 'Content-Type': 'application/json' }
-        });
+    const client = await authenticate(request, env, request.method === 'GET' ? 'ingest.read' : 'ingest.write');
+    // 只能操作本密钥创建的会话，管理员不限制
+    const owner = isAdmin(request, env) ? null : client.keyId;
+
+    if (request.method === 'POST' && url.pathname === '/ingest') {
+      const body = await readJsonBody(request);
+      if (body?.publish && typeof body.publish === 'object' && !Array.isArray(body.publish)) {
+        // 上传后发布会创建异步上传任务；customMetadata 也可以作为模板变量
+        assertRouteAllowed(client, 'jobs.create');
+        const variables = body.customMetadata || body.publish.variables
+          ? { variables: { ...body.customMetadata, ...body.publish.variables } }
+          : {};
+        body.publish = await applyPresets(env, { ...body.publish, videoPath: body.videoPath || body.fileName, ...variables }, 'publish.');
+      }
+      assertValidIngestBody(body);
+      if (body.publish) {
+        assertPlatformAllowed(client, ...resolveDestinations(body.publish).map(destination => destination.platform));
+        assertAccountAllowed(client, ...resolveDestinations(body.publish).map(destination => destination.accountId));
       }
+
+      return jsonResponse({
+        success: true,
+        ...await createIngestSession(env, body, { clientKeyId: client.keyId, requestId: logger.requestId }, url.origin)
+      }, 201);
     }
 
-    // 原有的上传视频逻辑
-    if (request.method !== 'POST') {
-      return new Response('请求方法不支持，仅支持 GET 和 POST', { status: 405 });
+    if (request.method === 'GET' && ingestId && action === undefined) {
+      return jsonResponse({
+        success: true,
+        ...await describeIngestSession(env, ingestId, url.origin, owner)
+      });
     }
-    
-    try {
-      // 验证请求的 API 密钥（通过请求头 X-API-Secret）
-      const apiSecret = request.headers.get('X-API-Secret');
-      if (!apiSecret || apiSecret !== env.API_SECRET) {
-        return new Response('API 密钥无效或缺失', { status: 401 });
+
+    if (request.method === 'POST' && ingestId && action === 'complete' && partNumber === undefined) {
+      const body = request.body ? await readJsonBody(request) : {};
+      const { ingest, videoObject, job, replayed } = await completeIngestSession(env, ctx, ingestId, body, logger.requestId, owner);
+      if (job && !replayed) {
+        await recordAudit(env, client, {
+          route: 'ingest.write',
+          videoPath: ingest.videoPath,
+          destinations: resolveDestinations(ingest.publish).map(destination => destination.key),
+          jobId: job.id,
+          requestId: logger.requestId
+        });
       }
 
-      const accessToken = request.headers.get('Authorization')?.replace('Bearer ', '');
-      if (!accessToken) {
-        return new Response('缺少 Authorization 头或 accessToken', { status: 401 });
+      return jsonResponse({
+        success: true,
+        replayed: replayed,
+        ingest: ingest,
+        object: videoObject ? {
+          key: videoObject.key,
+          size: videoObject.size,
+          etag: videoObject.etag,
+          contentType: videoObject.httpMetadata?.contentType || null,
+          customMetadata: videoObject.customMetadata || {}
+        } : null,
+        jobId: job?.id || null,
+        job: job
+      }, 200, replayed ? { 'Idempotent-Replayed': 'true' } : {});
+    }
+
+    if (request.method === 'DELETE' && ingestId && action === undefined) {
+      return jsonResponse({
+        success: true,
+        ingest: await abortIngestSession(env, ingestId, owner)
+      });
+    }
+
+    throw new ApiError('methodNotAllowed', `请求方法不支持: ${request.method} ${url.pathname}`);
+  }
+
+  // 上传历史：按条件查询 (GET /uploads) 和查看单条记录 (GET /uploads/:id)
+  if (request.method === 'GET' && (url.pathname === '/uploads' || url.pathname.startsWith('/uploads/'))) {
+    const client = await authenticate(request, env, 'uploads.read');
+
+    if (url.pathname === '/uploads') {
+      if (url.searchParams.get('platform')) {
+        assertPlatformAllowed(client, url.searchParams.get('platform'));
       }
+      return jsonResponse({
+        success: true,
+        ...await listUploads(env, url.searchParams, client.platforms)
+      });
+    }
 
-      // 解析 n8n 发送的 JSON 请求体
-      const body = await request.json();
-      
-      // 解构所有需要的参数
-      const { platform, videoPath, metadata, publish_time, YT_channelId } = body;
+    const uploadId = decodeURIComponent(url.pathname.slice('/uploads/'.length));
+    const upload = uploadId ? await getUpload(env, uploadId) : null;
+    if (!upload) {
+      throw new ApiError('notFound', `上传记录不存在: ${uploadId}`);
+    }
+    assertPlatformAllowed(client, upload.platform);
+    return jsonResponse({
+      success: true,
+      upload: upload
+    });
+  }
 
-      if (!platform || !videoPath || !metadata) {
-        return new Response('缺少必需字段: platform, videoPath, metadata', { status: 400 });
+  // 上传指标汇总：各平台的上传次数、失败率、字节数、耗时和错误码，与前一个窗口比较
+  if (request.method === 'GET' && url.pathname === '/metrics') {
+    const client = await authenticate(request, env, 'metrics.read');
+    if (url.searchParams.get('platform')) {
+      assertPlatformAllowed(client, url.searchParams.get('platform'));
+    }
+    return jsonResponse({
+      success: true,
+      ...await getUploadMetrics(env, url.searchParams, client.platforms)
+    });
+  }
+
+  // 定时操作：创建 (POST /schedule)、列出、查看、修改执行时间 (PATCH) 和取消 (DELETE)
+  if (url.pathname === '/schedule' || url.pathname.startsWith('/schedule/')) {
+    const client = await authenticate(request, env, request.method === 'GET' ? 'schedule.read' : 'schedule.write');
+    const actionId = decodeURIComponent(url.pathname.slice('/schedule/'.length));
+
+    if (request.method === 'GET' && url.pathname === '/schedule') {
+      const { actions, ...page } = await listScheduledActions(env, url.searchParams);
+      return jsonResponse({
+        success: true,
+        // 密钥限制了平台时，只返回可以操作的定时操作
+        actions: client.platforms ? actions.filter(action => action.platforms.every(platform => client.platforms.includes(platform))) : actions,
+        ...page
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/schedule') {
+      const body = await readJsonBody(request);
+      if (body?.type === 'upload' && body.upload && typeof body.upload === 'object') {
+        body.upload = await applyPresets(env, await applySidecar(env, body.upload), 'upload.');
       }
+      assertValidScheduleBody(body);
+      assertPlatformAllowed(client, ...actionPlatforms(body.type, body.type === 'upload' ? body.upload : body));
+      assertAccountAllowed(client, ...actionAccounts(body.type, body.type === 'upload' ? body.upload : body));
+      const action = await createScheduledAction(env, body, client.keyId);
+      return jsonResponse({
+        success: true,
+        action: action,
+        message: `定时操作将在 ${action.runAt} 执行`
+      }, 201);
+    }
 
-      // 验证元数据是否包含必要字段
-      if (!metadata.title || !metadata.description) {
-        return new Response('元数据必须包含 title 和 description', { status: 400 });
+    if (!actionId || !['GET', 'PATCH', 'DELETE'].includes(request.method)) {
+      throw new ApiError('methodNotAllowed', `请求方法不支持: ${request.method} ${url.pathname}`);
+    }
+    const existing = await getScheduledAction(env, actionId);
+    if (!existing) {
+      throw new ApiError('notFound', `定时操作不存在: ${actionId}`);
+    }
+    assertPlatformAllowed(client, ...existing.platforms);
+    assertAccountAllowed(client, ...actionAccounts(existing.type, existing.payload));
+
+    if (request.method === 'GET') {
+      return jsonResponse({
+        success: true,
+        action: existing
+      });
+    }
+
+    if (request.method === 'PATCH') {
+      const body = await readJsonBody(request);
+      assertValidReschedule(body);
+      const action = await rescheduleAction(env, actionId, body);
+      return jsonResponse({
+        success: true,
+        action: action,
+        message: `定时操作将在 ${action.runAt} 执行`
+      });
+    }
+
+    const action = await cancelScheduledAction(env, actionId);
+    return jsonResponse({
+      success: true,
+      action: action,
+      message: `定时操作 ${actionId} 已取消`
+    });
+  }
+
+  // 元数据预设：列出 (GET /presets)、查看、创建或替换 (PUT /presets/:name) 和删除
+  if (url.pathname === '/presets' || url.pathname.startsWith('/presets/')) {
+    const client = await authenticate(request, env, request.method === 'GET' ? 'presets.read' : 'presets.write');
+    const name = decodeURIComponent(url.pathname.slice('/presets/'.length));
+
+    if (request.method === 'GET' && url.pathname === '/presets') {
+      const presets = await listPresets(env);
+      return jsonResponse({
+        success: true,
+        // 密钥限制了平台时，只返回通用预设和可以使用的平台的预设
+        presets: client.platforms ? presets.filter(preset => !preset.platform || client.platforms.includes(preset.platform)) : presets
+      });
+    }
+
+    if (!name || !['GET', 'PUT', 'DELETE'].includes(request.method)) {
+      throw new ApiError('methodNotAllowed', `请求方法不支持: ${request.method} ${url.pathname}`);
+    }
+
+    if (request.method === 'PUT') {
+      const body = await readJsonBody(request);
+      if (body?.platform) {
+        assertPlatformAllowed(client, String(body.platform).toLowerCase());
       }
+      const { preset, created } = await savePreset(env, name, body);
+      return jsonResponse({
+        success: true,
+        preset: preset,
+        message: `预设 ${name} 已${created ? '创建' : '更新'}`
+      }, created ? 201 : 200);
+    }
+
+    const preset = await getPreset(env, name);
+    if (!preset) {
+      throw new ApiError('notFound', `预设不存在: ${name}`);
+    }
+    if (preset.platform) {
+      assertPlatformAllowed(client, preset.platform);
+    }
+
+    if (request.method === 'GET') {
+      return jsonResponse({
+        success: true,
+        preset: preset
+      });
+    }
+
+    await deletePreset(env, name);
+    return jsonResponse({
+      success: true,
+      name: name,
+      message: `预设 ${name} 已删除`
+    });
+  }
+
+  // 试运行：合并预设、渲染模板并校验上传请求，返回各目标最终使用的元数据，不上传也不写入任何记录
+  if (request.method === 'POST' && url.pathname === '/dry-run') {
+    const client = await authenticate(request, env, 'upload');
+
+    const { body, destinations: presetUsage, errors: renderErrors } = await renderUploadBody(env, await applySidecar(env, await readJsonBody(request)));
+    const errors = [...renderErrors, ...validateUploadBody(body)];
+    const destinations = body && typeof body === 'object' && !Array.isArray(body) ? resolveDestinations(body) : [];
+    assertPlatformAllowed(client, ...destinations.map(destination => destination.platform).filter(Boolean));
+    const videoObject = typeof body?.videoPath === 'string' && body.videoPath ? await env.VIDEO_BUCKET.head(body.videoPath) : null;
+
+    return jsonResponse({
+      success: true,
+      valid: errors.length === 0,
+      errors: errors,
+      videoFound: Boolean(videoObject),
+      destinations: destinations.map((destination, index) => ({
+        key: destination.key,
+        platform: destination.platform,
+        accountId: destination.accountId || null,
+        preset: presetUsage[index]?.preset || null,
+        missingVariables: presetUsage[index]?.missingVariables || [],
+        metadata: destination.metadata,
+        playlistIds: destination.playlistIds || [],
+        playlistTitles: destination.playlistTitles || [],
+        publishTime: typeof destination.publish_time === 'string' ? toUtcIso(destination.publish_time, destination.timezone) : null
+      }))
+    });
+  }
+
+  // 创建异步上传任务
+  if (request.method === 'POST' && url.pathname === '/jobs') {
+    const client = await authenticate(request, env, 'jobs.create');
+    const idempotencyHeader = getIdempotencyHeader(request);
+
+    const body = await applyPresets(env, await applySidecar(env, await readJsonBody(request)));
+    assertValidUploadBody(body);
+
+    // 所有目标都使用 accountId 时由后台任务自行获取令牌，不需要 Authorization 头
+    const destinations = resolveDestinations(body);
+    assertPlatformAllowed(client, ...destinations.map(destination => destination.platform));
+    assertAccountAllowed(client, ...destinations.map(destination => destination.accountId));
+    const needsHeaderToken = destinations.some(destination => !destination.accountId && !destination.accessToken);
+    const accessToken = needsHeaderToken ? getHeaderToken(request) : null;
+    if (needsHeaderToken && !accessToken) {
+      throw new ApiError('unauthorized', '缺少 accountId 字段或 Authorization 头');
+    }
+
+    const videoObject = await requireVideoObject(env, body.videoPath);
+    const idempotencyKeys = await resolveIdempotencyKeys(idempotencyHeader, videoObject, destinations, body.platforms !== undefined);
+    const { pending, existing } = await partitionDestinations(env, destinations, idempotencyKeys);
+
+    // 所有目标都已有记录：返回原任务 (仍在上传或已完成) 和原结果，不创建新任务
+    if (pending.length === 0) {
+      const jobId = Object.values(existing).find(record => record.jobId)?.jobId || null;
+      return jsonResponse({
+        success: true,
+        replayed: true,
+        jobId: jobId,
+        job: jobId ? await getJob(env, jobId) : null,
+        results: replayedResults(existing)
+      }, 200, { 'Idempotent-Replayed': 'true' });
+    }
+
+    // 多平台请求中已有记录的目标不再上传，新任务只包含其余目标
+    const jobBody = pending.length < destinations.length
+      ? { ...body, platforms: body.platforms.filter((entry, index) => !existing[destinations[index].key]) }
+      : body;
+    const pendingKeys = Object.fromEntries(pending.map(destination => [destination.key, idempotencyKeys[destination.key]]));
+    const job = await createUploadJob(env, ctx, jobBody, accessToken, videoObject, pendingKeys, client.keyId, logger.requestId);
+    await recordAudit(env, client, {
+      route: 'jobs.create',
+      videoPath: body.videoPath,
+      destinations: pending.map(destination => destination.key),
+      jobId: job.id,
+      idempotencyKeys: pendingKeys,
+      requestId: logger.requestId
+    });
+
+    return jsonResponse({
+      success: true,
+      jobId: job.id,
+      job: job,
+      existing: Object.keys(existing).length > 0 ? replayedResults(existing) : undefined
+    }, 202);
+  }
+
+  // 查询异步上传任务状态
+  if (request.method === 'GET' && url.pathname.startsWith('/jobs/')) {
+    const client = await authenticate(request, env, 'jobs.read');
+
+    const jobId = decodeURIComponent(url.pathname.slice('/jobs/'.length));
+    const job = jobId ? await getJob(env, jobId) : null;
+    // 只能查询本密钥创建的任务，管理员不限制；其他密钥的任务与不存在的任务返回相同的 404
+    if (!job || (!isAdmin(request, env) && job.clientKeyId !== client.keyId)) {
+      throw new ApiError('notFound', `上传任务不存在: ${jobId}`);
+    }
 
-      // 从 R2 存储桶获取视频文件
-      const object = await env.VIDEO_BUCKET.get(videoPath);
-      if (!object) {
-        return new Response(`在 R2 中未找到视频文件: ${videoPath}`, { status: 404 });
+    return jsonResponse({
+      success: true,
+      job: job
+    });
+  }
+
+  // 账号管理端点：列出、注册和撤销平台账号
+  if (url.pathname === '/admin/accounts' || url.pathname.startsWith('/admin/accounts/')) {
+    // 账号管理使用独立的管理员密钥
+    requireAdmin(request, env);
+
+    const accountId = decodeURIComponent(url.pathname.slice('/admin/accounts/'.length));
+
+    if (request.method === 'GET' && url.pathname === '/admin/accounts') {
+      return jsonResponse({
+        success: true,
+        accounts: await listAccounts(env)
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/admin/accounts') {
+      const account = await registerAccount(env, await readJsonBody(request));
+      return jsonResponse({
+        success: true,
+        account: account
+      });
+    }
+
+    if (request.method === 'DELETE' && accountId) {
+      if (!await revokeAccount(env, accountId)) {
+        throw new ApiError('accountNotFound', `账号不存在: ${accountId}`);
       }
-      const videoStream = object.body;
+      return jsonResponse({
+        success: true,
+        accountId: accountId,
+        message: `账号 ${accountId} 已撤销`
+      });
+    }
+
+    throw new ApiError('methodNotAllowed', '请求方法不支持');
+  }
 
-      // 调用上传函数，传递整个 body 对象而不是单独的 coverPath 参数
-      const result = await uploadToPlatform(platform, videoStream, metadata, accessToken, body, publish_time, YT_channelId, env);
+  // API 密钥管理端点：列出、创建、更新 (停用或调整权限) 和删除客户端密钥
+  if (url.pathname === '/admin/keys' || url.pathname.startsWith('/admin/keys/')) {
+    requireAdmin(request, env);
 
-      // 返回成功响应，包含更丰富的信息
-      return new Response(JSON.stringify({
+    const keyId = decodeURIComponent(url.pathname.slice('/admin/keys/'.length));
+
+    if (request.method === 'GET' && url.pathname === '/admin/keys') {
+      return jsonResponse({
         success: true,
-        platform: platform,
-        videoId: result.id || 'N/A',
-        videoStatus: result.status, // 包含 privacyStatus, publishAt 等
-        thumbnailStatus: result.thumbnailUploadStatus || 'N/A', // 封面上传状态
-        presetThumbnails: result.presetThumbnails || null, // 添加 YouTube 自动生成的预设封面图 URL
-        message: `视频成功上传到 ${platform}` + (result.thumbnailUploadStatus ? ` (${result.thumbnailUploadStatus})` : '')
-      }), {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' }
+        keys: await listApiKeys(env)
       });
+    }
 
-    } catch (error) {
-      // 捕获所有错误，返回错误响应
-      return new Response(JSON.stringify({
-        success: false,
-        error: error.message
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
+    if (request.method === 'POST' && url.pathname === '/admin/keys') {
+      const apiKey = await createApiKey(env, await readJsonBody(request));
+      return jsonResponse({
+        success: true,
+        key: apiKey,
+        message: `密钥 ${apiKey.keyId} 已创建，secret 只返回这一次，请妥善保存`
+      }, 201);
+    }
+
+    if (request.method === 'PATCH' && keyId) {
+      const apiKey = await updateApiKey(env, keyId, await readJsonBody(request));
+      if (!apiKey) {
+        throw new ApiError('notFound', `密钥不存在: ${keyId}`);
+      }
+      return jsonResponse({
+        success: true,
+        key: apiKey
       });
     }
+
+    if (request.method === 'DELETE' && keyId) {
+      if (!await deleteApiKey(env, keyId)) {
+        throw new ApiError('notFound', `密钥不存在: ${keyId}`);
+      }
+      return jsonResponse({
+        success: true,
+        keyId: keyId,
+        message: `密钥 ${keyId} 已删除`
+      });
+    }
+
+    throw new ApiError('methodNotAllowed', '请求方法不支持');
+  }
+
+  // 上传审计日志：最近的上传由哪个密钥触发
+  if (request.method === 'GET' && url.pathname === '/admin/audit') {
+    requireAdmin(request, env);
+
+    return jsonResponse({
+      success: true,
+      entries: await listAuditLog(env, {
+        keyId: url.searchParams.get('keyId') || undefined,
+        limit: Number(url.searchParams.get('limit')) || undefined
+      })
+    });
+  }
+
+  // 原有的上传视频逻辑
+  if (request.method !== 'POST') {
+    throw new ApiError('methodNotAllowed', `请求方法不支持: ${request.method} ${url.pathname}`);
+  }
+
+  const client = await authenticate(request, env, 'upload');
+  const idempotencyHeader = getIdempotencyHeader(request);
+
+  // 解析 n8n 发送的 JSON 请求体，用 sidecar 补全、合并引用的预设并渲染模板后按平台规则校验
+  const body = await applyPresets(env, await applySidecar(env, await readJsonBody(request)));
+  assertValidUploadBody(body);
+
+  // 多平台分发：每个目标独立上传，返回按目标区分的结果
+  if (body.platforms !== undefined) {
+    const videoObject = await requireVideoObject(env, body.videoPath);
+
+    // 已有幂等记录的目标直接返回原结果，只上传其余目标
+    const destinations = resolveDestinations(body);
+    assertPlatformAllowed(client, ...destinations.map(destination => destination.platform));
+    assertAccountAllowed(client, ...destinations.map(destination => destination.accountId));
+    const idempotencyKeys = await resolveIdempotencyKeys(idempotencyHeader, videoObject, destinations, true);
+    const { pending, existing } = await partitionDestinations(env, destinations, idempotencyKeys);
+    await claimDestinations(env, pending, idempotencyKeys, videoObject);
+    if (pending.length > 0) {
+      await recordAudit(env, client, {
+        route: 'upload',
+        videoPath: body.videoPath,
+        destinations: pending.map(destination => destination.key),
+        idempotencyKeys: Object.fromEntries(pending.map(destination => [destination.key, idempotencyKeys[destination.key]])),
+        requestId: logger.requestId
+      });
+    }
+    const uploaded = pending.length > 0 ? await uploadToPlatforms(pending, videoObject, getHeaderToken(request), env, undefined, {
+      clientKeyId: client.keyId,
+      idempotencyKeys: idempotencyKeys,
+      requestId: logger.requestId
+    }) : {};
+    await settleUploadRecords(env, idempotencyKeys, uploaded);
+    await watchUploads(env, pending, videoObject, uploaded, logger);
+
+    const replayed = replayedResults(existing);
+    const results = Object.fromEntries(destinations.map(({ key }) => [key, uploaded[key] || replayed[key]]));
+    const failedPlatforms = Object.keys(results).filter(key => !results[key].success);
+
+    // 部分目标失败时返回 207，n8n 可以只重试 failedPlatforms 中的目标
+    return jsonResponse({
+      success: failedPlatforms.length === 0,
+      results: results,
+      failedPlatforms: failedPlatforms,
+      message: failedPlatforms.length === 0
+        ? `视频成功上传到 ${Object.keys(results).join(', ')}`
+        : `${failedPlatforms.length}/${Object.keys(results).length} 个目标上传失败: ${failedPlatforms.join(', ')}`
+    }, failedPlatforms.length === 0 ? 200 : 207);
+  }
+
+  // 解构所有需要的参数
+  const { platform, videoPath, accountId } = body;
+  assertPlatformAllowed(client, platform);
+
+  // 优先使用已注册账号 (accountId)，否则使用 Authorization 头中的令牌
+  assertAccountAllowed(client, accountId);
+  const accessToken = resolveTokenProvider(env, accountId, getHeaderToken(request), logger, platform);
+  if (!accessToken) {
+    throw new ApiError('unauthorized', '缺少 accountId 字段或 Authorization 头');
+  }
+
+  // 只读取 R2 中视频文件的元数据，视频内容由上传函数按块读取
+  const videoObject = await requireVideoObject(env, videoPath);
+
+  // 相同幂等键的请求已完成时返回原结果，仍在上传时返回 409
+  const [destination] = resolveDestinations(body);
+  const idempotencyKeys = await resolveIdempotencyKeys(idempotencyHeader, videoObject, [destination], false);
+  const idempotencyKey = idempotencyKeys[destination.key];
+  const record = await getUploadRecord(env, idempotencyKey);
+  if (record && record.state === RECORD_STATES.DONE) {
+    return jsonResponse({
+      success: true,
+      ...record.result,
+      replayed: true,
+      idempotencyKey: idempotencyKey,
+      message: `视频已于 ${record.completedAt} 上传到 ${platform}，返回原结果`
+    }, 200, { 'Idempotent-Replayed': 'true' });
+  }
+  if (record) {
+    throw new ApiError('uploadInProgress', `相同的上传正在进行中 (幂等键: ${idempotencyKey})`, {
+      details: { idempotencyKey: idempotencyKey, jobId: record.jobId }
+    });
+  }
+
+  // 调用上传函数，由请求体生成标准化的上传请求 (封面、发布时间、频道等)
+  await claimDestinations(env, [destination], idempotencyKeys, videoObject);
+  await recordAudit(env, client, {
+    route: 'upload',
+    videoPath: videoPath,
+    destinations: [destination.key],
+    idempotencyKeys: idempotencyKeys,
+    requestId: logger.requestId
+  });
+  let result;
+  try {
+    result = await uploadToPlatform(createUploadRequest(body, videoObject, accessToken, env, undefined, {
+      clientKeyId: client.keyId,
+      idempotencyKeys: idempotencyKeys,
+      requestId: logger.requestId
+    }));
+  } catch (error) {
+    await settleUploadRecords(env, idempotencyKeys, { [destination.key]: { success: false } });
+    throw error;
+  }
+  const summary = summarizeUploadResult(platform, result);
+  await settleUploadRecords(env, idempotencyKeys, { [destination.key]: { success: true, ...summary } });
+  summary.callbackStatus = await watchUpload(env, destination, videoObject, summary, logger);
+
+  // 返回成功响应，包含更丰富的信息
+  return jsonResponse({
+    success: true,
+    ...summary,
+    idempotencyKey: idempotencyKey,
+    message: `视频成功上传到 ${platform}` + (result.thumbnailUploadStatus ? ` (${result.thumbnailUploadStatus})` : '')
+  });
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const logger = createLogger({ requestId: getRequestId(request) });
+    const startedAt = Date.now();
+    const { pathname } = new URL(request.url);
+    let response;
+    try {
+      response = await handleRequest(request, env, ctx, logger);
+    } catch (error) {
+      // 捕获所有错误，返回统一格式的错误响应
+      logger.error('处理请求时出错', { method: request.method, path: pathname, code: errorCodeOf(error), error });
+      response = errorResponse(error);
+    }
+    response.headers.set(REQUEST_ID_HEADER, logger.requestId);
+    logger.info('请求完成', { method: request.method, path: pathname, status: response.status, durationMs: Date.now() - startedAt });
+    return response;
+  },
+
+  // Queue 消费者：收件箱队列处理 R2 事件通知，上传队列执行通过 POST /jobs 创建的上传任务
+  async queue(batch, env, ctx) {
+    if (batch.queue === INBOX_QUEUE) {
+      await handleInboxQueue(batch, env, ctx);
+      return;
+    }
+    await handleJobQueue(batch, env);
+  },
+
+  // Cron Trigger：执行到期的定时操作，跟踪上传后的处理状态，并重试发送失败的回调
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(Promise.allSettled([
+      runScheduledActions(env, ctx),
+      runProcessingPoller(env)
+    ]).then(results => {
+      for (const result of results.filter(result => result.status === 'rejected')) {
+        rootLogger.error('定时任务执行失败', { error: result.reason });
+      }
+    }));
   }
 };
\ No newline at end of file
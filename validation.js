@@ -0,0 +1,748 @@
+/**
+ * 上传请求体的参数校验
+ *
+ * 通用字段 (platform、videoPath、封面路径、publish_time) 在这里校验，
+ * metadata 按各平台适配器的 uploadSchema 校验。校验失败时返回字段错误列表，
+ * 每项为 { field, code, message }，code 为稳定的错误码：
+ * required / invalidType / invalidValue / invalidFormat / tooLong / tooShort / tooMany /
+ * notInFuture / outOfRange / unknownField / duplicate / missingTimeZone / unknownVariable
+ */
+
+import { getPlatformAdapter, resolveDestinations } from './platforms.js';
+import { ApiError } from './errors.js';
+import { CAPTION_FORMATS } from './captions.js';
+import { parseFrameTime } from './covers.js';
+import { parseDateTime, isValidTimeZone, describeDateTimeError } from './time.js';
+import { MIN_PART_SIZE, MAX_PART_SIZE, DEFAULT_PART_SIZE, MAX_PARTS, MAX_VERIFY_BYTES } from './ingest.js';
+
+// 允许的封面路径参数，按优先级排列
+const COVER_PATH_KEYS = ['coverPath-high', 'coverPath-medium', 'coverPath-default', 'coverPath'];
+
+// BCP-47 语言代码 (例如 en、zh-Hans、pt-BR)
+const LANGUAGE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+// 字幕条目的字段规则
+const CAPTION_RULES = {
+  language: { type: 'string', required: true, pattern: LANGUAGE_PATTERN, patternMessage: 'language 必须是 BCP-47 语言代码 (例如 en、zh-Hans)' },
+  name: { type: 'string', maxLength: 150 },
+  path: { type: 'string', required: true },
+  draft: { type: 'boolean' },
+  captionId: { type: 'string' }
+};
+// 一次请求最多上传的字幕条数
+const MAX_CAPTIONS = 20;
+
+// 元数据预设的字段规则 (见 presets.js)，metadata 按预设平台的上传规则校验
+const PRESET_RULES = {
+  label: { type: 'string', maxLength: 200 },
+  platform: { type: 'string' },
+  accountId: { type: 'string' },
+  descriptionFooter: { type: 'string', maxLength: 2000 },
+  playlistIds: { type: 'array', maxItems: 20 },
+  playlistTitles: { type: 'array', maxItems: 20, itemMaxLength: 150 },
+  language: { type: 'string', pattern: LANGUAGE_PATTERN, patternMessage: 'language 必须是 BCP-47 语言代码 (例如 en、zh-Hans)' }
+};
+
+// 定时操作类型 (见 scheduler.js)
+const SCHEDULE_TYPES = ['upload', 'setPrivacy', 'addToPlaylist'];
+// 定时操作最多提前一年创建
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// R2 对象 customMetadata 的大小上限 (键和值合计)
+const MAX_CUSTOM_METADATA_BYTES = 2048;
+
+// 依赖平台特性的上传目标字段及对应的 capabilities 名称
+const CAPABILITY_FIELDS = {
+  playlistIds: 'playlists',
+  playlistTitles: 'playlists',
+  playlistPosition: 'playlists',
+  callbackUrl: 'processingStatus',
+  coverFrame: 'coverFrames'
+};
+
+const textEncoder = new TextEncoder();
+
+/**
+ * 按字段规则校验一个值
+ * @param {*} value - 字段值
+ * @param {Object} rule - 字段规则 (type (string/integer/boolean/array)、required、min、max、maxLength、maxBytes、enum、pattern、minItems、maxItems、itemMaxLength、maxTotalLength)
+ * @param {string} field - 字段路径，用于错误信息
+ * @param {Object[]} errors - 字段错误列表，校验失败时追加
+ */
+function checkField(value, rule, field, errors) {
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) {
+      errors.push({ field, code: 'required', message: `${field} 为必填字段` });
+    }
+    return;
+  }
+
+  if (rule.type === 'string' && typeof value !== 'string') {
+    errors.push({ field, code: 'invalidType', message: `${field} 必须是字符串` });
+    return;
+  }
+  if (rule.type === 'integer' && !Number.isInteger(Number(value))) {
+    errors.push({ field, code: 'invalidType', message: `${field} 必须是整数` });
+    return;
+  }
+  if (rule.type === 'boolean' && typeof value !== 'boolean') {
+    errors.push({ field, code: 'invalidType', message: `${field} 必须是布尔值` });
+    return;
+  }
+  if (rule.type === 'array' && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+    errors.push({ field, code: 'invalidType', message: `${field} 必须是字符串数组` });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(rule.type === 'integer' ? Number(value) : String(value))) {
+    errors.push({ field, code: 'invalidValue', message: `${field} 必须是以下值之一: ${rule.enum.join(', ')}` });
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push({ field, code: 'invalidFormat', message: rule.patternMessage || `${field} 格式无效` });
+  }
+  if (rule.min !== undefined && rule.type === 'integer' && Number(value) < rule.min) {
+    errors.push({ field, code: 'outOfRange', message: `${field} 不能小于 ${rule.min}` });
+  }
+  if (rule.max !== undefined && rule.type === 'integer' && Number(value) > rule.max) {
+    errors.push({ field, code: 'outOfRange', message: `${field} 不能大于 ${rule.max}` });
+  }
+  if (rule.maxLength && typeof value === 'string' && [...value].length > rule.maxLength) {
+    errors.push({ field, code: 'tooLong', message: `${field} 不能超过 ${rule.maxLength} 个字符` });
+  }
+  if (rule.maxBytes && typeof value === 'string' && textEncoder.encode(value).length > rule.maxBytes) {
+    errors.push({ field, code: 'tooLong', message: `${field} 不能超过 ${rule.maxBytes} 字节 (UTF-8)` });
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      errors.push({ field, code: 'tooShort', message: `${field} 至少需要 ${rule.minItems} 项` });
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      errors.push({ field, code: 'tooMany', message: `${field} 最多 ${rule.maxItems} 项` });
+    }
+    if (rule.itemMaxLength) {
+      value.forEach((item, index) => {
+        if ([...item].length > rule.itemMaxLength) {
+          errors.push({ field: `${field}[${index}]`, code: 'tooLong', message: `${field}[${index}] 不能超过 ${rule.itemMaxLength} 个字符` });
+        }
+      });
+    }
+    // YouTube 的标签长度预算：各标签长度之和加上分隔逗号，含空格的标签按加引号计算
+    if (rule.maxTotalLength) {
+      const totalLength = value.reduce((sum, tag) => sum + [...tag].length + (tag.includes(' ') ? 2 : 0), 0) + Math.max(0, value.length - 1);
+      if (totalLength > rule.maxTotalLength) {
+        errors.push({ field, code: 'tooLong', message: `${field} 总长度为 ${totalLength}，不能超过 ${rule.maxTotalLength}` });
+      }
+    }
+  }
+}
+
+/**
+ * 校验封面路径参数：只允许已知的参数名，值必须是 http(s) URL 或合法的 R2 路径
+ * @param {Object} destination - 单平台上传目标
+ * @param {string} prefix - 字段路径前缀
+ * @param {Object[]} errors - 字段错误列表
+ */
+function checkCoverPaths(destination, prefix, errors) {
+  for (const key of Object.keys(destination)) {
+    if (!key.startsWith('coverPath')) {
+      continue;
+    }
+    const field = `${prefix}${key}`;
+    if (!COVER_PATH_KEYS.includes(key)) {
+      errors.push({ field, code: 'unknownField', message: `未知的封面参数 ${key}，可用参数: ${COVER_PATH_KEYS.join(', ')}` });
+      continue;
+    }
+
+    const value = destination[key];
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      errors.push({ field, code: 'invalidType', message: `${field} 必须是字符串` });
+    } else if (value.startsWith('http')) {
+      if (!/^https?:\/\/[^\s/]+\/\S*$/.test(value)) {
+        errors.push({ field, code: 'invalidFormat', message: `${field} 不是有效的 http(s) URL` });
+      }
+    } else if (!isValidR2Path(value)) {
+      errors.push({ field, code: 'invalidFormat', message: `${field} 不是有效的 R2 路径 (不能以 / 开头或包含 ..)` });
+    }
+  }
+}
+
+/**
+ * 校验截取封面的时间点 (coverFrame)：秒数或时间码
+ * @param {*} value - 字段值
+ * @param {string} field - 字段路径
+ * @param {Object[]} errors - 字段错误列表
+ */
+function checkCoverFrame(value, field, errors) {
+  if (parseFrameTime(value) === null) {
+    errors.push({ field, code: 'invalidFormat', message: `${field} 必须是秒数 (例如 83.5) 或时间码 (例如 00:01:23.5)` });
+  }
+}
+
+/**
+ * 检查 R2 对象路径：不能以 / 开头、不能包含 ..，长度不超过 1024
+ * @param {string} value - 路径
+ * @returns {boolean}
+ */
+function isValidR2Path(value) {
+  return !value.startsWith('/') && !value.split('/').includes('..') && value.length <= 1024;
+}
+
+/**
+ * 校验字幕列表
+ * @param {*} captions - 字幕列表 [{ language, name, path, draft, captionId }]
+ * @param {Object} adapter - 平台适配器，平台不支持字幕时报错
+ * @param {string} prefix - 字段路径前缀
+ * @param {Object[]} errors - 字段错误列表
+ * @param {boolean} [replace=false] - 是否为替换已有字幕 (每条都需要 captionId，language 可省略)
+ */
+function checkCaptions(captions, adapter, prefix, errors, replace = false) {
+  const field = `${prefix}captions`;
+  if (!adapter.capabilities?.captions) {
+    errors.push({ field, code: 'invalidValue', message: `平台 ${adapter.name} 不支持上传字幕` });
+    return;
+  }
+  if (!Array.isArray(captions) || captions.length === 0) {
+    errors.push({ field, code: 'invalidType', message: `${field} 必须是非空数组` });
+    return;
+  }
+  if (captions.length > MAX_CAPTIONS) {
+    errors.push({ field, code: 'tooMany', message: `${field} 最多 ${MAX_CAPTIONS} 项` });
+  }
+
+  // 替换已有字幕时按 captionId 定位轨道，语言不能修改
+  const rules = replace
+    ? { ...CAPTION_RULES, language: { ...CAPTION_RULES.language, required: false }, captionId: { ...CAPTION_RULES.captionId, required: true } }
+    : CAPTION_RULES;
+
+  captions.forEach((caption, index) => {
+    const itemPrefix = `${field}[${index}]`;
+    if (!caption || typeof caption !== 'object' || Array.isArray(caption)) {
+      errors.push({ field: itemPrefix, code: 'invalidType', message: `${itemPrefix} 必须是对象` });
+      return;
+    }
+    for (const [name, rule] of Object.entries(rules)) {
+      checkField(caption[name], rule, `${itemPrefix}.${name}`, errors);
+    }
+    if (typeof caption.path === 'string' && caption.path) {
+      const extension = caption.path.split('.').pop().toLowerCase();
+      if (!isValidR2Path(caption.path)) {
+        errors.push({ field: `${itemPrefix}.path`, code: 'invalidFormat', message: `${itemPrefix}.path 不是有效的 R2 路径 (不能以 / 开头或包含 ..)` });
+      } else if (!CAPTION_FORMATS[extension]) {
+        errors.push({ field: `${itemPrefix}.path`, code: 'invalidFormat', message: `${itemPrefix}.path 的字幕格式不受支持，可用格式: ${Object.keys(CAPTION_FORMATS).join(', ')}` });
+      }
+    }
+  });
+}
+
+/**
+ * 校验时区字段 (IANA 时区名称，例如 Asia/Shanghai)
+ * @param {*} timeZone - 时区
+ * @param {string} field - 字段路径
+ * @param {Object[]} errors - 字段错误列表
+ */
+function checkTimeZone(timeZone, field, errors) {
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    errors.push({ field, code: 'invalidValue', message: `${field} 必须是 IANA 时区名称 (例如 Asia/Shanghai)` });
+  }
+}
+
+/**
+ * 校验发布时间：必须是有效的 ISO 8601 时间，位于未来，并满足平台的提前量限制。
+ * 不带偏移量的时间按 timeZone 换算，没有时区时报错。
+ * @param {string} publishTime - 发布时间
+ * @param {Object} rule - 平台规则 ({ minAheadMs, maxAheadMs })
+ * @param {string} field - 字段路径
+ * @param {Object[]} errors - 字段错误列表
+ * @param {string} [timeZone] - 请求中的时区
+ * @returns {Date|null} - 解析后的时间，未提供或无效时返回 null
+ */
+function checkPublishTime(publishTime, rule, field, errors, timeZone) {
+  if (publishTime === undefined || publishTime === null || publishTime === '') {
+    return null;
+  }
+  const date = parseDateTime(publishTime, timeZone);
+  if (!date) {
+    errors.push({ field, ...describeDateTimeError(field, publishTime, timeZone) });
+    return null;
+  }
+
+  const aheadMs = date.getTime() - Date.now();
+  if (aheadMs <= 0) {
+    errors.push({ field, code: 'notInFuture', message: `${field} 必须晚于当前时间` });
+  } else if ((rule.minAheadMs && aheadMs < rule.minAheadMs) || (rule.maxAheadMs && aheadMs > rule.maxAheadMs)) {
+    errors.push({ field, code: 'outOfRange', message: rule.message || `${field} 超出平台允许的定时发布范围` });
+  }
+  return date;
+}
+
+/**
+ * 校验回调地址：必须是 https URL；处理状态由定时任务使用已注册账号查询，因此同时需要 accountId
+ * @param {Object} destination - 单平台上传目标
+ * @param {string} prefix - 字段路径前缀
+ * @param {Object[]} errors - 字段错误列表
+ */
+function checkCallbackUrl(destination, prefix, errors) {
+  const field = `${prefix}callbackUrl`;
+  if (typeof destination.callbackUrl !== 'string' || !/^https:\/\/[^\s/]+(\/\S*)?$/.test(destination.callbackUrl)) {
+    errors.push({ field, code: 'invalidFormat', message: `${field} 必须是 https URL` });
+  }
+  if (!destination.accountId) {
+    errors.push({ field: `${prefix}accountId`, code: 'required', message: `使用 ${field} 时必须提供 ${prefix}accountId (处理状态需要使用已注册账号查询)` });
+  }
+}
+
+/**
+ * 校验单个上传目标
+ * @param {Object} destination - 单平台上传目标
+ * @param {string} prefix - 字段路径前缀 (多平台请求为 platforms[i].)
+ * @param {Object[]} errors - 字段错误列表
+ */
+function validateDestination(destination, prefix, errors) {
+  if (!destination.platform) {
+    errors.push({ field: `${prefix}platform`, code: 'required', message: `${prefix}platform 为必填字段` });
+    return;
+  }
+
+  let adapter;
+  try {
+    adapter = getPlatformAdapter(destination.platform);
+  } catch (error) {
+    errors.push({ field: `${prefix}platform`, code: 'invalidValue', message: error.message });
+    return;
+  }
+
+  const schema = adapter.uploadSchema || {};
+  const metadata = destination.metadata;
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    errors.push({ field: `${prefix}metadata`, code: 'required', message: `${prefix}metadata 为必填字段` });
+  } else {
+    for (const [name, rule] of Object.entries(schema.metadata || {})) {
+      checkField(metadata[name], rule, `${prefix}metadata.${name}`, errors);
+    }
+    // 跨字段规则由平台自行检查
+    if (schema.check) {
+      for (const error of schema.check(destination)) {
+        errors.push({ ...error, field: `${prefix}${error.field}` });
+      }
+    }
+  }
+
+  // 平台特有的上传目标字段 (例如 YouTube 的 playlistIds)
+  for (const [name, capability] of Object.entries(CAPABILITY_FIELDS)) {
+    if (destination[name] !== undefined && !adapter.capabilities?.[capability]) {
+      errors.push({ field: `${prefix}${name}`, code: 'invalidValue', message: `平台 ${adapter.name} 不支持 ${name}` });
+    }
+  }
+  for (const [name, rule] of Object.entries(schema.fields || {})) {
+    checkField(destination[name], rule, `${prefix}${name}`, errors);
+  }
+
+  if (destination.callbackUrl !== undefined) {
+    checkCallbackUrl(destination, prefix, errors);
+  }
+
+  checkTimeZone(destination.timezone, `${prefix}timezone`, errors);
+  checkPublishTime(destination.publish_time, schema.publishTime || {}, `${prefix}publish_time`, errors, destination.timezone);
+  checkCoverPaths(destination, prefix, errors);
+  if (destination.coverFrame !== undefined && adapter.capabilities?.coverFrames) {
+    checkCoverFrame(destination.coverFrame, `${prefix}coverFrame`, errors);
+  }
+  if (destination.captions !== undefined) {
+    checkCaptions(destination.captions, adapter, prefix, errors);
+  }
+}
+
+/**
+ * 校验上传请求体，多平台请求会逐个校验合并后的上传目标
+ * @param {Object} body - 上传请求体
+ * @returns {Object[]} - 字段错误列表，校验通过时为空数组
+ */
+export function validateUploadBody(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' }];
+  }
+
+  checkField(body.videoPath, { type: 'string', required: true }, 'videoPath', errors);
+
+  if (body.platforms !== undefined) {
+    if (!Array.isArray(body.platforms) || body.platforms.length === 0) {
+      errors.push({ field: 'platforms', code: 'invalidType', message: 'platforms 必须是非空数组' });
+      return errors;
+    }
+
+    const keys = new Set();
+    resolveDestinations(body).forEach((destination, index) => {
+      const prefix = `platforms[${index}].`;
+      if (keys.has(destination.key)) {
+        errors.push({ field: `${prefix}key`, code: 'duplicate', message: `重复的目标 ${destination.key}，请为条目指定不同的 key 或 accountId` });
+      }
+      keys.add(destination.key);
+      validateDestination(destination, prefix, errors);
+    });
+    return errors;
+  }
+
+  validateDestination(body, '', errors);
+  return errors;
+}
+
+/**
+ * 字段错误列表不为空时抛出 validationFailed 错误 (details 为字段错误列表)
+ * @param {Object[]} errors - 字段错误列表
+ */
+function assertNoFieldErrors(errors) {
+  if (errors.length > 0) {
+    throw new ApiError('validationFailed', `请求参数校验失败: ${errors.map(error => error.message).join('; ')}`, { details: errors });
+  }
+}
+
+/**
+ * 校验上传请求体，失败时抛出 validationFailed 错误
+ * @param {Object} body - 上传请求体
+ */
+export function assertValidUploadBody(body) {
+  assertNoFieldErrors(validateUploadBody(body));
+}
+
+/**
+ * 校验已发布视频的操作请求体中的公共字段 (videoId、platform)
+ * @param {Object} body - 请求体
+ * @param {Object[]} errors - 字段错误列表
+ * @returns {Object|null} - 平台适配器，请求体或平台无效时返回 null
+ */
+function checkVideoTarget(body, errors) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' });
+    return null;
+  }
+  checkField(body.videoId, { type: 'string', required: true }, 'videoId', errors);
+  try {
+    return getPlatformAdapter(body.platform || 'youtube');
+  } catch (error) {
+    errors.push({ field: 'platform', code: 'invalidValue', message: error.message });
+    return null;
+  }
+}
+
+/**
+ * 校验视频元数据更新请求 (PATCH /video)。metadata 按平台的上传规则校验，但所有字段都是可选的，
+ * 至少需要修改一个字段；publish_time 为 null 表示取消定时发布。
+ * @param {Object} body - 请求体 { platform, videoId, metadata, publish_time }
+ */
+export function assertValidVideoUpdate(body) {
+  const errors = [];
+  const adapter = checkVideoTarget(body, errors);
+  if (adapter) {
+    const metadata = body.metadata || {};
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      errors.push({ field: 'metadata', code: 'invalidType', message: 'metadata 必须是对象' });
+    } else {
+      for (const [name, rule] of Object.entries(adapter.uploadSchema?.metadata || {})) {
+        checkField(metadata[name], { ...rule, required: false }, `metadata.${name}`, errors);
+      }
+      if (Object.keys(metadata).length === 0 && body.publish_time === undefined) {
+        errors.push({ field: 'metadata', code: 'required', message: '至少需要修改 metadata 中的一个字段或 publish_time' });
+      }
+    }
+    checkTimeZone(body.timezone, 'timezone', errors);
+    checkPublishTime(body.publish_time, adapter.uploadSchema?.publishTime || {}, 'publish_time', errors, body.timezone);
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 校验字幕上传请求 (POST/PUT /video/captions)
+ * @param {Object} body - 请求体 { platform, videoId, captions }
+ * @param {boolean} replace - 是否为替换已有字幕 (PUT)
+ */
+export function assertValidCaptionsBody(body, replace) {
+  const errors = [];
+  const adapter = checkVideoTarget(body, errors);
+  if (adapter) {
+    checkCaptions(body.captions, adapter, '', errors, replace);
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 校验创建播放列表请求 (POST /playlists)
+ * @param {Object} body - 请求体 { platform, title, description, privacyStatus }
+ */
+export function assertValidPlaylistBody(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' });
+  } else {
+    checkField(body.title, { type: 'string', required: true, maxLength: 150 }, 'title', errors);
+    checkField(body.description, { type: 'string', maxBytes: 5000 }, 'description', errors);
+    checkField(body.privacyStatus, { type: 'string', enum: ['private', 'unlisted', 'public'] }, 'privacyStatus', errors);
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 校验调整播放列表顺序的请求 (PUT /playlists/:playlistId/order)
+ * @param {Object} body - 请求体 { platform, videoIds }
+ */
+export function assertValidPlaylistOrder(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' });
+  } else {
+    checkField(body.videoIds, { type: 'array', required: true, minItems: 1, maxItems: 200 }, 'videoIds', errors);
+    if (Array.isArray(body.videoIds) && new Set(body.videoIds).size !== body.videoIds.length) {
+      errors.push({ field: 'videoIds', code: 'duplicate', message: 'videoIds 中存在重复的视频' });
+    }
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 校验封面替换请求 (POST /video/thumbnail)，封面参数与上传请求相同，需要提供封面路径或 coverFrame；
+ * coverFrame 需要同时提供 R2 中的视频路径 videoPath
+ * @param {Object} body - 请求体 { platform, videoId, coverPath-* | coverFrame, videoPath? }
+ */
+export function assertValidThumbnailBody(body) {
+  const errors = [];
+  const adapter = checkVideoTarget(body, errors);
+  if (adapter) {
+    checkCoverPaths(body, '', errors);
+    if (body.videoPath !== undefined) {
+      checkField(body.videoPath, { type: 'string' }, 'videoPath', errors);
+      if (typeof body.videoPath === 'string' && !isValidR2Path(body.videoPath)) {
+        errors.push({ field: 'videoPath', code: 'invalidFormat', message: 'videoPath 不是有效的 R2 路径 (不能以 / 开头或包含 ..)' });
+      }
+    }
+    if (body.coverFrame !== undefined) {
+      if (!adapter.capabilities?.coverFrames) {
+        errors.push({ field: 'coverFrame', code: 'invalidValue', message: `平台 ${adapter.name} 不支持 coverFrame` });
+      } else {
+        checkCoverFrame(body.coverFrame, 'coverFrame', errors);
+        if (!body.videoPath && !COVER_PATH_KEYS.some(key => body[key])) {
+          errors.push({ field: 'videoPath', code: 'required', message: '使用 coverFrame 截取封面时需要提供 videoPath' });
+        }
+      }
+    }
+    if (errors.length === 0 && !COVER_PATH_KEYS.some(key => body[key]) && body.coverFrame === undefined) {
+      errors.push({ field: 'coverPath', code: 'required', message: `需要提供封面路径 (${COVER_PATH_KEYS.join(', ')}) 或 coverFrame` });
+    }
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 校验元数据预设 (PUT /presets/:name)。指定了 platform 时 metadata 按该平台的上传规则校验 (所有字段可选)，
+ * 未指定时只检查 tags 的类型；预设不能再引用其他预设。
+ * @param {string} name - 预设名称
+ * @param {Object} body - 请求体 { label?, platform?, accountId?, metadata?, descriptionFooter?, playlistIds?, playlistTitles?, language? }
+ */
+export function assertValidPreset(name, body) {
+  const errors = [];
+  if (!/^[\w.-]{1,64}$/.test(name)) {
+    errors.push({ field: 'name', code: 'invalidFormat', message: '预设名称必须为 1-64 位字母、数字、下划线、点或短横线' });
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' });
+    assertNoFieldErrors(errors);
+  }
+
+  for (const [field, rule] of Object.entries(PRESET_RULES)) {
+    checkField(body[field], rule, field, errors);
+  }
+
+  let adapter = null;
+  if (typeof body.platform === 'string' && body.platform) {
+    try {
+      adapter = getPlatformAdapter(body.platform);
+    } catch (error) {
+      errors.push({ field: 'platform', code: 'invalidValue', message: error.message });
+    }
+  }
+  if (adapter && !adapter.capabilities?.playlists && (body.playlistIds?.length > 0 || body.playlistTitles?.length > 0)) {
+    errors.push({ field: 'playlistIds', code: 'invalidValue', message: `平台 ${adapter.name} 不支持播放列表` });
+  }
+
+  const metadata = body.metadata;
+  if (metadata !== undefined && (!metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+    errors.push({ field: 'metadata', code: 'invalidType', message: 'metadata 必须是对象' });
+  } else if (metadata) {
+    if (metadata.preset !== undefined) {
+      errors.push({ field: 'metadata.preset', code: 'invalidValue', message: '预设不能引用其他预设' });
+    }
+    const rules = adapter ? adapter.uploadSchema?.metadata || {} : { tags: { type: 'array' } };
+    for (const [field, rule] of Object.entries(rules)) {
+      checkField(metadata[field], { ...rule, required: false }, `metadata.${field}`, errors);
+    }
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 解析请求的 JSON 请求体，格式错误时抛出 invalidJson 错误
+ * @param {Request} request - 请求对象
+ * @returns {Promise<Object>}
+ */
+export async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch (error) {
+    throw new ApiError('invalidJson', `请求体不是有效的 JSON: ${error.message}`);
+  }
+}
+
+/**
+ * 校验定时操作的执行时间 (runAt + timezone)
+ * @param {Object} body - 请求体
+ * @param {Object[]} errors - 字段错误列表
+ */
+function checkRunAt(body, errors) {
+  checkTimeZone(body.timezone, 'timezone', errors);
+  if (body.runAt === undefined || body.runAt === null || body.runAt === '') {
+    errors.push({ field: 'runAt', code: 'required', message: 'runAt 为必填字段' });
+    return;
+  }
+  checkPublishTime(body.runAt, { maxAheadMs: MAX_SCHEDULE_AHEAD_MS, message: 'runAt 不能晚于一年之后' }, 'runAt', errors, body.timezone);
+}
+
+/**
+ * 定时操作和上传后发布在后台执行，没有请求头中的令牌，因此必须使用已注册账号
+ * @param {Object} target - 上传目标或操作请求体
+ * @param {string} prefix - 字段路径前缀
+ * @param {Object[]} errors - 字段错误列表
+ * @param {string} [operation] - 操作名称，用于错误信息
+ */
+function checkScheduledAccount(target, prefix, errors, operation = '定时操作') {
+  if (!target.accountId) {
+    errors.push({ field: `${prefix}accountId`, code: 'required', message: `${operation}必须提供 ${prefix}accountId (执行时使用已注册账号获取令牌)` });
+  }
+}
+
+/**
+ * 校验创建定时操作的请求 (POST /schedule)
+ * - upload: { upload: 与 POST / 相同的上传请求体 }，upload 中没有 timezone 时使用外层的 timezone
+ * - setPrivacy: { platform?, accountId, videoId, privacyStatus }
+ * - addToPlaylist: { platform?, accountId, videoId, playlistIds?, playlistTitles?, playlistPosition? }
+ * @param {Object} body - 请求体 { type, runAt, timezone?, ... }
+ */
+export function assertValidScheduleBody(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    assertNoFieldErrors([{ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' }]);
+  }
+  checkField(body.type, { type: 'string', required: true, enum: SCHEDULE_TYPES }, 'type', errors);
+  checkRunAt(body, errors);
+
+  if (body.type === 'upload') {
+    if (!body.upload || typeof body.upload !== 'object' || Array.isArray(body.upload)) {
+      errors.push({ field: 'upload', code: 'required', message: 'upload 为必填字段，内容与 POST / 的请求体相同' });
+    } else {
+      const upload = { timezone: body.timezone, ...body.upload };
+      for (const error of validateUploadBody(upload)) {
+        errors.push({ ...error, field: `upload.${error.field}` });
+      }
+      if (Array.isArray(upload.platforms)) {
+        resolveDestinations(upload).forEach((destination, index) => checkScheduledAccount(destination, `upload.platforms[${index}].`, errors));
+      } else {
+        checkScheduledAccount(upload, 'upload.', errors);
+      }
+    }
+  }
+
+  if (body.type === 'setPrivacy' || body.type === 'addToPlaylist') {
+    const adapter = checkVideoTarget(body, errors);
+    checkScheduledAccount(body, '', errors);
+    if (adapter && body.type === 'setPrivacy') {
+      const privacyStatuses = adapter.capabilities?.privacyStatus || [];
+      if (privacyStatuses.length === 0) {
+        errors.push({ field: 'platform', code: 'invalidValue', message: `平台 ${adapter.name} 不支持修改隐私状态` });
+      } else {
+        checkField(body.privacyStatus, { type: 'string', required: true, enum: privacyStatuses }, 'privacyStatus', errors);
+      }
+    }
+    if (adapter && body.type === 'addToPlaylist') {
+      if (!adapter.capabilities?.playlists) {
+        errors.push({ field: 'platform', code: 'invalidValue', message: `平台 ${adapter.name} 不支持播放列表` });
+      } else {
+        for (const name of ['playlistIds', 'playlistTitles', 'playlistPosition']) {
+          checkField(body[name], adapter.uploadSchema?.fields?.[name] || {}, name, errors);
+        }
+        if (!body.playlistIds?.length && !body.playlistTitles?.length) {
+          errors.push({ field: 'playlistIds', code: 'required', message: '至少需要提供 playlistIds 或 playlistTitles' });
+        }
+      }
+    }
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 校验修改定时操作执行时间的请求 (PATCH /schedule/:id)
+ * @param {Object} body - 请求体 { runAt, timezone? }
+ */
+export function assertValidReschedule(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' });
+  } else {
+    checkRunAt(body, errors);
+  }
+  assertNoFieldErrors(errors);
+}
+
+/**
+ * 校验创建上传会话的请求 (POST /ingest，见 ingest.js)。publish 与 POST /jobs 的请求体相同 (videoPath 取会话的路径)，
+ * 合并完成后在后台执行，因此必须使用 accountId。
+ * @param {Object} body - 请求体 { videoPath? | fileName, size, contentType?, partSize?, sha256?, customMetadata?, publish? }
+ */
+export function assertValidIngestBody(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    assertNoFieldErrors([{ field: '', code: 'invalidType', message: '请求体必须是 JSON 对象' }]);
+  }
+  checkField(body.videoPath, { type: 'string', maxBytes: 1024 }, 'videoPath', errors);
+  if (typeof body.videoPath === 'string' && !isValidR2Path(body.videoPath)) {
+    errors.push({ field: 'videoPath', code: 'invalidFormat', message: 'videoPath 不是有效的 R2 路径 (不能以 / 开头或包含 ..)' });
+  }
+  checkField(body.fileName, { type: 'string', required: !body.videoPath, maxLength: 255 }, 'fileName', errors);
+  checkField(body.size, { type: 'integer', required: true, min: 1 }, 'size', errors);
+  checkField(body.partSize, { type: 'integer', min: MIN_PART_SIZE, max: MAX_PART_SIZE }, 'partSize', errors);
+  if (errors.length === 0 && Math.ceil(Number(body.size) / Number(body.partSize || DEFAULT_PART_SIZE)) > MAX_PARTS) {
+    errors.push({ field: 'size', code: 'outOfRange', message: `文件超过 ${MAX_PARTS} 个分块，请增大 partSize` });
+  }
+  checkField(body.contentType, { type: 'string', pattern: /^[\w.+-]+\/[\w.+-]+$/, patternMessage: 'contentType 必须是 MIME 类型 (例如 video/mp4)' }, 'contentType', errors);
+  checkField(body.sha256, { type: 'string', pattern: /^[0-9a-fA-F]{64}$/, patternMessage: 'sha256 必须是 64 位十六进制字符串' }, 'sha256', errors);
+  if (body.sha256 && Number(body.size) > MAX_VERIFY_BYTES) {
+    errors.push({ field: 'sha256', code: 'outOfRange', message: `超过 ${MAX_VERIFY_BYTES} 字节的文件不支持 SHA-256 校验 (合并时在请求内计算)` });
+  }
+
+  if (body.customMetadata !== undefined) {
+    if (!body.customMetadata || typeof body.customMetadata !== 'object' || Array.isArray(body.customMetadata) ||
+      Object.values(body.customMetadata).some(value => typeof value !== 'string')) {
+      errors.push({ field: 'customMetadata', code: 'invalidType', message: 'customMetadata 必须是值为字符串的对象' });
+    } else if (textEncoder.encode(Object.entries(body.customMetadata).flat().join('')).length > MAX_CUSTOM_METADATA_BYTES) {
+      errors.push({ field: 'customMetadata', code: 'tooLong', message: `customMetadata 不能超过 ${MAX_CUSTOM_METADATA_BYTES} 字节 (UTF-8)` });
+    }
+  }
+
+  if (body.publish !== undefined) {
+    if (!body.publish || typeof body.publish !== 'object' || Array.isArray(body.publish)) {
+      errors.push({ field: 'publish', code: 'invalidType', message: 'publish 必须是对象，内容与 POST /jobs 的请求体相同' });
+    } else {
+      const publish = { ...body.publish, videoPath: body.videoPath || body.fileName };
+      for (const error of validateUploadBody(publish)) {
+        errors.push({ ...error, field: `publish.${error.field}` });
+      }
+      if (Array.isArray(publish.platforms)) {
+        resolveDestinations(publish).forEach((destination, index) => checkScheduledAccount(destination, `publish.platforms[${index}].`, errors, '上传后发布'));
+      } else {
+        checkScheduledAccount(publish, 'publish.', errors, '上传后发布');
+      }
+    }
+  }
+  assertNoFieldErrors(errors);
+}
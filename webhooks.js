@@ -0,0 +1,140 @@
+/**
+ * 回调 (webhook) 发送模块
+ *
+ * 回调请求体为 JSON，使用 WEBHOOK_SECRET 签名，接收方按以下方式校验：
+ *   X-Webhook-Timestamp: <Unix 秒>
+ *   X-Webhook-Signature: sha256=<hex(HMAC-SHA256(WEBHOOK_SECRET, "<timestamp>.<请求体>"))>
+ * X-Webhook-Id 在重试时保持不变，接收方可以用它去重。
+ *
+ * 发送失败 (网络错误或非 2xx 响应) 的回调保存在 KV (UPLOAD_JOBS) 的 webhook:<id> 中，
+ * 由定时任务按退避间隔重试。
+ */
+
+import { rootLogger } from './logger.js';
+
+// 第 n 次失败后的重试间隔 (分钟)，用完后放弃
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 360];
+// 回调请求超时时间
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// 待重试的回调在 KV 中最多保留 2 天
+const PENDING_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * 计算回调签名
+ * @param {string} secret - 签名密钥 (WEBHOOK_SECRET)
+ * @param {number} timestamp - Unix 时间戳 (秒)
+ * @param {string} body - 请求体
+ * @returns {Promise<string>} - sha256=<十六进制签名>
+ */
+export async function signWebhookPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, textEncoder.encode(`${timestamp}.${body}`));
+  return `sha256=${[...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * 发送一次回调
+ * @param {object} env - Cloudflare Worker 环境变量，包含 WEBHOOK_SECRET
+ * @param {Object} delivery - { id, callbackUrl, payload }
+ * @returns {Promise<void>} - 失败时抛出异常
+ */
+async function sendWebhook(env, delivery) {
+  if (!env.WEBHOOK_SECRET) {
+    throw new Error('未配置 WEBHOOK_SECRET，无法签名回调');
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(delivery.callbackUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'cfworker-upload-webhook',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.payload.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': await signWebhookPayload(env.WEBHOOK_SECRET, timestamp, body)
+    },
+    body: body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`回调地址返回 ${response.status}`);
+  }
+}
+
+/**
+ * 发送一次回调，失败时记录下次重试时间；重试次数用完后放弃
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {Object} delivery - { id, callbackUrl, payload, attempts }
+ * @returns {Promise<boolean>} - 是否发送成功
+ */
+async function attemptDelivery(env, delivery) {
+  try {
+    await sendWebhook(env, delivery);
+    rootLogger.info('回调已发送', { deliveryId: delivery.id, event: delivery.payload.event, callbackUrl: delivery.callbackUrl });
+    await env.UPLOAD_JOBS.delete(`webhook:${delivery.id}`);
+    return true;
+  } catch (error) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const delayMinutes = RETRY_DELAYS_MINUTES[attempts - 1];
+    if (delayMinutes === undefined) {
+      rootLogger.error('回调多次发送失败，放弃重试', { deliveryId: delivery.id, event: delivery.payload.event, attempts, error });
+      await env.UPLOAD_JOBS.delete(`webhook:${delivery.id}`);
+      return false;
+    }
+
+    rootLogger.warn('回调发送失败，稍后重试', { deliveryId: delivery.id, event: delivery.payload.event, attempts, delayMinutes, error });
+    await env.UPLOAD_JOBS.put(`webhook:${delivery.id}`, JSON.stringify({
+      ...delivery,
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: Date.now() + delayMinutes * 60 * 1000
+    }), { expirationTtl: PENDING_TTL_SECONDS });
+    return false;
+  }
+}
+
+/**
+ * 发送事件回调。立即尝试一次，失败后由定时任务 (retryPendingWebhooks) 重试。
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @param {string} callbackUrl - 回调地址
+ * @param {string} event - 事件名称 (processed / failed / rejected / published)
+ * @param {Object} data - 事件数据
+ * @returns {Promise<boolean>} - 首次发送是否成功
+ */
+export async function dispatchWebhook(env, callbackUrl, event, data) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    callbackUrl,
+    payload: { event, ...data, occurredAt: new Date().toISOString() },
+    attempts: 0
+  };
+  return await attemptDelivery(env, delivery);
+}
+
+/**
+ * 重试到期的回调 (由定时任务调用)
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<number>} - 本次尝试发送的回调数量
+ */
+export async function retryPendingWebhooks(env) {
+  let attempted = 0;
+  let cursor;
+  do {
+    const page = await env.UPLOAD_JOBS.list({ prefix: 'webhook:', cursor });
+    for (const { name } of page.keys) {
+      const delivery = await env.UPLOAD_JOBS.get(name, 'json');
+      if (!delivery || delivery.nextAttemptAt > Date.now()) {
+        continue;
+      }
+      await attemptDelivery(env, delivery);
+      attempted++;
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return attempted;
+}
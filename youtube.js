@@ -2,214 +2,439 @@
  * YouTube 相关功能模块
  */
 
+import { readObjectRange } from './r2.js';
+import { loadThumbnail, describeThumbnail } from './covers.js';
+import { toTokenProvider, getAccountChannelId, YOUTUBE_CHANNEL_ID_PATTERN } from './tokens.js';
+import { ApiError, youtubeApiError, withErrorContext } from './errors.js';
+import { loadCaptionFile } from './captions.js';
+import { parseDateTime } from './time.js';
+import { estimateQuotaCost, UPLOAD_QUOTA_COST } from './quota.js';
+import { rootLogger, measurePhase } from './logger.js';
+
 /**
  * 格式化 YouTube API 访问令牌，确保它包含 Bearer 前缀
  * @param {string} accessToken - 原始访问令牌
- * @param {string} [operation='操作'] - 当前执行的操作名称，用于日志记录
  * @returns {string} - 格式化后的访问令牌
  */
-function formatAccessToken(accessToken, operation = '操作') {
-  const formattedAccessToken = accessToken.startsWith('Bearer ') ? accessToken : `Bearer ${accessToken}`;
-  console.log(`准备${operation} YouTube，令牌前缀: ${formattedAccessToken.substring(0, 15)}...`);
-  return formattedAccessToken;
+function formatAccessToken(accessToken) {
+  return accessToken.startsWith('Bearer ') ? accessToken : `Bearer ${accessToken}`;
 }
 
 /**
- * 将视频上传到 YouTube，使用 YouTube Data API 的 videos.insert 端点，并设置封面和发布时间。
- * @param {ReadableStream} videoStream - 从 R2 获取的视频数据流
- * @param {Object} metadata - 视频元数据
- * @param {string} accessToken - YouTube API 的访问令牌
- * @param {Object} requestBody - 完整的请求体，包含各种封面路径参数
- * @param {string} [publish_time] - ISO 8601 格式的计划发布时间 (可选)
- * @param {object} env - Cloudflare Worker 环境变量，包含 R2 绑定
- * @returns {Promise<Object>} - 上传结果，包含视频信息和封面上传状态
- */
-export async function uploadToYouTube(videoStream, metadata, accessToken, requestBody, publish_time, env) {
-  // --- 1. 上传视频元数据和内容 (videos.insert) ---
-  const boundary = '----CloudflareWorkerBoundary' + Math.random().toString(16).substr(2);
-  
-  // 使用公共函数格式化 accessToken
-  const formattedAccessToken = formatAccessToken(accessToken, '上传视频到');
-  
-  const videoMetadata = {
-    snippet: {
-      title: metadata.title,
-      description: metadata.description,
-      tags: metadata.tags,
-      categoryId: metadata.categoryId
-    },
-    status: {
-      // 如果设置了发布时间，强制设为 private，否则使用传入的值或默认 private
-      privacyStatus: publish_time ? 'private' : (metadata.privacyStatus || 'private')
-    }
-  };
+ * 令牌提供者携带的日志记录器，带有发起请求的请求 ID
+ * @param {Object} tokenProvider - 令牌提供者
+ * @returns {import('./logger.js').Logger}
+ */
+function loggerOf(tokenProvider) {
+  return tokenProvider.logger || rootLogger;
+}
 
-  // 如果有计划发布时间，添加到 status 对象
-  if (publish_time) {
-    // 检查时间格式，如果没有时区信息，自动添加 Z (UTC)
-    let formattedTime = publish_time;
-    if (!/Z|[+-]\d{2}:\d{2}$/.test(publish_time)) {
-      formattedTime = `${publish_time}Z`;
-      console.log(`发布时间未包含时区信息，已自动添加 Z (UTC): ${formattedTime}`);
-    }
-    
-    try {
-      // 验证是否为有效的 ISO 日期
-      new Date(formattedTime).toISOString();
-      videoMetadata.status.publishAt = formattedTime;
-    } catch (e) {
-      throw new Error(`无效的发布时间格式: ${publish_time}. 需要 ISO 8601 格式 (例如: 2025-04-17T23:57:16Z)`);
-    }
+/**
+ * 携带访问令牌调用 YouTube API。令牌被拒绝 (401) 时向令牌提供者刷新令牌并重试一次，
+ * 因此请求体必须可以重复发送 (字符串或 ArrayBuffer，不能是流)。令牌提供者带有配额计量器时，请求前按操作成本计入用量。
+ * 失败的调用 (308 以外的非 2xx) 记录方法、路径、状态码和耗时，不记录查询参数。
+ * @param {Object} tokenProvider - 令牌提供者 ({ getToken, refresh })
+ * @param {string} url - 请求地址
+ * @param {Object} [init] - fetch 参数
+ * @returns {Promise<Response>}
+ */
+async function youtubeFetch(tokenProvider, url, init = {}) {
+  const method = init.method || 'GET';
+  const send = token => fetch(url, {
+    ...init,
+    headers: { ...init.headers, 'Authorization': formatAccessToken(token) }
+  });
+
+  // 计入项目的配额用量，超出预算时不发送请求 (见 quota.js)
+  const cost = tokenProvider.quota ? estimateQuotaCost(method, url) : null;
+  if (cost) {
+    await tokenProvider.quota.spend(cost.operation, cost.units);
   }
 
-  // 手动构建 multipart 请求体
-  const metadataJson = JSON.stringify(videoMetadata);
-  
-  // 创建一个数组缓冲区来存储视频数据
-  const videoArrayBuffer = await new Response(videoStream).arrayBuffer();
-  
-  // 手动构建 multipart 请求体
-  const multipartBody = new ReadableStream({
-    async start(controller) {
-      // 添加元数据部分
-      const metadataPart = 
-        `--${boundary}\r\n` +
-        `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
-        `${metadataJson}\r\n`;
-      controller.enqueue(new TextEncoder().encode(metadataPart));
-      
-      // 添加视频部分
-      const videoPart = 
-        `--${boundary}\r\n` +
-        `Content-Type: video/mp4\r\n\r\n`;
-      controller.enqueue(new TextEncoder().encode(videoPart));
-      
-      // 添加视频数据
-      controller.enqueue(new Uint8Array(videoArrayBuffer));
-      
-      // 添加结束边界
-      controller.enqueue(new TextEncoder().encode(`\r\n--${boundary}--\r\n`));
-      
-      controller.close();
+  const startedAt = Date.now();
+  let response = await send(await tokenProvider.getToken());
+  if (response.status === 401) {
+    const refreshedToken = await tokenProvider.refresh();
+    if (refreshedToken) {
+      response = await send(refreshedToken);
     }
-  });
+  }
+
+  if (!response.ok && response.status !== 308) {
+    loggerOf(tokenProvider).warn('YouTube API 请求失败', {
+      method,
+      path: new URL(url).pathname,
+      status: response.status,
+      durationMs: Date.now() - startedAt
+    });
+  }
+  return response;
+}
+
+// 可续传上传每个分块的大小，YouTube 要求为 256 KiB 的整数倍（最后一块除外）
+const RESUMABLE_CHUNK_SIZE = 32 * 256 * 1024; // 8 MiB
+// 同一位置连续失败的最大重试次数
+const RESUMABLE_MAX_RETRIES = 5;
+// thumbnails.set 的封面要求：不超过 2 MB，JPEG/PNG/GIF/BMP，16:9 且宽度至少 640；不符合时转换为 1280×720 JPEG
+const THUMBNAIL_SPEC = {
+  width: 1280,
+  height: 720,
+  minWidth: 640,
+  maxBytes: 2 * 1024 * 1024,
+  formats: ['image/jpeg', 'image/png', 'image/gif', 'image/bmp']
+};
+
+/**
+ * 判断可续传上传的响应状态码是否值得重试（服务端错误）
+ * @param {number} status - HTTP 状态码
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status >= 500 && status < 600;
+}
+
+/**
+ * 解析 308 响应中的 Range 头，得到下一个需要发送的字节偏移
+ * @param {Response} response - 上传会话返回的 308 响应
+ * @returns {number} - 下一个字节偏移；没有 Range 头表示服务器尚未收到任何数据
+ */
+function getNextOffset(response) {
+  const range = response.headers.get('Range');
+  const match = range && /bytes=\d+-(\d+)/.exec(range);
+  return match ? parseInt(match[1], 10) + 1 : 0;
+}
 
-  const videoUploadResponse = await fetch('https://www.googleapis.com/upload/youtube/v3/videos?part=snippet,status', {
+/**
+ * 发起可续传上传会话，返回会话地址
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {Object} videoMetadata - videos.insert 的 snippet/status 资源
+ * @param {number} totalBytes - 视频总字节数
+ * @param {string} contentType - 视频的 MIME 类型
+ * @returns {Promise<string>} - 上传会话 URL
+ */
+async function startResumableSession(tokenProvider, videoMetadata, totalBytes, contentType) {
+  const response = await youtubeFetch(tokenProvider, 'https://www.googleapis.com/upload/youtube/v3/videos?uploadType=resumable&part=snippet,status', {
     method: 'POST',
     headers: {
-      'Authorization': formattedAccessToken,  // 使用处理过的 accessToken
-      'Content-Type': `multipart/related; boundary=${boundary}`
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Length': totalBytes.toString(),
+      'X-Upload-Content-Type': contentType
     },
-    body: multipartBody
+    body: JSON.stringify(videoMetadata)
   });
 
-  if (!videoUploadResponse.ok) {
-    throw new Error(`YouTube API 视频上传错误: ${videoUploadResponse.status} ${await videoUploadResponse.text()}`);
+  if (!response.ok) {
+    throw await youtubeApiError(response, '创建上传会话');
   }
 
-  const videoResult = await videoUploadResponse.json();
-  const videoId = videoResult.id;
-
-  if (!videoId) {
-    throw new Error(`视频上传成功，但未能获取 videoId: ${JSON.stringify(videoResult)}`);
+  const sessionUrl = response.headers.get('Location');
+  if (!sessionUrl) {
+    throw new ApiError('upstreamError', 'YouTube API 未返回上传会话地址 (Location 头缺失)');
   }
+  return sessionUrl;
+}
 
-  // 添加：立即验证视频状态
-  const verifyResponse = await fetch(
-    `https://www.googleapis.com/youtube/v3/videos?part=status&id=${videoId}`,
-    {
-      headers: {
-        'Authorization': formattedAccessToken
-      }
+/**
+ * 查询上传会话的进度，用于失败后确定从哪个字节继续
+ * @param {string} sessionUrl - 上传会话 URL
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {number} totalBytes - 视频总字节数
+ * @returns {Promise<{complete: boolean, videoResult?: Object, nextOffset?: number}>}
+ */
+async function queryResumableSession(sessionUrl, tokenProvider, totalBytes) {
+  const response = await youtubeFetch(tokenProvider, sessionUrl, {
+    method: 'PUT',
+    headers: {
+      'Content-Length': '0',
+      'Content-Range': `bytes */${totalBytes}`
     }
-  );
+  });
+
+  if (response.status === 200 || response.status === 201) {
+    return { complete: true, videoResult: await response.json() };
+  }
+  if (response.status === 308) {
+    return { complete: false, nextOffset: getNextOffset(response) };
+  }
+  throw await youtubeApiError(response, '查询上传进度');
+}
+
+/**
+ * 使用 YouTube 可续传上传协议，将 R2 中的视频按块读取并上传。
+ * 每块通过 R2 范围读取获得，内存占用不超过一个分块；
+ * 网络错误或 5xx 时查询服务器已确认的字节数，并从该位置继续上传。
+ * @param {object} env - Cloudflare Worker 环境变量，包含 R2 绑定
+ * @param {Object} videoObject - R2 中视频文件的元数据 (来自 VIDEO_BUCKET.head)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {Object} videoMetadata - videos.insert 的 snippet/status 资源
+ * @param {Object} timings - 阶段耗时，R2 读取累加到 r2Read，发送到 YouTube (含查询进度) 累加到 insert
+ * @param {Function} [onProgress] - 进度回调，每个分块被确认后调用
+ * @returns {Promise<{videoResult: Object, uploadStats: Object}>} - 视频资源和上传统计
+ */
+async function uploadVideoResumable(env, videoObject, tokenProvider, videoMetadata, timings, onProgress) {
+  const totalBytes = videoObject.size;
+  if (!totalBytes) {
+    throw new Error(`R2 中的视频文件为空: ${videoObject.key}`);
+  }
+
+  const logger = loggerOf(tokenProvider);
+  const contentType = videoObject.httpMetadata?.contentType || 'video/mp4';
+  const sessionUrl = await measurePhase(timings, 'insert', () =>
+    startResumableSession(tokenProvider, videoMetadata, totalBytes, contentType));
+
+  const uploadStats = { totalBytes, bytesSent: 0, chunks: 0, retriedChunks: 0 };
+  let offset = 0;
+  let failures = 0;
+
+  while (true) {
+    const length = Math.min(RESUMABLE_CHUNK_SIZE, totalBytes - offset);
+    const chunk = await measurePhase(timings, 'r2Read', () => readObjectRange(env, videoObject, offset, length));
 
-  const verifyResult = await verifyResponse.json();
-  if (verifyResult.items[0]?.status?.privacyStatus !== 'private') {
-    console.warn(`警告：视频隐私状态验证失败，期望 private 但获得 ${verifyResult.items[0]?.status?.privacyStatus}`);
-  }
-
-  // --- 2. 上传封面 (thumbnails.set)，如果提供了 coverPath 相关参数 ---
-  let thumbnailUploadStatus = '未提供封面路径';
-  
-  // 尝试获取不同分辨率的封面路径
-  const coverPathHigh = requestBody['coverPath-high'];
-  const coverPathMedium = requestBody['coverPath-medium'];
-  const coverPathDefault = requestBody['coverPath-default'] || requestBody['coverPath']; // 兼容旧参数名
-  
-  // 按优先级选择封面，确保值不为 null
-  const selectedCoverPath = coverPathHigh || coverPathMedium || coverPathDefault;
-  
-  // 只有当 selectedCoverPath 存在且不为 null 时才尝试上传封面
-  if (selectedCoverPath && selectedCoverPath !== null) {
+    let response;
+    let failureReason;
     try {
-      let thumbnailStream;
-      let thumbnailContentType;
-      let thumbnailSize;
-      
-      // 判断是否为URL
-      if (selectedCoverPath.startsWith('http')) {
-        console.log(`使用URL作为封面来源: ${selectedCoverPath}`);
-        // 从URL获取图片
-        const thumbnailResponse = await fetch(selectedCoverPath);
-        if (!thumbnailResponse.ok) {
-          throw new Error(`获取封面URL失败: ${thumbnailResponse.status} ${await thumbnailResponse.statusText}`);
-        }
-        
-        thumbnailStream = thumbnailResponse.body;
-        thumbnailContentType = thumbnailResponse.headers.get('Content-Type') || 'image/jpeg';
-        const contentLength = thumbnailResponse.headers.get('Content-Length');
-        thumbnailSize = contentLength ? parseInt(contentLength) : undefined;
-      } else {
-        console.log(`从R2获取封面: ${selectedCoverPath}`);
-        // 从R2获取图片
-        const thumbnailObject = await env.VIDEO_BUCKET.get(selectedCoverPath);
-        if (!thumbnailObject) {
-          throw new Error(`在R2中未找到封面文件: ${selectedCoverPath}`);
+      response = await measurePhase(timings, 'insert', () => youtubeFetch(tokenProvider, sessionUrl, {
+        method: 'PUT',
+        headers: {
+          'Content-Length': length.toString(),
+          'Content-Range': `bytes ${offset}-${offset + length - 1}/${totalBytes}`
+        },
+        body: chunk
+      }));
+    } catch (networkError) {
+      failureReason = networkError.message;
+    }
+
+    if (response) {
+      // 最后一块上传完成，返回视频资源
+      if (response.status === 200 || response.status === 201) {
+        uploadStats.bytesSent += length;
+        uploadStats.chunks++;
+        return { videoResult: await response.json(), uploadStats };
+      }
+
+      // 分块已接收，按服务器确认的位置继续
+      if (response.status === 308) {
+        uploadStats.bytesSent += length;
+        uploadStats.chunks++;
+        offset = getNextOffset(response);
+        failures = 0;
+        if (onProgress) {
+          await onProgress({ phase: 'uploading', bytesUploaded: offset, totalBytes });
         }
-        
-        thumbnailStream = thumbnailObject.body;
-        thumbnailContentType = thumbnailObject.httpMetadata?.contentType || 'image/jpeg';
-        thumbnailSize = thumbnailObject.size;
+        continue;
       }
-      
-      // 准备上传封面的请求头
-      const headers = {
-        'Authorization': formattedAccessToken,  // 使用处理过的 accessToken
-        'Content-Type': thumbnailContentType
-      };
-      
-      // 如果有大小信息，添加到请求头
-      if (thumbnailSize) {
-        headers['Content-Length'] = thumbnailSize.toString();
+
+      if (!isRetryableStatus(response.status)) {
+        throw await youtubeApiError(response, '视频上传');
       }
+      failureReason = `${response.status} ${await response.text()}`;
+    }
 
-      // 上传封面到YouTube
-      const thumbnailUploadResponse = await fetch(`https://www.googleapis.com/upload/youtube/v3/thumbnails/set?videoId=${videoId}`, {
-        method: 'POST',
-        headers: headers,
-        body: thumbnailStream
-      });
+    // 网络错误或 5xx：退避后查询服务器进度，从最后确认的字节继续
+    failures++;
+    if (failures > RESUMABLE_MAX_RETRIES) {
+      throw new ApiError('upstreamError', `YouTube API 视频上传失败，已在字节 ${offset} 处重试 ${RESUMABLE_MAX_RETRIES} 次: ${failureReason}`);
+    }
+    uploadStats.retriedChunks++;
+    logger.warn('分块上传失败，准备重试', { offset, totalBytes, attempt: failures, reason: failureReason });
+    await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (failures - 1), 16000)));
 
-      if (!thumbnailUploadResponse.ok) {
-        thumbnailUploadStatus = `封面上传失败: ${thumbnailUploadResponse.status} ${await thumbnailUploadResponse.text()}`;
-        console.error(`封面上传失败 for video ${videoId}: ${thumbnailUploadStatus}`);
-      } else {
-        thumbnailUploadStatus = `封面上传成功 (使用: ${selectedCoverPath})`;
+    try {
+      const sessionState = await measurePhase(timings, 'insert', () => queryResumableSession(sessionUrl, tokenProvider, totalBytes));
+      if (sessionState.complete) {
+        return { videoResult: sessionState.videoResult, uploadStats };
       }
-    } catch (thumbError) {
-      thumbnailUploadStatus = `封面处理/上传时出错: ${thumbError.message}`;
-      console.error(`封面处理/上传时出错 for video ${videoId}: ${thumbError.message}`);
+      offset = sessionState.nextOffset;
+    } catch (queryError) {
+      // 查询失败时保持原偏移，下一轮重新发送当前分块
+      logger.warn('查询上传进度失败', { offset, error: queryError });
     }
-  } else {
-    thumbnailUploadStatus = '未提供有效封面路径，将使用 YouTube 自动生成的封面';
-    console.log(`视频 ${videoId} 将使用 YouTube 自动生成的封面`);
   }
+}
+
+/**
+ * 为视频设置封面 (thumbnails.set)。封面读取、处理或上传失败不会抛出异常，而是体现在返回的状态中。
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @param {Object} source - 封面来源 { coverPath, coverFrame, videoKey }，都为空时使用 YouTube 自动生成的封面
+ * @param {object} env - Cloudflare Worker 环境变量，包含 R2 绑定
+ * @returns {Promise<{status: string, cover: Object|null}>} - 封面上传状态和处理结果 (见 describeThumbnail)
+ */
+async function setYouTubeThumbnail(tokenProvider, videoId, source, env) {
+  if (!source.coverPath && source.coverFrame == null) {
+    loggerOf(tokenProvider).info('未提供封面，使用 YouTube 自动生成的封面', { videoId });
+    return { status: '未提供有效封面路径，将使用 YouTube 自动生成的封面', cover: null };
+  }
+
+  try {
+    const { cover } = await replaceYouTubeThumbnail(tokenProvider, videoId, source, env);
+    return {
+      status: `封面上传成功 (使用: ${cover.source}${cover.converted ? `，已转换为 ${cover.width}×${cover.height} JPEG` : ''})`,
+      cover: cover
+    };
+  } catch (thumbError) {
+    loggerOf(tokenProvider).error('封面处理或上传失败', { videoId, error: thumbError });
+    return { status: `封面处理/上传时出错: ${thumbError.message}`, cover: null };
+  }
+}
+
+/**
+ * 替换视频封面 (thumbnails.set)，失败时抛出异常。封面先按 THUMBNAIL_SPEC 检查，不符合时转换后再上传。
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @param {Object} source - 封面来源 { coverPath (R2 路径或 http URL), coverFrame (截取画面的时间点), videoKey (R2 中的视频路径) }
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<Object>} - 封面处理结果和新封面的各尺寸地址
+ */
+async function replaceYouTubeThumbnail(tokenProvider, videoId, source, env) {
+  const cover = await loadThumbnail(env, source, THUMBNAIL_SPEC, loggerOf(tokenProvider));
+
+  const response = await youtubeFetch(tokenProvider, `https://www.googleapis.com/upload/youtube/v3/thumbnails/set?videoId=${encodeURIComponent(videoId)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': cover.contentType,
+      'Content-Length': cover.size.toString()
+    },
+    body: cover.data
+  });
+
+  if (!response.ok) {
+    throw await youtubeApiError(response, '封面上传');
+  }
+  const result = await response.json();
+  return {
+    videoId: videoId,
+    coverPath: cover.source,
+    cover: describeThumbnail(cover),
+    thumbnails: result.items?.[0] || null
+  };
+}
+
+/**
+ * 规范化计划发布时间为 UTC。不带时区的时间已在 createUploadRequest 中按请求的 timezone 换算，这里不再猜测时区。
+ * @param {string} publishTime - 带时区偏移量的 ISO 8601 发布时间
+ * @returns {string} - 可用于 status.publishAt 的时间
+ */
+function formatPublishAt(publishTime) {
+  const date = parseDateTime(publishTime);
+  if (!date) {
+    throw new ApiError('validationFailed', `无效的发布时间格式: ${publishTime}. 需要带时区的 ISO 8601 格式 (例如: 2025-04-17T23:57:16Z)`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * 估算一次上传消耗的配额：videos.insert、频道检查和状态校验共 1602 (UPLOAD_QUOTA_COST)，封面 50，每条字幕 400，
+ * 每个播放列表 50 (按标题新建时另加 50)
+ * @param {import('./platforms.js').UploadRequest} request - 标准化的上传请求
+ * @returns {number}
+ */
+function estimateUploadQuota(request) {
+  const { coverPath, coverFrame, captions, playlists } = request;
+  return UPLOAD_QUOTA_COST +
+    (coverPath || (coverFrame !== null && coverFrame !== undefined) ? 50 : 0) +
+    captions.length * 400 +
+    playlists.ids.length * 50 +
+    playlists.titles.length * 100;
+}
+
+/**
+ * 将视频上传到 YouTube，使用 YouTube Data API 的 videos.insert 端点（可续传上传），并设置封面、字幕、播放列表和发布时间。
+ * 视频按块从 R2 读取并发送，网络中断时会从服务器确认的最后一个字节处继续。
+ * @param {import('./platforms.js').UploadRequest} request - 标准化的上传请求
+ * @returns {Promise<Object>} - 上传结果，包含视频信息、封面和字幕的上传状态
+ */
+export async function uploadToYouTube(request) {
+  const { videoObject, metadata, tokenProvider, coverPath, coverFrame, captions, playlists, publishTime, channelId, env, onProgress, timings } = request;
+
+  // 在发出任何请求之前按整个上传流程检查配额预算，避免视频上传后状态校验、封面、字幕或播放列表因配额不足失败
+  await tokenProvider.quota?.assertAvailable(estimateUploadQuota(request), '上传视频');
+
+  // --- 0. 检查令牌所属的频道：请求的 YT_channelId 优先，其次是账号登记的频道，都没有时不检查 ---
+  const expectedChannelId = channelId || (tokenProvider.accountId ? await getAccountChannelId(env, tokenProvider.accountId) : null);
+  if (expectedChannelId) {
+    await measurePhase(timings, 'channelCheck', () => verifyYouTubeChannel(tokenProvider, expectedChannelId));
+  }
+
+  // --- 1. 上传视频元数据和内容 (videos.insert，可续传协议) ---
+  loggerOf(tokenProvider).info('开始上传到 YouTube', { channelId: expectedChannelId, videoPath: videoObject.key, totalBytes: videoObject.size });
+
+  const videoMetadata = {
+    snippet: {
+      title: metadata.title,
+      description: metadata.description,
+      tags: metadata.tags,
+      categoryId: metadata.categoryId,
+      // 标题和描述的语言以及音频语言 (可来自预设的 language)
+      defaultLanguage: metadata.defaultLanguage,
+      defaultAudioLanguage: metadata.defaultAudioLanguage
+    },
+    status: {
+      // 如果设置了发布时间，强制设为 private，否则使用传入的值或默认 private
+      privacyStatus: publishTime ? 'private' : (metadata.privacyStatus || 'private')
+    }
+  };
+
+  // 如果有计划发布时间，添加到 status 对象
+  if (publishTime) {
+    videoMetadata.status.publishAt = formatPublishAt(publishTime);
+  }
+
+  // 使用可续传协议分块上传视频内容
+  const { videoResult, uploadStats } = await uploadVideoResumable(env, videoObject, tokenProvider, videoMetadata, timings, onProgress);
+  const videoId = videoResult.id;
+
+  if (!videoId) {
+    throw new ApiError('upstreamError', `视频上传成功，但未能获取 videoId: ${JSON.stringify(videoResult)}`);
+  }
+
+  // 视频内容已全部发送，进入状态校验和封面处理阶段
+  if (onProgress) {
+    await onProgress({ phase: 'processing', bytesUploaded: uploadStats.totalBytes, totalBytes: uploadStats.totalBytes });
+  }
+
+  // 立即查询视频状态，检查隐私状态。视频已经上传成功，查询失败 (包括配额不足) 只记录警告，
+  // 不能把上传报告为失败，否则幂等记录被释放，客户端重试时会重复上传
+  const verifyResult = await measurePhase(timings, 'verify', async () => {
+    try {
+      const verifyResponse = await youtubeFetch(
+        tokenProvider,
+        `https://www.googleapis.com/youtube/v3/videos?part=status&id=${videoId}`
+      );
+      return verifyResponse.ok ? await verifyResponse.json() : null;
+    } catch (error) {
+      loggerOf(tokenProvider).warn('查询视频状态失败，跳过状态校验', { videoId, error });
+      return null;
+    }
+  });
+  const privacyStatus = verifyResult?.items?.[0]?.status?.privacyStatus;
+  if (verifyResult && privacyStatus !== 'private') {
+    loggerOf(tokenProvider).warn('视频隐私状态与预期不一致', { videoId, expected: 'private', actual: privacyStatus });
+  }
+
+  // --- 2. 上传封面 (thumbnails.set)，如果提供了 coverPath 相关参数或 coverFrame ---
+  const thumbnail = await measurePhase(timings, 'thumbnail', () =>
+    setYouTubeThumbnail(tokenProvider, videoId, { coverPath, coverFrame, videoKey: videoObject.key }, env));
+
+  // --- 3. 上传字幕 (captions.insert)，如果提供了 captions ---
+  const captionUploadStatus = captions.length > 0
+    ? await measurePhase(timings, 'captions', () => uploadYouTubeCaptions(tokenProvider, videoId, captions, env))
+    : null;
+
+  // --- 4. 加入播放列表 (playlistItems.insert)，如果提供了 playlistIds 或 playlistTitles ---
+  const playlistInsertStatus = playlists.ids.length > 0 || playlists.titles.length > 0
+    ? await measurePhase(timings, 'playlists', () => addYouTubeVideoToPlaylists(tokenProvider, videoId, playlists))
+    : null;
 
   // 返回包含视频信息和封面状态的结果
   return {
       ...videoResult, // 包含原始的 video insert 结果 (id, snippet, status 等)
-      thumbnailUploadStatus: thumbnailUploadStatus,
+      thumbnailUploadStatus: thumbnail.status,
+      thumbnail: thumbnail.cover, // 封面的实际格式、尺寸、是否经过转换以及写回 R2 的路径
+      captionUploadStatus: captionUploadStatus, // 每条字幕的上传状态
+      playlistInsertStatus: playlistInsertStatus, // 每个播放列表的添加状态
+      uploadStats: uploadStats, // 已发送字节数、分块数和重试次数
       // 添加 YouTube 自动生成的预设封面图 URL
       presetThumbnails: {
         default: `https://i.ytimg.com/vi/${videoId}/default.jpg`,
@@ -222,77 +447,113 @@ export async function uploadToYouTube(videoStream, metadata, accessToken, reques
 }
 
 /**
- * 获取 YouTube 最新发布的视频信息
- * @param {string} accessToken - YouTube API 的访问令牌
+ * 查询频道 (channels.list，1 单位配额)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} filter - 查询条件，mine=true 或 id=<频道 ID>
+ * @returns {Promise<Object[]>} - [{ channelId, title, customUrl, thumbnail, subscriberCount, hiddenSubscriberCount, videoCount, viewCount, uploadsPlaylistId }]
+ */
+async function fetchYouTubeChannels(tokenProvider, filter) {
+  const response = await youtubeFetch(tokenProvider,
+    `https://www.googleapis.com/youtube/v3/channels?part=snippet,statistics,contentDetails&${filter}`, { method: 'GET' });
+  if (!response.ok) {
+    throw await youtubeApiError(response, '获取频道信息');
+  }
+  const data = await response.json();
+  // 统计数字在 API 中为字符串，隐藏订阅数时没有 subscriberCount
+  const count = value => value === undefined ? null : Number(value);
+  return (data.items || []).map(item => ({
+    channelId: item.id,
+    title: item.snippet?.title,
+    customUrl: item.snippet?.customUrl || null,
+    thumbnail: item.snippet?.thumbnails?.default?.url || null,
+    subscriberCount: count(item.statistics?.subscriberCount),
+    hiddenSubscriberCount: Boolean(item.statistics?.hiddenSubscriberCount),
+    videoCount: count(item.statistics?.videoCount),
+    viewCount: count(item.statistics?.viewCount),
+    uploadsPlaylistId: item.contentDetails?.relatedPlaylists?.uploads || null
+  }));
+}
+
+/**
+ * 获取令牌可管理的频道 (channels.list mine=true)。品牌账号的令牌只对应授权时选择的频道。
+ * @param {string|Object} accessToken - YouTube API 的访问令牌或令牌提供者
+ * @returns {Promise<Object[]>} - [{ channelId, title, customUrl, thumbnail, subscriberCount, hiddenSubscriberCount, videoCount, viewCount, uploadsPlaylistId }]
+ */
+export async function getMyYouTubeChannels(accessToken) {
+  return await fetchYouTubeChannels(toTokenProvider(accessToken), 'mine=true');
+}
+
+/**
+ * 检查令牌所属的频道是否为期望的频道，不一致时抛出 channelMismatch 错误，避免视频上传到错误的频道
+ * @param {string|Object} accessToken - YouTube API 的访问令牌或令牌提供者
+ * @param {string} channelId - 期望的频道 ID
+ * @returns {Promise<Object>} - 匹配的频道
+ */
+export async function verifyYouTubeChannel(accessToken, channelId) {
+  const channels = await getMyYouTubeChannels(accessToken);
+  const channel = channels.find(item => item.channelId === channelId);
+  if (!channel) {
+    const actual = channels.map(item => `${item.title} (${item.channelId})`).join(', ') || '无';
+    throw new ApiError('channelMismatch', `令牌所属的频道为 ${actual}，与目标频道 ${channelId} 不一致，已拒绝上传`);
+  }
+  return channel;
+}
+
+/**
+ * 获取 YouTube 最新发布的视频信息。读取频道的上传播放列表 (channels.list + playlistItems.list，共 2 单位配额)，
+ * 而不是 search.list (100 单位)。
+ * @param {string|Object} accessToken - YouTube API 的访问令牌或令牌提供者
  * @param {string} [channelId] - 可选的目标频道 ID。如果提供，则获取该频道的最新视频；否则获取认证用户的最新视频。
  * @returns {Promise<Object>} - 最新视频的信息
  */
 export async function getLatestYouTubeVideo(accessToken, channelId) {
   try {
-    // 使用公共函数格式化 accessToken
-    const formattedAccessToken = formatAccessToken(accessToken, '获取最新视频从');
-    
-    // 构建基础 URL 和参数
-    const baseUrl = 'https://www.googleapis.com/youtube/v3/search';
-    const params = new URLSearchParams({
-      part: 'snippet',
-      maxResults: '1',
-      order: 'date',
-      type: 'video'
-    });
+    const tokenProvider = toTokenProvider(accessToken);
+    const target = channelId ? `频道 ${channelId}` : '认证用户';
 
-    // 根据是否提供了 channelId 添加参数
-    if (channelId) {
-      params.set('channelId', channelId);
-      console.log(`使用指定频道 ID: ${channelId}`);
-    } else {
-      params.set('forMine', 'true'); // 默认获取自己的视频
-      console.log('使用 forMine=true 获取认证用户的视频');
+    // 找到频道的上传播放列表 (包含该频道上传的所有视频，最新的在最前面)
+    const [channel] = await fetchYouTubeChannels(tokenProvider, channelId ? `id=${encodeURIComponent(channelId)}` : 'mine=true');
+    if (!channel?.uploadsPlaylistId) {
+      throw new ApiError('videoNotFound', `未找到${target}的 YouTube 频道`);
     }
 
-    const apiUrl = `${baseUrl}?${params.toString()}`;
-    console.log(`发送请求到 YouTube API: ${apiUrl}`);
-
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': formattedAccessToken  // 使用处理过的 accessToken
-      }
+    const params = new URLSearchParams({
+      part: 'snippet,contentDetails',
+      maxResults: '1',
+      playlistId: channel.uploadsPlaylistId
+    });
+    const response = await youtubeFetch(tokenProvider, `https://www.googleapis.com/youtube/v3/playlistItems?${params.toString()}`, {
+      method: 'GET'
     });
+    if (!response.ok) {
+      throw await youtubeApiError(response, '获取上传播放列表');
+    }
 
     const responseText = await response.text();
-    console.log(`YouTube API 响应状态码: ${response.status}`);
-    
     let responseData;
     try {
       responseData = JSON.parse(responseText);
     } catch (e) {
-      console.error(`解析响应失败: ${responseText}`);
-      throw new Error(`YouTube API 响应解析失败: ${responseText}`);
-    }
-
-    if (!response.ok) {
-      console.error(`API 错误: ${JSON.stringify(responseData)}`);
-      throw new Error(`YouTube API 错误 (${response.status}): ${JSON.stringify(responseData)}`);
+      loggerOf(tokenProvider).error('解析 YouTube API 响应失败', { response: responseText.slice(0, 500) });
+      throw new ApiError('upstreamError', `YouTube API 响应解析失败: ${responseText}`);
     }
 
     if (!responseData.items || responseData.items.length === 0) {
-       // 根据是否有 channelId 提供更具体的错误信息
-       const target = channelId ? `频道 ${channelId}` : '认证用户';
-       throw new Error(`在 ${target} 未找到视频 (API 响应: ${JSON.stringify(responseData)})`);
+      throw new ApiError('videoNotFound', `在 ${target} 未找到视频 (API 响应: ${JSON.stringify(responseData)})`);
     }
 
     const video = responseData.items[0];
     return {
-      id: video.id.videoId,
+      id: video.contentDetails?.videoId || video.snippet.resourceId?.videoId,
       title: video.snippet.title,
       description: video.snippet.description,
-      publishedAt: video.snippet.publishedAt,
+      // 上传播放列表的 snippet.publishedAt 为加入列表 (上传) 的时间，公开发布时间在 contentDetails 中
+      publishedAt: video.contentDetails?.videoPublishedAt || video.snippet.publishedAt,
       thumbnails: video.snippet.thumbnails
     };
   } catch (error) {
     // 重新抛出错误，但添加更多上下文信息
-    throw new Error(`获取最新视频失败: ${error.message}`);
+    throw withErrorContext(error, '获取最新视频失败');
   }
 }
 
@@ -300,49 +561,503 @@ export async function getLatestYouTubeVideo(accessToken, channelId) {
 
 /**
  * 获取特定视频的详细信息
- * @param {string} accessToken - YouTube API 的访问令牌
+ * @param {string|Object} accessToken - YouTube API 的访问令牌或令牌提供者
  * @param {string} videoId - 要查询的视频 ID
  * @returns {Promise<Object>} - 视频详细信息
  */
 export async function getVideoDetails(accessToken, videoId) {
   try {
-    // 使用公共函数格式化 accessToken
-    const formattedAccessToken = formatAccessToken(accessToken, '获取视频详情');
+    const tokenProvider = toTokenProvider(accessToken);
     
     // 构建 API URL
     const apiUrl = `https://www.googleapis.com/youtube/v3/videos?part=snippet,status,contentDetails,statistics&id=${videoId}`;
-    console.log(`发送请求到 YouTube API: ${apiUrl}`);
 
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': formattedAccessToken
-      }
+    const response = await youtubeFetch(tokenProvider, apiUrl, {
+      method: 'GET'
     });
 
+    if (!response.ok) {
+      throw await youtubeApiError(response, '获取视频详情');
+    }
+
     const responseText = await response.text();
-    console.log(`YouTube API 响应状态码: ${response.status}`);
-    
     let responseData;
     try {
       responseData = JSON.parse(responseText);
     } catch (e) {
-      console.error(`解析响应失败: ${responseText}`);
-      throw new Error(`YouTube API 响应解析失败: ${responseText}`);
-    }
-
-    if (!response.ok) {
-      console.error(`API 错误: ${JSON.stringify(responseData)}`);
-      throw new Error(`YouTube API 错误 (${response.status}): ${JSON.stringify(responseData)}`);
+      loggerOf(tokenProvider).error('解析 YouTube API 响应失败', { response: responseText.slice(0, 500) });
+      throw new ApiError('upstreamError', `YouTube API 响应解析失败: ${responseText}`);
     }
 
     if (!responseData.items || responseData.items.length === 0) {
-      throw new Error(`未找到视频 ID: ${videoId}`);
+      throw new ApiError('videoNotFound', `未找到视频 ID: ${videoId}`);
     }
 
     // 返回完整的视频信息，包括频道 ID
     return responseData.items[0];
   } catch (error) {
-    throw new Error(`获取视频详情失败: ${error.message}`);
+    throw withErrorContext(error, '获取视频详情失败');
+  }
+}
+
+/**
+ * 构建 multipart/related 请求体 (JSON 元数据 + 文件内容)，用于 captions.insert 和 captions.update
+ * @param {Object} metadata - 资源元数据
+ * @param {{data: ArrayBuffer, contentType: string}} file - 文件内容
+ * @returns {{body: ArrayBuffer, contentType: string}} - 请求体 (ArrayBuffer，令牌刷新后可以重新发送) 和 Content-Type
+ */
+function buildMultipartBody(metadata, file) {
+  const boundary = `cfworker-upload-${crypto.randomUUID()}`;
+  const encoder = new TextEncoder();
+  const head = encoder.encode(
+    `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(metadata)}\r\n` +
+    `--${boundary}\r\nContent-Type: ${file.contentType}\r\n\r\n`
+  );
+  const tail = encoder.encode(`\r\n--${boundary}--`);
+
+  const body = new Uint8Array(head.byteLength + file.data.byteLength + tail.byteLength);
+  body.set(head, 0);
+  body.set(new Uint8Array(file.data), head.byteLength);
+  body.set(tail, head.byteLength + file.data.byteLength);
+  return { body: body.buffer, contentType: `multipart/related; boundary=${boundary}` };
+}
+
+/**
+ * 上传一条字幕轨道：没有 captionId 时新增 (captions.insert)，有 captionId 时替换该轨道的内容 (captions.update)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @param {Object} caption - 字幕 { language, name, path, draft, captionId }
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<Object>} - 字幕资源
+ */
+async function uploadYouTubeCaption(tokenProvider, videoId, caption, env) {
+  const file = await loadCaptionFile(caption.path, env, loggerOf(tokenProvider));
+  const snippet = caption.captionId
+    ? { isDraft: Boolean(caption.draft) }
+    : { videoId: videoId, language: caption.language, name: caption.name || '', isDraft: Boolean(caption.draft) };
+  const metadata = caption.captionId ? { id: caption.captionId, snippet } : { snippet };
+  const { body, contentType } = buildMultipartBody(metadata, file);
+
+  const response = await youtubeFetch(tokenProvider, 'https://www.googleapis.com/upload/youtube/v3/captions?part=snippet&uploadType=multipart', {
+    method: caption.captionId ? 'PUT' : 'POST',
+    headers: { 'Content-Type': contentType },
+    body: body
+  });
+  if (!response.ok) {
+    throw await youtubeApiError(response, caption.captionId ? '替换字幕' : '上传字幕');
+  }
+  return await response.json();
+}
+
+/**
+ * 逐条上传字幕轨道。单条字幕失败不会抛出异常，也不影响其他字幕，结果体现在每条字幕的状态中。
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @param {Object[]} captions - 字幕列表 [{ language, name, path, draft, captionId }]
+ * @param {object} env - Cloudflare Worker 环境变量
+ * @returns {Promise<Object[]>} - 每条字幕的上传状态 { language, name, path, success, captionId, status, code }
+ */
+export async function uploadYouTubeCaptions(tokenProvider, videoId, captions, env) {
+  const statuses = [];
+  for (const caption of captions) {
+    const entry = { language: caption.language || null, name: caption.name || '', path: caption.path };
+    try {
+      const result = await uploadYouTubeCaption(tokenProvider, videoId, caption, env);
+      statuses.push({
+        ...entry,
+        success: true,
+        captionId: result.id,
+        status: `字幕${caption.captionId ? '替换' : '上传'}成功 (使用: ${caption.path})`
+      });
+    } catch (error) {
+      loggerOf(tokenProvider).error('字幕上传失败', { videoId, path: caption.path, error });
+      statuses.push({
+        ...entry,
+        success: false,
+        captionId: caption.captionId || null,
+        code: error.code || 'internalError',
+        status: `字幕处理/上传时出错: ${error.message}`
+      });
+    }
+  }
+  return statuses;
+}
+
+/**
+ * 列出视频的字幕轨道 (captions.list)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @returns {Promise<Object[]>} - 字幕轨道列表
+ */
+export async function listYouTubeCaptions(tokenProvider, videoId) {
+  const response = await youtubeFetch(tokenProvider, `https://www.googleapis.com/youtube/v3/captions?part=snippet&videoId=${encodeURIComponent(videoId)}`);
+  if (!response.ok) {
+    throw await youtubeApiError(response, '获取字幕列表');
+  }
+  const result = await response.json();
+  return (result.items || []).map(item => ({
+    captionId: item.id,
+    language: item.snippet.language,
+    name: item.snippet.name,
+    draft: item.snippet.isDraft,
+    trackKind: item.snippet.trackKind,
+    status: item.snippet.status,
+    lastUpdated: item.snippet.lastUpdated
+  }));
+}
+
+// 列表接口每页的最大条数，以及分页读取的最大页数 (避免超大频道消耗过多配额)
+const LIST_PAGE_SIZE = 50;
+const LIST_MAX_PAGES = 20;
+
+/**
+ * 分页读取 YouTube 列表接口的全部条目
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} baseUrl - 列表接口 URL (不含 pageToken 和 maxResults)
+ * @param {string} operation - 当前操作描述，用于错误信息
+ * @returns {Promise<Object[]>} - 所有页的 items
+ */
+async function listAllPages(tokenProvider, baseUrl, operation) {
+  const items = [];
+  let pageToken = '';
+  for (let page = 0; page < LIST_MAX_PAGES; page++) {
+    const response = await youtubeFetch(tokenProvider, `${baseUrl}&maxResults=${LIST_PAGE_SIZE}${pageToken ? `&pageToken=${pageToken}` : ''}`);
+    if (!response.ok) {
+      throw await youtubeApiError(response, operation);
+    }
+    const result = await response.json();
+    items.push(...(result.items || []));
+    if (!result.nextPageToken) {
+      break;
+    }
+    pageToken = result.nextPageToken;
+  }
+  return items;
+}
+
+/**
+ * 列出当前认证用户的播放列表 (playlists.list)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @returns {Promise<Object[]>} - 播放列表 { playlistId, title, description, privacyStatus, itemCount }
+ */
+export async function listYouTubePlaylists(tokenProvider) {
+  const items = await listAllPages(tokenProvider, 'https://www.googleapis.com/youtube/v3/playlists?part=snippet,status,contentDetails&mine=true', '获取播放列表');
+  return items.map(item => ({
+    playlistId: item.id,
+    title: item.snippet.title,
+    description: item.snippet.description,
+    privacyStatus: item.status?.privacyStatus,
+    itemCount: item.contentDetails?.itemCount
+  }));
+}
+
+/**
+ * 创建播放列表 (playlists.insert)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {Object} playlist - { title, description, privacyStatus (默认 private) }
+ * @returns {Promise<Object>} - 新建的播放列表 { playlistId, title, description, privacyStatus }
+ */
+export async function createYouTubePlaylist(tokenProvider, { title, description, privacyStatus }) {
+  loggerOf(tokenProvider).info('创建 YouTube 播放列表', { title });
+  const response = await youtubeFetch(tokenProvider, 'https://www.googleapis.com/youtube/v3/playlists?part=snippet,status', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      snippet: { title, description: description || '' },
+      status: { privacyStatus: privacyStatus || 'private' }
+    })
+  });
+  if (!response.ok) {
+    throw await youtubeApiError(response, '创建播放列表');
+  }
+  const result = await response.json();
+  return {
+    playlistId: result.id,
+    title: result.snippet.title,
+    description: result.snippet.description,
+    privacyStatus: result.status?.privacyStatus
+  };
+}
+
+/**
+ * 将视频加入播放列表 (playlistItems.insert)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} playlistId - 播放列表 ID
+ * @param {string} videoId - 视频 ID
+ * @param {number|null} position - 在播放列表中的位置 (从 0 开始)，为空时添加到末尾
+ * @returns {Promise<Object>} - 播放列表条目资源
+ */
+async function insertYouTubePlaylistItem(tokenProvider, playlistId, videoId, position) {
+  const snippet = { playlistId, resourceId: { kind: 'youtube#video', videoId } };
+  if (position !== null && position !== undefined) {
+    snippet.position = Number(position);
+  }
+  const response = await youtubeFetch(tokenProvider, 'https://www.googleapis.com/youtube/v3/playlistItems?part=snippet', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ snippet })
+  });
+  if (!response.ok) {
+    throw await youtubeApiError(response, '添加到播放列表');
+  }
+  return await response.json();
+}
+
+/**
+ * 将视频加入多个播放列表。按标题指定的播放列表不存在时会新建 (private)。
+ * 单个播放列表失败不会抛出异常，也不影响其他播放列表，结果体现在每个播放列表的状态中。
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @param {Object} playlists - { ids: 播放列表 ID 列表, titles: 播放列表标题列表, position: 插入位置 }
+ * @returns {Promise<Object[]>} - 每个播放列表的状态 { playlistId, title, created, success, playlistItemId, status }
+ */
+export async function addYouTubeVideoToPlaylists(tokenProvider, videoId, { ids = [], titles = [], position = null }) {
+  const targets = ids.map(playlistId => ({ playlistId, title: null, created: false }));
+
+  if (titles.length > 0) {
+    let existing = [];
+    let listError = null;
+    try {
+      existing = await listYouTubePlaylists(tokenProvider);
+    } catch (error) {
+      loggerOf(tokenProvider).error('获取播放列表失败，无法按标题匹配', { videoId, error });
+      listError = error;
+    }
+
+    for (const title of titles) {
+      if (listError) {
+        targets.push({ playlistId: null, title, created: false, error: listError });
+        continue;
+      }
+      const match = existing.find(playlist => playlist.title.trim() === title.trim());
+      if (match) {
+        targets.push({ playlistId: match.playlistId, title, created: false });
+        continue;
+      }
+      try {
+        const playlist = await createYouTubePlaylist(tokenProvider, { title });
+        existing.push(playlist);
+        targets.push({ playlistId: playlist.playlistId, title, created: true });
+      } catch (error) {
+        loggerOf(tokenProvider).error('创建播放列表失败', { title, error });
+        targets.push({ playlistId: null, title, created: false, error });
+      }
+    }
+  }
+
+  return await addToTargets(tokenProvider, videoId, targets, position);
+}
+
+/**
+ * 逐个将视频加入目标播放列表，返回每个播放列表的状态
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @param {Object[]} targets - 目标播放列表 { playlistId, title, created, error (查找或创建失败时) }
+ * @param {number|null} position - 插入位置
+ * @returns {Promise<Object[]>}
+ */
+async function addToTargets(tokenProvider, videoId, targets, position) {
+  const statuses = [];
+  for (const { error: resolveError, ...target } of targets) {
+    // 按标题查找或创建播放列表时已经失败
+    if (resolveError) {
+      statuses.push({ ...target, success: false, code: resolveError.code || 'internalError', status: `查找或创建播放列表失败: ${resolveError.message}` });
+      continue;
+    }
+    try {
+      const item = await insertYouTubePlaylistItem(tokenProvider, target.playlistId, videoId, position);
+      statuses.push({ ...target, success: true, playlistItemId: item.id, position: item.snippet?.position ?? null, status: `已加入播放列表 ${target.playlistId}` });
+    } catch (error) {
+      loggerOf(tokenProvider).error('加入播放列表失败', { videoId, playlistId: target.playlistId, error });
+      statuses.push({ ...target, success: false, code: error.code || 'internalError', status: `加入播放列表失败: ${error.message}` });
+    }
+  }
+  return statuses;
+}
+
+/**
+ * 调整播放列表中视频的顺序 (playlistItems.update)：videoIds 中的视频依次移动到位置 0、1、2...，
+ * 未列出的视频排在这些视频之后，保持原有的相对顺序。
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} playlistId - 播放列表 ID
+ * @param {string[]} videoIds - 期望的视频顺序
+ * @returns {Promise<Object[]>} - 调整后的条目 { videoId, playlistItemId, position }
+ */
+export async function reorderYouTubePlaylist(tokenProvider, playlistId, videoIds) {
+  const items = await listAllPages(tokenProvider, `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&playlistId=${encodeURIComponent(playlistId)}`, '获取播放列表条目');
+  const itemsByVideo = new Map(items.map(item => [item.snippet.resourceId.videoId, item]));
+  const missing = videoIds.filter(videoId => !itemsByVideo.has(videoId));
+  if (missing.length > 0) {
+    throw new ApiError('videoNotFound', `播放列表 ${playlistId} 中没有这些视频: ${missing.join(', ')}`);
+  }
+
+  const reordered = [];
+  for (const [position, videoId] of videoIds.entries()) {
+    const item = itemsByVideo.get(videoId);
+    const response = await youtubeFetch(tokenProvider, 'https://www.googleapis.com/youtube/v3/playlistItems?part=snippet', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        id: item.id,
+        snippet: { playlistId, resourceId: item.snippet.resourceId, position }
+      })
+    });
+    if (!response.ok) {
+      throw await youtubeApiError(response, '调整播放列表顺序');
+    }
+    reordered.push({ videoId, playlistItemId: item.id, position });
+  }
+  return reordered;
+}
+
+// videos.update 中可写的 snippet 和 status 字段，更新时保留当前值，避免未传入的字段被清空
+const WRITABLE_SNIPPET_FIELDS = ['title', 'description', 'tags', 'categoryId', 'defaultLanguage', 'defaultAudioLanguage'];
+const WRITABLE_STATUS_FIELDS = ['privacyStatus', 'publishAt', 'embeddable', 'license', 'publicStatsViewable', 'selfDeclaredMadeForKids', 'containsSyntheticMedia'];
+
+/**
+ * 更新视频元数据 (videos.update)。先读取当前的 snippet 和 status，再合并传入的字段，
+ * 未传入的字段保持不变。
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @param {Object} metadata - 需要修改的字段 (title、description、tags、categoryId、privacyStatus)
+ * @param {string|null} [publishTime] - 新的计划发布时间；为 null 时取消定时发布，未传入时保持不变
+ * @returns {Promise<Object>} - 更新后的视频资源 (snippet、status)
+ */
+export async function updateYouTubeVideo(tokenProvider, videoId, metadata, publishTime) {
+  const current = await getVideoDetails(tokenProvider, videoId);
+
+  const snippet = {};
+  for (const field of WRITABLE_SNIPPET_FIELDS) {
+    const value = metadata[field] !== undefined ? metadata[field] : current.snippet?.[field];
+    if (value !== undefined) {
+      snippet[field] = value;
+    }
+  }
+  const status = {};
+  for (const field of WRITABLE_STATUS_FIELDS) {
+    if (current.status?.[field] !== undefined) {
+      status[field] = current.status[field];
+    }
+  }
+  if (metadata.privacyStatus) {
+    status.privacyStatus = metadata.privacyStatus;
+  }
+
+  if (publishTime) {
+    // 与上传时一致：设置了发布时间时视频必须为 private
+    status.publishAt = formatPublishAt(publishTime);
+    status.privacyStatus = 'private';
+  } else if (publishTime === null || status.privacyStatus !== 'private') {
+    // 只有 private 视频可以定时发布，改为公开或取消定时发布时清除 publishAt
+    delete status.publishAt;
+  }
+
+  loggerOf(tokenProvider).info('更新 YouTube 视频元数据', { videoId });
+  const response = await youtubeFetch(tokenProvider, 'https://www.googleapis.com/youtube/v3/videos?part=snippet,status', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: videoId, snippet, status })
+  });
+  if (!response.ok) {
+    throw await youtubeApiError(response, '更新视频');
+  }
+  return await response.json();
+}
+
+/**
+ * 删除视频 (videos.delete)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string} videoId - 视频 ID
+ * @returns {Promise<Object>}
+ */
+export async function deleteYouTubeVideo(tokenProvider, videoId) {
+  loggerOf(tokenProvider).info('删除 YouTube 视频', { videoId });
+  const response = await youtubeFetch(tokenProvider, `https://www.googleapis.com/youtube/v3/videos?id=${encodeURIComponent(videoId)}`, {
+    method: 'DELETE'
+  });
+  if (!response.ok) {
+    throw await youtubeApiError(response, '删除视频');
   }
-}
\ No newline at end of file
+  return { videoId: videoId, deleted: true };
+}
+
+/**
+ * 批量查询视频的上传和处理状态 (videos.list 的 status 与 processingDetails)
+ * @param {Object} tokenProvider - 令牌提供者
+ * @param {string[]} videoIds - 视频 ID 列表 (最多 50 个)
+ * @returns {Promise<Object>} - 以视频 ID 为键的状态映射，已删除或无权访问的视频不在结果中
+ */
+export async function getYouTubeProcessingStatus(tokenProvider, videoIds) {
+  const response = await youtubeFetch(tokenProvider,
+    `https://www.googleapis.com/youtube/v3/videos?part=status,processingDetails&id=${videoIds.map(encodeURIComponent).join(',')}`, {
+      method: 'GET'
+    });
+  if (!response.ok) {
+    throw await youtubeApiError(response, '查询处理状态');
+  }
+
+  const data = await response.json();
+  return Object.fromEntries((data.items || []).map(item => [item.id, {
+    uploadStatus: item.status?.uploadStatus || null, // uploaded / processed / failed / rejected / deleted
+    processingStatus: item.processingDetails?.processingStatus || null, // processing / succeeded / failed / terminated
+    failureReason: item.status?.failureReason || item.processingDetails?.processingFailureReason || null,
+    rejectionReason: item.status?.rejectionReason || null,
+    privacyStatus: item.status?.privacyStatus || null,
+    publishAt: item.status?.publishAt || null
+  }]));
+}
+
+// 可用于上传的视频分类 ID (videoCategories.list 中 assignable 为 true 的分类)
+const YOUTUBE_CATEGORY_IDS = ['1', '2', '10', '15', '17', '19', '20', '22', '23', '24', '25', '26', '27', '28', '29'];
+
+/**
+ * YouTube 平台适配器
+ * @type {import('./platforms.js').PlatformAdapter}
+ */
+export const youtubeAdapter = {
+  name: 'youtube',
+  // metadata 和上传目标字段的校验规则，见 validation.js
+  uploadSchema: {
+    fields: {
+      playlistIds: { type: 'array', maxItems: 20 },
+      playlistTitles: { type: 'array', maxItems: 20, itemMaxLength: 150 },
+      playlistPosition: { type: 'integer', min: 0 },
+      YT_channelId: { type: 'string', pattern: YOUTUBE_CHANNEL_ID_PATTERN, patternMessage: 'YT_channelId 必须是 UC 开头的 24 位频道 ID' }
+    },
+    metadata: {
+      title: { type: 'string', required: true, maxLength: 100, pattern: /^[^<>]*$/, patternMessage: 'title 不能包含 < 或 >' },
+      description: { type: 'string', required: true, maxBytes: 5000, pattern: /^[^<>]*$/, patternMessage: 'description 不能包含 < 或 >' },
+      tags: { type: 'array', maxTotalLength: 500 },
+      categoryId: { enum: YOUTUBE_CATEGORY_IDS },
+      privacyStatus: { type: 'string', enum: ['private', 'unlisted', 'public'] },
+      defaultLanguage: { type: 'string', pattern: /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/, patternMessage: 'defaultLanguage 必须是 BCP-47 语言代码 (例如 en、zh-Hans)' },
+      defaultAudioLanguage: { type: 'string', pattern: /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/, patternMessage: 'defaultAudioLanguage 必须是 BCP-47 语言代码 (例如 en、zh-Hans)' }
+    },
+    publishTime: {}
+  },
+  capabilities: {
+    scheduling: true, // 支持 publish_time (status.publishAt)
+    privacyStatus: ['private', 'unlisted', 'public'],
+    captions: true, // 支持 captions 字段和 /video/captions
+    playlists: true, // 支持 playlistIds / playlistTitles 字段和 /playlists
+    processingStatus: true, // 支持 callbackUrl，上传后跟踪处理状态
+    coverFrames: true, // 支持 coverFrame，从视频截取封面
+    auth: 'oauth', // Google OAuth 访问令牌，已注册账号可自动刷新
+    channelSelection: true // getLatest 支持 channelId 参数，上传前检查令牌所属的频道 (YT_channelId 或账号登记的 channelId)
+  },
+  upload: request => uploadToYouTube(request),
+  setThumbnail: ({ tokenProvider, videoId, coverPath, coverFrame, videoPath, env }) =>
+    replaceYouTubeThumbnail(tokenProvider, videoId, { coverPath, coverFrame, videoKey: videoPath }, env),
+  getVideo: ({ tokenProvider, videoId }) => getVideoDetails(tokenProvider, videoId),
+  getLatest: ({ tokenProvider, channelId }) => getLatestYouTubeVideo(tokenProvider, channelId),
+  updateMetadata: ({ tokenProvider, videoId, metadata, publishTime }) => updateYouTubeVideo(tokenProvider, videoId, metadata, publishTime),
+  delete: ({ tokenProvider, videoId }) => deleteYouTubeVideo(tokenProvider, videoId),
+  listCaptions: ({ tokenProvider, videoId }) => listYouTubeCaptions(tokenProvider, videoId),
+  uploadCaptions: ({ tokenProvider, videoId, captions, env }) => uploadYouTubeCaptions(tokenProvider, videoId, captions, env),
+  listPlaylists: ({ tokenProvider }) => listYouTubePlaylists(tokenProvider),
+  createPlaylist: ({ tokenProvider, playlist }) => createYouTubePlaylist(tokenProvider, playlist),
+  reorderPlaylist: ({ tokenProvider, playlistId, videoIds }) => reorderYouTubePlaylist(tokenProvider, playlistId, videoIds),
+  addToPlaylists: ({ tokenProvider, videoId, playlists }) => addYouTubeVideoToPlaylists(tokenProvider, videoId, playlists),
+  getProcessingStatus: ({ tokenProvider, videoIds }) => getYouTubeProcessingStatus(tokenProvider, videoIds),
+  listChannels: ({ tokenProvider }) => getMyYouTubeChannels(tokenProvider)
+};
\ No newline at end of file